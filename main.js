@@ -1,13 +1,164 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, protocol, net, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const { createDLSiteProvider } = require('./src/providers/dlsite');
+const { createSteamProvider } = require('./src/providers/steam');
+const { createItchIoProvider } = require('./src/providers/itchio');
+const { scanLibraryFolder } = require('./src/bulkImport');
+const { detectExecutables } = require('./src/executableDetector');
+const { createGameSupervisor } = require('./src/gameSupervisor');
+const playHistory = require('./src/playHistory');
+const { normalizeLaunchOptions, describeLaunchChanges, resolveWorkingDirectory, runHook } = require('./src/launchOptions');
+const { normalizeRunnerConfig, describeRunnerChanges, resolveRunnerConfig, buildLaunchCommand } = require('./src/runners');
+const { parseDustgrain, readDustgrain, readDustgrainAsync, writeDustgrain, applyDustgrainUpdates, CURRENT_VERSION } = require('./src/dustgrain');
+const { createSettingsStore } = require('./src/settings');
+const { createAppTray } = require('./src/tray');
+const { createLibraryRoots, DEFAULT_ROOT_ID } = require('./src/libraryRoots');
+const { createLibraryWatcher } = require('./src/libraryWatcher');
+const { createLibraryIndex } = require('./src/libraryIndex');
+const { createCollectionStore, normalizeCollection } = require('./src/collections');
+const { createAssetCache, isImageFile, isRemote, ASSETS_DIRECTORY } = require('./src/assetCache');
+const { measureFolderSize } = require('./src/folderSize');
+const { writeBackup, readBackup, remapPath, suggestPathMappings, formatGameList } = require('./src/backup');
+const saveGames = require('./src/saveGames');
+const { assertString, assertPlainObject, assertArray, assertRelativePath, assertFolderWithin, isInside, pathsOverlap } = require('./src/validation');
 
 // Hauptfenster-Referenz global halten, um GC zu verhindern
 let mainWindow;
+let appTray = null;
+
+// Wird beim echten Beenden gesetzt, damit das Schließen-Ereignis nicht in den Tray umgeleitet wird
+let isQuitting = false;
+
+// Vom Benutzer in einem Auswahldialog gewählte Ordner. Der Renderer darf nur diese
+// Ordner (und die Installationsordner bekannter Spiele) an das Dateisystem weiterreichen.
+const approvedFolders = new Set();
+
+// Im Auswahldialog gewählte Coverbilder; nur diese werden als lokale Cover übernommen
+const approvedImages = new Set();
+
+// Gelesene, noch nicht übernommene Sicherung (Wiederherstellen-Dialog im Renderer)
+let pendingImport = null;
+
+// Einstellungen, die nur auf dem Rechner gelten, auf dem die Sicherung erstellt wurde.
+// Der Renderer ändert sie nicht über 'set-setting', sondern nur über die Bibliotheksordner-Handler,
+// die Ordner aus einer Ordnerauswahl verlangen.
+const MACHINE_SETTINGS = ['library.roots', 'library.targetRoot', 'libraryPaths'];
+
+// Eigenes Protokoll für zwischengespeicherte Cover und Screenshots:
+// dust-asset://game/<Spielschlüssel>/cover?thumb=1 bzw. .../screenshot/<Index>
+const ASSET_PROTOCOL = 'dust-asset';
+const THUMBNAIL_WIDTH = 400;
+
+protocol.registerSchemesAsPrivileged([
+  { scheme: ASSET_PROTOCOL, privileges: { standard: true, secure: true, supportFetchAPI: true } }
+]);
 
 // Pfad zum Spieleverzeichnis
 const userDataPath = app.getPath('userData');
 const gamesDirectoryPath = path.join(userDataPath, 'games');
+const prefixesDirectoryPath = path.join(userDataPath, 'prefixes');
+
+// Anzeigenamen der Plattformen aus dem Hinzufügen-Assistenten
+const platformLabels = {
+  steam: 'Steam',
+  itchio: 'Itch.io',
+  dlsite: 'DLSite',
+  other: 'Lokal'
+};
+
+// Sprachcodes der Einstellungen für die Metadaten-Quellen
+const steamLanguages = { de: 'german', en: 'english', ja: 'japanese' };
+const dlsiteLocales = { en: 'en_US', ja: 'ja_JP' };
+
+// Metadaten-Provider (Steam und DLSite werden bei Sprachwechsel neu erstellt)
+let dlsiteProvider = createDLSiteProvider();
+let steamProvider = createSteamProvider();
+const itchioProvider = createItchIoProvider();
+
+// Einstellungen; werden in app.whenReady geladen
+const settingsStore = createSettingsStore({
+  file: path.join(userDataPath, 'settings.json')
+});
+
+// Sammlungen; werden in app.whenReady geladen, Änderungen gehen sofort an den Renderer
+const collectionStore = createCollectionStore({
+  file: path.join(userDataPath, 'collections.json'),
+  onChange: collections => sendToRenderer('collections-changed', collections)
+});
+
+// Bibliotheksordner: userData/games plus die in den Einstellungen eingetragenen Ordner
+const libraryRoots = createLibraryRoots({
+  defaultPath: gamesDirectoryPath,
+  getRoots: () => getSetting('library.roots') || []
+});
+
+// Index aller Spiele (SQLite); wird beim Start geladen und bei jedem Scan mit den dustgrain-Dateien abgeglichen
+const libraryIndex = createLibraryIndex({
+  file: path.join(userDataPath, 'library.sqlite'),
+  libraryRoots,
+  readEntry: readDustgrainEntry
+});
+
+// Cover und Screenshots werden neben der dustgrain-Datei zwischengespeichert
+const assetCache = createAssetCache({
+  createThumbnail: (buffer) => {
+    const image = nativeImage.createFromBuffer(buffer);
+    if (image.isEmpty()) return null;
+    return image.resize({ width: THUMBNAIL_WIDTH, quality: 'good' }).toJPEG(85);
+  }
+});
+
+// Überwachung der Bibliotheksordner und Installationsordner; Änderungen gehen sofort an den Renderer
+const libraryWatcher = createLibraryWatcher({
+  libraryRoots,
+  readGame: readGameEntry,
+  onChange: async (gameDirectory) => {
+    const game = await refreshIndexedGame(gameDirectory);
+    sendToRenderer('library-changed', { directory: gameDirectory, game });
+    updateTray();
+  },
+  onRootsChanged: restartLibraryWatcher
+});
+
+// Überwachung laufender Spiele; Spielzeit wird beim Beenden gutgeschrieben
+const gameSupervisor = createGameSupervisor({
+  checkpointFile: path.join(userDataPath, 'running-sessions.json'),
+  onChange: (gameDirectory, session) => {
+    sendToRenderer('game-status-changed', {
+      directory: gameDirectory,
+      running: !!session,
+      startedAt: session ? session.startedAt : null
+    });
+    updateTray();
+  },
+  // Der Prozess ließ sich nicht starten; es gibt keine Sitzung und keine Befehle nach dem Beenden
+  onLaunchError: ({ key, info, error }) => {
+    sendToRenderer('game-launch-failed', {
+      directory: key,
+      message: `Fehler beim Starten von ${info.title || key}: ${error.message}`
+    });
+  },
+  onSessionEnd: (session) => {
+    recordSession(session);
+    const dustgrain = addPlayTime(session.key, session.durationMs);
+    if (dustgrain) {
+      sendToRenderer('game-updated', { directory: session.key, dustgrain });
+      
+      // Befehl nach dem Beenden und Sicherung der Spielstände nur nach regulär beobachteten Sitzungen
+      if (!session.interrupted) {
+        runPostLaunchHook(session.key, dustgrain);
+        if (getSetting('saves.autoSnapshot') !== false) {
+          snapshotSaves(session.key, 'session')
+            .catch(err => console.error(`Fehler beim Sichern der Spielstände von ${session.key}:`, err));
+        }
+      }
+    }
+  }
+});
 
 // Stellen Sie sicher, dass das Spieleverzeichnis existiert
 if (!fs.existsSync(gamesDirectoryPath)) {
@@ -23,8 +174,11 @@ function createWindow() {
     minHeight: 600,
     title: "Dust Game Manager",
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
+      // Der Renderer hat keinen Node.js-Zugriff; die Dust-API kommt aus preload.js
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'preload.js')
     },
     backgroundColor: '#1b2838'
   });
@@ -32,17 +186,110 @@ function createWindow() {
   // index.html laden
   mainWindow.loadFile('index.html');
 
+  // Das Fenster zeigt nur Dust selbst an; Links und neue Fenster werden nicht geöffnet
+  mainWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  mainWindow.webContents.on('will-navigate', (event) => event.preventDefault());
+
   // Öffne die DevTools während der Entwicklung
   // mainWindow.webContents.openDevTools();
 
+  // Schließen blendet das Fenster nur aus, wenn "In den Tray minimieren" aktiv ist
+  mainWindow.on('close', (event) => {
+    if (!isQuitting && appTray && getSetting('general.closeToTray')) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+  
+  mainWindow.on('show', updateTray);
+  mainWindow.on('hide', updateTray);
+
   // Emittiert, wenn das Fenster geschlossen wird
   mainWindow.on('closed', () => {
     mainWindow = null;
+    updateTray();
   });
 }
 
+// Tray-Symbol mit laufenden und zuletzt gespielten Spielen erstellen
+function createTray() {
+  try {
+    appTray = createAppTray({
+      iconPath: path.join(__dirname, 'assets', process.platform === 'win32' ? 'icon.ico' : 'icon.png'),
+      getState: () => ({
+        games: libraryIndex.list(),
+        running: gameSupervisor.getRunning(),
+        windowVisible: !!mainWindow && mainWindow.isVisible()
+      }),
+      actions: {
+        launchGame: async (gameDirectory) => {
+          const result = await launchGame(gameDirectory);
+          if (!result.success) {
+            sendToRenderer('game-launch-failed', { directory: gameDirectory, message: result.message });
+          }
+        },
+        stopGame: (gameDirectory) => gameSupervisor.stop(gameDirectory),
+        toggleWindow: toggleMainWindow,
+        quit: () => app.quit()
+      }
+    });
+  } catch (err) {
+    // Ohne Tray (z.B. fehlender Systembereich unter Linux) verhält sich Dust wie bisher
+    console.error('Fehler beim Erstellen des Tray-Symbols:', err);
+  }
+}
+
+// Hauptfenster ein- oder ausblenden; wurde es geschlossen, wird es neu erstellt
+function toggleMainWindow() {
+  if (!mainWindow) {
+    createWindow();
+  } else if (mainWindow.isVisible() && mainWindow.isFocused()) {
+    mainWindow.hide();
+  } else {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+}
+
 // Wenn Electron fertig mit der Initialisierung ist
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+  try {
+    await settingsStore.load();
+  } catch (err) {
+    console.error('Fehler beim Laden der Einstellungen:', err);
+  }
+  try {
+    await collectionStore.load();
+  } catch (err) {
+    console.error('Fehler beim Laden der Sammlungen:', err);
+  }
+  try {
+    await libraryIndex.open();
+  } catch (err) {
+    console.error('Fehler beim Öffnen des Bibliotheksindex:', err);
+  }
+  applySettings();
+  settingsStore.subscribe(onSettingChanged);
+  
+  // Sitzungen, die bei einem Absturz von Dust noch liefen, nachtragen
+  gameSupervisor.recoverSessions();
+  
+  protocol.handle(ASSET_PROTOCOL, handleAssetRequest);
+  
+  createWindow();
+  createTray();
+  
+  // Index im Hintergrund abgleichen, danach die Überwachung starten
+  libraryIndex.sync()
+    .catch(err => console.error('Fehler beim Abgleich des Bibliotheksindex:', err))
+    .then(() => libraryWatcher.start(libraryIndex.list()));
+});
+
+app.on('before-quit', () => {
+  isQuitting = true;
+  libraryWatcher.stop();
+  libraryIndex.close();
+});
 
 // Beende die App, wenn alle Fenster geschlossen sind (außer auf macOS)
 app.on('window-all-closed', () => {
@@ -56,24 +303,78 @@ app.on('activate', () => {
   // Dock-Symbol geklickt wird und keine anderen Fenster offen sind
   if (mainWindow === null) {
     createWindow();
+  } else {
+    mainWindow.show();
   }
 });
 
 // IPC Kommunikation mit dem Renderer-Prozess
 
-// Scanne nach dustgrain-Dateien und gib alle gefundenen Spiele zurück
+// Index mit den dustgrain-Dateien abgleichen und alle gefundenen Spiele zurückgeben
 ipcMain.handle('scan-games', async () => {
-  return scanForDustgrains();
+  try {
+    return await libraryIndex.sync();
+  } catch (error) {
+    console.error("Fehler beim Scannen der Bibliothek:", error);
+    return libraryIndex.list();
+  }
+});
+
+// Spiele filtern und sortieren; liefert die Schlüssel der passenden Spiele in Anzeigereihenfolge
+ipcMain.handle('query-games', async (event, filters) => {
+  try {
+    filters = assertPlainObject(filters || {}, 'filters');
+    for (const key of ['search', 'genre', 'source', 'root', 'sortKey', 'sortDirection']) {
+      if (filters[key] != null) {
+        assertString(filters[key], key, { allowEmpty: true, maxLength: 1000 });
+      }
+    }
+    
+    // Gespeicherte Sammlung per ID oder ungespeicherte Regeln (Vorschau im Sammlungseditor)
+    let collection = null;
+    if (filters.collection && typeof filters.collection === 'object') {
+      const draft = assertPlainObject(filters.collection, 'collection');
+      collection = normalizeCollection({ ...draft, name: draft.name || 'Vorschau' });
+    } else if (filters.collection) {
+      assertString(filters.collection, 'collection', { maxLength: 1000 });
+      collection = collectionStore.list().find(entry => entry.id === filters.collection);
+      if (!collection) {
+        throw new Error(`Sammlung nicht gefunden: ${filters.collection}`);
+      }
+    }
+    
+    const result = await libraryIndex.query({
+      ...filters,
+      tags: assertArray(filters.tags || [], 'tags').map(tag => assertString(tag, 'tag')),
+      collection
+    });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Fehler beim Filtern der Bibliothek:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
 });
 
-// Füge ein neues Spiel hinzu
-ipcMain.handle('add-game', async (event, gameInfo) => {
+// Spielordner für den Hinzufügen-Assistenten auswählen
+ipcMain.handle('select-game-folder', async (event, platform, importType, hints = {}) => {
   try {
+    hints = assertPlainObject(hints || {}, 'hints');
     const options = {
-      title: 'Spieleverzeichnis auswählen',
+      title: importType === 'folder' ? 'Bibliotheksordner auswählen' : 'Spieleverzeichnis auswählen',
       properties: ['openDirectory']
     };
     
+    // Beim bekannten Installationsordner bzw. Standard-Bibliotheksordner der Plattform beginnen
+    const defaultPath = typeof hints.installDir === 'string' && fs.existsSync(hints.installDir)
+      ? hints.installDir
+      : getDefaultLibraryPath(platform);
+    if (defaultPath) {
+      options.defaultPath = defaultPath;
+    }
+    
     const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, options);
     
     if (canceled || filePaths.length === 0) {
@@ -81,56 +382,68 @@ ipcMain.handle('add-game', async (event, gameInfo) => {
     }
     
     const selectedDir = filePaths[0];
-    const dirName = path.basename(selectedDir);
+    approvedFolders.add(selectedDir);
     
-    // Suche nach ausführbaren Dateien
-    let executablePath = '';
-    try {
-      const files = fs.readdirSync(selectedDir);
-      const executables = files.filter(file => 
-        file.endsWith('.exe') || file.endsWith('.bat') || file.endsWith('.cmd') || 
-        (process.platform === 'darwin' && file.endsWith('.app')) ||
-        (process.platform === 'linux' && !file.includes('.'))
-      );
-      
-      if (executables.length > 0) {
-        executablePath = executables[0];
-      }
-    } catch (err) {
-      console.error("Fehler beim Lesen des Verzeichnisses:", err);
-    }
-    
-    // Zielverzeichnis erstellen
-    const gameDir = path.join(gamesDirectoryPath, dirName);
-    if (!fs.existsSync(gameDir)) {
-      fs.mkdirSync(gameDir, { recursive: true });
-    }
-    
-    // Dustgrain-Datei erstellen
-    const dustgrain = {
-      title: gameInfo.title || dirName,
-      executable: executablePath,
-      executablePath: selectedDir,
-      version: gameInfo.version || "1.0",
-      genre: gameInfo.genre || "Sonstiges",
-      releaseDate: gameInfo.releaseDate || new Date().toISOString().split('T')[0],
-      developer: gameInfo.developer || "Unbekannt",
-      publisher: gameInfo.publisher || "Unbekannt",
-      description: gameInfo.description || "",
-      source: gameInfo.source || "Lokal",
-      tags: gameInfo.tags || [],
-      coverImage: gameInfo.coverImage || "",
-      screenshots: gameInfo.screenshots || [],
-      lastPlayed: null,
-      playTime: 0,
-      installed: true,
-      installDate: new Date().toISOString(),
-      dustVersion: "1.0"
-    };
-    
-    // Speichern der dustgrain-Datei
-    const dustgrainPath = path.join(gameDir, 'dustgrain.json');
-    fs.writeFileSync(dustgrainPath, JSON.stringify(dustgrain, null, 2));
+    // Beim Ordner-Import werden die Unterordner erst in der Übersicht untersucht
+    if (importType === 'folder') {
+      return {
+        success: true,
+        selectedFolder: selectedDir
+      };
+    }
+    
+    const gameDetails = {
+      title: path.basename(selectedDir),
+      source: platformLabels[platform] || platformLabels.other
+    };
+    
+    // Von der itch-App installierte Spiele bringen ihre IDs im Receipt mit
+    const receipt = itchioProvider.readReceipt(selectedDir);
+    if (receipt) {
+      Object.assign(gameDetails, receipt, { source: platformLabels.itchio });
+    }
+    
+    const title = typeof hints.title === 'string' && hints.title ? hints.title : gameDetails.title;
+    const detection = await detectExecutables(selectedDir, { title });
+    
+    return {
+      success: true,
+      selectedFolder: selectedDir,
+      executable: detection.best,
+      executables: detection.candidates.map(candidate => candidate.file),
+      executableAmbiguous: detection.ambiguous,
+      gameDetails
+    };
+  } catch (error) {
+    console.error("Fehler bei der Ordnerauswahl:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Spiel mit bereits gewähltem Ordner hinzufügen (Hinzufügen-Assistent)
+ipcMain.handle('add-game-with-path', async (event, gameInfo, gameFolder, executable) => {
+  try {
+    gameInfo = assertPlainObject(gameInfo || {}, 'gameInfo');
+    gameFolder = assertApprovedFolder(gameFolder);
+    if (!fs.existsSync(gameFolder) || !fs.statSync(gameFolder).isDirectory()) {
+      return { 
+        success: false, 
+        message: "Spielordner nicht gefunden" 
+      };
+    }
+    
+    // Im Formular gewählte Datei hat Vorrang vor der automatisch erkannten
+    let executableFile = gameInfo.executable || executable || '';
+    if (executableFile) {
+      assertRelativePath(executableFile, 'Ausführbare Datei');
+    } else {
+      executableFile = (await detectExecutables(gameFolder, { title: gameInfo.title })).best;
+    }
+    
+    const dustgrain = writeNewDustgrain(gameInfo, gameFolder, executableFile);
     
     return { 
       success: true, 
@@ -146,51 +459,101 @@ ipcMain.handle('add-game', async (event, gameInfo) => {
   }
 });
 
-// Ein Spiel starten
-ipcMain.handle('launch-game', async (event, gameDirectory) => {
+// Unterordner eines Bibliotheksordners als Importkandidaten untersuchen
+ipcMain.handle('scan-library-folder', async (event, rootFolder, platform) => {
   try {
-    const gamePath = path.join(gamesDirectoryPath, gameDirectory);
-    const dustgrainPath = path.join(gamePath, 'dustgrain.json');
-    
-    if (!fs.existsSync(dustgrainPath)) {
+    rootFolder = assertApprovedFolder(rootFolder);
+    if (!fs.existsSync(rootFolder) || !fs.statSync(rootFolder).isDirectory()) {
       return { 
         success: false, 
-        message: "Dustgrain-Datei nicht gefunden"
+        message: "Bibliotheksordner nicht gefunden" 
       };
     }
     
-    const data = fs.readFileSync(dustgrainPath, 'utf8');
-    const gameInfo = JSON.parse(data);
+    const candidates = await scanLibraryFolder(rootFolder, platform, {
+      detectExecutables,
+      steamProvider,
+      itchioProvider,
+      platformLabels,
+      existingPaths: libraryIndex.list().map(game => game.executablePath).filter(Boolean)
+    });
     
-    if (!gameInfo.executable || !gameInfo.executablePath) {
+    return { 
+      success: true, 
+      candidates,
+      message: `${candidates.length} Ordner gefunden`
+    };
+  } catch (error) {
+    console.error("Fehler beim Untersuchen des Bibliotheksordners:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Mehrere geprüfte Spiele auf einmal hinzufügen
+ipcMain.handle('import-games', async (event, entries) => {
+  const imported = [];
+  const failed = [];
+  
+  try {
+    assertArray(entries || [], 'entries');
+  } catch (error) {
+    return { success: false, imported, failed, message: `Fehler: ${error.message}` };
+  }
+  
+  for (const entry of entries || []) {
+    const folder = entry && entry.folder;
+    try {
+      assertPlainObject(entry, 'Importeintrag');
+      const gameFolder = assertApprovedFolder(folder);
+      if (!fs.existsSync(gameFolder)) {
+        throw new Error("Spielordner nicht gefunden");
+      }
+      if (entry.executable) {
+        assertRelativePath(entry.executable, 'Ausführbare Datei');
+      }
+      
+      const dustgrain = writeNewDustgrain(entry, gameFolder, entry.executable || '');
+      imported.push(dustgrain.title);
+    } catch (error) {
+      console.error(`Fehler beim Importieren von ${folder}:`, error);
+      failed.push({ folder, message: error.message || "Unbekannter Fehler" });
+    }
+  }
+  
+  return {
+    success: failed.length === 0,
+    imported,
+    failed,
+    message: failed.length === 0
+      ? `${imported.length} Spiele erfolgreich hinzugefügt.`
+      : `${imported.length} Spiele hinzugefügt, ${failed.length} fehlgeschlagen.`
+  };
+});
+
+// Ausführbare Dateien eines Spielordners erkennen und bewerten
+ipcMain.handle('detect-executables', async (event, gameFolder, title) => {
+  try {
+    gameFolder = assertApprovedFolder(gameFolder);
+    if (!fs.existsSync(gameFolder)) {
       return { 
         success: false, 
-        message: "Keine ausführbare Datei für dieses Spiel definiert"
+        message: "Spielordner nicht gefunden" 
       };
     }
     
-    // Aktualisiere lastPlayed
-    gameInfo.lastPlayed = new Date().toISOString();
-    fs.writeFileSync(dustgrainPath, JSON.stringify(gameInfo, null, 2));
-    
-    // Starte das Spiel
-    const { spawn } = require('child_process');
-    const fullPath = path.join(gameInfo.executablePath, gameInfo.executable);
-    
-    const child = spawn(fullPath, [], {
-      detached: true,
-      stdio: 'ignore',
-      cwd: gameInfo.executablePath
-    });
-    
-    child.unref();
+    const detection = await detectExecutables(gameFolder, { title: typeof title === 'string' ? title : undefined });
     
-    return { 
-      success: true, 
-      message: `Spiel ${gameInfo.title} wird gestartet...`
+    return {
+      success: true,
+      executable: detection.best,
+      executables: detection.candidates.map(candidate => candidate.file),
+      executableAmbiguous: detection.ambiguous
     };
   } catch (error) {
-    console.error("Fehler beim Starten des Spiels:", error);
+    console.error("Fehler bei der Erkennung ausführbarer Dateien:", error);
     return { 
       success: false, 
       message: `Fehler: ${error.message || "Unbekannter Fehler"}`
@@ -198,107 +561,1728 @@ ipcMain.handle('launch-game', async (event, gameDirectory) => {
   }
 });
 
-// Ein Spiel löschen
-ipcMain.handle('delete-game', async (event, gameDirectory) => {
+// Lokales Bild als Cover auswählen; liefert den Pfad und eine Vorschau für das Formular
+ipcMain.handle('select-cover-image', async () => {
   try {
-    const gamePath = path.join(gamesDirectoryPath, gameDirectory);
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Coverbild auswählen',
+      properties: ['openFile'],
+      filters: [{ name: 'Bilder', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'] }]
+    });
+    
+    if (canceled || filePaths.length === 0) {
+      return { success: false, message: "Auswahl abgebrochen" };
+    }
     
-    if (!fs.existsSync(gamePath)) {
+    const file = filePaths[0];
+    if (!isImageFile(file)) {
       return { 
         success: false, 
-        message: "Spielverzeichnis nicht gefunden" 
+        message: "Die Datei ist kein unterstütztes Bild" 
       };
     }
+    approvedImages.add(path.resolve(file));
     
-    // Hier wird nur der Verweis in Dust gelöscht, nicht das eigentliche Spiel
-    fs.rmdirSync(gamePath, { recursive: true });
-    
-    return { 
-      success: true, 
-      message: "Spiel erfolgreich aus Dust entfernt" 
+    const preview = nativeImage.createFromPath(file);
+    return {
+      success: true,
+      file,
+      preview: preview.isEmpty() ? null : preview.resize({ width: THUMBNAIL_WIDTH }).toDataURL()
     };
   } catch (error) {
-    console.error("Fehler beim Löschen des Spiels:", error);
+    console.error("Fehler bei der Auswahl des Coverbilds:", error);
     return { 
       success: false, 
-      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
     };
   }
 });
 
-// Ein Spiel aktualisieren
-ipcMain.handle('update-game', async (event, gameDirectory, updates) => {
+// Ausführbare Datei innerhalb eines Spielordners manuell auswählen
+ipcMain.handle('select-executable', async (event, gameFolder) => {
   try {
-    const gamePath = path.join(gamesDirectoryPath, gameDirectory);
-    const dustgrainPath = path.join(gamePath, 'dustgrain.json');
+    gameFolder = assertApprovedFolder(gameFolder);
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Ausführbare Datei auswählen',
+      defaultPath: gameFolder,
+      properties: ['openFile']
+    });
     
-    if (!fs.existsSync(dustgrainPath)) {
+    if (canceled || filePaths.length === 0) {
+      return { success: false, message: "Auswahl abgebrochen" };
+    }
+    
+    // Die Datei wird relativ zum Spielordner gespeichert und muss darin liegen
+    const relativePath = path.relative(gameFolder, filePaths[0]);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
       return { 
         success: false, 
-        message: "Dustgrain-Datei nicht gefunden" 
+        message: "Die Datei muss im Spielordner liegen" 
       };
     }
     
-    const data = fs.readFileSync(dustgrainPath, 'utf8');
-    const gameInfo = JSON.parse(data);
-    
-    // Aktualisiere die Felder
-    const updatedInfo = { ...gameInfo, ...updates };
+    return { success: true, executable: relativePath };
+  } catch (error) {
+    console.error("Fehler bei der Auswahl der ausführbaren Datei:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Spieldetails von Steam abrufen
+ipcMain.handle('fetch-steam-game-details', async (event, appId) => {
+  try {
+    const gameDetails = await steamProvider.fetchGameDetails(appId);
+    return { success: true, gameDetails };
+  } catch (error) {
+    console.error("Fehler beim Abrufen der Steam-Spieldetails:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Spieldetails von DLSite abrufen
+ipcMain.handle('fetch-dlsite-game-details', async (event, dlsiteId, category) => {
+  try {
+    const gameDetails = await dlsiteProvider.fetchGameDetails(dlsiteId, category);
+    return { success: true, gameDetails };
+  } catch (error) {
+    console.error("Fehler beim Abrufen der DLSite-Spieldetails:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Spieldetails von Itch.io abrufen
+ipcMain.handle('fetch-itchio-game-details', async (event, url) => {
+  try {
+    const gameDetails = await itchioProvider.fetchGameDetails(url);
+    return { success: true, gameDetails };
+  } catch (error) {
+    console.error("Fehler beim Abrufen der Itch.io-Spieldetails:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Ein Spiel starten
+ipcMain.handle('launch-game', async (event, gameDirectory) => {
+  return launchGame(gameDirectory);
+});
+
+// Alle Sammlungen abrufen
+ipcMain.handle('get-collections', async () => {
+  try {
+    return { success: true, collections: collectionStore.list() };
+  } catch (error) {
+    console.error("Fehler beim Abrufen der Sammlungen:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Sammlung anlegen oder ändern
+ipcMain.handle('save-collection', async (event, collection) => {
+  try {
+    const saved = await collectionStore.save(assertPlainObject(collection, 'collection'));
     
-    // Speichere die aktualisierte Datei
-    fs.writeFileSync(dustgrainPath, JSON.stringify(updatedInfo, null, 2));
+    return { 
+      success: true, 
+      collection: saved,
+      message: `Sammlung "${saved.name}" gespeichert` 
+    };
+  } catch (error) {
+    console.error("Fehler beim Speichern der Sammlung:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Sammlung löschen; die Spiele selbst bleiben erhalten
+ipcMain.handle('delete-collection', async (event, collectionId) => {
+  try {
+    await collectionStore.remove(assertString(collectionId, 'collectionId'));
     
     return { 
       success: true, 
-      dustgrain: updatedInfo,
-      message: "Spiel erfolgreich aktualisiert" 
+      message: "Sammlung gelöscht" 
     };
   } catch (error) {
-    console.error("Fehler beim Aktualisieren des Spiels:", error);
+    console.error("Fehler beim Löschen der Sammlung:", error);
     return { 
       success: false, 
-      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
     };
   }
 });
 
-// Hilfsfunktion zum Scannen nach dustgrain-Dateien
-function scanForDustgrains() {
-  const games = [];
-  
+// Spiele einer statischen Sammlung hinzufügen
+ipcMain.handle('add-to-collection', async (event, collectionId, gameDirectories) => {
   try {
-    // Durchsuche das Verzeichnis nach Ordnern
-    if (!fs.existsSync(gamesDirectoryPath)) {
-      return games;
-    }
+    const keys = assertArray(gameDirectories, 'gameDirectories').map(key => assertString(key, 'Spiel'));
+    const collection = await collectionStore.addGames(assertString(collectionId, 'collectionId'), keys);
     
-    const gameDirectories = fs.readdirSync(gamesDirectoryPath)
-      .filter(file => {
-        const fullPath = path.join(gamesDirectoryPath, file);
-        return fs.statSync(fullPath).isDirectory();
+    return { 
+      success: true, 
+      collection,
+      message: `Zu "${collection.name}" hinzugefügt` 
+    };
+  } catch (error) {
+    console.error("Fehler beim Hinzufügen zur Sammlung:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Spiele aus einer statischen Sammlung entfernen
+ipcMain.handle('remove-from-collection', async (event, collectionId, gameDirectories) => {
+  try {
+    const keys = assertArray(gameDirectories, 'gameDirectories').map(key => assertString(key, 'Spiel'));
+    const collection = await collectionStore.removeGames(assertString(collectionId, 'collectionId'), keys);
+    
+    return { 
+      success: true, 
+      collection,
+      message: `Aus "${collection.name}" entfernt` 
+    };
+  } catch (error) {
+    console.error("Fehler beim Entfernen aus der Sammlung:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Bibliotheksordner mit Erreichbarkeit abrufen
+ipcMain.handle('get-library-roots', async () => {
+  return libraryRoots.list().map(root => ({
+    ...root,
+    online: libraryRoots.isOnline(root),
+    target: root.id === (getSetting('library.targetRoot') || DEFAULT_ROOT_ID)
+  }));
+});
+
+// Bibliotheksordner hinzufügen; vorhandene dustgrain-Dateien darin werden beim nächsten Scan gefunden
+ipcMain.handle('add-library-root', async (event, folder) => {
+  try {
+    folder = assertApprovedFolder(folder);
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+      return { 
+        success: false, 
+        message: "Ordner nicht gefunden" 
+      };
+    }
+    
+    const root = libraryRoots.createRoot(folder);
+    await settingsStore.set('library.roots', [...(getSetting('library.roots') || []), root]);
+    
+    return { 
+      success: true, 
+      root,
+      message: `Bibliotheksordner "${root.name}" hinzugefügt` 
+    };
+  } catch (error) {
+    console.error("Fehler beim Hinzufügen des Bibliotheksordners:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Bibliotheksordner entfernen; die Dateien darin bleiben unangetastet
+ipcMain.handle('remove-library-root', async (event, rootId) => {
+  try {
+    assertString(rootId, 'rootId');
+    const roots = getSetting('library.roots') || [];
+    if (!roots.some(root => root.id === rootId)) {
+      return { 
+        success: false, 
+        message: "Bibliotheksordner nicht gefunden" 
+      };
+    }
+    
+    if (getSetting('library.targetRoot') === rootId) {
+      await settingsStore.set('library.targetRoot', DEFAULT_ROOT_ID);
+    }
+    // Die Spiele des Ordners verschwinden beim anschließenden Abgleich aus dem Index
+    await settingsStore.set('library.roots', roots.filter(root => root.id !== rootId));
+    
+    return { 
+      success: true, 
+      message: "Bibliotheksordner entfernt" 
+    };
+  } catch (error) {
+    console.error("Fehler beim Entfernen des Bibliotheksordners:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Bibliotheksordner für neue Spiele festlegen
+ipcMain.handle('set-library-target', async (event, rootId) => {
+  try {
+    assertString(rootId, 'rootId');
+    if (!libraryRoots.get(rootId)) {
+      return { 
+        success: false, 
+        message: "Bibliotheksordner nicht gefunden" 
+      };
+    }
+    
+    await settingsStore.set('library.targetRoot', rootId);
+    
+    return { 
+      success: true, 
+      message: "Neue Spiele werden in diesem Ordner gespeichert" 
+    };
+  } catch (error) {
+    console.error("Fehler beim Festlegen des Bibliotheksordners:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Importordner einer Plattform festlegen; leer = automatisch erkennen
+ipcMain.handle('set-library-path', async (event, platform, folder) => {
+  try {
+    assertString(platform, 'platform');
+    const value = folder ? assertApprovedFolder(folder) : '';
+    const saved = await settingsStore.set(`libraryPaths.${platform}`, value);
+    
+    return { 
+      success: true, 
+      value: saved,
+      message: "Einstellung gespeichert" 
+    };
+  } catch (error) {
+    console.error("Fehler beim Festlegen des Importordners:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Alle Einstellungen abrufen
+ipcMain.handle('get-settings', async () => {
+  try {
+    return { success: true, settings: settingsStore.get(), platform: process.platform };
+  } catch (error) {
+    console.error("Fehler beim Abrufen der Einstellungen:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Einzelne Einstellung prüfen und speichern; Änderungen gehen per 'settings-changed' an den Renderer
+ipcMain.handle('set-setting', async (event, key, value) => {
+  try {
+    assertString(key, 'key');
+    if (MACHINE_SETTINGS.some(prefix => key === prefix || key.startsWith(`${prefix}.`))) {
+      throw new Error(`Die Einstellung ${key} kann nur über die Bibliotheksordner geändert werden`);
+    }
+    
+    // Programme der Runner-Voreinstellung gelten für alle Spiele und müssen bestätigt werden
+    if (key === 'runner' || key.startsWith('runner.')) {
+      const current = normalizeRunnerConfig(getSetting('runner'));
+      const next = key === 'runner'
+        ? normalizeRunnerConfig(value)
+        : normalizeRunnerConfig({ ...current, [key.slice('runner.'.length)]: value });
+      if (!(await confirmLaunchChanges('alle Spiele ohne eigenen Runner', describeRunnerChanges(current, next)))) {
+        return { success: false, message: "Änderung abgebrochen" };
+      }
+    }
+    
+    const saved = await settingsStore.set(key, value);
+    
+    return { 
+      success: true, 
+      value: saved,
+      message: "Einstellung gespeichert" 
+    };
+  } catch (error) {
+    console.error(`Fehler beim Speichern der Einstellung ${key}:`, error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Ordner für eine Einstellung auswählen
+ipcMain.handle('select-settings-folder', async (event, currentPath) => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openDirectory'],
+      defaultPath: typeof currentPath === 'string' && currentPath ? currentPath : undefined
+    });
+    
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, message: "Keine Auswahl getroffen" };
+    }
+    approvedFolders.add(result.filePaths[0]);
+    return { success: true, folder: result.filePaths[0] };
+  } catch (error) {
+    console.error("Fehler bei der Ordnerauswahl:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Startbefehl eines Spiels zur Fehlersuche anzeigen, optional mit noch nicht gespeicherten Formularwerten
+ipcMain.handle('preview-launch-command', async (event, gameDirectory, overrides = {}) => {
+  try {
+    const dustgrainPath = path.join(getGamePath(gameDirectory), 'dustgrain.json');
+    assertPlainObject(overrides || {}, 'overrides');
+    
+    // Nur die Startfelder dürfen für die Vorschau überschrieben werden
+    const gameInfo = readDustgrain(dustgrainPath);
+    for (const field of ['executable', 'launchOptions', 'runner']) {
+      if (overrides && overrides[field] !== undefined) {
+        gameInfo[field] = overrides[field];
+      }
+    }
+    if (gameInfo.executable) {
+      assertRelativePath(gameInfo.executable, 'Ausführbare Datei');
+    }
+    
+    const launchOptions = normalizeLaunchOptions(gameInfo.launchOptions);
+    const cwd = resolveWorkingDirectory(gameInfo, launchOptions);
+    const launch = buildGameLaunch(gameDirectory, gameInfo, launchOptions, cwd);
+    
+    return { success: true, command: launch.display, runner: launch.type };
+  } catch (error) {
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Ein laufendes Spiel beenden
+ipcMain.handle('stop-game', async (event, gameDirectory) => {
+  if (typeof gameDirectory !== 'string' || !gameSupervisor.stop(gameDirectory)) {
+    return { 
+      success: false, 
+      message: "Das Spiel läuft nicht" 
+    };
+  }
+  
+  return { 
+    success: true, 
+    message: "Spiel wird beendet..." 
+  };
+});
+
+// Laufende Spiele abfragen
+ipcMain.handle('get-running-games', async () => {
+  return gameSupervisor.getRunning().map(session => ({
+    directory: session.key,
+    startedAt: session.startedAt
+  }));
+});
+
+// Alle aufgezeichneten Sitzungen für die Statistikseite abrufen
+ipcMain.handle('get-play-history', async () => {
+  try {
+    const sessions = [];
+    
+    for (const game of libraryIndex.list()) {
+      // Verlauf von Spielen auf nicht erreichbaren Laufwerken ist gerade nicht lesbar
+      if (game.available === false) continue;
+      
+      const gameDir = getGamePath(game.directory);
+      for (const session of playHistory.readSessions(gameDir)) {
+        sessions.push({
+          ...session,
+          directory: game.directory,
+          title: game.title,
+          source: game.source || 'Lokal',
+          genre: game.genre || 'Sonstiges'
+        });
+      }
+    }
+    
+    return { success: true, sessions };
+  } catch (error) {
+    console.error("Fehler beim Lesen des Spielverlaufs:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+});
+
+// Ein Spiel löschen
+ipcMain.handle('delete-game', async (event, gameDirectory) => {
+  try {
+    const gamePath = getGamePath(gameDirectory);
+    
+    // Nur echte Dust-Spielordner (mit dustgrain.json) werden gelöscht
+    if (!fs.existsSync(path.join(gamePath, 'dustgrain.json'))) {
+      return { 
+        success: false, 
+        message: "Spielverzeichnis nicht gefunden" 
+      };
+    }
+    
+    // Hier wird nur der Verweis in Dust gelöscht, nicht das eigentliche Spiel
+    removeDustGameFiles(gamePath);
+    await refreshIndexedGame(gameDirectory);
+    await collectionStore.forgetGame(gameDirectory);
+    updateTray();
+    
+    return { 
+      success: true, 
+      message: "Spiel erfolgreich aus Dust entfernt" 
+    };
+  } catch (error) {
+    console.error("Fehler beim Löschen des Spiels:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Installationsordner eines Spiels im Dateimanager öffnen
+ipcMain.handle('open-game-folder', async (event, gameDirectory) => {
+  try {
+    const gameInfo = readDustgrain(path.join(getGamePath(gameDirectory), 'dustgrain.json'));
+    const error = await shell.openPath(gameInfo.executablePath);
+    if (error) {
+      throw new Error(error);
+    }
+    
+    return { success: true };
+  } catch (error) {
+    console.error("Fehler beim Öffnen des Spielordners:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Spielverlauf eines einzelnen Spiels (für die Detailseite)
+ipcMain.handle('get-game-history', async (event, gameDirectory) => {
+  try {
+    return { success: true, sessions: playHistory.readSessions(getGamePath(gameDirectory)) };
+  } catch (error) {
+    console.error("Fehler beim Lesen des Spielverlaufs:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Shopseite eines Spiels im Browser öffnen; die Adresse wird aus den gespeicherten IDs gebildet
+ipcMain.handle('open-store-page', async (event, gameDirectory, store) => {
+  try {
+    const gameInfo = readDustgrain(path.join(getGamePath(gameDirectory), 'dustgrain.json'));
+    let url;
+    if (store === 'steam' && gameInfo.steamAppId) {
+      url = steamProvider.getStorePageUrl(gameInfo.steamAppId);
+    } else if (store === 'dlsite' && gameInfo.dlsiteId) {
+      url = dlsiteProvider.getStorePageUrl(gameInfo.dlsiteId, gameInfo.dlsiteCategory);
+    } else if (store === 'itchio' && gameInfo.itchioUrl) {
+      url = itchioProvider.getStorePageUrl(gameInfo.itchioUrl);
+    } else {
+      throw new Error(`Keine Shopseite für ${store} hinterlegt`);
+    }
+    
+    await shell.openExternal(url);
+    return { success: true };
+  } catch (error) {
+    console.error("Fehler beim Öffnen der Shopseite:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Speicherorte eines Spiels anhand der Engine erkennen (Vorschlag für das Bearbeiten-Formular)
+ipcMain.handle('detect-save-locations', async (event, gameDirectory) => {
+  try {
+    const gameInfo = readDustgrain(path.join(getGamePath(gameDirectory), 'dustgrain.json'));
+    return { success: true, locations: saveGames.detectSaveLocations(gameInfo.executablePath) };
+  } catch (error) {
+    console.error("Fehler beim Erkennen der Speicherorte:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Speicherorte (mit aufgelösten Ordnern) und Spielstand-Sicherungen eines Spiels abrufen
+ipcMain.handle('get-save-snapshots', async (event, gameDirectory) => {
+  try {
+    const { gamePath, targets } = getSaveTargets(gameDirectory);
+    return {
+      success: true,
+      locations: targets.map(({ location, folder }) => ({ ...location, folder, exists: !!folder && fs.existsSync(folder) })),
+      snapshots: saveGames.listSnapshots(gamePath)
+    };
+  } catch (error) {
+    console.error("Fehler beim Abrufen der Spielstände:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Spielstände sofort sichern
+ipcMain.handle('create-save-snapshot', async (event, gameDirectory) => {
+  try {
+    const snapshot = await snapshotSaves(gameDirectory, 'manual');
+    return { 
+      success: true, 
+      snapshot,
+      message: snapshot ? "Spielstände gesichert" : "Keine neuen Spielstände gefunden" 
+    };
+  } catch (error) {
+    console.error("Fehler beim Sichern der Spielstände:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Spielstände aus einer Sicherung zurückspielen; der aktuelle Stand wird vorher gesichert
+ipcMain.handle('restore-save-snapshot', async (event, gameDirectory, snapshotId) => {
+  try {
+    assertString(snapshotId, 'snapshotId');
+    if (gameSupervisor.isRunning(gameDirectory)) {
+      return { 
+        success: false, 
+        message: "Spielstände können nicht wiederhergestellt werden, solange das Spiel läuft" 
+      };
+    }
+    
+    await snapshotSaves(gameDirectory, 'beforeRestore', { keep: snapshotId });
+    const { gamePath, targets } = getSaveTargets(gameDirectory);
+    const { restored } = await saveGames.restoreSnapshot(gamePath, snapshotId, targets);
+    
+    return { 
+      success: true, 
+      message: `${restored} Dateien wiederhergestellt` 
+    };
+  } catch (error) {
+    console.error("Fehler beim Wiederherstellen der Spielstände:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Ein Spiel aktualisieren
+ipcMain.handle('update-game', async (event, gameDirectory, updates) => {
+  try {
+    const gamePath = getGamePath(gameDirectory);
+    const dustgrainPath = path.join(gamePath, 'dustgrain.json');
+    
+    if (!fs.existsSync(dustgrainPath)) {
+      return { 
+        success: false, 
+        message: "Dustgrain-Datei nicht gefunden" 
+      };
+    }
+    
+    const gameInfo = readDustgrain(dustgrainPath);
+    assertPlainObject(updates, 'updates');
+    if (updates.executable) {
+      assertRelativePath(updates.executable, 'Ausführbare Datei');
+    }
+    // Ein anderer Installationsordner muss vorher im Auswahldialog gewählt worden sein
+    if (updates.executablePath !== undefined && path.resolve(String(updates.executablePath)) !== path.resolve(gameInfo.executablePath)) {
+      updates.executablePath = assertApprovedFolder(updates.executablePath);
+      assertSeparateFromInstall(gamePath, updates.executablePath);
+      // Die Größe des alten Ordners gilt nicht mehr und wird bei Bedarf neu gemessen
+      updates.installSize = undefined;
+    }
+    
+    // Befehle, Umgebung, Runner-Programme und absolute Speicherorte aus dem Renderer erst nach Bestätigung übernehmen;
+    // ein geändertes Arbeitsverzeichnis muss im Installationsordner liegen
+    const preview = applyDustgrainUpdates(gameInfo, updates);
+    const previousOptions = normalizeLaunchOptions(gameInfo.launchOptions);
+    if (preview.launchOptions.cwd !== previousOptions.cwd
+        && !isInside(preview.executablePath, resolveWorkingDirectory(preview, preview.launchOptions))) {
+      throw new Error('Das Arbeitsverzeichnis muss im Installationsordner liegen');
+    }
+    const launchChanges = [
+      ...describeLaunchChanges(previousOptions, preview.launchOptions),
+      ...describeRunnerChanges(gameInfo.runner, preview.runner),
+      ...saveGames.describeSaveLocationChanges(gameInfo.saveLocations, preview.saveLocations)
+    ];
+    if (!(await confirmLaunchChanges(preview.title, launchChanges))) {
+      return { 
+        success: false, 
+        message: "Änderung abgebrochen" 
+      };
+    }
+    
+    if (updates.coverImage !== undefined) {
+      updates.coverImage = importCoverImage(gamePath, updates.coverImage);
+    }
+    
+    // Aktualisiere die Felder; nur Felder des Schemas sind erlaubt, Startoptionen und
+    // Runner kommen aus dem Formular als Text und werden dabei strukturiert
+    const updatedInfo = writeDustgrain(dustgrainPath, applyDustgrainUpdates(gameInfo, updates));
+    await refreshIndexedGame(gameDirectory);
+    assetCache.prune(gamePath, updatedInfo);
+    assetCache.prefetch(gamePath, updatedInfo);
+    updateTray();
+    
+    return { 
+      success: true, 
+      dustgrain: updatedInfo,
+      message: "Spiel erfolgreich aktualisiert" 
+    };
+  } catch (error) {
+    console.error("Fehler beim Aktualisieren des Spiels:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Installationsgröße von Spielen ohne Angabe messen und in der dustgrain-Datei speichern
+// (wird für die Sortierung nach Größe benötigt; Steam liefert die Größe bereits beim Import)
+ipcMain.handle('measure-game-sizes', async (event, gameDirectories) => {
+  try {
+    assertArray(gameDirectories, 'gameDirectories');
+    const sizes = {};
+    
+    // Nacheinander messen, damit die Festplatte nicht mit parallelen Scans belastet wird
+    for (const gameDirectory of gameDirectories) {
+      const dustgrainPath = path.join(getGamePath(gameDirectory), 'dustgrain.json');
+      if (!fs.existsSync(dustgrainPath)) continue;
+      
+      try {
+        const gameInfo = readDustgrain(dustgrainPath);
+        if (gameInfo.installSize === undefined) {
+          gameInfo.installSize = await measureFolderSize(gameInfo.executablePath);
+          writeDustgrain(dustgrainPath, gameInfo);
+          await refreshIndexedGame(gameDirectory);
+        }
+        sizes[gameDirectory] = gameInfo.installSize;
+      } catch (err) {
+        console.warn(`Größe von ${gameDirectory} konnte nicht ermittelt werden: ${err.message}`);
+      }
+    }
+    
+    return { success: true, sizes };
+  } catch (error) {
+    console.error("Fehler beim Ermitteln der Spielgrößen:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Ganze Bibliothek (Spielordner, Verlauf, Bilder, Sammlungen, Einstellungen) in eine Datei sichern
+ipcMain.handle('export-library-backup', async () => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Bibliothek sichern',
+      defaultPath: `dust-sicherung-${new Date().toISOString().slice(0, 10)}.tar.gz`,
+      filters: [{ name: 'Dust-Sicherung', extensions: ['gz'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, message: "Auswahl abgebrochen" };
+    }
+    
+    // Spiele auf nicht erreichbaren Laufwerken können nicht gelesen werden
+    const entries = libraryIndex.list();
+    const games = entries
+      .filter(game => game.available !== false)
+      .map(game => {
+        const { root, folder } = libraryRoots.parseKey(game.directory);
+        return { rootId: root.id, folder, path: path.join(root.path, folder), title: game.title, executablePath: game.executablePath };
+      });
+    
+    const result = await writeBackup(filePath, {
+      games,
+      roots: libraryRoots.list(),
+      settings: settingsStore.get(),
+      collections: collectionStore.list(),
+      platform: process.platform
+    });
+    const offline = entries.length - games.length;
+    
+    return { 
+      success: true, 
+      ...result,
+      offline,
+      message: `${result.games} Spiele gesichert` + (offline > 0 ? ` (${offline} nicht erreichbare übersprungen)` : '')
+    };
+  } catch (error) {
+    console.error("Fehler beim Sichern der Bibliothek:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Spieleliste als CSV oder JSON für Tabellenkalkulationen exportieren
+ipcMain.handle('export-library-list', async (event, format) => {
+  try {
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unbekanntes Exportformat: ${format}`);
+    }
+    
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Spieleliste exportieren',
+      defaultPath: `dust-spiele.${format}`,
+      filters: [{ name: format.toUpperCase(), extensions: [format] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, message: "Auswahl abgebrochen" };
+    }
+    
+    const games = libraryIndex.list();
+    fs.writeFileSync(filePath, formatGameList(games, format), 'utf8');
+    
+    return { 
+      success: true, 
+      message: `Spieleliste exportiert (${games.length} Spiele)` 
+    };
+  } catch (error) {
+    console.error("Fehler beim Exportieren der Spieleliste:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Sicherung auswählen und lesen; liefert eine Übersicht mit Konflikten und fehlenden Installationsordnern
+ipcMain.handle('read-library-backup', async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Sicherung wiederherstellen',
+      properties: ['openFile'],
+      filters: [{ name: 'Dust-Sicherung', extensions: ['gz'] }]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, message: "Auswahl abgebrochen" };
+    }
+    
+    const backup = await readBackup(filePaths[0]);
+    const plan = planBackupImport(backup);
+    const mappings = suggestPathMappings(backup.games, { platform: backup.platform });
+    
+    // Vorgeschlagene Ziele wurden hier gefunden und dürfen übernommen werden
+    for (const mapping of mappings) {
+      if (mapping.to) approvedFolders.add(mapping.to);
+    }
+    
+    pendingImport = { token: crypto.randomUUID(), backup, mappings };
+    
+    return {
+      success: true,
+      token: pendingImport.token,
+      file: filePaths[0],
+      createdAt: backup.createdAt,
+      platform: backup.platform,
+      games: backup.games.length,
+      collections: backup.collections.length,
+      hasSettings: !!backup.settings,
+      conflicts: plan.filter(entry => entry.conflict).map(entry => ({ key: entry.key, title: entry.game.title })),
+      mappings
+    };
+  } catch (error) {
+    console.error("Fehler beim Lesen der Sicherung:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Gelesene Sicherung übernehmen
+// mode: "merge" (zur Bibliothek hinzufügen) oder "replace" (Bibliothek durch die Sicherung ersetzen)
+// conflicts: "skip", "overwrite" oder "keepBoth" für Spiele und Sammlungen, die es bereits gibt
+ipcMain.handle('apply-library-import', async (event, token, options) => {
+  try {
+    if (!pendingImport || pendingImport.token !== token) {
+      throw new Error('Die Sicherung ist nicht mehr geöffnet; bitte erneut auswählen');
+    }
+    options = assertPlainObject(options || {}, 'options');
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const conflicts = mode === 'replace' ? 'overwrite' : options.conflicts;
+    if (!['skip', 'overwrite', 'keepBoth'].includes(conflicts)) {
+      throw new Error(`Ungültige Konfliktbehandlung: ${conflicts}`);
+    }
+    
+    const { backup, mappings: suggested } = pendingImport;
+    const mappings = assertArray(options.mappings || [], 'mappings')
+      .filter(mapping => mapping && mapping.to)
+      .map(mapping => {
+        if (!suggested.some(entry => entry.from === mapping.from)) {
+          throw new Error(`Unbekannter Pfad in der Sicherung: ${mapping.from}`);
+        }
+        return { from: mapping.from, to: assertApprovedFolder(mapping.to) };
       });
     
-    // Suche in jedem Ordner nach dustgrain.json
-    for (const dir of gameDirectories) {
-      const dustgrainPath = path.join(gamesDirectoryPath, dir, 'dustgrain.json');
-      
-      if (fs.existsSync(dustgrainPath)) {
-        try {
-          const data = fs.readFileSync(dustgrainPath, 'utf8');
-          const gameInfo = JSON.parse(data);
-          
-          // Füge Verzeichnisinformationen hinzu
-          gameInfo.directory = dir;
-          
-          games.push(gameInfo);
-        } catch (err) {
-          console.error(`Fehler beim Lesen von ${dustgrainPath}:`, err);
+    const stats = { imported: 0, overwritten: 0, renamed: 0, skipped: 0, removed: 0 };
+    const keyMap = new Map();
+    const plan = planBackupImport(backup);
+    
+    const keep = new Set(plan.map(entry => entry.key));
+    const removals = mode === 'replace'
+      ? libraryIndex.list().filter(game => game.available !== false && !keep.has(game.directory))
+      : [];
+    
+    // Vor dem ersten Löschen prüfen, damit kein Installationsordner betroffen ist
+    // und der Import nicht nach der Hälfte abbricht
+    for (const game of removals) {
+      const gamePath = getGamePath(game.directory);
+      assertSeparateFromInstall(gamePath, readInstallPath(gamePath));
+    }
+    for (const entry of plan) {
+      const gameDir = path.join(entry.root.path, entry.folder);
+      assertSeparateFromInstall(gameDir, remapPath(entry.game.executablePath, mappings, backup.platform));
+      if (conflicts === 'overwrite' && fs.existsSync(path.join(gameDir, 'dustgrain.json'))) {
+        assertSeparateFromInstall(gameDir, readInstallPath(gameDir));
+      }
+    }
+    
+    // Befehle, Umgebung, Runner-Programme und absolute Speicherorte aus der Sicherung wie beim
+    // Bearbeiten bestätigen lassen; ohne Bestätigung werden sie nicht übernommen
+    const launchChanges = [];
+    const unconfirmed = new Map();   // Eintrag -> { launch, runner, saves } mit zu entfernenden Feldern
+    for (const entry of plan) {
+      const changes = describeBackupGameChanges(entry.game);
+      const all = [...changes.launch, ...changes.runner, ...changes.saves];
+      if (all.length > 0) {
+        unconfirmed.set(entry, {
+          launch: changes.launch.length > 0,
+          runner: changes.runner.length > 0,
+          saves: changes.saves.length > 0
+        });
+        launchChanges.push(...all.map(change => ({ ...change, label: `${entry.game.title} – ${change.label}` })));
+      }
+    }
+    // Der globale Runner wird nur von einer Sicherung desselben Betriebssystems übernommen
+    const sameSystem = backup.platform === process.platform;
+    let runnerConfirmed = true;
+    if (options.includeSettings && backup.settings && sameSystem) {
+      const runnerChanges = describeBackupRunnerChanges(backup.settings.runner);
+      launchChanges.push(...runnerChanges.map(change => ({ ...change, label: `Runner-Voreinstellung – ${change.label}` })));
+      runnerConfirmed = runnerChanges.length === 0;
+    }
+    if (await confirmLaunchChanges('die wiederhergestellten Spiele', launchChanges)) {
+      unconfirmed.clear();
+      runnerConfirmed = true;
+    }
+    
+    // Beim Ersetzen verschwinden alle erreichbaren Spiele, die nicht in der Sicherung stehen
+    // (wie beim Entfernen aus Dust werden nur Dusts eigene Dateien gelöscht)
+    for (const game of removals) {
+      removeDustGameFiles(getGamePath(game.directory));
+      await collectionStore.forgetGame(game.directory);
+      stats.removed++;
+    }
+    
+    for (const entry of plan) {
+      let { folder, key } = entry;
+      const backupKey = libraryRoots.toKey(entry.game.rootId, entry.game.folder);
+      
+      // Erst hier prüfen, da zwei Spiele der Sicherung im selben Zielordner landen können
+      if (fs.existsSync(path.join(entry.root.path, folder, 'dustgrain.json'))) {
+        if (conflicts === 'skip') {
+          keyMap.set(backupKey, key);
+          stats.skipped++;
+          continue;
+        }
+        if (conflicts === 'overwrite') {
+          removeDustGameFiles(path.join(entry.root.path, folder));
+          stats.overwritten++;
+        } else {
+          let counter = 2;
+          while (fs.existsSync(path.join(entry.root.path, `${entry.game.folder} (${counter})`))) counter++;
+          folder = `${entry.game.folder} (${counter})`;
+          key = libraryRoots.toKey(entry.root.id, folder);
+          stats.renamed++;
+        }
+      }
+      
+      const gameDir = path.join(entry.root.path, folder);
+      for (const [relative, data] of entry.game.files) {
+        const file = path.join(gameDir, ...relative.split('/'));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, data);
+      }
+      
+      const dustgrainPath = path.join(gameDir, 'dustgrain.json');
+      
+      // Nicht bestätigte Befehle, Runner-Programme und Speicherorte entfernen; gelingt das nicht,
+      // wird die dustgrain-Datei verworfen, damit nichts davon ausgeführt werden kann
+      const strip = unconfirmed.get(entry);
+      if (strip) {
+        try {
+          const gameInfo = readDustgrain(dustgrainPath);
+          writeDustgrain(dustgrainPath, {
+            ...gameInfo,
+            launchOptions: strip.launch ? normalizeLaunchOptions(null) : gameInfo.launchOptions,
+            runner: strip.runner ? normalizeRunnerConfig(null, { allowDefault: true }) : gameInfo.runner,
+            saveLocations: strip.saves
+              ? gameInfo.saveLocations.filter(location => location.base !== 'absolute')
+              : gameInfo.saveLocations
+          });
+        } catch (err) {
+          console.warn(`Startbefehle von ${key} konnten nicht entfernt werden: ${err.message}`);
+          fs.rmSync(dustgrainPath, { force: true });
+          continue;
+        }
+      }
+      
+      // Installationsordner auf das neue Laufwerk bzw. den neuen Einhängepunkt umschreiben
+      const remapped = remapPath(entry.game.executablePath, mappings, backup.platform);
+      if (remapped !== entry.game.executablePath) {
+        try {
+          writeDustgrain(dustgrainPath, { ...readDustgrain(dustgrainPath), executablePath: remapped });
+        } catch (err) {
+          console.warn(`Installationsordner von ${key} konnte nicht umgeschrieben werden: ${err.message}`);
+        }
+      }
+      
+      keyMap.set(backupKey, key);
+      stats.imported++;
+    }
+    
+    if (options.includeCollections) {
+      await importBackupCollections(backup.collections, keyMap, mode, conflicts);
+    }
+    if (options.includeSettings && backup.settings) {
+      // Runner-Pfade (Wine/Proton) passen nur auf dasselbe Betriebssystem und brauchen eine Bestätigung
+      const skip = sameSystem && runnerConfirmed ? MACHINE_SETTINGS : [...MACHINE_SETTINGS, 'runner'];
+      await settingsStore.importSettings(backup.settings, { skip });
+    }
+    
+    pendingImport = null;
+    await restartLibraryWatcher();
+    
+    return { 
+      success: true, 
+      ...stats,
+      message: `${stats.imported} Spiele wiederhergestellt` 
+        + (stats.skipped > 0 ? `, ${stats.skipped} vorhandene übersprungen` : '')
+        + (stats.removed > 0 ? `, ${stats.removed} entfernt` : '')
+    };
+  } catch (error) {
+    console.error("Fehler beim Wiederherstellen der Sicherung:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}` 
+    };
+  }
+});
+
+// Hilfsfunktion: Befehle, Umgebung, Runner-Programme und absolute Speicherorte eines Spiels aus einer Sicherung beschreiben
+// Eine ungültige dustgrain-Datei wird zwar wiederhergestellt, lässt sich aber nicht starten.
+function describeBackupGameChanges(game) {
+  let gameInfo;
+  try {
+    gameInfo = parseDustgrain(game.files.get('dustgrain.json').toString('utf8'));
+  } catch (err) {
+    return { launch: [], runner: [], saves: [] };
+  }
+  return {
+    launch: describeLaunchChanges(null, gameInfo.launchOptions),
+    runner: describeRunnerChanges(null, gameInfo.runner),
+    saves: saveGames.describeSaveLocationChanges(null, gameInfo.saveLocations)
+  };
+}
+
+// Hilfsfunktion: Änderungen der Runner-Voreinstellung durch eine Sicherung beschreiben
+// Ungültige Werte übergeht importSettings ohnehin.
+function describeBackupRunnerChanges(runner) {
+  if (!runner) {
+    return [];
+  }
+  try {
+    return describeRunnerChanges(normalizeRunnerConfig(getSetting('runner')), normalizeRunnerConfig(runner));
+  } catch (err) {
+    return [];
+  }
+}
+
+// Hilfsfunktion: Zielordner der Spiele einer Sicherung ermitteln
+// Spiele kommen in denselben Bibliotheksordner, sofern es ihn hier gibt und er erreichbar ist, sonst in den Zielordner.
+function planBackupImport(backup) {
+  const targetRoot = getTargetLibraryRoot();
+  return backup.games.map(game => {
+    const local = libraryRoots.get(game.rootId);
+    const root = local && libraryRoots.isOnline(local) ? local : targetRoot;
+    return {
+      game,
+      root,
+      folder: game.folder,
+      key: libraryRoots.toKey(root.id, game.folder),
+      conflict: fs.existsSync(path.join(root.path, game.folder, 'dustgrain.json'))
+    };
+  });
+}
+
+// Hilfsfunktion: Sammlungen einer Sicherung übernehmen; Spiele statischer Sammlungen erhalten ihre neuen Schlüssel
+async function importBackupCollections(collections, keyMap, mode, conflicts) {
+  const imported = collections
+    .filter(collection => collection && typeof collection === 'object')
+    .map(collection => (collection.type === 'static' && Array.isArray(collection.games)
+      ? { ...collection, games: collection.games.map(key => keyMap.get(key)).filter(Boolean) }
+      : collection));
+  
+  if (mode === 'replace') {
+    await collectionStore.replaceAll(imported);
+    return;
+  }
+  
+  const merged = collectionStore.list();
+  imported.forEach((collection, index) => {
+    const existing = merged.findIndex(entry => entry.id === collection.id);
+    if (existing === -1) {
+      merged.push(collection);
+    } else if (conflicts === 'overwrite') {
+      merged[existing] = collection;
+    } else if (conflicts === 'keepBoth') {
+      merged.push({ ...collection, id: `collection-${Date.now().toString(36)}-${index}` });
+    }
+  });
+  await collectionStore.replaceAll(merged);
+}
+
+// Hilfsfunktion: dustgrain-Datei eines Spielordners lesen und um Bibliotheksangaben ergänzen
+async function readDustgrainEntry(root, dir) {
+  const dustgrainPath = path.join(root.path, dir, 'dustgrain.json');
+  if (!(await pathExists(dustgrainPath))) {
+    return null;
+  }
+  
+  const entry = {
+    directory: libraryRoots.toKey(root.id, dir),
+    libraryRoot: root.id,
+    available: true
+  };
+  
+  try {
+    const gameInfo = { ...(await readDustgrainAsync(dustgrainPath)), ...entry };
+    
+    // Außerhalb von Dust deinstallierte Spiele markieren
+    gameInfo.executableMissing = !!gameInfo.executable
+      && !(await pathExists(path.join(gameInfo.executablePath, gameInfo.executable)));
+    
+    return gameInfo;
+  } catch (err) {
+    // Fehlerhafte Dateien bleiben sichtbar, damit sie repariert werden können
+    console.warn(`Fehlerhafte dustgrain-Datei ${dustgrainPath}: ${err.message}`);
+    return {
+      ...entry,
+      title: dir,
+      invalid: true,
+      error: err.message,
+      errors: err.errors || []
+    };
+  }
+}
+
+// Hilfsfunktion: Existenz einer Datei prüfen, ohne den Hauptprozess zu blockieren
+async function pathExists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Hilfsfunktion: Einzelnes Spiel anhand seines Schlüssels neu einlesen (für die Überwachung)
+async function readGameEntry(gameDirectory) {
+  const { root, folder } = libraryRoots.parseKey(gameDirectory);
+  if (!libraryRoots.isOnline(root)) {
+    return null;
+  }
+  return readDustgrainEntry(root, folder);
+}
+
+// Hilfsfunktion: Ein Spiel im Index nach einer Änderung neu einlesen
+async function refreshIndexedGame(gameDirectory) {
+  try {
+    return await libraryIndex.refresh(gameDirectory);
+  } catch (err) {
+    console.error(`Fehler beim Aktualisieren von ${gameDirectory} im Bibliotheksindex:`, err);
+    return null;
+  }
+}
+
+// Hilfsfunktion: Index abgleichen und Überwachung nach geänderten Bibliotheksordnern neu aufbauen
+async function restartLibraryWatcher() {
+  try {
+    await libraryIndex.sync();
+  } catch (err) {
+    console.error('Fehler beim Abgleich des Bibliotheksindex:', err);
+  }
+  libraryWatcher.start(libraryIndex.list());
+  sendToRenderer('library-changed', { reload: true });
+  updateTray();
+}
+
+// Hilfsfunktion: Neue dustgrain-Datei für ein Spielverzeichnis anlegen
+function writeNewDustgrain(gameInfo, selectedDir, executable) {
+  const dirName = path.basename(selectedDir);
+  
+  // Zielverzeichnis im eingestellten Bibliotheksordner erstellen
+  const root = getTargetLibraryRoot();
+  const gameDir = getUniqueGameDirectory(dirName, selectedDir, root.path);
+  assertSeparateFromInstall(gameDir, selectedDir);
+  if (!fs.existsSync(gameDir)) {
+    fs.mkdirSync(gameDir, { recursive: true });
+  }
+  
+  // Dustgrain-Datei erstellen
+  const dustgrain = {
+    title: gameInfo.title || dirName,
+    executable: executable,
+    executablePath: selectedDir,
+    version: gameInfo.version || "1.0",
+    genre: gameInfo.genre || "Sonstiges",
+    releaseDate: gameInfo.releaseDate || new Date().toISOString().split('T')[0],
+    ageRating: gameInfo.ageRating || "",
+    developer: gameInfo.developer || "Unbekannt",
+    publisher: gameInfo.publisher || "Unbekannt",
+    description: gameInfo.description || "",
+    source: gameInfo.source || "Lokal",
+    tags: gameInfo.tags || [],
+    coverImage: importCoverImage(gameDir, gameInfo.coverImage),
+    screenshots: gameInfo.screenshots || [],
+    lastPlayed: null,
+    playTime: 0,
+    installed: true,
+    installDate: new Date().toISOString(),
+    // Startoptionen und Runner werden erst beim Bearbeiten (mit Bestätigung) gesetzt
+    launchOptions: normalizeLaunchOptions(null),
+    runner: { type: 'default' },
+    saveLocations: saveGames.detectSaveLocations(selectedDir),
+    dustVersion: CURRENT_VERSION
+  };
+  
+  // Plattformspezifische IDs übernehmen, sofern vorhanden
+  const optionalKeys = [
+    'steamAppId', 'dlsiteId', 'dlsiteCategory',
+    'itchioUrl', 'itchGameId', 'itchUploadId', 'itchBuildId',
+    'installSize'
+  ];
+  for (const key of optionalKeys) {
+    if (gameInfo[key]) {
+      dustgrain[key] = gameInfo[key];
+    }
+  }
+  
+  // Speichern der dustgrain-Datei (prüft gegen das Schema)
+  const saved = writeDustgrain(path.join(gameDir, 'dustgrain.json'), dustgrain);
+  
+  // Cover und Screenshots im Hintergrund zwischenspeichern
+  assetCache.prefetch(gameDir, saved);
+  return saved;
+}
+
+// Hilfsfunktion: Coverangabe für die dustgrain-Datei aufbereiten
+// Im Dialog gewählte lokale Bilder werden in den Spielordner kopiert; URLs und bereits
+// kopierte Bilder ("assets/...") bleiben unverändert.
+function importCoverImage(gameDir, coverImage) {
+  if (!coverImage || isRemote(coverImage) || !path.isAbsolute(coverImage)) {
+    return coverImage || "";
+  }
+  
+  if (!approvedImages.has(path.resolve(coverImage))) {
+    throw new Error(`Zugriff auf ${coverImage} ist nicht erlaubt`);
+  }
+  return assetCache.importLocalImage(gameDir, coverImage);
+}
+
+// Hilfsfunktion: Anfrage an dust-asset:// beantworten
+async function handleAssetRequest(request) {
+  try {
+    const url = new URL(request.url);
+    const [key, kind, index] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (url.hostname !== 'game' || !['cover', 'screenshot'].includes(kind)) {
+      return new Response(null, { status: 400 });
+    }
+    
+    const gamePath = getGamePath(key);
+    const file = await assetCache.resolve(gamePath, readDustgrain(path.join(gamePath, 'dustgrain.json')), {
+      kind,
+      index: Number(index) || 0,
+      thumbnail: url.searchParams.has('thumb')
+    });
+    if (!file) {
+      return new Response(null, { status: 404 });
+    }
+    
+    return net.fetch(pathToFileURL(file).toString());
+  } catch (error) {
+    // Nicht erreichbare Bibliotheksordner oder fehlgeschlagene Downloads: Platzhalter im Renderer
+    console.warn(`Bild konnte nicht geladen werden (${request.url}): ${error.message}`);
+    return new Response(null, { status: 404 });
+  }
+}
+
+// Hilfsfunktion: Ordner eines Spiels aus seinem Schlüssel ermitteln
+// Liegt das Spiel auf einem nicht erreichbaren Laufwerk, wird mit einer verständlichen Meldung abgebrochen.
+function getGamePath(gameDirectory) {
+  const { root, folder } = libraryRoots.parseKey(assertString(gameDirectory, 'Spiel'));
+  if (!libraryRoots.isOnline(root)) {
+    throw new Error(`Bibliotheksordner "${root.name}" ist nicht erreichbar (${root.path})`);
+  }
+  return assertFolderWithin(path.join(root.path, folder), [root.path], 'Spiel');
+}
+
+// Hilfsfunktion: Vom Renderer übergebenen Ordner prüfen
+// Erlaubt sind im Auswahldialog gewählte Ordner und die Installationsordner bekannter Spiele.
+function assertApprovedFolder(folder) {
+  const knownFolders = libraryIndex.list()
+    .map(game => game.executablePath)
+    .filter(Boolean);
+  return assertFolderWithin(folder, [...approvedFolders, ...knownFolders], 'Ordner');
+}
+
+// Hilfsfunktion: Bibliotheksordner für neue Spiele ermitteln
+function getTargetLibraryRoot() {
+  const root = libraryRoots.get(getSetting('library.targetRoot')) || libraryRoots.get(DEFAULT_ROOT_ID);
+  if (!libraryRoots.isOnline(root)) {
+    throw new Error(`Bibliotheksordner "${root.name}" ist nicht erreichbar (${root.path})`);
+  }
+  return root;
+}
+
+// Hilfsfunktion: Freies Verzeichnis für eine neue dustgrain-Datei finden
+// Ein vorhandenes Verzeichnis wird nur wiederverwendet, wenn es auf denselben Spielordner zeigt.
+// Liegen Installationen im Bibliotheksordner, wird der Installationsordner selbst übersprungen.
+function getUniqueGameDirectory(dirName, selectedDir, rootPath) {
+  if (isInside(selectedDir, rootPath)) {
+    throw new Error(`Der Bibliotheksordner ${rootPath} liegt im Installationsordner ${selectedDir}`);
+  }
+  
+  let candidate = path.join(rootPath, dirName);
+  let counter = 2;
+  
+  while (pathsOverlap(candidate, selectedDir) || fs.existsSync(path.join(candidate, 'dustgrain.json'))) {
+    if (!pathsOverlap(candidate, selectedDir)) {
+      try {
+        const existing = readDustgrain(path.join(candidate, 'dustgrain.json'));
+        if (path.resolve(existing.executablePath || '') === path.resolve(selectedDir)) {
+          break;
         }
+      } catch (err) {
+        // Unlesbare dustgrain-Dateien nicht überschreiben
+      }
+    }
+    
+    candidate = path.join(rootPath, `${dirName} (${counter++})`);
+  }
+  
+  return candidate;
+}
+
+// Hilfsfunktion: Ein Dust-Spielordner darf weder der Installationsordner sein noch ihn
+// enthalten oder in ihm liegen, sonst würden Dust-Dateien und Spieldateien vermischt
+function assertSeparateFromInstall(gameDir, executablePath) {
+  if (executablePath && pathsOverlap(gameDir, executablePath)) {
+    throw new Error(`Der Dust-Ordner ${gameDir} überschneidet sich mit dem Installationsordner ${executablePath}`);
+  }
+}
+
+// Hilfsfunktion: Installationsordner aus der dustgrain-Datei eines Spielordners lesen (null, wenn sie unlesbar ist)
+function readInstallPath(gamePath) {
+  try {
+    return readDustgrain(path.join(gamePath, 'dustgrain.json')).executablePath || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Hilfsfunktion: Dateien entfernen, die Dust in einem Spielordner anlegt
+// Der Ordner selbst wird nur gelöscht, wenn danach nichts anderes mehr darin liegt. Überschneidet
+// er sich mit dem Installationsordner (von Hand angelegte dustgrain-Datei), könnten "assets" und
+// "savegames" zum Spiel gehören; dann werden nur dustgrain.json und playhistory.json entfernt.
+function removeDustGameFiles(gamePath) {
+  let overlapsInstall = true;
+  try {
+    const gameInfo = readDustgrain(path.join(gamePath, 'dustgrain.json'));
+    overlapsInstall = !!gameInfo.executablePath && pathsOverlap(gamePath, gameInfo.executablePath);
+  } catch (err) {
+    // Ohne lesbare dustgrain-Datei ist der Installationsordner unbekannt
+  }
+  
+  const entries = overlapsInstall
+    ? ['dustgrain.json', playHistory.HISTORY_FILE]
+    : ['dustgrain.json', playHistory.HISTORY_FILE, ASSETS_DIRECTORY, saveGames.SNAPSHOT_DIRECTORY];
+  for (const entry of entries) {
+    fs.rmSync(path.join(gamePath, entry), { recursive: true, force: true });
+  }
+  
+  try {
+    fs.rmdirSync(gamePath);
+  } catch (err) {
+    // Der Ordner enthält weitere Dateien und bleibt bestehen
+  }
+}
+
+// Hilfsfunktion: Standard-Bibliotheksordner einer Plattform ermitteln
+function getDefaultLibraryPath(platform) {
+  const appData = app.getPath('appData');
+  let candidates = [];
+  
+  const configured = getSetting(`libraryPaths.${platform}`);
+  if (configured) {
+    candidates.push(configured);
+  }
+  
+  if (platform === 'steam') {
+    candidates.push(...steamProvider.getLibraryFolders()
+      .map(folder => path.join(folder, 'steamapps', 'common')));
+  } else if (platform === 'itchio') {
+    candidates.push(path.join(appData, 'itch', 'apps'));
+  }
+  
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Hilfsfunktion: Tray-Menü neu aufbauen, sofern es ein Tray-Symbol gibt
+function updateTray() {
+  if (appTray) {
+    appTray.update();
+  }
+}
+
+// Hilfsfunktion: Nachricht an das Hauptfenster senden, sofern es existiert
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// Hilfsfunktion: Sitzung im Spielverlauf neben der dustgrain-Datei ablegen
+function recordSession(session) {
+  try {
+    const gameDir = getGamePath(session.key);
+    if (fs.existsSync(gameDir)) {
+      playHistory.appendSession(gameDir, session);
+    }
+  } catch (err) {
+    console.error(`Fehler beim Speichern der Sitzung für ${session.key}:`, err);
+  }
+}
+
+// Hilfsfunktion: Spiel mit Startoptionen und Runner starten und überwachen
+async function launchGame(gameDirectory) {
+  try {
+    const gamePath = getGamePath(gameDirectory);
+    const dustgrainPath = path.join(gamePath, 'dustgrain.json');
+    
+    if (!fs.existsSync(dustgrainPath)) {
+      return { 
+        success: false, 
+        message: "Dustgrain-Datei nicht gefunden"
+      };
+    }
+    
+    const gameInfo = readDustgrain(dustgrainPath);
+    
+    if (!gameInfo.executable || !gameInfo.executablePath) {
+      return { 
+        success: false, 
+        message: "Keine ausführbare Datei für dieses Spiel definiert"
+      };
+    }
+    
+    if (!fs.existsSync(path.join(gameInfo.executablePath, gameInfo.executable))) {
+      return { 
+        success: false, 
+        message: `Ausführbare Datei nicht gefunden: ${gameInfo.executable}. Wurde das Spiel außerhalb von Dust deinstalliert?`
+      };
+    }
+    
+    if (gameSupervisor.isRunning(gameDirectory)) {
+      return { 
+        success: false, 
+        message: `${gameInfo.title} läuft bereits`
+      };
+    }
+    
+    // Startoptionen anwenden
+    const launchOptions = normalizeLaunchOptions(gameInfo.launchOptions);
+    const cwd = resolveWorkingDirectory(gameInfo, launchOptions);
+    const env = { ...process.env, ...launchOptions.env };
+    
+    if (!fs.existsSync(cwd)) {
+      return { 
+        success: false, 
+        message: `Arbeitsverzeichnis nicht gefunden: ${cwd}`
+      };
+    }
+    
+    // Befehl vor dem Start ausführen; schlägt er fehl, wird das Spiel nicht gestartet
+    if (launchOptions.preLaunch) {
+      await runHook(launchOptions.preLaunch, { cwd, env });
+    }
+    
+    // Startbefehl über den gewählten Runner (nativ, Wine, Proton) bauen
+    const launch = buildGameLaunch(gameDirectory, gameInfo, launchOptions, cwd);
+    if (launch.prefix) {
+      fs.mkdirSync(launch.prefix, { recursive: true });
+    }
+    
+    // Starte das Spiel
+    const { spawn } = require('child_process');
+    
+    const child = spawn(launch.command, launch.args, {
+      detached: true,
+      stdio: 'ignore',
+      cwd,
+      env: { ...process.env, ...launch.envOverrides }
+    });
+    
+    // lastPlayed erst setzen, wenn der Prozess tatsächlich gestartet wurde
+    child.once('spawn', () => {
+      try {
+        const current = readDustgrain(dustgrainPath);
+        current.lastPlayed = new Date().toISOString();
+        writeDustgrain(dustgrainPath, current);
+        // Sortierung und Sammlungen nach "Zuletzt gespielt" lesen aus dem Index
+        refreshIndexedGame(gameDirectory);
+      } catch (err) {
+        console.error(`Fehler beim Speichern von lastPlayed für ${gameDirectory}:`, err);
       }
+    });
+    
+    // Dust soll beim Beenden nicht auf das Spiel warten, die Überwachung läuft trotzdem weiter
+    child.unref();
+    gameSupervisor.track(gameDirectory, child, { title: gameInfo.title });
+    
+    return { 
+      success: true, 
+      command: launch.display,
+      message: `Spiel ${gameInfo.title} wird gestartet...`
+    };
+  } catch (error) {
+    console.error("Fehler beim Starten des Spiels:", error);
+    return { 
+      success: false, 
+      message: `Fehler: ${error.message || "Unbekannter Fehler"}`
+    };
+  }
+}
+
+// Hilfsfunktion: Einstellung lesen, auch wenn der Speicher nicht geladen werden konnte
+function getSetting(key) {
+  try {
+    return settingsStore.get(key);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Hilfsfunktion: Alle Einstellungen beim Start anwenden
+function applySettings() {
+  for (const key of ['general.launchAtStartup', 'metadata.language']) {
+    const value = getSetting(key);
+    if (value !== undefined) {
+      onSettingChanged(key, value);
     }
+  }
+}
+
+// Hilfsfunktion: Geänderte Einstellung sofort wirksam machen und dem Renderer melden
+function onSettingChanged(key, value) {
+  if (key === 'general.launchAtStartup') {
+    app.setLoginItemSettings({ openAtLogin: value });
+  } else if (key === 'metadata.language') {
+    steamProvider = createSteamProvider({ language: steamLanguages[value] });
+    dlsiteProvider = createDLSiteProvider({ locale: dlsiteLocales[value] });
+  } else if (key === 'library.roots') {
+    restartLibraryWatcher();
+  }
+  
+  sendToRenderer('settings-changed', { key, value });
+}
+
+// Hilfsfunktion: Startbefehl für ein Spiel mit dem effektiven Runner bauen
+function buildGameLaunch(gameDirectory, gameInfo, launchOptions, cwd) {
+  return buildLaunchCommand({
+    gameInfo,
+    gameDirectory,
+    launchOptions,
+    runner: resolveRunnerConfig(gameInfo.runner, getSetting('runner')),
+    cwd,
+    prefixRoot: prefixesDirectoryPath,
+    steamRoot: steamProvider.getLibraryFolders()[0] || ''
+  });
+}
+
+// Hilfsfunktion: Speicherorte eines Spiels mit aufgelösten Ordnern ermitteln
+// Spiele ohne Angabe (vor der Erkennung angelegt) erhalten die erkannten Orte in ihrer dustgrain-Datei.
+function getSaveTargets(gameDirectory) {
+  const gamePath = getGamePath(gameDirectory);
+  const dustgrainPath = path.join(gamePath, 'dustgrain.json');
+  let gameInfo = readDustgrain(dustgrainPath);
+  
+  if (gameInfo.saveLocations === undefined) {
+    gameInfo = writeDustgrain(dustgrainPath, {
+      ...gameInfo,
+      saveLocations: saveGames.detectSaveLocations(gameInfo.executablePath)
+    });
+  }
+  
+  const folders = { install: gameInfo.executablePath, ...getWindowsUserFolders(gameDirectory, gameInfo) };
+  return {
+    gamePath,
+    folders,
+    targets: gameInfo.saveLocations.map(location => ({
+      location,
+      folder: saveGames.resolveSaveLocation(location, folders)
+    }))
+  };
+}
+
+// Hilfsfunktion: AppData- und Dokumente-Ordner, die ein Spiel sieht
+// Unter Linux/macOS liegen sie im Wine- bzw. Proton-Prefix des Spiels; native Spiele haben keine.
+function getWindowsUserFolders(gameDirectory, gameInfo) {
+  if (process.platform === 'win32') {
+    const home = app.getPath('home');
+    return {
+      appData: app.getPath('appData'),
+      localAppData: process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'),
+      localLow: path.join(home, 'AppData', 'LocalLow'),
+      documents: app.getPath('documents')
+    };
+  }
+  if (!gameInfo.executable) {
+    return {};
+  }
+  
+  const launchOptions = normalizeLaunchOptions(gameInfo.launchOptions);
+  const launch = buildGameLaunch(gameDirectory, gameInfo, launchOptions, resolveWorkingDirectory(gameInfo, launchOptions));
+  if (launch.type === 'wine') {
+    return saveGames.wineUserFolders(launch.prefix || path.join(app.getPath('home'), '.wine'), os.userInfo().username);
+  }
+  if (launch.type === 'proton') {
+    return saveGames.wineUserFolders(path.join(launch.prefix, 'pfx'), 'steamuser');
+  }
+  return {};
+}
+
+// Hilfsfunktion: Geänderte Befehle, Umgebungsvariablen oder Runner-Programme bestätigen lassen
+// Der Dialog läuft im Hauptprozess, damit der Renderer allein keine Befehle einrichten kann.
+async function confirmLaunchChanges(subject, changes) {
+  if (changes.length === 0) {
+    return true;
+  }
+  
+  const options = {
+    type: 'warning',
+    buttons: ['Übernehmen', 'Abbrechen'],
+    defaultId: 1,
+    cancelId: 1,
+    noLink: true,
+    title: 'Startbefehle ändern',
+    message: `Dust wird für ${subject} künftig Folgendes ausführen bzw. verwenden:`,
+    detail: changes.map(change => `${change.label}: ${change.value}`).join('\n')
+  };
+  const { response } = mainWindow
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+  return response === 0;
+}
+
+// Hilfsfunktion: Spielstände eines Spiels sichern; liefert null, wenn sich nichts geändert hat
+async function snapshotSaves(gameDirectory, reason, options = {}) {
+  const { gamePath, targets } = getSaveTargets(gameDirectory);
+  return saveGames.createSnapshot(gamePath, targets, {
+    ...options,
+    reason,
+    limit: getSetting('saves.snapshotLimit') || 10
+  });
+}
+
+// Hilfsfunktion: Befehl nach dem Beenden eines Spiels ausführen
+function runPostLaunchHook(gameDirectory, gameInfo) {
+  let launchOptions;
+  try {
+    launchOptions = normalizeLaunchOptions(gameInfo.launchOptions);
   } catch (err) {
-    console.error('Fehler beim Scannen nach dustgrain-Dateien:', err);
+    console.error(`Ungültige Startoptionen für ${gameDirectory}:`, err);
+    return;
+  }
+  
+  if (!launchOptions.postLaunch) {
+    return;
   }
   
-  return games;
-}
\ No newline at end of file
+  const cwd = resolveWorkingDirectory(gameInfo, launchOptions);
+  const env = { ...process.env, ...launchOptions.env };
+  
+  runHook(launchOptions.postLaunch, { cwd, env }).catch(err => {
+    console.error(`Fehler beim Befehl nach dem Beenden von ${gameDirectory}:`, err);
+    sendToRenderer('game-launch-failed', {
+      directory: gameDirectory,
+      message: `Befehl nach dem Beenden fehlgeschlagen: ${err.message}`
+    });
+  });
+}
+
+// Hilfsfunktion: Spielzeit einer Sitzung in der dustgrain-Datei gutschreiben
+function addPlayTime(gameDirectory, durationMs) {
+  try {
+    const dustgrainPath = path.join(getGamePath(gameDirectory), 'dustgrain.json');
+    if (!fs.existsSync(dustgrainPath)) {
+      return null;
+    }
+    
+    const gameInfo = readDustgrain(dustgrainPath);
+    // Spielzeit bleibt in Minuten, wird aber sekundengenau addiert, damit kurze Sitzungen nicht verloren gehen
+    const seconds = Math.round((gameInfo.playTime || 0) * 60) + Math.round(durationMs / 1000);
+    gameInfo.playTime = seconds / 60;
+    
+    const saved = writeDustgrain(dustgrainPath, gameInfo);
+    refreshIndexedGame(gameDirectory);
+    return saved;
+  } catch (err) {
+    console.error(`Fehler beim Speichern der Spielzeit für ${gameDirectory}:`, err);
+    return null;
+  }
+}
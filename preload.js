@@ -0,0 +1,87 @@
+// Preload-Skript
+// Stellt dem Renderer über window.dust ausschließlich die Dust-API bereit.
+// Der Renderer läuft isoliert und hat keinen Zugriff auf Node.js oder ipcRenderer.
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Ereignisse, die der Hauptprozess an den Renderer sendet
+const EVENT_CHANNELS = [
+  'game-status-changed',
+  'game-updated',
+  'game-launch-failed',
+  'library-changed',
+  'settings-changed',
+  'collections-changed'
+];
+
+contextBridge.exposeInMainWorld('dust', {
+  // Bibliothek
+  scanGames: () => ipcRenderer.invoke('scan-games'),
+  queryGames: (filters) => ipcRenderer.invoke('query-games', filters),
+  getLibraryRoots: () => ipcRenderer.invoke('get-library-roots'),
+  addLibraryRoot: (folder) => ipcRenderer.invoke('add-library-root', folder),
+  removeLibraryRoot: (rootId) => ipcRenderer.invoke('remove-library-root', rootId),
+  setLibraryTarget: (rootId) => ipcRenderer.invoke('set-library-target', rootId),
+  setLibraryPath: (platform, folder) => ipcRenderer.invoke('set-library-path', platform, folder),
+
+  // Spiele hinzufügen
+  selectGameFolder: (platform, importType, hints) => ipcRenderer.invoke('select-game-folder', platform, importType, hints),
+  addGameWithPath: (gameInfo, gameFolder, executable) => ipcRenderer.invoke('add-game-with-path', gameInfo, gameFolder, executable),
+  scanLibraryFolder: (rootFolder, platform) => ipcRenderer.invoke('scan-library-folder', rootFolder, platform),
+  importGames: (entries) => ipcRenderer.invoke('import-games', entries),
+  detectExecutables: (gameFolder, title) => ipcRenderer.invoke('detect-executables', gameFolder, title),
+  selectExecutable: (gameFolder) => ipcRenderer.invoke('select-executable', gameFolder),
+  selectCoverImage: () => ipcRenderer.invoke('select-cover-image'),
+
+  // Metadaten
+  fetchSteamGameDetails: (appId) => ipcRenderer.invoke('fetch-steam-game-details', appId),
+  fetchDlsiteGameDetails: (dlsiteId, category) => ipcRenderer.invoke('fetch-dlsite-game-details', dlsiteId, category),
+  fetchItchioGameDetails: (url) => ipcRenderer.invoke('fetch-itchio-game-details', url),
+
+  // Spiele verwalten und starten
+  launchGame: (gameDirectory) => ipcRenderer.invoke('launch-game', gameDirectory),
+  stopGame: (gameDirectory) => ipcRenderer.invoke('stop-game', gameDirectory),
+  getRunningGames: () => ipcRenderer.invoke('get-running-games'),
+  updateGame: (gameDirectory, updates) => ipcRenderer.invoke('update-game', gameDirectory, updates),
+  deleteGame: (gameDirectory) => ipcRenderer.invoke('delete-game', gameDirectory),
+  openGameFolder: (gameDirectory) => ipcRenderer.invoke('open-game-folder', gameDirectory),
+  openStorePage: (gameDirectory, store) => ipcRenderer.invoke('open-store-page', gameDirectory, store),
+  getGameHistory: (gameDirectory) => ipcRenderer.invoke('get-game-history', gameDirectory),
+  previewLaunchCommand: (gameDirectory, overrides) => ipcRenderer.invoke('preview-launch-command', gameDirectory, overrides),
+  getPlayHistory: () => ipcRenderer.invoke('get-play-history'),
+  measureGameSizes: (gameDirectories) => ipcRenderer.invoke('measure-game-sizes', gameDirectories),
+
+  // Spielstände
+  detectSaveLocations: (gameDirectory) => ipcRenderer.invoke('detect-save-locations', gameDirectory),
+  getSaveSnapshots: (gameDirectory) => ipcRenderer.invoke('get-save-snapshots', gameDirectory),
+  createSaveSnapshot: (gameDirectory) => ipcRenderer.invoke('create-save-snapshot', gameDirectory),
+  restoreSaveSnapshot: (gameDirectory, snapshotId) => ipcRenderer.invoke('restore-save-snapshot', gameDirectory, snapshotId),
+
+  // Sammlungen
+  getCollections: () => ipcRenderer.invoke('get-collections'),
+  saveCollection: (collection) => ipcRenderer.invoke('save-collection', collection),
+  deleteCollection: (collectionId) => ipcRenderer.invoke('delete-collection', collectionId),
+  addToCollection: (collectionId, gameDirectories) => ipcRenderer.invoke('add-to-collection', collectionId, gameDirectories),
+  removeFromCollection: (collectionId, gameDirectories) => ipcRenderer.invoke('remove-from-collection', collectionId, gameDirectories),
+
+  // Einstellungen
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  setSetting: (key, value) => ipcRenderer.invoke('set-setting', key, value),
+  selectSettingsFolder: (currentPath) => ipcRenderer.invoke('select-settings-folder', currentPath),
+
+  // Sicherung und Export
+  exportLibraryBackup: () => ipcRenderer.invoke('export-library-backup'),
+  exportLibraryList: (format) => ipcRenderer.invoke('export-library-list', format),
+  readLibraryBackup: () => ipcRenderer.invoke('read-library-backup'),
+  applyLibraryImport: (token, options) => ipcRenderer.invoke('apply-library-import', token, options),
+
+  // Ereignisse des Hauptprozesses abonnieren; liefert eine Abmeldefunktion
+  on: (channel, listener) => {
+    if (!EVENT_CHANNELS.includes(channel)) {
+      throw new Error(`Unbekanntes Ereignis: ${channel}`);
+    }
+    const handler = (event, payload) => listener(payload);
+    ipcRenderer.on(channel, handler);
+    return () => ipcRenderer.removeListener(channel, handler);
+  }
+});
@@ -1,36 +1,605 @@
-const { ipcRenderer } = require('electron');
+// Text für innerHTML-Vorlagen maskieren (Spieldaten stammen aus Dateien und Online-Shops)
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Kurzer Hash eines Textes, damit sich die Bild-URL bei einem neuen Cover ändert
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// URL eines zwischengespeicherten Bildes (wird vom Hauptprozess über dust-asset:// ausgeliefert)
+function gameAssetUrl(game, kind = 'cover', { index = 0, thumbnail = false } = {}) {
+  const source = kind === 'screenshot' ? (game.screenshots || [])[index] : game.coverImage;
+  const suffix = kind === 'screenshot' ? `/${index}` : '';
+  const params = new URLSearchParams({ v: hashString(source || '') });
+  if (thumbnail) params.set('thumb', '1');
+  return `dust-asset://game/${encodeURIComponent(game.directory)}/${kind}${suffix}?${params}`;
+}
+
+// Regelfelder intelligenter Sammlungen (entspricht RULE_FIELDS in src/collections.js)
+const COLLECTION_RULE_FIELDS = {
+  title: { label: 'Titel', operators: ['contains', 'notContains', 'equals'] },
+  developer: { label: 'Entwickler', operators: ['contains', 'notContains', 'equals'] },
+  publisher: { label: 'Publisher', operators: ['contains', 'notContains', 'equals'] },
+  genre: { label: 'Genre', operators: ['contains', 'notContains', 'equals'] },
+  source: { label: 'Quelle', operators: ['equals', 'notEquals'] },
+  tag: { label: 'Tag', operators: ['has', 'hasNot'] },
+  playTime: { label: 'Spielzeit (Stunden)', operators: ['greaterThan', 'lessThan'], numeric: true },
+  lastPlayed: { label: 'Zuletzt gespielt', operators: ['withinDays', 'olderThanDays', 'never'], numeric: true }
+};
+
+const COLLECTION_RULE_OPERATORS = {
+  contains: 'enthält',
+  notContains: 'enthält nicht',
+  equals: 'ist',
+  notEquals: 'ist nicht',
+  has: 'vorhanden',
+  hasNot: 'nicht vorhanden',
+  greaterThan: 'mehr als',
+  lessThan: 'weniger als',
+  withinDays: 'in den letzten … Tagen',
+  olderThanDays: 'vor mehr als … Tagen',
+  never: 'noch nie'
+};
+
+// Basisordner von Spielstand-Speicherorten (entspricht SAVE_BASES in src/saveGames.js)
+const SAVE_LOCATION_BASES = {
+  install: 'Installationsordner',
+  appData: 'AppData\\Roaming',
+  localAppData: 'AppData\\Local',
+  localLow: 'AppData\\LocalLow',
+  documents: 'Dokumente',
+  absolute: 'Absoluter Pfad'
+};
+
+// Anlass einer Spielstand-Sicherung
+const SAVE_SNAPSHOT_REASONS = {
+  session: 'Nach dem Spielen',
+  manual: 'Manuell',
+  beforeRestore: 'Vor einer Wiederherstellung'
+};
+
+// Virtuelle Spieleliste
+// Baut nur die sichtbaren Karten (plus einen Puffer) auf und verwendet die
+// Elemente beim Scrollen und Filtern wieder. Raster und Liste teilen sich die
+// Logik; die Liste hat nur eine Spalte. Die Tastaturnavigation (Pfeiltasten)
+// verwendet einen wandernden tabIndex, damit Tab nur eine Karte ansteuert.
+class VirtualGameList {
+  constructor({ container, scrollElement, renderItem, renderHeader, minItemWidth = 200, overscan = 400 }) {
+    this.container = container;
+    this.scrollElement = scrollElement;
+    this.renderItem = renderItem;       // (Element oder null, Spiel) -> Element
+    this.renderHeader = renderHeader;   // (Element oder null, Gruppe) -> Element
+    this.minItemWidth = minItemWidth;   // entspricht minmax() in .game-grid
+    this.overscan = overscan;
+    
+    this.groups = null;                 // aktuell angezeigte Gruppen (siehe DustSorting.groupGames)
+    this.showHeaders = false;
+    this.mode = null;                   // 'grid' oder 'list'
+    this.rows = [];                     // { top, height, header } oder { top, height, games }
+    this.positions = new Map();         // Spielschlüssel -> { row, column }
+    this.rendered = new Map();          // Spielschlüssel -> { element, game }
+    this.headers = new Map();           // Gruppenschlüssel -> Element
+    this.pool = [];                     // freie Kartenelemente
+    this.itemHeights = {};              // gemessene Kartenhöhe je Ansicht
+    this.headerHeight = 0;
+    this.width = 0;
+    this.focusedKey = null;
+    this.frame = null;
+    
+    this.container.classList.add('virtual-list');
+    this.container.tabIndex = -1;
+    
+    this.scrollElement.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+    
+    // Nur Breitenänderungen erfordern ein neues Layout (die Höhe setzen wir selbst)
+    new ResizeObserver(() => {
+      if (this.container.clientWidth !== this.width) {
+        this.layout();
+      }
+    }).observe(this.container);
+    
+    this.container.addEventListener('focusin', (e) => {
+      const card = e.target.closest('.game-card');
+      if (card) {
+        this.focusedKey = card.dataset.directory;
+        this.updateTabIndex();
+      }
+    });
+    this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+  
+  get isList() {
+    return this.container.classList.contains('game-list');
+  }
+  
+  // Neue (bereits sortierte) Gruppen anzeigen; die Scrollposition bleibt am
+  // obersten sichtbaren Spiel verankert, der Fokus bleibt auf seiner Karte
+  setGroups(groups, { headers = false } = {}) {
+    const anchor = this.findAnchor();
+    this.groups = groups;
+    this.showHeaders = headers;
+    this.layout();
+    
+    if (anchor && this.positions.has(anchor.key)) {
+      const { row } = this.positions.get(anchor.key);
+      this.scrollElement.scrollTop = this.containerOffset() + this.rows[row].top - anchor.offset;
+    }
+    this.render();
+  }
+  
+  // Einzelnes Spiel aktualisieren (z.B. geänderter Status), ohne neu zu gruppieren
+  updateItem(key, game) {
+    const position = this.positions.get(key);
+    if (!position) return;
+    
+    this.rows[position.row].games[position.column] = game;
+    const entry = this.rendered.get(key);
+    if (entry) {
+      entry.game = game;
+      this.renderItem(entry.element, game);
+      entry.element.tabIndex = key === this.tabKey() ? 0 : -1;
+    }
+  }
+  
+  containerOffset() {
+    return this.container.getBoundingClientRect().top
+      - this.scrollElement.getBoundingClientRect().top
+      + this.scrollElement.scrollTop;
+  }
+  
+  // Oberstes (teilweise) sichtbares Spiel und sein Abstand zum oberen Rand
+  findAnchor() {
+    const viewTop = this.scrollElement.scrollTop - this.containerOffset();
+    if (viewTop <= 0) return null;
+    
+    const row = this.rows.find(entry => entry.games && entry.top + entry.height > viewTop);
+    return row ? { key: row.games[0].directory, offset: row.top - viewTop } : null;
+  }
+  
+  // Höhe einer Karte bzw. Überschrift einmalig an einem echten Element messen
+  measure(game, group) {
+    if (!this.itemHeights[this.mode] && game) {
+      const element = this.renderItem(this.pool.pop() || null, game);
+      element.style.cssText = `width: ${this.columnWidth}px; visibility: hidden;`;
+      this.container.appendChild(element);
+      this.itemHeights[this.mode] = element.offsetHeight;
+      element.style.cssText = 'display: none;';
+      this.pool.push(element);
+    }
+    if (!this.headerHeight && group && this.showHeaders) {
+      const header = this.renderHeader(null, group);
+      header.style.visibility = 'hidden';
+      this.container.appendChild(header);
+      this.headerHeight = header.offsetHeight;
+      header.remove();
+    }
+  }
+  
+  // Zeilen (Überschriften und Kartenreihen) mit ihren Positionen berechnen
+  layout() {
+    this.width = this.container.clientWidth;
+    if (!this.groups || this.width === 0) return;
+    
+    // Nach einem Wechsel zwischen Raster und Liste müssen alle Karten neu gefüllt werden
+    const mode = this.isList ? 'list' : 'grid';
+    if (mode !== this.mode) {
+      this.mode = mode;
+      this.rendered.forEach(entry => {
+        entry.game = null;
+      });
+    }
+    
+    const style = getComputedStyle(this.container);
+    this.gap = parseFloat(style.rowGap) || 0;
+    this.columns = this.isList ? 1 : Math.max(1, Math.floor((this.width + this.gap) / (this.minItemWidth + this.gap)));
+    this.columnWidth = (this.width - this.gap * (this.columns - 1)) / this.columns;
+    
+    const firstGroup = this.groups.find(group => group.games.length > 0);
+    this.measure(firstGroup && firstGroup.games[0], firstGroup);
+    const itemHeight = this.itemHeights[this.mode] || 0;
+    
+    this.rows = [];
+    this.positions = new Map();
+    let top = 0;
+    for (const group of this.groups) {
+      if (this.showHeaders) {
+        this.rows.push({ top, height: this.headerHeight, header: group });
+        top += this.headerHeight + this.gap;
+      }
+      for (let index = 0; index < group.games.length; index += this.columns) {
+        const games = group.games.slice(index, index + this.columns);
+        games.forEach((game, column) => this.positions.set(game.directory, { row: this.rows.length, column }));
+        this.rows.push({ top, height: itemHeight, games });
+        top += itemHeight + this.gap;
+      }
+    }
+    
+    this.container.style.height = this.rows.length > 0 ? `${top - this.gap}px` : '';
+    this.render();
+  }
+  
+  scheduleRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+  
+  // Sichtbare Zeilen aufbauen und nicht mehr sichtbare Elemente in den Vorrat legen
+  render() {
+    if (!this.groups || this.width === 0) return;
+    
+    const viewTop = this.scrollElement.scrollTop - this.containerOffset();
+    const start = viewTop - this.overscan;
+    const end = viewTop + this.scrollElement.clientHeight + this.overscan;
+    
+    // Erste Zeile im sichtbaren Bereich per Binärsuche finden
+    let low = 0;
+    let high = this.rows.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.rows[middle].top + this.rows[middle].height < start) low = middle + 1;
+      else high = middle;
+    }
+    
+    const visibleItems = new Set();
+    const visibleHeaders = new Set();
+    for (let index = low; index < this.rows.length && this.rows[index].top <= end; index++) {
+      this.renderRow(this.rows[index], visibleItems, visibleHeaders);
+    }
+    
+    // Die fokussierte Karte bleibt erhalten, auch wenn sie aus dem Bild gescrollt wurde
+    if (this.focusedKey && this.positions.has(this.focusedKey) && !visibleItems.has(this.focusedKey)) {
+      this.renderRow(this.rows[this.positions.get(this.focusedKey).row], visibleItems, visibleHeaders, this.focusedKey);
+    }
+    
+    for (const [key, entry] of this.rendered) {
+      if (visibleItems.has(key)) continue;
+      if (entry.element.contains(document.activeElement)) {
+        this.container.focus({ preventScroll: true });
+      }
+      entry.element.style.display = 'none';
+      this.pool.push(entry.element);
+      this.rendered.delete(key);
+    }
+    for (const [key, header] of this.headers) {
+      if (!visibleHeaders.has(key)) {
+        header.remove();
+        this.headers.delete(key);
+      }
+    }
+    
+    this.updateTabIndex();
+  }
+  
+  renderRow(row, visibleItems, visibleHeaders, onlyKey = null) {
+    if (row.header) {
+      let header = this.headers.get(row.header.key);
+      if (!header) {
+        header = this.renderHeader(null, row.header);
+        this.container.appendChild(header);
+        this.headers.set(row.header.key, header);
+      }
+      header.style.top = `${row.top}px`;
+      header.style.width = `${this.width}px`;
+      visibleHeaders.add(row.header.key);
+      return;
+    }
+    
+    row.games.forEach((game, column) => {
+      const key = game.directory;
+      if (onlyKey && key !== onlyKey) return;
+      
+      let entry = this.rendered.get(key);
+      if (!entry) {
+        const element = this.pool.pop();
+        entry = { element: this.renderItem(element || null, game), game };
+        if (!element) {
+          this.container.appendChild(entry.element);
+        }
+        this.rendered.set(key, entry);
+      } else if (entry.game !== game) {
+        entry.game = game;
+        this.renderItem(entry.element, game);
+      }
+      
+      const style = entry.element.style;
+      style.display = '';
+      style.top = `${row.top}px`;
+      style.left = `${column * (this.columnWidth + this.gap)}px`;
+      style.width = `${this.columnWidth}px`;
+      visibleItems.add(key);
+    });
+  }
+  
+  // Schlüssel der Karte, die per Tab erreichbar ist
+  tabKey() {
+    if (this.focusedKey && this.positions.has(this.focusedKey)) {
+      return this.focusedKey;
+    }
+    const first = this.rows.find(row => row.games);
+    return first ? first.games[0].directory : null;
+  }
+  
+  updateTabIndex() {
+    const tabKey = this.tabKey();
+    for (const [key, entry] of this.rendered) {
+      entry.element.tabIndex = key === tabKey ? 0 : -1;
+    }
+  }
+  
+  // Karte fokussieren und bei Bedarf in den sichtbaren Bereich scrollen
+  focusItem(key) {
+    const position = this.positions.get(key);
+    if (!position) return;
+    
+    const row = this.rows[position.row];
+    const rowTop = this.containerOffset() + row.top;
+    const scrollTop = this.scrollElement.scrollTop;
+    if (rowTop < scrollTop) {
+      this.scrollElement.scrollTop = rowTop;
+    } else if (rowTop + row.height > scrollTop + this.scrollElement.clientHeight) {
+      this.scrollElement.scrollTop = rowTop + row.height - this.scrollElement.clientHeight;
+    }
+    
+    this.focusedKey = key;
+    this.render();
+    this.rendered.get(key).element.focus({ preventScroll: true });
+  }
+  
+  handleKeydown(e) {
+    if (!e.target.classList.contains('game-card')) return;
+    const position = this.positions.get(e.target.dataset.directory);
+    if (!position) return;
+    
+    const itemRows = this.rows.map((row, index) => (row.games ? index : -1)).filter(index => index !== -1);
+    const rowIndex = itemRows.indexOf(position.row);
+    const columnIn = (index, column) => {
+      const games = this.rows[itemRows[index]].games;
+      return games[Math.min(column, games.length - 1)].directory;
+    };
+    const flat = this.rows.filter(row => row.games).flatMap(row => row.games);
+    const flatIndex = flat.findIndex(game => game.directory === e.target.dataset.directory);
+    
+    let target = null;
+    switch (e.key) {
+      case 'ArrowLeft': target = flat[flatIndex - 1] && flat[flatIndex - 1].directory; break;
+      case 'ArrowRight': target = flat[flatIndex + 1] && flat[flatIndex + 1].directory; break;
+      case 'ArrowUp': target = rowIndex > 0 ? columnIn(rowIndex - 1, position.column) : null; break;
+      case 'ArrowDown': target = rowIndex < itemRows.length - 1 ? columnIn(rowIndex + 1, position.column) : null; break;
+      case 'Home': target = flat[0].directory; break;
+      case 'End': target = flat[flat.length - 1].directory; break;
+      default: return;
+    }
+    
+    e.preventDefault();
+    if (target) {
+      this.focusItem(target);
+    }
+  }
+}
 
 // Hauptklasse für die Dust-Anwendung
 class DustApp {
   constructor() {
     this.games = [];
+    this.libraryRoots = [];
+    this.collections = [];
+    this.runningGames = new Map(); // Verzeichnis -> Startzeit laufender Spiele
     this.currentView = 'grid'; // Grid oder List Ansicht
     this.currentPage = 'library';
+    this.detailGame = null; // Verzeichnis des Spiels auf der Detailseite
+    this.charts = {};
+    this.settings = null;
+    this.platform = null;
+    this.statistics = {
+      range: '30',
+      grouping: 'day'
+    };
     this.filters = {
-      search: '',
+      search: '',        // Suchanfrage in der Suchsprache (siehe src/search.js)
       genre: 'all',
-      source: 'all'
+      source: 'all',
+      root: 'all',
+      tags: [],          // Alle gewählten Tags müssen vorhanden sein
+      collection: null   // ID der gewählten Sammlung
     };
+    this.filterRequest = 0;  // Zähler, um veraltete Antworten auf Filteranfragen zu verwerfen
+    this.gameList = null;    // VirtualGameList, wird beim ersten Rendern angelegt
+    
+    // Cover erst laden, wenn die Karte in die Nähe des sichtbaren Bereichs kommt
+    this.coverObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.style.backgroundImage = entry.target.dataset.cover;
+          this.coverObserver.unobserve(entry.target);
+        }
+      });
+    }, { root: document.getElementById('content'), rootMargin: '200px' });
     
     this.initEventListeners();
+    this.initSettings();
+    this.initCollections();
+    this.initGameStatusListeners();
     this.loadGames();
   }
   
+  // Einstellungen laden und Änderungen aus dem Hauptprozess übernehmen
+  async initSettings() {
+    window.dust.on('settings-changed', ({ key, value }) => {
+      if (!this.settings) return;
+      this.setSettingValue(key, value);
+      this.applyTheme();
+      if (key.startsWith('search')) {
+        this.renderSavedSearches();
+      }
+      if (['library.sortKey', 'library.sortDirection', 'library.groupBy'].includes(key)) {
+        this.updateSortControls();
+        this.applyFilters();
+      }
+      if (this.currentPage === 'settings') {
+        this.renderSettings();
+      }
+    });
+    
+    try {
+      const result = await window.dust.getSettings();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      this.settings = result.settings;
+      this.platform = result.platform;
+      this.applyTheme();
+      this.renderSavedSearches();
+      this.updateSortControls();
+      this.applyFilters();
+    } catch (error) {
+      console.error('Fehler beim Laden der Einstellungen:', error);
+    }
+  }
+  
+  // Statusmeldungen laufender Spiele aus dem Hauptprozess empfangen
+  // Sammlungen laden und Änderungen aus dem Hauptprozess übernehmen
+  async initCollections() {
+    window.dust.on('collections-changed', (collections) => {
+      this.setCollections(collections);
+    });
+    
+    try {
+      const result = await window.dust.getCollections();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      this.setCollections(result.collections);
+    } catch (error) {
+      console.error('Fehler beim Laden der Sammlungen:', error);
+    }
+  }
+  
+  setCollections(collections) {
+    this.collections = collections;
+    if (this.filters.collection && !collections.some(collection => collection.id === this.filters.collection)) {
+      this.filters.collection = null;
+    }
+    this.renderCollectionList();
+    this.applyFilters();
+  }
+  
+  async initGameStatusListeners() {
+    window.dust.on('game-status-changed', (status) => {
+      if (status.running) {
+        this.runningGames.set(status.directory, status.startedAt);
+      } else {
+        this.runningGames.delete(status.directory);
+      }
+      this.updateGameCard(status.directory);
+    });
+    
+    window.dust.on('game-updated', ({ directory, dustgrain }) => {
+      const index = this.games.findIndex(game => game.directory === directory);
+      if (index !== -1) {
+        // Bibliotheksangaben stammen aus dem Scan und stehen nicht in der dustgrain-Datei
+        this.games[index] = { ...this.games[index], ...dustgrain, directory };
+        this.updateGameCard(directory);
+        this.renderCollectionList();
+      }
+    });
+    
+    // Änderungen an dustgrain-Dateien und Installationsordnern außerhalb von Dust
+    window.dust.on('library-changed', (change) => {
+      if (change.reload) {
+        if (this.currentPage === 'library') {
+          this.loadGames();
+        }
+        return;
+      }
+      
+      const index = this.games.findIndex(game => game.directory === change.directory);
+      if (change.game && index !== -1) {
+        this.games[index] = change.game;
+        this.updateGameCard(change.directory);
+        return;
+      }
+      
+      if (change.game) {
+        this.games.push(change.game);
+      } else if (index !== -1) {
+        this.games.splice(index, 1);
+        // Spiel der geöffneten Detailseite wurde entfernt
+        if (this.currentPage === 'game-detail' && this.detailGame === change.directory) {
+          this.changePage('library');
+        }
+      } else {
+        return;
+      }
+      this.updateGenreFilter();
+      this.updateSourceFilter();
+      this.updateTagFilter();
+      this.renderCollectionList();
+      this.applyFilters();
+    });
+    
+    window.dust.on('game-launch-failed', ({ message }) => {
+      this.showNotification(message, 'error');
+    });
+    
+    try {
+      const running = await window.dust.getRunningGames();
+      running.forEach(status => this.runningGames.set(status.directory, status.startedAt));
+    } catch (error) {
+      console.error('Fehler beim Abrufen laufender Spiele:', error);
+    }
+  }
+  
   // Event-Listener initialisieren
   initEventListeners() {
     // Navigation
     document.querySelectorAll('.nav-button').forEach(button => {
       button.addEventListener('click', () => {
+        // "Bibliothek" zeigt wieder alle Spiele statt einer Sammlung
+        if (button.dataset.page === 'library' && this.filters.collection) {
+          this.filters.collection = null;
+          this.renderCollectionList();
+        }
         this.changePage(button.dataset.page);
       });
     });
     
+    // Neue Sammlung anlegen
+    const addCollectionBtn = document.getElementById('add-collection-btn');
+    if (addCollectionBtn) {
+      addCollectionBtn.addEventListener('click', () => {
+        this.showCollectionEditor();
+      });
+    }
+    
     // Suchfeld
     const searchInput = document.querySelector('.search-bar');
     if (searchInput) {
       searchInput.addEventListener('input', (e) => {
-        this.filters.search = e.target.value.toLowerCase();
-        this.applyFilters();
+        this.setSearch(e.target.value, false);
+      });
+    }
+    
+    // Gespeicherte Suchen
+    const savedSearchesBtn = document.getElementById('saved-searches-btn');
+    if (savedSearchesBtn) {
+      savedSearchesBtn.addEventListener('click', () => {
+        const menu = document.getElementById('saved-searches-menu');
+        this.renderSavedSearches();
+        menu.hidden = !menu.hidden;
       });
     }
     
@@ -60,6 +629,105 @@ class DustApp {
       });
     }
     
+    // Sortierung und Gruppierung (werden in den Einstellungen gespeichert)
+    const sortKeySelect = document.getElementById('sort-key');
+    if (sortKeySelect) {
+      sortKeySelect.addEventListener('change', (e) => {
+        this.saveSetting('library.sortKey', e.target.value);
+      });
+    }
+    
+    const sortDirectionBtn = document.getElementById('sort-direction');
+    if (sortDirectionBtn) {
+      sortDirectionBtn.addEventListener('click', () => {
+        this.saveSetting('library.sortDirection', this.getLibraryView().sortDirection === 'asc' ? 'desc' : 'asc');
+      });
+    }
+    
+    const groupBySelect = document.getElementById('group-by');
+    if (groupBySelect) {
+      groupBySelect.addEventListener('change', (e) => {
+        this.saveSetting('library.groupBy', e.target.value);
+      });
+    }
+    
+    // Filter für Tags (Mehrfachauswahl)
+    const tagFilterBtn = document.getElementById('tag-filter-btn');
+    if (tagFilterBtn) {
+      tagFilterBtn.addEventListener('click', () => {
+        const menu = document.getElementById('tag-filter-menu');
+        menu.hidden = !menu.hidden;
+      });
+    }
+    
+    // Filter für Bibliotheksordner
+    const rootFilter = document.getElementById('root-filter');
+    if (rootFilter) {
+      rootFilter.addEventListener('change', (e) => {
+        this.filters.root = e.target.value;
+        this.applyFilters();
+      });
+    }
+    
+    // Weitere Bibliotheksordner hinzufügen
+    const addRootBtn = document.getElementById('add-library-root-btn');
+    if (addRootBtn) {
+      addRootBtn.addEventListener('click', () => {
+        this.addLibraryRoot();
+      });
+    }
+    
+    // Sicherung und Export der Bibliothek
+    const exportBackupBtn = document.getElementById('export-backup-btn');
+    if (exportBackupBtn) {
+      exportBackupBtn.addEventListener('click', () => this.exportBackup(exportBackupBtn));
+    }
+    
+    const importBackupBtn = document.getElementById('import-backup-btn');
+    if (importBackupBtn) {
+      importBackupBtn.addEventListener('click', () => this.showImportBackupModal());
+    }
+    
+    ['csv', 'json'].forEach(format => {
+      const button = document.getElementById(`export-${format}-btn`);
+      if (button) {
+        button.addEventListener('click', () => this.exportGameList(format));
+      }
+    });
+    
+    // Zeitraum und Gruppierung der Statistik
+    const statsRange = document.getElementById('stats-range');
+    if (statsRange) {
+      statsRange.addEventListener('change', (e) => {
+        this.statistics.range = e.target.value;
+        this.renderStatistics();
+      });
+    }
+    
+    const statsGrouping = document.getElementById('stats-grouping');
+    if (statsGrouping) {
+      statsGrouping.addEventListener('change', (e) => {
+        this.statistics.grouping = e.target.value;
+        this.renderStatistics();
+      });
+    }
+    
+    // Einstellungen werden bei jeder Änderung sofort gespeichert
+    document.querySelectorAll('#settings [data-setting]').forEach(control => {
+      control.addEventListener('change', () => {
+        this.saveSetting(control.dataset.setting, control.type === 'checkbox' ? control.checked : control.value);
+      });
+    });
+    
+    // Globale Runner-Voreinstellung in den Einstellungen
+    const runnerDefaults = document.getElementById('runner-defaults');
+    if (runnerDefaults) {
+      runnerDefaults.innerHTML = this.createRunnerFieldsHtml('default-runner', false);
+      runnerDefaults.addEventListener('change', () => {
+        this.saveSetting('runner', this.readRunnerFields(runnerDefaults, 'default-runner'));
+      });
+    }
+    
     // "Spiel hinzufügen" Button
     const addGameBtn = document.getElementById('add-game-btn');
     if (addGameBtn) {
@@ -78,19 +746,43 @@ class DustApp {
     });
     
     // Klick außerhalb des Kontextmenüs schließt es
-    document.addEventListener('click', () => {
+    document.addEventListener('click', (e) => {
       const contextMenu = document.getElementById('context-menu');
       if (contextMenu) {
         contextMenu.remove();
       }
+      
+      // Tag-Auswahl bleibt bei Klicks innerhalb des Filters offen
+      const tagMenu = document.getElementById('tag-filter-menu');
+      if (tagMenu && !e.target.closest('#tag-filter')) {
+        tagMenu.hidden = true;
+      }
+      
+      const savedSearchesMenu = document.getElementById('saved-searches-menu');
+      if (savedSearchesMenu && !e.target.closest('#saved-searches-menu, #saved-searches-btn')) {
+        savedSearchesMenu.hidden = true;
+      }
     });
     
-    // Spiel starten beim Doppelklick auf ein Spiel
-    document.addEventListener('dblclick', (e) => {
+    // Klick auf eine Karte öffnet die Detailseite (Spielen/Beenden haben eigene Buttons)
+    document.addEventListener('click', (e) => {
       const gameCard = e.target.closest('.game-card');
-      if (gameCard) {
-        const directory = gameCard.dataset.directory;
-        this.launchGame(directory);
+      if (gameCard && !e.target.closest('.game-actions')) {
+        this.showGameDetail(gameCard.dataset.directory);
+      }
+    });
+    
+    // Tastatur auf einer fokussierten Karte: Enter startet, Menütaste öffnet das Kontextmenü
+    document.addEventListener('keydown', (e) => {
+      if (!e.target.classList || !e.target.classList.contains('game-card')) return;
+      
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.launchGame(e.target.dataset.directory);
+      } else if (e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey)) {
+        e.preventDefault();
+        const rect = e.target.getBoundingClientRect();
+        this.showGameContextMenu(e.target, rect.left + window.scrollX, rect.bottom + window.scrollY);
       }
     });
   }
@@ -108,17 +800,26 @@ class DustApp {
     document.querySelectorAll('.nav-button').forEach(btn => {
       btn.classList.remove('active');
     });
-    document.querySelector(`.nav-button[data-page="${pageName}"]`).classList.add('active');
+    // Die Detailseite gehört zur Bibliothek und hat keinen eigenen Navigationseintrag
+    const navPage = pageName === 'game-detail' ? 'library' : pageName;
+    document.querySelector(`.nav-button[data-page="${navPage}"]`).classList.add('active');
     
     // Inhalte aktualisieren basierend auf der Seite
     if (pageName === 'library') {
       this.loadGames();
+    } else if (pageName === 'statistics') {
+      this.loadStatistics();
+    } else if (pageName === 'settings') {
+      this.renderSettings();
+    } else if (pageName === 'game-detail') {
+      this.renderGameDetail();
+      document.getElementById('content').scrollTop = 0;
     }
   }
   
   // Ansicht zwischen Grid und Liste umschalten
   toggleView() {
-    const container = document.querySelector('.game-grid');
+    const container = document.querySelector('.game-grid, .game-list');
     const viewToggleBtn = document.getElementById('view-toggle');
     
     if (this.currentView === 'grid') {
@@ -135,13 +836,80 @@ class DustApp {
       viewToggleBtn.title = "Listen-Ansicht";
     }
     
-    this.renderGames(this.games);
+    this.applyFilters();
+  }
+  
+  // Gespeicherte Sortierung und Gruppierung der Bibliothek
+  getLibraryView() {
+    const library = (this.settings && this.settings.library) || {};
+    return {
+      sortKey: library.sortKey || 'title',
+      sortDirection: library.sortDirection || 'asc',
+      groupBy: library.groupBy || 'none'
+    };
+  }
+  
+  updateSortControls() {
+    const { sortKey, sortDirection, groupBy } = this.getLibraryView();
+    
+    const sortKeySelect = document.getElementById('sort-key');
+    if (sortKeySelect) {
+      sortKeySelect.value = sortKey;
+    }
+    
+    const groupBySelect = document.getElementById('group-by');
+    if (groupBySelect) {
+      groupBySelect.value = groupBy;
+    }
+    
+    const sortDirectionBtn = document.getElementById('sort-direction');
+    if (sortDirectionBtn) {
+      const ascending = sortDirection === 'asc';
+      sortDirectionBtn.innerHTML = `<i class="fas fa-sort-amount-${ascending ? 'up' : 'down'}"></i>`;
+      sortDirectionBtn.title = ascending ? 'Aufsteigend' : 'Absteigend';
+    }
+  }
+  
+  // Fehlende Installationsgrößen einmalig messen lassen (nur für die Sortierung nach Größe)
+  async measureGameSizes() {
+    // Jedes Spiel nur einmal pro Sitzung anfragen, auch wenn die Messung fehlschlägt
+    this.measuredGames = this.measuredGames || new Set();
+    const directories = this.games
+      .filter(game => game.installSize === undefined && game.available !== false && !game.invalid)
+      .map(game => game.directory)
+      .filter(directory => !this.measuredGames.has(directory));
+    if (this.measuringSizes || directories.length === 0) return;
+    
+    directories.forEach(directory => this.measuredGames.add(directory));
+    this.measuringSizes = true;
+    try {
+      const result = await window.dust.measureGameSizes(directories);
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      
+      this.games.forEach(game => {
+        if (result.sizes[game.directory] !== undefined) {
+          game.installSize = result.sizes[game.directory];
+        }
+      });
+      this.applyFilters();
+    } catch (error) {
+      console.error('Fehler beim Ermitteln der Spielgrößen:', error);
+      this.showNotification('Die Größe der Spiele konnte nicht ermittelt werden', 'error');
+    } finally {
+      this.measuringSizes = false;
+    }
   }
   
   // Spiele von IPC laden
   async loadGames() {
     try {
-      this.games = await ipcRenderer.invoke('scan-games');
+      this.games = await window.dust.scanGames();
+      this.libraryRoots = await window.dust.getLibraryRoots();
+      
+      // Bibliotheksordner für Filter übernehmen
+      this.updateRootFilter();
       
       // Genres für Filter extrahieren
       this.updateGenreFilter();
@@ -149,6 +917,10 @@ class DustApp {
       // Quellen für Filter extrahieren
       this.updateSourceFilter();
       
+      // Tags für Filter extrahieren
+      this.updateTagFilter();
+      this.renderCollectionList();
+      
       // Spiele rendern
       this.applyFilters();
     } catch (error) {
@@ -217,857 +989,3442 @@ class DustApp {
     sourceFilter.value = currentSelection;
   }
   
-  // Filter anwenden
-  applyFilters() {
-    let filteredGames = [...this.games];
-    
-    // Textsuche
-    if (this.filters.search) {
-      filteredGames = filteredGames.filter(game => 
-        game.title.toLowerCase().includes(this.filters.search) ||
-        (game.developer && game.developer.toLowerCase().includes(this.filters.search)) ||
-        (game.description && game.description.toLowerCase().includes(this.filters.search))
-      );
-    }
+  // Filter für Bibliotheksordner aktualisieren (nur sichtbar, wenn es mehrere gibt)
+  updateRootFilter() {
+    const rootFilter = document.getElementById('root-filter');
+    if (!rootFilter) return;
     
-    // Genre-Filter
-    if (this.filters.genre && this.filters.genre !== 'all') {
-      filteredGames = filteredGames.filter(game => 
-        game.genre === this.filters.genre
-      );
-    }
+    const currentSelection = rootFilter.value;
+    rootFilter.innerHTML = '<option value="all">Alle Bibliotheken</option>';
     
-    // Quellen-Filter
-    if (this.filters.source && this.filters.source !== 'all') {
-      filteredGames = filteredGames.filter(game => 
-        game.source === this.filters.source
-      );
-    }
+    this.libraryRoots.forEach(root => {
+      const option = document.createElement('option');
+      option.value = root.id;
+      option.textContent = root.online ? root.name : `${root.name} (nicht erreichbar)`;
+      rootFilter.appendChild(option);
+    });
     
-    this.renderGames(filteredGames);
+    rootFilter.hidden = this.libraryRoots.length < 2;
+    rootFilter.value = this.libraryRoots.some(root => root.id === currentSelection) ? currentSelection : 'all';
+    this.filters.root = rootFilter.value;
   }
   
-  // Spiele rendern
-  renderGames(gamesToRender) {
-    const container = document.querySelector(this.currentView === 'grid' ? '.game-grid' : '.game-list');
-    if (!container) return;
+  // Alle in der Bibliothek vergebenen Tags, alphabetisch
+  getAllTags() {
+    const tags = new Set();
+    this.games.forEach(game => (game.tags || []).forEach(tag => tags.add(tag)));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  }
+  
+  // Tag-Filter aktualisieren
+  updateTagFilter() {
+    const menu = document.getElementById('tag-filter-menu');
+    const label = document.querySelector('#tag-filter-btn span');
+    if (!menu || !label) return;
     
-    container.innerHTML = '';
+    const tags = this.getAllTags();
     
-    if (gamesToRender.length === 0) {
-      container.innerHTML = `
-        <div class="empty-library">
-          <i class="fas fa-ghost"></i>
-          <p>Keine Spiele gefunden</p>
-          <button id="empty-add-game" class="primary-button">
-            <i class="fas fa-plus"></i> Spiel hinzufügen
-          </button>
-        </div>
-      `;
-      
-      const emptyAddBtn = document.getElementById('empty-add-game');
-      if (emptyAddBtn) {
-        emptyAddBtn.addEventListener('click', () => this.showAddGameModal());
-      }
-      return;
-    }
+    // Nicht mehr vorhandene Tags aus der Auswahl entfernen
+    this.filters.tags = this.filters.tags.filter(tag => tags.includes(tag));
     
-    // Sortieren nach Titel
-    gamesToRender.sort((a, b) => a.title.localeCompare(b.title));
+    menu.innerHTML = '';
+    if (tags.length === 0) {
+      menu.innerHTML = '<p class="info-text">Noch keine Tags vergeben.</p>';
+    }
     
-    gamesToRender.forEach(game => {
-      const gameElement = this.createGameElement(game);
-      container.appendChild(gameElement);
+    tags.forEach(tag => {
+      const option = document.createElement('label');
+      option.className = 'tag-filter-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.filters.tags.includes(tag);
+      checkbox.addEventListener('change', () => {
+        this.filters.tags = checkbox.checked
+          ? [...this.filters.tags, tag]
+          : this.filters.tags.filter(entry => entry !== tag);
+        this.updateTagFilterLabel();
+        this.applyFilters();
+      });
+      option.append(checkbox, document.createTextNode(tag));
+      menu.appendChild(option);
     });
+    
+    if (tags.length > 0) {
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'secondary-button';
+      reset.textContent = 'Auswahl aufheben';
+      reset.addEventListener('click', () => {
+        this.filters.tags = [];
+        this.updateTagFilter();
+        this.applyFilters();
+      });
+      menu.appendChild(reset);
+    }
+    
+    this.updateTagFilterLabel();
   }
   
-  // Ein Spielelement erstellen
-  createGameElement(game) {
-    const element = document.createElement('div');
-    element.className = this.currentView === 'grid' ? 'game-card' : 'game-card list-view';
-    element.dataset.directory = game.directory;
+  updateTagFilterLabel() {
+    const label = document.querySelector('#tag-filter-btn span');
+    const count = this.filters.tags.length;
+    label.textContent = count === 0 ? 'Alle Tags' : count === 1 ? this.filters.tags[0] : `${count} Tags`;
+  }
+  
+  // Filter anwenden; gefiltert und sortiert wird im Hauptprozess über den Bibliotheksindex
+  async applyFilters() {
+    const request = ++this.filterRequest;
+    const { sortKey, sortDirection } = this.getLibraryView();
     
-    // Formatierung für das zuletzt gespielte Datum
-    let lastPlayedText = 'Noch nie gespielt';
-    if (game.lastPlayed) {
-      const lastPlayed = new Date(game.lastPlayed);
-      const now = new Date();
-      const diffDays = Math.floor((now - lastPlayed) / (1000 * 60 * 60 * 24));
+    try {
+      const result = await window.dust.queryGames({
+        search: this.filters.search,
+        genre: this.filters.genre,
+        source: this.filters.source,
+        root: this.filters.root,
+        tags: this.filters.tags,
+        collection: this.filters.collection,
+        sortKey,
+        sortDirection
+      });
       
-      if (diffDays === 0) {
-        lastPlayedText = 'Heute gespielt';
-      } else if (diffDays === 1) {
-        lastPlayedText = 'Gestern gespielt';
-      } else {
-        lastPlayedText = `Vor ${diffDays} Tagen gespielt`;
+      // Antworten auf überholte Anfragen (z.B. beim Tippen) verwerfen
+      if (request !== this.filterRequest) return;
+      if (!result.success) {
+        throw new Error(result.message);
       }
+      
+      this.updateSearchHint(result.errors);
+      const gamesByKey = new Map(this.games.map(game => [game.directory, game]));
+      this.renderGames(result.keys.map(key => gamesByKey.get(key)).filter(Boolean));
+    } catch (error) {
+      console.error('Fehler beim Filtern der Bibliothek:', error);
     }
+  }
+  
+  // Suchanfrage übernehmen
+  setSearch(query, updateInput = true) {
+    this.filters.search = query;
     
-    // Spielzeit formatieren
-    let playTimeText = 'Keine Spielzeit';
-    if (game.playTime && game.playTime > 0) {
-      if (game.playTime < 60) {
-        playTimeText = `${game.playTime} Minuten`;
-      } else {
-        const hours = Math.floor(game.playTime / 60);
-        const minutes = game.playTime % 60;
-        playTimeText = `${hours} Std. ${minutes} Min.`;
-      }
+    const searchInput = document.querySelector('.search-bar');
+    if (searchInput && updateInput) {
+      searchInput.value = query;
     }
     
-    // Platzhalterbild verwenden, wenn kein Cover vorhanden ist
-    const coverImage = game.coverImage && game.coverImage.trim() !== '' 
-      ? game.coverImage 
-      : 'assets/placeholder.png';
+    this.renderPinnedSearches();
+    this.applyFilters();
+  }
+  
+  // Fehler in der Suchanfrage unter dem Suchfeld anzeigen
+  updateSearchHint(errors = []) {
+    const searchInput = document.querySelector('.search-bar');
+    if (searchInput) {
+      searchInput.classList.toggle('invalid', errors.length > 0);
+    }
     
-    element.innerHTML = `
-      <div class="game-image" style="background-image: url('${coverImage}')">
-        <div class="game-actions">
-          <button class="play-btn" title="Spielen" data-directory="${game.directory}">
-            <i class="fas fa-play"></i>
-          </button>
-        </div>
-      </div>
-      <div class="game-info">
-        <h3 class="game-title">${game.title}</h3>
-        <div class="game-details">
-          <span class="game-developer">${game.developer || 'Unbekannter Entwickler'}</span>
-          <span class="game-genre">${game.genre || 'Sonstiges'}</span>
+    const hint = document.getElementById('search-hint');
+    if (hint) {
+      hint.textContent = errors.join(' · ');
+      hint.hidden = errors.length === 0;
+    }
+  }
+  
+  getSavedSearches() {
+    return (this.settings && this.settings.search && this.settings.search.saved) || [];
+  }
+  
+  renderSavedSearches() {
+    this.renderSavedSearchMenu();
+    this.renderPinnedSearches();
+  }
+  
+  // Menü der gespeicherten Suchen (Anwenden, Anheften, Löschen)
+  renderSavedSearchMenu() {
+    const menu = document.getElementById('saved-searches-menu');
+    if (!menu) return;
+    
+    const searches = this.getSavedSearches();
+    menu.innerHTML = '';
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.className = 'secondary-button';
+    saveButton.innerHTML = '<i class="fas fa-plus"></i> Aktuelle Suche speichern…';
+    saveButton.disabled = !this.filters.search.trim();
+    saveButton.addEventListener('click', () => {
+      menu.hidden = true;
+      this.showSaveSearchModal();
+    });
+    menu.appendChild(saveButton);
+    
+    if (searches.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'info-text';
+      empty.textContent = 'Noch keine Suchen gespeichert.';
+      menu.appendChild(empty);
+    }
+    
+    searches.forEach(search => {
+      const item = document.createElement('div');
+      item.className = 'saved-search-item';
+      item.title = search.query;
+      item.innerHTML = `
+        <span class="saved-search-name"></span>
+        <button type="button" class="icon-button pin-btn" title="${search.pinned ? 'Lösen' : 'Anheften'}">
+          <i class="fas fa-thumbtack"></i>
+        </button>
+        <button type="button" class="icon-button delete-btn" title="Löschen">
+          <i class="fas fa-trash"></i>
+        </button>
+      `;
+      item.querySelector('.saved-search-name').textContent = search.name;
+      item.querySelector('.pin-btn').classList.toggle('active', search.pinned);
+      
+      item.addEventListener('click', () => {
+        menu.hidden = true;
+        this.setSearch(search.query);
+      });
+      item.querySelector('.pin-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.saveSetting('search.saved', searches.map(entry =>
+          entry.id === search.id ? { ...entry, pinned: !entry.pinned } : entry
+        ));
+      });
+      item.querySelector('.delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.saveSetting('search.saved', searches.filter(entry => entry.id !== search.id));
+      });
+      
+      menu.appendChild(item);
+    });
+  }
+  
+  // Angeheftete Suchen als Schnellauswahl über dem Raster
+  renderPinnedSearches() {
+    const container = document.getElementById('pinned-searches');
+    if (!container) return;
+    
+    const pinned = this.getSavedSearches().filter(search => search.pinned);
+    container.innerHTML = '';
+    container.hidden = pinned.length === 0;
+    
+    pinned.forEach(search => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'pinned-search';
+      chip.title = search.query;
+      chip.textContent = search.name;
+      chip.classList.toggle('active', this.filters.search.trim() === search.query);
+      chip.addEventListener('click', () => {
+        this.setSearch(this.filters.search.trim() === search.query ? '' : search.query);
+      });
+      container.appendChild(chip);
+    });
+  }
+  
+  // Aktuelle Suche unter einem Namen speichern
+  showSaveSearchModal() {
+    const query = this.filters.search.trim();
+    if (!query) return;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'save-search-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content confirm-modal">
+        <div class="modal-header">
+          <h2>Suche speichern</h2>
+          <button class="close-modal">&times;</button>
         </div>
-        <div class="game-meta">
-          <span class="game-last-played" title="${lastPlayedText}">
-            <i class="fas fa-clock"></i> ${lastPlayedText}
-          </span>
-          <span class="game-playtime" title="${playTimeText}">
-            <i class="fas fa-hourglass-half"></i> ${playTimeText}
-          </span>
+        <div class="modal-body">
+          <form id="save-search-form">
+            <div class="form-group">
+              <label for="saved-search-name">Name</label>
+              <input type="text" id="saved-search-name" maxlength="100" required>
+            </div>
+            <p class="info-text saved-search-query"></p>
+            <div class="form-group checkbox-group">
+              <label><input type="checkbox" id="saved-search-pinned"> Über der Bibliothek anheften</label>
+            </div>
+            <div class="form-actions">
+              <button type="button" class="secondary-button cancel-btn">Abbrechen</button>
+              <button type="submit" class="primary-button">Speichern</button>
+            </div>
+          </form>
         </div>
       </div>
     `;
     
-    // Event-Listener für den Play-Button
-    const playBtn = element.querySelector('.play-btn');
-    if (playBtn) {
-      playBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.launchGame(game.directory);
-      });
-    }
+    document.body.appendChild(modal);
     
-    return element;
+    const nameInput = modal.querySelector('#saved-search-name');
+    nameInput.value = query;
+    nameInput.select();
+    modal.querySelector('.saved-search-query').textContent = query;
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cancel-btn').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+    
+    modal.querySelector('#save-search-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = nameInput.value.trim();
+      if (!name) return;
+      
+      this.saveSetting('search.saved', [
+        ...this.getSavedSearches(),
+        {
+          id: `search-${Date.now().toString(36)}`,
+          name,
+          query,
+          pinned: modal.querySelector('#saved-search-pinned').checked
+        }
+      ]);
+      this.showNotification(`Suche "${name}" gespeichert`, 'success');
+      modal.remove();
+    });
   }
   
-  // Spiel starten
-  async launchGame(directory) {
-    try {
-      const result = await ipcRenderer.invoke('launch-game', directory);
-      
-      if (result.success) {
-        this.showNotification(result.message, 'success');
-      } else {
-        this.showNotification(result.message, 'error');
-      }
-    } catch (error) {
-      console.error('Fehler beim Starten des Spiels:', error);
-      this.showNotification('Fehler beim Starten des Spiels', 'error');
+  // Sammlungen in der Seitenleiste anzeigen
+  renderCollectionList() {
+    const list = document.getElementById('collection-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    if (this.collections.length === 0) {
+      list.innerHTML = '<p class="collection-empty">Noch keine Sammlungen</p>';
+      return;
     }
+    
+    this.collections.forEach(collection => {
+      const item = document.createElement('button');
+      item.className = 'collection-item';
+      item.classList.toggle('active', this.filters.collection === collection.id);
+      item.title = collection.type === 'smart' ? 'Intelligente Sammlung' : 'Sammlung';
+      item.innerHTML = `
+        <i class="fas ${collection.type === 'smart' ? 'fa-magic' : 'fa-folder'}"></i>
+        <span class="collection-name"></span>
+        <span class="collection-count"></span>
+      `;
+      item.querySelector('.collection-name').textContent = collection.name;
+      // Gezählt wird im Hauptprozess mit denselben Regeln wie beim Filtern
+      const count = item.querySelector('.collection-count');
+      window.dust.queryGames({ collection: collection.id }).then(result => {
+        if (result.success) {
+          count.textContent = result.keys.length;
+        }
+      });
+      
+      item.addEventListener('click', () => this.selectCollection(collection.id));
+      item.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        this.showCollectionContextMenu(collection, e.pageX, e.pageY);
+      });
+      list.appendChild(item);
+    });
   }
   
-  // Kontextmenü für ein Spiel anzeigen
-  showGameContextMenu(gameCard, x, y) {
-    const directory = gameCard.dataset.directory;
-    const gameInfo = this.games.find(game => game.directory === directory);
-    
-    if (!gameInfo) return;
+  // Sammlung in der Bibliothek anzeigen; erneuter Klick zeigt wieder alle Spiele
+  selectCollection(collectionId) {
+    this.filters.collection = this.filters.collection === collectionId ? null : collectionId;
+    this.renderCollectionList();
     
-    // Altes Kontextmenü entfernen, falls vorhanden
-    const oldMenu = document.getElementById('context-menu');
-    if (oldMenu) {
-      oldMenu.remove();
+    if (this.currentPage !== 'library') {
+      this.changePage('library');
+    } else {
+      this.applyFilters();
+    }
+  }
+  
+  // Kontextmenü einer Sammlung
+  showCollectionContextMenu(collection, x, y) {
+    const existingMenu = document.getElementById('context-menu');
+    if (existingMenu) {
+      existingMenu.remove();
     }
     
-    // Neues Kontextmenü erstellen
     const menu = document.createElement('div');
     menu.id = 'context-menu';
     menu.style.left = `${x}px`;
     menu.style.top = `${y}px`;
-    
     menu.innerHTML = `
-      <div class="menu-item" id="ctx-play"><i class="fas fa-play"></i> Spielen</div>
-      <div class="menu-item" id="ctx-edit"><i class="fas fa-edit"></i> Bearbeiten</div>
-      <div class="menu-item" id="ctx-folder"><i class="fas fa-folder-open"></i> Ordner öffnen</div>
-      <div class="menu-item danger" id="ctx-delete"><i class="fas fa-trash"></i> Entfernen</div>
+      <div class="menu-item" id="ctx-collection-edit"><i class="fas fa-edit"></i> Bearbeiten</div>
+      <div class="menu-item danger" id="ctx-collection-delete"><i class="fas fa-trash"></i> Löschen</div>
     `;
-    
     document.body.appendChild(menu);
     
-    // Event-Listener für Menüaktionen
-    document.getElementById('ctx-play').addEventListener('click', () => {
-      this.launchGame(directory);
-      menu.remove();
-    });
-    
-    document.getElementById('ctx-edit').addEventListener('click', () => {
-      this.showEditGameModal(gameInfo);
-      menu.remove();
-    });
-    
-    document.getElementById('ctx-folder').addEventListener('click', () => {
-      // Ordner im Datei-Explorer öffnen
-      if (gameInfo.executablePath) {
-        const { shell } = require('electron');
-        shell.openPath(gameInfo.executablePath);
-      } else {
-        this.showNotification('Pfad nicht gefunden', 'error');
-      }
+    document.getElementById('ctx-collection-edit').addEventListener('click', () => {
+      this.showCollectionEditor(collection);
       menu.remove();
     });
-    
-    document.getElementById('ctx-delete').addEventListener('click', () => {
-      this.confirmDeleteGame(directory, gameInfo.title);
+    document.getElementById('ctx-collection-delete').addEventListener('click', () => {
+      this.confirmDeleteCollection(collection);
       menu.remove();
     });
   }
   
-// "Spiel hinzufügen" Modal anzeigen
-showAddGameModal() {
-  const modal = document.createElement('div');
-  modal.className = 'modal';
-  modal.id = 'add-game-modal';
+  // Spiel einer statischen Sammlung hinzufügen oder daraus entfernen
+  async toggleGameInCollection(collection, directory) {
+    try {
+      const result = collection.games.includes(directory)
+        ? await window.dust.removeFromCollection(collection.id, [directory])
+        : await window.dust.addToCollection(collection.id, [directory]);
+      
+      this.showNotification(result.message, result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('Fehler beim Ändern der Sammlung:', error);
+      this.showNotification('Fehler beim Ändern der Sammlung', 'error');
+    }
+  }
   
-  modal.innerHTML = `
-    <div class="modal-content">
-      <div class="modal-header">
-        <h2>Spiel hinzufügen</h2>
-        <button class="close-modal">&times;</button>
-      </div>
-      <div class="modal-body">
-        <div class="add-game-step" id="step-platform">
-          <h3>Schritt 1: Plattform auswählen</h3>
-          <div class="platform-selection">
-            <div class="platform-card" data-platform="steam">
-              <img src="assets/platforms/steam.png" alt="Steam" class="platform-icon">
-              <span>Steam</span>
+  // Sammlung anlegen oder bearbeiten; initialGames werden einer neuen statischen Sammlung zugeordnet
+  showCollectionEditor(collection = null, initialGames = []) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'collection-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>${collection ? 'Sammlung bearbeiten' : 'Neue Sammlung'}</h2>
+          <button class="close-modal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <form id="collection-form">
+            <div class="form-group">
+              <label for="collection-name">Name</label>
+              <input type="text" id="collection-name" required>
             </div>
-            <div class="platform-card" data-platform="itchio">
-              <img src="assets/platforms/itchio.png" alt="Itch.io" class="platform-icon">
-              <span>Itch.io</span>
+            <div class="form-group">
+              <label for="collection-type">Art</label>
+              <select id="collection-type">
+                <option value="static">Spiele selbst zuordnen</option>
+                <option value="smart">Intelligent (nach Regeln)</option>
+              </select>
             </div>
-            <div class="platform-card" data-platform="dlsite">
-              <img src="assets/platforms/dlsite.png" alt="DLSite" class="platform-icon">
-              <span>DLSite</span>
+            <div class="form-group full-width" id="collection-rules-section">
+              <label for="collection-match">Regeln</label>
+              <select id="collection-match">
+                <option value="all">Alle Regeln müssen zutreffen</option>
+                <option value="any">Mindestens eine Regel muss zutreffen</option>
+              </select>
+              <div class="collection-rules"></div>
+              <button type="button" class="secondary-button" id="add-rule-btn">
+                <i class="fas fa-plus"></i> Regel hinzufügen
+              </button>
+              <p class="info-text" id="collection-match-count"></p>
             </div>
-            <div class="platform-card" data-platform="other">
-              <img src="assets/platforms/other.png" alt="Other" class="platform-icon">
-              <span>Andere</span>
+            <div class="form-actions">
+              <button type="button" class="secondary-button cancel-btn">Abbrechen</button>
+              <button type="submit" class="primary-button">Speichern</button>
             </div>
-          </div>
-        </div>
-        
-        <div class="add-game-step" id="step-import-type" style="display: none;">
-          <h3>Schritt 2: Importmethode wählen</h3>
-          <div class="import-type-selection">
-            <button class="import-type-btn" data-type="single">
-              <i class="fas fa-gamepad"></i>
-              <span>Einzelnes Spiel</span>
-            </button>
-            <button class="import-type-btn" data-type="folder">
-              <i class="fas fa-folder"></i>
-              <span>Kompletter Ordner</span>
-            </button>
-          </div>
-          <button class="secondary-button back-btn">Zurück</button>
-        </div>
-        
-        <div class="add-game-step" id="step-steam-id" style="display: none;">
-          <h3>Steam App-ID eingeben</h3>
-          <div class="form-group">
-            <label for="steam-app-id">Steam App-ID:</label>
-            <input type="text" id="steam-app-id" placeholder="z.B. 730 für CS:GO">
-            <p class="help-text">
-              Die Steam App-ID findest du in der URL eines Spiels auf Steam oder mit SteamDB.
-              <a href="https://steamdb.info/" target="_blank">SteamDB öffnen</a>
-            </p>
-          </div>
-          <div class="form-actions">
-            <button class="secondary-button back-btn">Zurück</button>
-            <button class="primary-button confirm-steam-id">Suchen</button>
-          </div>
+          </form>
         </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const form = modal.querySelector('#collection-form');
+    const typeSelect = modal.querySelector('#collection-type');
+    const matchSelect = modal.querySelector('#collection-match');
+    const rulesSection = modal.querySelector('#collection-rules-section');
+    const rulesList = modal.querySelector('.collection-rules');
+    
+    form.querySelector('#collection-name').value = collection ? collection.name : '';
+    typeSelect.value = collection ? collection.type : 'static';
+    // Die Art bleibt fest, damit keine Zuordnungen verloren gehen
+    typeSelect.disabled = !!collection;
+    matchSelect.value = collection && collection.match ? collection.match : 'all';
+    
+    const readRules = () => [...rulesList.querySelectorAll('.collection-rule')].map(row => ({
+      field: row.querySelector('.rule-field').value,
+      operator: row.querySelector('.rule-operator').value,
+      value: row.querySelector('.rule-value').value
+    }));
+    
+    // Anzahl passender Spiele als Vorschau; der Hauptprozess prüft die ungespeicherten Regeln
+    let matchCountRequest = 0;
+    const updateMatchCount = async () => {
+      const request = ++matchCountRequest;
+      const rules = readRules().filter(rule => rule.operator === 'never' || rule.value.trim() !== '');
+      const result = rules.length === 0
+        ? { success: true, keys: [] }
+        : await window.dust.queryGames({ collection: { type: 'smart', match: matchSelect.value, rules } });
+      
+      // Antworten auf überholte Anfragen verwerfen
+      if (request !== matchCountRequest) return;
+      modal.querySelector('#collection-match-count').textContent = result.success
+        ? `${result.keys.length} Spiele entsprechen den Regeln`
+        : result.message;
+    };
+    
+    const updateType = () => {
+      rulesSection.hidden = typeSelect.value !== 'smart';
+      if (typeSelect.value === 'smart' && rulesList.children.length === 0) {
+        rulesList.appendChild(this.createCollectionRuleRow({ field: 'tag', operator: 'has', value: '' }, updateMatchCount));
+      }
+      updateMatchCount();
+    };
+    
+    (collection && collection.rules ? collection.rules : []).forEach(rule => {
+      rulesList.appendChild(this.createCollectionRuleRow(rule, updateMatchCount));
+    });
+    updateType();
+    
+    typeSelect.addEventListener('change', updateType);
+    matchSelect.addEventListener('change', updateMatchCount);
+    modal.querySelector('#add-rule-btn').addEventListener('click', () => {
+      rulesList.appendChild(this.createCollectionRuleRow({ field: 'title', operator: 'contains', value: '' }, updateMatchCount));
+    });
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cancel-btn').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const data = {
+        id: collection ? collection.id : '',
+        name: form.querySelector('#collection-name').value,
+        type: typeSelect.value
+      };
+      if (data.type === 'smart') {
+        data.match = matchSelect.value;
+        data.rules = readRules();
+      } else if (!collection) {
+        data.games = initialGames;
+      }
+      
+      try {
+        const result = await window.dust.saveCollection(data);
         
-        <div class="add-game-step" id="step-dlsite-id" style="display: none;">
-          <h3>DLSite Produkt-ID eingeben</h3>
-          <div class="form-group">
-            <label for="dlsite-id">DLSite ID (RJ/RE-Nummer):</label>
-            <input type="text" id="dlsite-id" placeholder="z.B. RJ01347095">
-            <p class="help-text">
-              Die RJ/RE-Nummer findest du in der URL eines Produkts auf DLSite.
-              Format: RJxxxxxxxx für japanische oder RExxxxxxxx für englische Titel.
-            </p>
-          </div>
-          <div class="form-group">
-            <label for="dlsite-category">DLSite Kategorie:</label>
-            <select id="dlsite-category">
-              <option value="maniax" selected>Maniax</option>
-              <!-- Weitere Kategorien können später hinzugefügt werden -->
-            </select>
-          </div>
-          <div class="form-actions">
-            <button class="secondary-button back-btn">Zurück</button>
-            <button class="primary-button confirm-dlsite-id">Suchen</button>
-          </div>
+        if (result.success) {
+          this.showNotification(result.message, 'success');
+          modal.remove();
+        } else {
+          this.showNotification(result.message, 'error');
+        }
+      } catch (error) {
+        console.error('Fehler beim Speichern der Sammlung:', error);
+        this.showNotification('Fehler beim Speichern der Sammlung', 'error');
+      }
+    });
+  }
+  
+  // Zeile für eine Regel einer intelligenten Sammlung
+  createCollectionRuleRow(rule, onChange) {
+    const row = document.createElement('div');
+    row.className = 'collection-rule';
+    row.innerHTML = `
+      <select class="rule-field">
+        ${Object.entries(COLLECTION_RULE_FIELDS).map(([field, { label }]) => `<option value="${field}">${label}</option>`).join('')}
+      </select>
+      <select class="rule-operator"></select>
+      <input type="text" class="rule-value">
+      <datalist></datalist>
+      <button type="button" class="icon-button small remove-rule-btn" title="Regel entfernen">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+    
+    const fieldSelect = row.querySelector('.rule-field');
+    const operatorSelect = row.querySelector('.rule-operator');
+    const valueInput = row.querySelector('.rule-value');
+    const suggestions = row.querySelector('datalist');
+    suggestions.id = `rule-values-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    valueInput.setAttribute('list', suggestions.id);
+    
+    // Vorschläge aus der Bibliothek für Textfelder
+    const suggestionsFor = (field) => {
+      if (field === 'tag') return this.getAllTags();
+      if (COLLECTION_RULE_FIELDS[field].numeric) return [];
+      return [...new Set(this.games.map(game => game[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    };
+    
+    const updateOperators = (operator) => {
+      const definition = COLLECTION_RULE_FIELDS[fieldSelect.value];
+      operatorSelect.innerHTML = '';
+      definition.operators.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry;
+        option.textContent = COLLECTION_RULE_OPERATORS[entry];
+        operatorSelect.appendChild(option);
+      });
+      operatorSelect.value = definition.operators.includes(operator) ? operator : definition.operators[0];
+      valueInput.type = definition.numeric ? 'number' : 'text';
+      valueInput.min = definition.numeric ? '0' : '';
+      
+      suggestions.innerHTML = '';
+      suggestionsFor(fieldSelect.value).forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        suggestions.appendChild(option);
+      });
+    };
+    
+    const updateValue = () => {
+      valueInput.hidden = operatorSelect.value === 'never';
+    };
+    
+    fieldSelect.value = rule.field;
+    updateOperators(rule.operator);
+    valueInput.value = rule.value ?? '';
+    updateValue();
+    
+    fieldSelect.addEventListener('change', () => {
+      valueInput.value = '';
+      updateOperators(operatorSelect.value);
+      updateValue();
+      onChange();
+    });
+    operatorSelect.addEventListener('change', () => {
+      updateValue();
+      onChange();
+    });
+    valueInput.addEventListener('input', onChange);
+    row.querySelector('.remove-rule-btn').addEventListener('click', () => {
+      row.remove();
+      onChange();
+    });
+    
+    return row;
+  }
+  
+  // Bestätigung zum Löschen einer Sammlung anzeigen
+  confirmDeleteCollection(collection) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'confirm-delete-collection-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content confirm-modal">
+        <div class="modal-header">
+          <h2>Sammlung löschen</h2>
+          <button class="close-modal">&times;</button>
         </div>
-        
-        <div class="add-game-step" id="step-itchio-url" style="display: none;">
-          <h3>Itch.io URL eingeben</h3>
-          <div class="form-group">
-            <label for="itchio-url">Itch.io Spiel-URL:</label>
-            <input type="text" id="itchio-url" placeholder="z.B. https://developer.itch.io/game">
-            <p class="help-text">
-              Gib die vollständige URL zur Spielseite auf Itch.io ein.
-            </p>
-          </div>
+        <div class="modal-body">
+          <p>Möchten Sie die Sammlung "${escapeHtml(collection.name)}" wirklich löschen?</p>
+          <p class="info-text">Die Spiele bleiben in Ihrer Bibliothek erhalten.</p>
           <div class="form-actions">
-            <button class="secondary-button back-btn">Zurück</button>
-            <button class="primary-button confirm-itchio-url">Suchen</button>
+            <button class="danger-button confirm-btn">Löschen</button>
+            <button class="secondary-button cancel-btn">Abbrechen</button>
           </div>
         </div>
-        
-        <div class="add-game-step" id="step-select-folder" style="display: none;">
-          <h3>Spielordner auswählen</h3>
-          <p>
-            Wähle den Ordner aus, in dem sich das Spiel befindet. 
-            <span class="platform-specific-text" id="folder-help-text"></span>
-          </p>
-          <div class="form-actions">
-            <button class="secondary-button back-btn">Zurück</button>
-            <button class="primary-button select-folder-btn">Ordner auswählen</button>
-          </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cancel-btn').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+    
+    modal.querySelector('.confirm-btn').addEventListener('click', async () => {
+      try {
+        const result = await window.dust.deleteCollection(collection.id);
+        this.showNotification(result.message, result.success ? 'success' : 'error');
+      } catch (error) {
+        console.error('Fehler beim Löschen der Sammlung:', error);
+        this.showNotification('Fehler beim Löschen der Sammlung', 'error');
+      } finally {
+        modal.remove();
+      }
+    });
+  }
+  
+  // Tag-Eingabe mit Vorschlägen; Enter oder Komma übernimmt den eingegebenen Tag
+  createTagEditor(container, initialTags = []) {
+    let tags = [];
+    
+    container.innerHTML = `
+      <div class="tag-chips"></div>
+      <input type="text" class="tag-input" placeholder="Tag hinzufügen…">
+      <datalist></datalist>
+    `;
+    const chips = container.querySelector('.tag-chips');
+    const input = container.querySelector('.tag-input');
+    const suggestions = container.querySelector('datalist');
+    suggestions.id = `${container.id}-suggestions`;
+    input.setAttribute('list', suggestions.id);
+    
+    this.getAllTags().forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      suggestions.appendChild(option);
+    });
+    
+    const render = () => {
+      chips.innerHTML = '';
+      tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = tag;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'tag-remove';
+        remove.title = 'Tag entfernen';
+        remove.innerHTML = '&times;';
+        remove.addEventListener('click', () => {
+          tags = tags.filter(entry => entry !== tag);
+          render();
+        });
+        chip.appendChild(remove);
+        chips.appendChild(chip);
+      });
+    };
+    
+    // Tags ohne Rücksicht auf Groß-/Kleinschreibung nur einmal übernehmen
+    const addTags = (text) => {
+      String(text || '').split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+        if (!tags.some(entry => entry.toLowerCase() === tag.toLowerCase())) {
+          tags.push(tag);
+        }
+      });
+      render();
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addTags(input.value);
+        input.value = '';
+      } else if (e.key === 'Backspace' && input.value === '' && tags.length > 0) {
+        tags.pop();
+        render();
+      }
+    });
+    input.addEventListener('change', () => {
+      addTags(input.value);
+      input.value = '';
+    });
+    
+    addTags((initialTags || []).join(','));
+    
+    return {
+      // Noch nicht bestätigte Eingaben werden mit übernommen
+      getTags() {
+        addTags(input.value);
+        input.value = '';
+        return [...tags];
+      },
+      setTags(newTags) {
+        tags = [];
+        addTags((newTags || []).join(','));
+      }
+    };
+  }
+  
+  // Spiele rendern; es werden nur die sichtbaren Karten aufgebaut
+  renderGames(gamesToRender) {
+    const container = document.querySelector('.game-grid, .game-list');
+    if (!container) return;
+    
+    if (!this.gameList) {
+      this.gameList = new VirtualGameList({
+        container,
+        scrollElement: document.getElementById('content'),
+        renderItem: (element, game) => this.renderGameElement(element || document.createElement('div'), game),
+        renderHeader: (element, group) => this.renderGroupHeader(element || document.createElement('div'), group)
+      });
+    }
+    
+    let emptyState = container.querySelector('.empty-library');
+    if (gamesToRender.length === 0) {
+      if (!emptyState) {
+        emptyState = document.createElement('div');
+        emptyState.className = 'empty-library';
+        emptyState.innerHTML = `
+          <i class="fas fa-ghost"></i>
+          <p>Keine Spiele gefunden</p>
+          <button class="primary-button">
+            <i class="fas fa-plus"></i> Spiel hinzufügen
+          </button>
+        `;
+        emptyState.querySelector('button').addEventListener('click', () => this.showAddGameModal());
+        container.appendChild(emptyState);
+      }
+      this.gameList.setGroups([]);
+      return;
+    }
+    if (emptyState) {
+      emptyState.remove();
+    }
+    
+    const { sortKey, groupBy } = this.getLibraryView();
+    if (sortKey === 'size') {
+      this.measureGameSizes();
+    }
+    
+    // Die Spiele kommen bereits sortiert aus dem Hauptprozess
+    this.gameList.setGroups(window.DustSorting.groupGames(gamesToRender, groupBy), { headers: groupBy !== 'none' });
+  }
+  
+  // Überschrift einer Gruppe (Quelle, Genre, ...) füllen
+  renderGroupHeader(element, group) {
+    element.className = 'game-group-header';
+    element.innerHTML = '<span class="game-group-name"></span><span class="game-group-count"></span>';
+    element.querySelector('.game-group-name').textContent = group.label;
+    element.querySelector('.game-group-count').textContent = group.games.length;
+    return element;
+  }
+  
+  // Eine einzelne Spielkarte neu aufbauen, ohne die ganze Liste zu rendern
+  updateGameCard(directory) {
+    const game = this.games.find(entry => entry.directory === directory);
+    if (game && this.gameList) {
+      this.gameList.updateItem(directory, game);
+    }
+    if (this.currentPage === 'game-detail' && this.detailGame === directory) {
+      this.renderGameDetail();
+    }
+  }
+  
+  // Spielelement füllen (neu angelegt oder aus der virtuellen Liste wiederverwendet)
+  renderGameElement(element, game) {
+    const previousImage = element.querySelector('.game-image');
+    if (previousImage) {
+      this.coverObserver.unobserve(previousImage);
+    }
+    
+    const isRunning = this.runningGames.has(game.directory);
+    const isUnavailable = game.available === false;
+    const isBroken = !isUnavailable && game.executableMissing;
+    const isInvalid = !!game.invalid;
+    element.className = this.currentView === 'grid' ? 'game-card' : 'game-card list-view';
+    element.classList.toggle('running', isRunning);
+    element.classList.toggle('unavailable', isUnavailable);
+    element.classList.toggle('broken', isBroken);
+    element.classList.toggle('invalid', isInvalid);
+    element.dataset.directory = game.directory;
+    
+    // Formatierung für das zuletzt gespielte Datum
+    let lastPlayedText = 'Noch nie gespielt';
+    if (game.lastPlayed) {
+      const lastPlayed = new Date(game.lastPlayed);
+      const now = new Date();
+      const diffDays = Math.floor((now - lastPlayed) / (1000 * 60 * 60 * 24));
+      
+      if (diffDays === 0) {
+        lastPlayedText = 'Heute gespielt';
+      } else if (diffDays === 1) {
+        lastPlayedText = 'Gestern gespielt';
+      } else {
+        lastPlayedText = `Vor ${diffDays} Tagen gespielt`;
+      }
+    }
+    
+    // Spielzeit formatieren
+    const playTimeText = this.formatPlayTime(game.playTime);
+    
+    // Vorschaubild aus dem Cache; der Platzhalter liegt darunter und bleibt sichtbar,
+    // wenn kein Cover vorhanden ist oder es nicht geladen werden kann
+    const coverImage = game.coverImage && game.coverImage.trim() !== '' && !isUnavailable
+      ? `url("${CSS.escape(gameAssetUrl(game, 'cover', { thumbnail: true }))}"), url("assets/placeholder.png")`
+      : 'url("assets/placeholder.png")';
+    
+    element.innerHTML = `
+      <div class="game-image">
+        ${isRunning ? '<span class="running-badge"><i class="fas fa-circle"></i> Läuft</span>' : ''}
+        ${isUnavailable ? '<span class="unavailable-badge" title="Der Bibliotheksordner dieses Spiels ist nicht erreichbar"><i class="fas fa-unlink"></i> Nicht verfügbar</span>' : ''}
+        ${isBroken ? '<span class="unavailable-badge" title="Die ausführbare Datei wurde nicht gefunden"><i class="fas fa-exclamation-triangle"></i> Datei fehlt</span>' : ''}
+        ${isInvalid ? '<span class="unavailable-badge" title="Die dustgrain-Datei ist fehlerhaft (Rechtsklick für Details)"><i class="fas fa-file-excel"></i> Fehlerhaft</span>' : ''}
+        <div class="game-actions">
+          ${isRunning ? `
+          <button class="stop-btn" title="Beenden" data-directory="${escapeHtml(game.directory)}">
+            <i class="fas fa-stop"></i>
+          </button>` : `
+          <button class="play-btn" title="Spielen" data-directory="${escapeHtml(game.directory)}">
+            <i class="fas fa-play"></i>
+          </button>`}
+        </div>
+      </div>
+      <div class="game-info">
+        <h3 class="game-title">${escapeHtml(game.title)}</h3>
+        <div class="game-details">
+          <span class="game-developer">${escapeHtml(game.developer || 'Unbekannter Entwickler')}</span>
+          <span class="game-genre">${escapeHtml(game.genre || 'Sonstiges')}</span>
+        </div>
+        <div class="game-meta">
+          <span class="game-last-played" title="${lastPlayedText}">
+            <i class="fas fa-clock"></i> ${lastPlayedText}
+          </span>
+          <span class="game-playtime" title="${playTimeText}">
+            <i class="fas fa-hourglass-half"></i> ${playTimeText}
+          </span>
+        </div>
+      </div>
+    `;
+    // Cover wird erst geladen, wenn die Karte sichtbar wird
+    const image = element.querySelector('.game-image');
+    image.style.backgroundImage = 'url("assets/placeholder.png")';
+    image.dataset.cover = coverImage;
+    this.coverObserver.observe(image);
+    
+    // Event-Listener für den Play-Button
+    const playBtn = element.querySelector('.play-btn');
+    if (playBtn) {
+      playBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.launchGame(game.directory);
+      });
+    }
+    
+    // Event-Listener für den Stop-Button
+    const stopBtn = element.querySelector('.stop-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.stopGame(game.directory);
+      });
+    }
+    
+    return element;
+  }
+  
+  // Fehler einer ungültigen dustgrain-Datei anzeigen
+  showDustgrainErrors(gameInfo) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'dustgrain-errors-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content confirm-modal">
+        <div class="modal-header">
+          <h2>Fehlerhafte dustgrain-Datei</h2>
+          <button class="close-modal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="dustgrain-error-file"></p>
+          <ul class="dustgrain-error-list"></ul>
+          <p class="info-text">Korrigieren Sie die Datei in einem Texteditor; Dust lädt sie danach automatisch neu.</p>
+        </div>
+      </div>
+    `;
+    
+    modal.querySelector('.dustgrain-error-file').textContent = `${gameInfo.directory}/dustgrain.json`;
+    const list = modal.querySelector('.dustgrain-error-list');
+    const errors = gameInfo.errors && gameInfo.errors.length > 0
+      ? gameInfo.errors.map(entry => `${entry.field} ${entry.message}`)
+      : [gameInfo.error];
+    errors.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    
+    document.body.appendChild(modal);
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.remove();
+    });
+    
+    // Klick außerhalb des Modals schließt es
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+  }
+  
+  // Detailseite eines Spiels öffnen
+  showGameDetail(directory) {
+    const game = this.games.find(entry => entry.directory === directory);
+    if (!game) return;
+    
+    // Fehlerhafte dustgrain-Dateien haben keine Angaben, die sich anzeigen ließen
+    if (game.invalid) {
+      this.showDustgrainErrors(game);
+      return;
+    }
+    
+    this.detailGame = directory;
+    this.changePage('game-detail');
+  }
+  
+  // Detailseite für this.detailGame aufbauen (auch nach Änderungen am Spiel)
+  renderGameDetail() {
+    const page = document.getElementById('game-detail');
+    const game = this.games.find(entry => entry.directory === this.detailGame);
+    if (!game) {
+      this.changePage('library');
+      return;
+    }
+    
+    const isRunning = this.runningGames.has(game.directory);
+    const isUnavailable = game.available === false;
+    const screenshots = isUnavailable ? [] : (game.screenshots || []);
+    
+    // Shopseiten, für die eine ID gespeichert ist
+    const stores = [
+      game.steamAppId && { store: 'steam', label: 'Steam', icon: 'fab fa-steam' },
+      game.dlsiteId && { store: 'dlsite', label: 'DLSite', icon: 'fas fa-store' },
+      game.itchioUrl && { store: 'itchio', label: 'Itch.io', icon: 'fab fa-itch-io' }
+    ].filter(Boolean);
+    
+    page.innerHTML = `
+      <div class="game-detail-hero">
+        <div class="game-detail-backdrop"></div>
+        <button class="secondary-button game-detail-back"><i class="fas fa-arrow-left"></i> Bibliothek</button>
+        <div class="game-detail-header">
+          <img class="game-detail-cover" alt="">
+          <div class="game-detail-heading">
+            <h1 class="game-detail-title"></h1>
+            <p class="game-detail-subtitle"></p>
+            <div class="game-detail-actions">
+              ${isRunning
+                ? '<button class="danger-button detail-stop-btn"><i class="fas fa-stop"></i> Beenden</button>'
+                : '<button class="primary-button detail-play-btn"><i class="fas fa-play"></i> Spielen</button>'}
+              <button class="secondary-button detail-edit-btn"><i class="fas fa-edit"></i> Bearbeiten</button>
+              <button class="secondary-button detail-saves-btn"><i class="fas fa-save"></i> Spielstände</button>
+              <button class="secondary-button detail-folder-btn"><i class="fas fa-folder-open"></i> Ordner öffnen</button>
+              ${stores.map(entry => `
+              <button class="secondary-button detail-store-btn" data-store="${entry.store}" title="Shopseite im Browser öffnen">
+                <i class="${entry.icon}"></i> ${entry.label}
+              </button>`).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+      <div class="game-detail-body">
+        <div class="game-detail-main">
+          <section>
+            <h2>Beschreibung</h2>
+            <p class="game-detail-description"></p>
+          </section>
+          <section>
+            <h2>Screenshots</h2>
+            <div class="game-detail-gallery"></div>
+          </section>
+        </div>
+        <aside class="game-detail-side">
+          <section>
+            <h2>Spielzeit</h2>
+            <dl class="game-detail-fields game-detail-stats"></dl>
+          </section>
+          <section>
+            <h2>Details</h2>
+            <dl class="game-detail-fields game-detail-meta"></dl>
+          </section>
+        </aside>
+      </div>
+    `;
+    
+    // Großes Cover (nicht die Vorschau); bei fehlendem Cover bleibt der Platzhalter
+    const cover = page.querySelector('.game-detail-cover');
+    const coverUrl = game.coverImage && !isUnavailable ? gameAssetUrl(game, 'cover') : 'assets/placeholder.png';
+    cover.addEventListener('error', () => {
+      cover.src = 'assets/placeholder.png';
+    }, { once: true });
+    cover.src = coverUrl;
+    if (coverUrl !== 'assets/placeholder.png') {
+      page.querySelector('.game-detail-backdrop').style.backgroundImage = `url("${CSS.escape(coverUrl)}")`;
+    }
+    
+    page.querySelector('.game-detail-title').textContent = game.title;
+    page.querySelector('.game-detail-subtitle').textContent =
+      [game.developer, game.publisher && game.publisher !== game.developer ? game.publisher : null]
+        .filter(Boolean).join(' · ') || 'Unbekannter Entwickler';
+    
+    const description = page.querySelector('.game-detail-description');
+    description.textContent = game.description && game.description.trim() !== ''
+      ? game.description
+      : 'Keine Beschreibung vorhanden.';
+    description.classList.toggle('info-text', !game.description || game.description.trim() === '');
+    
+    const gallery = page.querySelector('.game-detail-gallery');
+    if (screenshots.length === 0) {
+      gallery.innerHTML = `<p class="info-text">${isUnavailable ? 'Der Bibliotheksordner ist nicht erreichbar.' : 'Keine Screenshots vorhanden.'}</p>`;
+    }
+    screenshots.forEach((screenshot, index) => {
+      const thumbnail = document.createElement('button');
+      thumbnail.className = 'game-detail-screenshot';
+      thumbnail.title = `Screenshot ${index + 1}`;
+      thumbnail.style.backgroundImage = `url("${CSS.escape(gameAssetUrl(game, 'screenshot', { index, thumbnail: true }))}")`;
+      thumbnail.addEventListener('click', () => {
+        this.showScreenshotLightbox(game, index);
+      });
+      gallery.appendChild(thumbnail);
+    });
+    
+    const root = this.libraryRoots.find(entry => entry.id === game.libraryRoot);
+    this.renderDetailFields(page.querySelector('.game-detail-meta'), [
+      ['Entwickler', game.developer],
+      ['Publisher', game.publisher],
+      ['Genre', game.genre],
+      ['Erscheinungsdatum', game.releaseDate],
+      ['Version', game.version],
+      ['Quelle', game.source],
+      ['Altersfreigabe', game.ageRating],
+      ['Tags', (game.tags || []).join(', ')],
+      ['Installiert am', game.installDate ? new Date(game.installDate).toLocaleDateString('de-DE') : null],
+      ['Größe', Number.isFinite(game.installSize) ? this.formatSize(game.installSize) : null],
+      ['Bibliotheksordner', root ? root.name : null],
+      ['Installationsordner', game.executablePath]
+    ]);
+    
+    this.renderDetailFields(page.querySelector('.game-detail-stats'), [
+      ['Gesamt', this.formatPlayTime(game.playTime)],
+      ['Zuletzt gespielt', game.lastPlayed ? new Date(game.lastPlayed).toLocaleString('de-DE') : 'Noch nie']
+    ]);
+    this.loadGameDetailStats(game);
+    
+    // Aktionen
+    page.querySelector('.game-detail-back').addEventListener('click', () => {
+      this.changePage('library');
+    });
+    const playBtn = page.querySelector('.detail-play-btn');
+    if (playBtn) {
+      playBtn.addEventListener('click', () => this.launchGame(game.directory));
+    }
+    const stopBtn = page.querySelector('.detail-stop-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => this.stopGame(game.directory));
+    }
+    page.querySelector('.detail-edit-btn').addEventListener('click', () => {
+      this.showEditGameModal(game);
+    });
+    page.querySelector('.detail-saves-btn').addEventListener('click', () => {
+      this.showSaveSnapshotsModal(game);
+    });
+    page.querySelector('.detail-folder-btn').addEventListener('click', async () => {
+      const result = await window.dust.openGameFolder(game.directory);
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+      }
+    });
+    page.querySelectorAll('.detail-store-btn').forEach(button => {
+      button.addEventListener('click', async () => {
+        // Die Adresse bildet der Hauptprozess aus der gespeicherten ID
+        try {
+          const result = await window.dust.openStorePage(game.directory, button.dataset.store);
+          if (!result.success) {
+            this.showNotification(result.message, 'error');
+          }
+        } catch (error) {
+          console.error('Fehler beim Öffnen der Shopseite:', error);
+          this.showNotification('Fehler beim Öffnen der Shopseite', 'error');
+        }
+      });
+    });
+  }
+  
+  // Liste aus [Bezeichnung, Wert] füllen; leere Werte werden übersprungen
+  renderDetailFields(list, fields) {
+    fields.forEach(([label, value]) => {
+      if (value === undefined || value === null || String(value).trim() === '') return;
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const definition = document.createElement('dd');
+      definition.textContent = value;
+      list.append(term, definition);
+    });
+  }
+  
+  // Sitzungsstatistik der Detailseite aus dem Spielverlauf nachladen
+  async loadGameDetailStats(game) {
+    let result;
+    try {
+      result = await window.dust.getGameHistory(game.directory);
+    } catch (error) {
+      console.error('Fehler beim Laden des Spielverlaufs:', error);
+      return;
+    }
+    
+    // Inzwischen ein anderes Spiel geöffnet oder die Seite verlassen
+    const list = document.querySelector('#game-detail .game-detail-stats');
+    if (!result.success || !list || this.detailGame !== game.directory || result.sessions.length === 0) return;
+    
+    const minutes = result.sessions.map(session => session.duration / 60);
+    const first = result.sessions.reduce((earliest, session) => (session.start < earliest ? session.start : earliest), result.sessions[0].start);
+    this.renderDetailFields(list, [
+      ['Sitzungen', result.sessions.length],
+      ['Ø Sitzung', this.formatPlayTime(minutes.reduce((sum, value) => sum + value, 0) / minutes.length)],
+      ['Längste Sitzung', this.formatPlayTime(Math.max(...minutes))],
+      ['Erste Sitzung', new Date(first).toLocaleDateString('de-DE')]
+    ]);
+  }
+  
+  // Screenshot in voller Größe anzeigen; Pfeiltasten blättern, Escape schließt
+  showScreenshotLightbox(game, startIndex) {
+    const count = game.screenshots.length;
+    let index = startIndex;
+    
+    const lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.innerHTML = `
+      <button class="lightbox-close" title="Schließen">&times;</button>
+      ${count > 1 ? '<button class="lightbox-prev" title="Vorheriger"><i class="fas fa-chevron-left"></i></button>' : ''}
+      <img class="lightbox-image" alt="">
+      ${count > 1 ? '<button class="lightbox-next" title="Nächster"><i class="fas fa-chevron-right"></i></button>' : ''}
+      <span class="lightbox-counter"></span>
+    `;
+    
+    const image = lightbox.querySelector('.lightbox-image');
+    const show = (next) => {
+      index = (next + count) % count;
+      image.src = gameAssetUrl(game, 'screenshot', { index });
+      lightbox.querySelector('.lightbox-counter').textContent = `${index + 1} / ${count}`;
+    };
+    
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        close();
+      } else if (e.key === 'ArrowLeft') {
+        show(index - 1);
+      } else if (e.key === 'ArrowRight') {
+        show(index + 1);
+      }
+    };
+    const close = () => {
+      document.removeEventListener('keydown', onKeyDown);
+      lightbox.remove();
+    };
+    
+    lightbox.querySelector('.lightbox-close').addEventListener('click', close);
+    if (count > 1) {
+      lightbox.querySelector('.lightbox-prev').addEventListener('click', () => show(index - 1));
+      lightbox.querySelector('.lightbox-next').addEventListener('click', () => show(index + 1));
+    }
+    // Klick neben das Bild schließt die Ansicht
+    lightbox.addEventListener('click', (e) => {
+      if (e.target === lightbox) {
+        close();
+      }
+    });
+    document.addEventListener('keydown', onKeyDown);
+    
+    document.body.appendChild(lightbox);
+    show(index);
+  }
+  
+  // Spielzeit in Minuten als Text formatieren
+  formatPlayTime(playTime) {
+    if (!playTime || playTime <= 0) {
+      return 'Keine Spielzeit';
+    }
+    // Die Spielzeit ist sekundengenau gespeichert
+    const total = Math.round(playTime);
+    if (total < 1) {
+      return 'Unter 1 Minute';
+    }
+    if (total < 60) {
+      return `${total} Minuten`;
+    }
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    return `${hours} Std. ${minutes} Min.`;
+  }
+  
+  // Dateigröße in Bytes als Text formatieren
+  formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toLocaleString('de-DE', { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
+  }
+  
+  // Spielverlauf für die Statistikseite laden
+  async loadStatistics() {
+    try {
+      const result = await window.dust.getPlayHistory();
+      
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+        return;
+      }
+      
+      this.statistics.sessions = result.sessions;
+      this.renderStatistics();
+    } catch (error) {
+      console.error('Fehler beim Laden der Statistik:', error);
+      this.showNotification('Fehler beim Laden der Statistik', 'error');
+    }
+  }
+  
+  // Schlüssel für die Zeitachse: Datum des Tages bzw. Montag der Woche
+  getStatisticsBucket(date, grouping) {
+    const bucket = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (grouping === 'week') {
+      bucket.setDate(bucket.getDate() - ((bucket.getDay() + 6) % 7));
+    }
+    return bucket;
+  }
+  
+  // Statistikseite aus den geladenen Sitzungen aufbauen
+  renderStatistics() {
+    const allSessions = this.statistics.sessions || [];
+    const { range, grouping } = this.statistics;
+    
+    // Sitzungen auf den gewählten Zeitraum beschränken
+    const now = new Date();
+    const rangeStart = range === 'all'
+      ? null
+      : this.getStatisticsBucket(new Date(now.getTime() - (Number(range) - 1) * 86400000), 'day');
+    const sessions = allSessions.filter(session => !rangeStart || new Date(session.start) >= rangeStart);
+    
+    // Zusammenfassung
+    const totalMinutes = sessions.reduce((sum, session) => sum + session.duration / 60, 0);
+    const gameCount = new Set(sessions.map(session => session.directory)).size;
+    document.getElementById('stats-total-time').textContent = this.formatPlayTime(totalMinutes);
+    document.getElementById('stats-session-count').textContent = sessions.length;
+    document.getElementById('stats-game-count').textContent = gameCount;
+    document.getElementById('stats-average-session').textContent =
+      sessions.length > 0 ? this.formatPlayTime(totalMinutes / sessions.length) : '–';
+    
+    // Zeitachse: alle Tage bzw. Wochen im Zeitraum, auch ohne Spielzeit
+    const timeline = new Map();
+    const firstSession = sessions.reduce((min, session) => {
+      const start = new Date(session.start);
+      return !min || start < min ? start : min;
+    }, null);
+    const cursor = this.getStatisticsBucket(rangeStart || firstSession || now, grouping);
+    const lastBucket = this.getStatisticsBucket(now, grouping);
+    while (cursor <= lastBucket) {
+      timeline.set(cursor.toDateString(), { date: new Date(cursor), hours: 0 });
+      cursor.setDate(cursor.getDate() + (grouping === 'week' ? 7 : 1));
+    }
+    
+    const byGame = new Map();
+    const bySource = new Map();
+    const byGenre = new Map();
+    const addTo = (map, key, hours) => map.set(key, (map.get(key) || 0) + hours);
+    
+    sessions.forEach(session => {
+      const hours = session.duration / 3600;
+      const bucket = timeline.get(this.getStatisticsBucket(new Date(session.start), grouping).toDateString());
+      if (bucket) {
+        bucket.hours += hours;
+      }
+      addTo(byGame, session.title, hours);
+      addTo(bySource, session.source, hours);
+      addTo(byGenre, session.genre, hours);
+    });
+    
+    document.getElementById('stats-timeline-title').textContent =
+      grouping === 'week' ? 'Spielzeit pro Woche' : 'Spielzeit pro Tag';
+    
+    const timelineEntries = [...timeline.values()];
+    const topGames = [...byGame.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
+    const round = hours => Math.round(hours * 10) / 10;
+    
+    this.renderChart('timeline', 'stats-timeline-chart', {
+      type: 'bar',
+      data: {
+        labels: timelineEntries.map(entry => entry.date.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit' })),
+        datasets: [{ label: 'Stunden', data: timelineEntries.map(entry => round(entry.hours)) }]
+      }
+    });
+    
+    this.renderChart('topGames', 'stats-top-games-chart', {
+      type: 'bar',
+      data: {
+        labels: topGames.map(([title]) => title),
+        datasets: [{ label: 'Stunden', data: topGames.map(([, hours]) => round(hours)) }]
+      },
+      options: { indexAxis: 'y' }
+    });
+    
+    this.renderChart('sources', 'stats-source-chart', {
+      type: 'doughnut',
+      data: {
+        labels: [...bySource.keys()],
+        datasets: [{ data: [...bySource.values()].map(round) }]
+      }
+    });
+    
+    this.renderChart('genres', 'stats-genre-chart', {
+      type: 'doughnut',
+      data: {
+        labels: [...byGenre.keys()],
+        datasets: [{ data: [...byGenre.values()].map(round) }]
+      }
+    });
+  }
+  
+  // Diagramm (neu) zeichnen; vorherige Instanz auf derselben Canvas wird entfernt
+  renderChart(name, canvasId, config) {
+    if (typeof Chart === 'undefined') {
+      console.error('chart.js ist nicht geladen');
+      return;
+    }
+    
+    if (this.charts[name]) {
+      this.charts[name].destroy();
+    }
+    
+    const styles = getComputedStyle(document.documentElement);
+    const textColor = styles.getPropertyValue('--text-dark').trim();
+    const gridColor = styles.getPropertyValue('--bg-light').trim();
+    const palette = ['--primary-color', '--success-color', '--danger-color', '--bg-lighter', '--text-muted']
+      .map(variable => styles.getPropertyValue(variable).trim());
+    
+    const isBar = config.type === 'bar';
+    config.data.datasets.forEach(dataset => {
+      dataset.backgroundColor = isBar ? palette[0] : palette;
+      dataset.borderColor = isBar ? palette[0] : styles.getPropertyValue('--bg-dark').trim();
+    });
+    
+    const scales = isBar
+      ? {
+          x: { ticks: { color: textColor }, grid: { color: gridColor } },
+          y: { ticks: { color: textColor }, grid: { color: gridColor }, beginAtZero: true }
+        }
+      : {};
+    
+    this.charts[name] = new Chart(document.getElementById(canvasId), {
+      ...config,
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: !isBar, labels: { color: textColor } }
+        },
+        scales,
+        ...config.options
+      }
+    });
+  }
+  
+  // Spiel starten
+  async launchGame(directory) {
+    const game = this.games.find(entry => entry.directory === directory);
+    if (game && game.available === false) {
+      const root = this.libraryRoots.find(entry => entry.id === game.libraryRoot);
+      this.showNotification(`${game.title} ist nicht verfügbar: Bibliotheksordner "${root ? root.name : game.libraryRoot}" ist nicht erreichbar`, 'error');
+      return;
+    }
+    
+    try {
+      const result = await window.dust.launchGame(directory);
+      
+      if (result.success) {
+        this.showNotification(result.message, 'success');
+      } else {
+        this.showNotification(result.message, 'error');
+      }
+    } catch (error) {
+      console.error('Fehler beim Starten des Spiels:', error);
+      this.showNotification('Fehler beim Starten des Spiels', 'error');
+    }
+  }
+  
+  // Laufendes Spiel beenden
+  async stopGame(directory) {
+    try {
+      const result = await window.dust.stopGame(directory);
+      this.showNotification(result.message, result.success ? 'info' : 'error');
+    } catch (error) {
+      console.error('Fehler beim Beenden des Spiels:', error);
+      this.showNotification('Fehler beim Beenden des Spiels', 'error');
+    }
+  }
+  
+  // Kontextmenü für ein Spiel anzeigen
+  showGameContextMenu(gameCard, x, y) {
+    const directory = gameCard.dataset.directory;
+    const gameInfo = this.games.find(game => game.directory === directory);
+    
+    if (!gameInfo) return;
+    
+    // Altes Kontextmenü entfernen, falls vorhanden
+    const oldMenu = document.getElementById('context-menu');
+    if (oldMenu) {
+      oldMenu.remove();
+    }
+    
+    // Neues Kontextmenü erstellen
+    const menu = document.createElement('div');
+    menu.id = 'context-menu';
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    
+    const isRunning = this.runningGames.has(directory);
+    
+    // Fehlerhafte dustgrain-Dateien können nur angesehen oder entfernt werden
+    if (gameInfo.invalid) {
+      menu.innerHTML = `
+        <div class="menu-item" id="ctx-errors"><i class="fas fa-exclamation-triangle"></i> Fehler anzeigen</div>
+        <div class="menu-item danger" id="ctx-delete"><i class="fas fa-trash"></i> Entfernen</div>
+      `;
+      document.body.appendChild(menu);
+      
+      document.getElementById('ctx-errors').addEventListener('click', () => {
+        this.showDustgrainErrors(gameInfo);
+        menu.remove();
+      });
+      document.getElementById('ctx-delete').addEventListener('click', () => {
+        this.confirmDeleteGame(directory, gameInfo.title);
+        menu.remove();
+      });
+      return;
+    }
+    
+    menu.innerHTML = `
+      ${isRunning
+        ? '<div class="menu-item" id="ctx-stop"><i class="fas fa-stop"></i> Beenden</div>'
+        : '<div class="menu-item" id="ctx-play"><i class="fas fa-play"></i> Spielen</div>'}
+      <div class="menu-item" id="ctx-edit"><i class="fas fa-edit"></i> Bearbeiten</div>
+      <div class="menu-item" id="ctx-folder"><i class="fas fa-folder-open"></i> Ordner öffnen</div>
+      <div class="menu-item" id="ctx-saves"><i class="fas fa-save"></i> Spielstände…</div>
+      <div class="menu-item has-submenu"><i class="fas fa-layer-group"></i> Sammlungen
+        <div class="submenu" id="ctx-collections"></div>
+      </div>
+      <div class="menu-item danger" id="ctx-delete"><i class="fas fa-trash"></i> Entfernen</div>
+    `;
+    
+    // Statische Sammlungen zum Hinzufügen bzw. Entfernen des Spiels
+    const collectionMenu = menu.querySelector('#ctx-collections');
+    this.collections.filter(collection => collection.type === 'static').forEach(collection => {
+      const item = document.createElement('div');
+      item.className = 'menu-item';
+      item.innerHTML = `<i class="fas ${collection.games.includes(directory) ? 'fa-check' : ''}"></i> `;
+      item.appendChild(document.createTextNode(collection.name));
+      item.addEventListener('click', () => {
+        this.toggleGameInCollection(collection, directory);
+        menu.remove();
+      });
+      collectionMenu.appendChild(item);
+    });
+    const newCollectionItem = document.createElement('div');
+    newCollectionItem.className = 'menu-item';
+    newCollectionItem.innerHTML = '<i class="fas fa-plus"></i> Neue Sammlung…';
+    newCollectionItem.addEventListener('click', () => {
+      this.showCollectionEditor(null, [directory]);
+      menu.remove();
+    });
+    collectionMenu.appendChild(newCollectionItem);
+    
+    document.body.appendChild(menu);
+    
+    // Event-Listener für Menüaktionen
+    if (isRunning) {
+      document.getElementById('ctx-stop').addEventListener('click', () => {
+        this.stopGame(directory);
+        menu.remove();
+      });
+    } else {
+      document.getElementById('ctx-play').addEventListener('click', () => {
+        this.launchGame(directory);
+        menu.remove();
+      });
+    }
+    
+    document.getElementById('ctx-edit').addEventListener('click', () => {
+      this.showEditGameModal(gameInfo);
+      menu.remove();
+    });
+    
+    document.getElementById('ctx-saves').addEventListener('click', () => {
+      this.showSaveSnapshotsModal(gameInfo);
+      menu.remove();
+    });
+    
+    document.getElementById('ctx-folder').addEventListener('click', async () => {
+      menu.remove();
+      // Ordner im Datei-Explorer öffnen (der Hauptprozess liest den Pfad aus der dustgrain-Datei)
+      const result = await window.dust.openGameFolder(gameInfo.directory);
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+      }
+    });
+    
+    document.getElementById('ctx-delete').addEventListener('click', () => {
+      this.confirmDeleteGame(directory, gameInfo.title);
+      menu.remove();
+    });
+  }
+  
+// "Spiel hinzufügen" Modal anzeigen
+showAddGameModal() {
+  // Zustand eines vorherigen Assistenten-Durchlaufs verwerfen
+  this.pendingGameDetails = null;
+  this.selectedGameFolder = null;
+  this.selectedExecutable = '';
+  this.selectedExecutables = [];
+  this.executableAmbiguous = false;
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'add-game-modal';
+  
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h2>Spiel hinzufügen</h2>
+        <button class="close-modal">&times;</button>
+      </div>
+      <div class="modal-body">
+        <div class="add-game-step" id="step-platform">
+          <h3>Schritt 1: Plattform auswählen</h3>
+          <div class="platform-selection">
+            <div class="platform-card" data-platform="steam">
+              <img src="assets/platforms/steam.png" alt="Steam" class="platform-icon">
+              <span>Steam</span>
+            </div>
+            <div class="platform-card" data-platform="itchio">
+              <img src="assets/platforms/itchio.png" alt="Itch.io" class="platform-icon">
+              <span>Itch.io</span>
+            </div>
+            <div class="platform-card" data-platform="dlsite">
+              <img src="assets/platforms/dlsite.png" alt="DLSite" class="platform-icon">
+              <span>DLSite</span>
+            </div>
+            <div class="platform-card" data-platform="other">
+              <img src="assets/platforms/other.png" alt="Other" class="platform-icon">
+              <span>Andere</span>
+            </div>
+          </div>
+        </div>
+        
+        <div class="add-game-step" id="step-import-type" style="display: none;">
+          <h3>Schritt 2: Importmethode wählen</h3>
+          <div class="import-type-selection">
+            <button class="import-type-btn" data-type="single">
+              <i class="fas fa-gamepad"></i>
+              <span>Einzelnes Spiel</span>
+            </button>
+            <button class="import-type-btn" data-type="folder">
+              <i class="fas fa-folder"></i>
+              <span>Kompletter Ordner</span>
+            </button>
+          </div>
+          <button class="secondary-button back-btn">Zurück</button>
+        </div>
+        
+        <div class="add-game-step" id="step-steam-id" style="display: none;">
+          <h3>Steam App-ID eingeben</h3>
+          <div class="form-group">
+            <label for="steam-app-id">Steam App-ID:</label>
+            <input type="text" id="steam-app-id" placeholder="z.B. 730 für CS:GO">
+            <p class="help-text">
+              Die Steam App-ID findest du in der URL eines Spiels auf Steam oder mit SteamDB.
+              <a href="https://steamdb.info/" target="_blank">SteamDB öffnen</a>
+            </p>
+          </div>
+          <div class="form-actions">
+            <button class="secondary-button back-btn">Zurück</button>
+            <button class="primary-button confirm-steam-id">Suchen</button>
+          </div>
+        </div>
+        
+        <div class="add-game-step" id="step-dlsite-id" style="display: none;">
+          <h3>DLSite Produkt-ID eingeben</h3>
+          <div class="form-group">
+            <label for="dlsite-id">DLSite ID (RJ/RE-Nummer):</label>
+            <input type="text" id="dlsite-id" placeholder="z.B. RJ01347095">
+            <p class="help-text">
+              Die RJ/RE-Nummer findest du in der URL eines Produkts auf DLSite.
+              Format: RJxxxxxxxx für japanische oder RExxxxxxxx für englische Titel,
+              VJxxxxxx für Pro- und BJxxxxxx für Books-Titel.
+            </p>
+          </div>
+          <div class="form-group">
+            <label for="dlsite-category">DLSite Kategorie:</label>
+            <select id="dlsite-category">
+              <option value="maniax" selected>Maniax</option>
+              <option value="girls">Girls</option>
+              <option value="pro">Pro</option>
+              <option value="books">Books</option>
+            </select>
+          </div>
+          <div class="form-actions">
+            <button class="secondary-button back-btn">Zurück</button>
+            <button class="primary-button confirm-dlsite-id">Suchen</button>
+          </div>
+        </div>
+        
+        <div class="add-game-step" id="step-itchio-url" style="display: none;">
+          <h3>Itch.io URL eingeben</h3>
+          <div class="form-group">
+            <label for="itchio-url">Itch.io Spiel-URL:</label>
+            <input type="text" id="itchio-url" placeholder="z.B. https://developer.itch.io/game">
+            <p class="help-text">
+              Gib die vollständige URL zur Spielseite auf Itch.io ein.
+            </p>
+          </div>
+          <div class="form-actions">
+            <button class="secondary-button back-btn">Zurück</button>
+            <button class="primary-button confirm-itchio-url">Suchen</button>
+          </div>
+        </div>
+        
+        <div class="add-game-step" id="step-select-folder" style="display: none;">
+          <h3>Spielordner auswählen</h3>
+          <p>
+            Wähle den Ordner aus, in dem sich das Spiel befindet. 
+            <span class="platform-specific-text" id="folder-help-text"></span>
+          </p>
+          <div class="form-actions">
+            <button class="secondary-button back-btn">Zurück</button>
+            <button class="primary-button select-folder-btn">Ordner auswählen</button>
+          </div>
+        </div>
+        
+        <div class="add-game-step" id="step-bulk-review" style="display: none;">
+          <h3>Gefundene Spiele überprüfen</h3>
+          <p class="info-text" id="bulk-summary"></p>
+          <div class="bulk-review-container">
+            <table class="bulk-review-table">
+              <thead>
+                <tr>
+                  <th><input type="checkbox" id="bulk-select-all" title="Alle auswählen"></th>
+                  <th>Titel</th>
+                  <th>Ausführbare Datei</th>
+                  <th>Plattform-ID</th>
+                  <th>Quelle</th>
+                </tr>
+              </thead>
+              <tbody id="bulk-review-body"></tbody>
+            </table>
+          </div>
+          <div class="form-actions">
+            <button class="secondary-button back-btn">Zurück</button>
+            <button class="primary-button confirm-bulk-import">Ausgewählte importieren</button>
+          </div>
+        </div>
+        
+        <div class="add-game-step" id="step-game-details" style="display: none;">
+          <h3>Spieldetails überprüfen</h3>
+          <form id="add-game-form">
+            <div class="form-group">
+              <label for="game-title">Titel</label>
+              <input type="text" id="game-title" required>
+            </div>
+            <div class="form-group">
+              <label for="game-developer">Entwickler</label>
+              <input type="text" id="game-developer">
+            </div>
+            <div class="form-group">
+              <label for="game-publisher">Publisher</label>
+              <input type="text" id="game-publisher">
+            </div>
+            <div class="form-group">
+              <label for="game-genre">Genre</label>
+              <input type="text" id="game-genre">
+            </div>
+            <div class="form-group">
+              <label for="game-source">Quelle</label>
+              <input type="text" id="game-source" readonly>
+            </div>
+            <div class="form-group">
+              <label for="game-version">Version</label>
+              <input type="text" id="game-version">
+            </div>
+            <div class="form-group">
+              <label for="game-executable">Ausführbare Datei</label>
+              <div class="executable-path">
+                <select id="game-executable"></select>
+                <button type="button" id="browse-exe-btn" class="secondary-button">Andere…</button>
+              </div>
+              <p class="help-text executable-hint" id="executable-hint" style="display: none;">
+                Mehrere mögliche Dateien gefunden – bitte die richtige auswählen.
+              </p>
+            </div>
+            <div class="form-group full-width">
+              <label for="game-description">Beschreibung</label>
+              <textarea id="game-description" rows="3"></textarea>
+            </div>
+            <div class="form-group full-width">
+              <label>Tags</label>
+              <div class="tag-editor" id="game-tags"></div>
+            </div>
+            <div class="form-group">
+              <label for="game-cover-url">Cover (URL oder Bilddatei)</label>
+              <div class="cover-input">
+                <input type="text" id="game-cover-url">
+                <button type="button" id="browse-cover-btn" class="secondary-button">Bild wählen…</button>
+              </div>
+              <div class="cover-preview">
+                <img id="cover-preview-img" src="assets/placeholder.png" alt="Cover Vorschau">
+              </div>
+            </div>
+            <div class="form-actions">
+              <button type="button" class="secondary-button back-btn">Zurück</button>
+              <button type="submit" class="primary-button">Spiel hinzufügen</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  this.addGameTagEditor = this.createTagEditor(modal.querySelector('#game-tags'));
+  
+  // Modal-Interaktionen
+  modal.querySelector('.close-modal').addEventListener('click', () => {
+    modal.remove();
+  });
+  
+  // Klick außerhalb des Modals schließt es
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+  
+  // Plattformauswahl
+  const platformCards = modal.querySelectorAll('.platform-card');
+  platformCards.forEach(card => {
+    card.addEventListener('click', () => {
+      const platform = card.dataset.platform;
+      this.selectedPlatform = platform;
+      
+      // Nächsten Schritt anzeigen
+      document.getElementById('step-platform').style.display = 'none';
+      document.getElementById('step-import-type').style.display = 'block';
+    });
+  });
+  
+  // Import-Typ-Auswahl
+  const importTypeButtons = modal.querySelectorAll('.import-type-btn');
+  importTypeButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      const importType = button.dataset.type;
+      this.selectedImportType = importType;
+      
+      // Zurück zum vorherigen Schritt
+      document.getElementById('step-import-type').style.display = 'none';
+      
+      // Je nach Plattform und Importtyp weitergehen
+      if (this.selectedImportType === 'single') {
+        // Bei einzelnem Spiel nach ID/URL fragen
+        switch (this.selectedPlatform) {
+          case 'steam':
+            document.getElementById('step-steam-id').style.display = 'block';
+            break;
+          case 'dlsite':
+            document.getElementById('step-dlsite-id').style.display = 'block';
+            break;
+          case 'itchio':
+            document.getElementById('step-itchio-url').style.display = 'block';
+            break;
+          default:
+            // Bei "Andere" direkt zum Ordner-Auswahl
+            document.getElementById('step-select-folder').style.display = 'block';
+            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das Spiel enthält.';
+            break;
+        }
+      } else {
+        // Bei Ordner-Import direkt zum Ordner-Auswahl
+        document.getElementById('step-select-folder').style.display = 'block';
+        
+        // Unterschiedliche Hilfetexte je nach Plattform
+        switch (this.selectedPlatform) {
+          case 'steam':
+            document.getElementById('folder-help-text').textContent = 'Wähle den Steam-Bibliotheksordner (z.B. steamapps/common).';
+            break;
+          case 'dlsite':
+            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der deine DLSite-Spiele enthält.';
+            break;
+          case 'itchio':
+            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der deine Itch.io-Spiele enthält.';
+            break;
+          default:
+            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der mehrere Spiele enthält.';
+            break;
+        }
+      }
+    });
+  });
+  
+  // Steam-ID bestätigen
+  const confirmSteamIdBtn = modal.querySelector('.confirm-steam-id');
+  if (confirmSteamIdBtn) {
+    confirmSteamIdBtn.addEventListener('click', async () => {
+      const steamAppId = document.getElementById('steam-app-id').value.trim();
+      if (!steamAppId) {
+        this.showNotification('Bitte gib eine Steam App-ID ein', 'error');
+        return;
+      }
+      
+      try {
+        // Spieldetails von Steam abrufen
+        const gameDetails = await this.fetchSteamGameDetails(steamAppId);
+        
+        // Zum Ordner-Auswahl-Schritt
+        document.getElementById('step-steam-id').style.display = 'none';
+        document.getElementById('step-select-folder').style.display = 'block';
+        document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das Steam-Spiel enthält.';
+        
+        // Spieldetails speichern für später
+        this.pendingGameDetails = {
+          ...gameDetails,
+          source: 'Steam',
+          steamAppId: steamAppId
+        };
+        
+        // Bei lokal installierten Spielen den Installationsordner anzeigen
+        if (gameDetails.installDir) {
+          document.getElementById('folder-help-text').textContent =
+            `Das Spiel ist lokal installiert unter ${gameDetails.installDir}.`;
+        }
+      } catch (error) {
+        this.showNotification('Fehler beim Abrufen der Steam-Spieldetails', 'error');
+        console.error(error);
+      }
+    });
+  }
+  
+  // DLSite-ID bestätigen
+  const confirmDLSiteIdBtn = modal.querySelector('.confirm-dlsite-id');
+  if (confirmDLSiteIdBtn) {
+    confirmDLSiteIdBtn.addEventListener('click', async () => {
+      const dlsiteId = document.getElementById('dlsite-id').value.trim();
+      const dlsiteCategory = document.getElementById('dlsite-category').value;
+      
+      if (!dlsiteId) {
+        this.showNotification('Bitte gib eine DLSite ID ein', 'error');
+        return;
+      }
+      
+      try {
+        // Spieldetails von DLSite abrufen
+        const gameDetails = await this.fetchDLSiteGameDetails(dlsiteId, dlsiteCategory);
+        
+        // Zum Ordner-Auswahl-Schritt
+        document.getElementById('step-dlsite-id').style.display = 'none';
+        document.getElementById('step-select-folder').style.display = 'block';
+        document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das DLSite-Spiel enthält.';
+        
+        // Spieldetails speichern für später
+        this.pendingGameDetails = {
+          ...gameDetails,
+          source: 'DLSite',
+          dlsiteId: gameDetails.dlsiteId || dlsiteId,
+          dlsiteCategory: gameDetails.dlsiteCategory || dlsiteCategory
+        };
+      } catch (error) {
+        this.showNotification('Fehler beim Abrufen der DLSite-Spieldetails', 'error');
+        console.error(error);
+      }
+    });
+  }
+  
+  // Itch.io URL bestätigen
+  const confirmItchIoUrlBtn = modal.querySelector('.confirm-itchio-url');
+  if (confirmItchIoUrlBtn) {
+    confirmItchIoUrlBtn.addEventListener('click', async () => {
+      const itchioUrl = document.getElementById('itchio-url').value.trim();
+      
+      if (!itchioUrl) {
+        this.showNotification('Bitte gib eine Itch.io URL ein', 'error');
+        return;
+      }
+      
+      try {
+        // Spieldetails von Itch.io abrufen
+        const gameDetails = await this.fetchItchIoGameDetails(itchioUrl);
+        
+        // Zum Ordner-Auswahl-Schritt
+        document.getElementById('step-itchio-url').style.display = 'none';
+        document.getElementById('step-select-folder').style.display = 'block';
+        document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das Itch.io-Spiel enthält.';
+        
+        // Spieldetails speichern für später
+        this.pendingGameDetails = {
+          ...gameDetails,
+          source: 'Itch.io',
+          itchioUrl: itchioUrl
+        };
+      } catch (error) {
+        this.showNotification('Fehler beim Abrufen der Itch.io-Spieldetails', 'error');
+        console.error(error);
+      }
+    });
+  }
+  
+  // Ordner auswählen
+  const selectFolderBtn = modal.querySelector('.select-folder-btn');
+  if (selectFolderBtn) {
+    selectFolderBtn.addEventListener('click', async () => {
+      try {
+        const result = await this.selectGameFolder();
+        
+        if (!result.success) {
+          this.showNotification(result.message || 'Ordnerauswahl abgebrochen', 'info');
+          return;
+        }
+        
+        // Spielverzeichnis speichern
+        this.selectedGameFolder = result.selectedFolder;
+        this.selectedExecutable = result.executable || '';
+        this.selectedExecutables = result.executables || [];
+        this.executableAmbiguous = !!result.executableAmbiguous;
+        
+        // Beim Ordner-Import alle Unterordner zur Überprüfung anzeigen
+        if (this.selectedImportType === 'folder') {
+          await this.showBulkReview(result.selectedFolder);
+          return;
+        }
+        
+        // Zum Spieldetails-Schritt
+        document.getElementById('step-select-folder').style.display = 'none';
+        document.getElementById('step-game-details').style.display = 'block';
+        
+        // Abgerufene Details haben Vorrang vor den aus dem Ordner erkannten
+        this.pendingGameDetails = { ...result.gameDetails, ...this.pendingGameDetails };
+        
+        // Formular mit Details füllen
+        this.fillGameDetailsForm(this.pendingGameDetails);
+      } catch (error) {
+        this.showNotification('Fehler bei der Ordnerauswahl', 'error');
+        console.error(error);
+      }
+    });
+  }
+  
+  // Zurück-Buttons
+  const backButtons = modal.querySelectorAll('.back-btn');
+  backButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const currentStep = e.target.closest('.add-game-step');
+      currentStep.style.display = 'none';
+      
+      // Je nach aktuellem Schritt zurück zum passenden vorherigen Schritt
+      if (currentStep.id === 'step-import-type') {
+        document.getElementById('step-platform').style.display = 'block';
+      } else if (['step-steam-id', 'step-dlsite-id', 'step-itchio-url'].includes(currentStep.id)) {
+        document.getElementById('step-import-type').style.display = 'block';
+      } else if (currentStep.id === 'step-select-folder') {
+        if (this.selectedImportType === 'single') {
+          // Zurück zur ID/URL-Eingabe
+          switch (this.selectedPlatform) {
+            case 'steam':
+              document.getElementById('step-steam-id').style.display = 'block';
+              break;
+            case 'dlsite':
+              document.getElementById('step-dlsite-id').style.display = 'block';
+              break;
+            case 'itchio':
+              document.getElementById('step-itchio-url').style.display = 'block';
+              break;
+            default:
+              document.getElementById('step-import-type').style.display = 'block';
+              break;
+          }
+        } else {
+          document.getElementById('step-import-type').style.display = 'block';
+        }
+      } else if (currentStep.id === 'step-game-details') {
+        document.getElementById('step-select-folder').style.display = 'block';
+      } else if (currentStep.id === 'step-bulk-review') {
+        modal.querySelector('.modal-content').classList.remove('wide');
+        document.getElementById('step-select-folder').style.display = 'block';
+      }
+    });
+  });
+  
+  // Alle Kandidaten der Übersicht an- oder abwählen
+  const bulkSelectAll = document.getElementById('bulk-select-all');
+  bulkSelectAll.addEventListener('change', () => {
+    modal.querySelectorAll('.bulk-select').forEach(checkbox => {
+      checkbox.checked = bulkSelectAll.checked;
+    });
+  });
+  
+  // Ausgewählte Kandidaten importieren
+  modal.querySelector('.confirm-bulk-import').addEventListener('click', async () => {
+    const entries = this.collectBulkImportEntries();
+    
+    if (entries.length === 0) {
+      this.showNotification('Keine Spiele ausgewählt', 'info');
+      return;
+    }
+    
+    try {
+      const result = await window.dust.importGames(entries);
+      
+      if (result.imported.length > 0) {
+        this.loadGames();  // Spieleliste aktualisieren
+      }
+      
+      if (result.success) {
+        this.showNotification(result.message, 'success');
+        modal.remove();
+      } else {
+        this.showNotification(result.message, 'error');
+        console.error('Fehlgeschlagene Importe:', result.failed);
+      }
+    } catch (error) {
+      console.error('Fehler beim Importieren der Spiele:', error);
+      this.showNotification('Fehler beim Importieren der Spiele', 'error');
+    }
+  });
+  
+  // Ausführbare Datei manuell im Spielordner auswählen
+  modal.querySelector('#browse-exe-btn').addEventListener('click', async () => {
+    const result = await window.dust.selectExecutable(this.selectedGameFolder);
+    
+    if (!result.success) {
+      this.showNotification(result.message, 'info');
+      return;
+    }
+    
+    const select = document.getElementById('game-executable');
+    this.fillExecutableSelect(select, [result.executable, ...this.selectedExecutables], result.executable);
+    document.getElementById('executable-hint').style.display = 'none';
+  });
+  
+  // Cover-URL Änderung überwachen
+  const coverUrlInput = document.getElementById('game-cover-url');
+  const coverPreviewImg = document.getElementById('cover-preview-img');
+  
+  if (coverUrlInput && coverPreviewImg) {
+    coverUrlInput.addEventListener('input', () => {
+      const url = coverUrlInput.value.trim();
+      if (url) {
+        coverPreviewImg.src = url;
+      } else {
+        coverPreviewImg.src = 'assets/placeholder.png';
+      }
+    });
+    
+    // Lokales Bild wählen; es wird beim Hinzufügen in den Spielordner kopiert
+    document.getElementById('browse-cover-btn').addEventListener('click', () => {
+      this.selectCoverImage(coverUrlInput, coverPreviewImg);
+    });
+  }
+  
+  // Form-Submit-Handler
+  const form = document.getElementById('add-game-form');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const gameInfo = {
+      title: form.querySelector('#game-title').value,
+      developer: form.querySelector('#game-developer').value,
+      publisher: form.querySelector('#game-publisher').value,
+      genre: form.querySelector('#game-genre').value,
+      source: form.querySelector('#game-source').value,
+      version: form.querySelector('#game-version').value,
+      description: form.querySelector('#game-description').value,
+      tags: this.addGameTagEditor.getTags(),
+      coverImage: form.querySelector('#game-cover-url').value,
+      executable: form.querySelector('#game-executable').value,
+      
+      // Abgerufene Details ohne eigenes Formularfeld
+      releaseDate: this.pendingGameDetails?.releaseDate,
+      ageRating: this.pendingGameDetails?.ageRating,
+      screenshots: this.pendingGameDetails?.screenshots,
+      installSize: this.pendingGameDetails?.installSize,
+      
+      // Plattformspezifische Details
+      steamAppId: this.pendingGameDetails?.steamAppId,
+      dlsiteId: this.pendingGameDetails?.dlsiteId,
+      dlsiteCategory: this.pendingGameDetails?.dlsiteCategory,
+      itchioUrl: this.pendingGameDetails?.itchioUrl,
+      itchGameId: this.pendingGameDetails?.itchGameId,
+      itchUploadId: this.pendingGameDetails?.itchUploadId,
+      itchBuildId: this.pendingGameDetails?.itchBuildId
+    };
+    
+    // Spiel über IPC hinzufügen
+    try {
+      const result = await window.dust.addGameWithPath(gameInfo, this.selectedGameFolder, this.selectedExecutable);
+      
+      if (result.success) {
+        this.showNotification(result.message, 'success');
+        modal.remove();
+        this.loadGames();  // Spieleliste aktualisieren
+      } else {
+        this.showNotification(result.message, 'error');
+      }
+    } catch (error) {
+      console.error('Fehler beim Hinzufügen des Spiels:', error);
+      this.showNotification('Fehler beim Hinzufügen des Spiels', 'error');
+    }
+  });
+}
+
+// Hilfsfunktion: Spielordner auswählen
+async selectGameFolder() {
+  try {
+    // IPC-Aufruf zum Öffnen des Dateiauswahldialogs
+    const result = await window.dust.selectGameFolder(
+      this.selectedPlatform,
+      this.selectedImportType,
+      {
+        installDir: this.pendingGameDetails?.installDir,
+        title: this.pendingGameDetails?.title
+      }
+    );
+    return result;
+  } catch (error) {
+    console.error('Fehler bei der Ordnerauswahl:', error);
+    throw error;
+  }
+}
+
+// Hilfsfunktion: Unterordner eines Bibliotheksordners untersuchen und zur Überprüfung anzeigen
+async showBulkReview(rootFolder) {
+  const result = await window.dust.scanLibraryFolder(rootFolder, this.selectedPlatform);
+  
+  if (!result.success) {
+    this.showNotification(result.message, 'error');
+    return;
+  }
+  
+  if (result.candidates.length === 0) {
+    this.showNotification('Im gewählten Ordner wurden keine Spielordner gefunden', 'info');
+    return;
+  }
+  
+  this.bulkCandidates = result.candidates;
+  
+  document.getElementById('step-select-folder').style.display = 'none';
+  document.getElementById('step-bulk-review').style.display = 'block';
+  document.querySelector('#add-game-modal .modal-content').classList.add('wide');
+  
+  const selectedCount = result.candidates.filter(candidate => candidate.selected).length;
+  document.getElementById('bulk-summary').textContent =
+    `${result.candidates.length} Ordner in ${rootFolder} gefunden, ${selectedCount} zum Import vorgemerkt. ` +
+    'Bereits vorhandene Spiele und Ordner ohne ausführbare Datei sind abgewählt.';
+  document.getElementById('bulk-select-all').checked = selectedCount === result.candidates.length;
+  
+  this.renderBulkReviewRows(result.candidates);
+}
+
+// Hilfsfunktion: Zeilen der Import-Übersicht aufbauen
+renderBulkReviewRows(candidates) {
+  const body = document.getElementById('bulk-review-body');
+  body.innerHTML = '';
+  
+  candidates.forEach((candidate, index) => {
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+    if (candidate.alreadyImported) {
+      row.classList.add('already-imported');
+      row.title = 'Dieses Spiel ist bereits in Dust vorhanden';
+    }
+    
+    // Auswahl
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'bulk-select';
+    checkbox.checked = candidate.selected;
+    selectCell.appendChild(checkbox);
+    
+    // Titel (bearbeitbar), darunter der Ordner
+    const titleCell = document.createElement('td');
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'bulk-title';
+    titleInput.value = candidate.title;
+    const folderHint = document.createElement('span');
+    folderHint.className = 'bulk-folder';
+    folderHint.textContent = candidate.folder;
+    titleCell.append(titleInput, folderHint);
+    
+    // Ausführbare Datei
+    const executableCell = document.createElement('td');
+    const executableSelect = document.createElement('select');
+    executableSelect.className = 'bulk-executable';
+    ['', ...candidate.executables].forEach(executable => {
+      const option = document.createElement('option');
+      option.value = executable;
+      option.textContent = executable || '– keine –';
+      executableSelect.appendChild(option);
+    });
+    executableSelect.value = candidate.executable;
+    if (candidate.executableAmbiguous) {
+      executableSelect.classList.add('ambiguous');
+      executableSelect.title = 'Mehrere mögliche Dateien gefunden – bitte prüfen';
+    }
+    executableCell.appendChild(executableSelect);
+    
+    // Plattform-ID
+    const idCell = document.createElement('td');
+    const idInput = document.createElement('input');
+    idInput.type = 'text';
+    idInput.className = 'bulk-platform-id';
+    idInput.value = candidate.steamAppId || candidate.dlsiteId || candidate.itchioUrl || '';
+    idInput.placeholder = 'RJ-Nummer, App-ID oder URL';
+    idCell.appendChild(idInput);
+    
+    // Quelle
+    const sourceCell = document.createElement('td');
+    sourceCell.textContent = candidate.source;
+    sourceCell.className = 'bulk-source';
+    
+    row.append(selectCell, titleCell, executableCell, idCell, sourceCell);
+    body.appendChild(row);
+  });
+}
+
+// Hilfsfunktion: Ausgewählte und korrigierte Einträge der Import-Übersicht einsammeln
+collectBulkImportEntries() {
+  const entries = [];
+  
+  document.querySelectorAll('#bulk-review-body tr').forEach(row => {
+    if (!row.querySelector('.bulk-select').checked) return;
+    
+    const candidate = this.bulkCandidates[Number(row.dataset.index)];
+    const entry = {
+      ...candidate,
+      title: row.querySelector('.bulk-title').value.trim() || candidate.title,
+      executable: row.querySelector('.bulk-executable').value,
+      steamAppId: undefined,
+      dlsiteId: undefined,
+      itchioUrl: undefined
+    };
+    
+    // Plattform-ID anhand ihres Formats zuordnen
+    const platformId = row.querySelector('.bulk-platform-id').value.trim();
+    if (/^\d+$/.test(platformId)) {
+      entry.steamAppId = platformId;
+      entry.source = 'Steam';
+    } else if (/^(RJ|RE|VJ|BJ)\d{6,8}$/i.test(platformId)) {
+      entry.dlsiteId = platformId.toUpperCase();
+      entry.source = 'DLSite';
+    } else if (/itch\.io\//i.test(platformId)) {
+      entry.itchioUrl = platformId;
+      entry.source = 'Itch.io';
+    }
+    
+    entries.push(entry);
+  });
+  
+  return entries;
+}
+
+// Hilfsfunktion: Spieldetails von Steam abrufen
+async fetchSteamGameDetails(appId) {
+  try {
+    // IPC-Aufruf zum Abrufen der Steam-Spieldetails
+    const result = await window.dust.fetchSteamGameDetails(appId);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    return result.gameDetails;
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Steam-Spieldetails:', error);
+    throw error;
+  }
+}
+
+// Hilfsfunktion: Spieldetails von DLSite abrufen
+async fetchDLSiteGameDetails(dlsiteId, category = 'maniax') {
+  try {
+    // IPC-Aufruf zum Abrufen der DLSite-Spieldetails
+    const result = await window.dust.fetchDlsiteGameDetails(dlsiteId, category);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    return result.gameDetails;
+  } catch (error) {
+    console.error('Fehler beim Abrufen der DLSite-Spieldetails:', error);
+    throw error;
+  }
+}
+
+// Hilfsfunktion: Spieldetails von Itch.io abrufen
+async fetchItchIoGameDetails(url) {
+  try {
+    // IPC-Aufruf zum Abrufen der Itch.io-Spieldetails
+    const result = await window.dust.fetchItchioGameDetails(url);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    return result.gameDetails;
+  } catch (error) {
+    console.error('Fehler beim Abrufen der Itch.io-Spieldetails:', error);
+    throw error;
+  }
+}
+
+// Hilfsfunktion: Auswahlliste für ausführbare Dateien füllen (beste Kandidaten zuerst)
+fillExecutableSelect(select, executables, selected) {
+  const files = [...new Set([selected, ...executables].filter(Boolean))];
+  select.innerHTML = '';
+  
+  files.forEach(file => {
+    const option = document.createElement('option');
+    option.value = file;
+    option.textContent = file;
+    select.appendChild(option);
+  });
+  
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = '– keine –';
+  select.appendChild(noneOption);
+  
+  select.value = selected || '';
+}
+
+// Hilfsfunktion: Spieldetails-Formular ausfüllen
+fillGameDetailsForm(details) {
+  const form = document.getElementById('add-game-form');
+  
+  // Grundlegende Felder ausfüllen
+  form.querySelector('#game-title').value = details.title || '';
+  form.querySelector('#game-developer').value = details.developer || '';
+  form.querySelector('#game-publisher').value = details.publisher || '';
+  form.querySelector('#game-genre').value = details.genre || '';
+  form.querySelector('#game-source').value = details.source || this.selectedPlatform || '';
+  form.querySelector('#game-version').value = details.version || '1.0';
+  form.querySelector('#game-description').value = details.description || '';
+  this.addGameTagEditor.setTags(details.tags || []);
+  this.fillExecutableSelect(
+    form.querySelector('#game-executable'),
+    this.selectedExecutables,
+    details.executable || this.selectedExecutable || ''
+  );
+  
+  // Bei unklarer Erkennung auf die Auswahl hinweisen
+  document.getElementById('executable-hint').style.display = this.executableAmbiguous ? 'block' : 'none';
+  
+  // Cover-Bild
+  if (details.coverImage) {
+    form.querySelector('#game-cover-url').value = details.coverImage;
+    document.getElementById('cover-preview-img').src = details.coverImage;
+  }
+}
+  
+  // "Spiel bearbeiten" Modal anzeigen
+  showEditGameModal(gameInfo) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'edit-game-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Spiel bearbeiten</h2>
+          <button class="close-modal">&times;</button>
         </div>
-        
-        <div class="add-game-step" id="step-game-details" style="display: none;">
-          <h3>Spieldetails überprüfen</h3>
-          <form id="add-game-form">
+        <div class="modal-body">
+          <form id="edit-game-form">
             <div class="form-group">
-              <label for="game-title">Titel</label>
-              <input type="text" id="game-title" required>
+              <label for="edit-game-title">Titel</label>
+              <input type="text" id="edit-game-title" value="${escapeHtml(gameInfo.title)}" required>
             </div>
             <div class="form-group">
-              <label for="game-developer">Entwickler</label>
-              <input type="text" id="game-developer">
+              <label for="edit-game-developer">Entwickler</label>
+              <input type="text" id="edit-game-developer" value="${escapeHtml(gameInfo.developer)}">
             </div>
             <div class="form-group">
-              <label for="game-publisher">Publisher</label>
-              <input type="text" id="game-publisher">
+              <label for="edit-game-publisher">Publisher</label>
+              <input type="text" id="edit-game-publisher" value="${escapeHtml(gameInfo.publisher)}">
             </div>
             <div class="form-group">
-              <label for="game-genre">Genre</label>
-              <input type="text" id="game-genre">
+              <label for="edit-game-genre">Genre</label>
+              <input type="text" id="edit-game-genre" value="${escapeHtml(gameInfo.genre)}">
             </div>
             <div class="form-group">
-              <label for="game-source">Quelle</label>
-              <input type="text" id="game-source" readonly>
+              <label for="edit-game-source">Quelle</label>
+              <input type="text" id="edit-game-source" value="${escapeHtml(gameInfo.source)}">
             </div>
             <div class="form-group">
-              <label for="game-version">Version</label>
-              <input type="text" id="game-version">
+              <label for="edit-game-version">Version</label>
+              <input type="text" id="edit-game-version" value="${escapeHtml(gameInfo.version)}">
             </div>
             <div class="form-group">
-              <label for="game-executable">Ausführbare Datei</label>
-              <input type="text" id="game-executable" readonly>
-            </div>
-            <div class="form-group full-width">
-              <label for="game-description">Beschreibung</label>
-              <textarea id="game-description" rows="3"></textarea>
+              <label for="edit-game-cover">Cover (URL oder Bilddatei)</label>
+              <div class="cover-input">
+                <input type="text" id="edit-game-cover" value="${escapeHtml(gameInfo.coverImage)}">
+                <button type="button" id="edit-browse-cover-btn" class="secondary-button">Bild wählen…</button>
+              </div>
+              <div class="cover-preview">
+                <img id="edit-cover-preview-img" src="assets/placeholder.png" alt="Cover Vorschau">
+              </div>
             </div>
             <div class="form-group">
-              <label for="game-cover-url">Cover URL</label>
-              <input type="text" id="game-cover-url">
-              <div class="cover-preview">
-                <img id="cover-preview-img" src="assets/placeholder.png" alt="Cover Vorschau">
+              <label for="edit-executable-path">Ausführbare Datei</label>
+              <div class="executable-path">
+                <input type="text" id="edit-executable-path" value="${escapeHtml(gameInfo.executable)}" readonly>
+                <button type="button" id="change-exe-btn" class="secondary-button">Ändern</button>
               </div>
             </div>
+            <div class="form-group full-width">
+              <label for="edit-game-description">Beschreibung</label>
+              <textarea id="edit-game-description" rows="3">${escapeHtml(gameInfo.description)}</textarea>
+            </div>
+            <div class="form-group full-width">
+              <label>Tags</label>
+              <div class="tag-editor" id="edit-game-tags"></div>
+            </div>
+            <details class="form-section full-width">
+              <summary>Startoptionen</summary>
+              <div class="form-group">
+                <label for="edit-launch-args">Startargumente</label>
+                <input type="text" id="edit-launch-args" placeholder="z.B. -windowed --no-sandbox">
+              </div>
+              <div class="form-group">
+                <label for="edit-launch-env">Umgebungsvariablen (eine pro Zeile)</label>
+                <textarea id="edit-launch-env" rows="3" placeholder="LANG=ja_JP.UTF-8"></textarea>
+              </div>
+              <div class="form-group">
+                <label for="edit-launch-cwd">Arbeitsverzeichnis</label>
+                <input type="text" id="edit-launch-cwd" placeholder="Spielordner (relativ oder absolut)">
+              </div>
+              <div class="form-group">
+                <label for="edit-launch-pre">Befehl vor dem Start</label>
+                <input type="text" id="edit-launch-pre">
+              </div>
+              <div class="form-group">
+                <label for="edit-launch-post">Befehl nach dem Beenden</label>
+                <input type="text" id="edit-launch-post">
+              </div>
+            </details>
+            <details class="form-section full-width">
+              <summary>Spielstände</summary>
+              <p class="info-text">Ordner, die Dust nach jeder Sitzung sichert. Pfade sind relativ zum gewählten Basisordner; das Muster schränkt auf passende Dateien ein.</p>
+              <div class="save-location-editor" id="edit-save-locations"></div>
+            </details>
+            <details class="form-section full-width">
+              <summary>Kompatibilität</summary>
+              ${this.createRunnerFieldsHtml('edit-runner', true)}
+              <div class="form-group">
+                <label>Startbefehl</label>
+                <pre class="command-preview" id="edit-command-preview"></pre>
+              </div>
+            </details>
             <div class="form-actions">
-              <button type="button" class="secondary-button back-btn">Zurück</button>
-              <button type="submit" class="primary-button">Spiel hinzufügen</button>
+              <button type="submit" class="primary-button">Speichern</button>
             </div>
           </form>
         </div>
       </div>
-    </div>
-  `;
-  
-  document.body.appendChild(modal);
-  
-  // Modal-Interaktionen
-  modal.querySelector('.close-modal').addEventListener('click', () => {
-    modal.remove();
-  });
-  
-  // Klick außerhalb des Modals schließt es
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) {
+    `;
+    
+    document.body.appendChild(modal);
+    const tagEditor = this.createTagEditor(modal.querySelector('#edit-game-tags'), gameInfo.tags || []);
+    const saveLocationEditor = this.createSaveLocationEditor(modal.querySelector('#edit-save-locations'), gameInfo);
+    
+    // Modal-Interaktionen
+    modal.querySelector('.close-modal').addEventListener('click', () => {
       modal.remove();
+    });
+    
+    // Klick außerhalb des Modals schließt es
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+    
+    // Startoptionen eintragen (Werte direkt setzen, da sie Anführungszeichen enthalten können)
+    const launchOptions = gameInfo.launchOptions || {};
+    modal.querySelector('#edit-launch-args').value = this.formatLaunchArguments(launchOptions.args || []);
+    modal.querySelector('#edit-launch-env').value = Object.entries(launchOptions.env || {})
+      .map(([name, value]) => `${name}=${value}`)
+      .join('\n');
+    modal.querySelector('#edit-launch-cwd').value = launchOptions.cwd || '';
+    modal.querySelector('#edit-launch-pre').value = launchOptions.preLaunch || '';
+    modal.querySelector('#edit-launch-post').value = launchOptions.postLaunch || '';
+    this.fillRunnerFields(modal, 'edit-runner', gameInfo.runner || { type: 'default' });
+    
+    // Startbefehl bei jeder Änderung von Startoptionen oder Runner neu anzeigen
+    const readLaunchOptions = () => ({
+      args: modal.querySelector('#edit-launch-args').value,
+      env: modal.querySelector('#edit-launch-env').value,
+      cwd: modal.querySelector('#edit-launch-cwd').value,
+      preLaunch: modal.querySelector('#edit-launch-pre').value,
+      postLaunch: modal.querySelector('#edit-launch-post').value
+    });
+    const updatePreview = () => this.updateCommandPreview(modal.querySelector('#edit-command-preview'), gameInfo.directory, {
+      executable: modal.querySelector('#edit-executable-path').value,
+      launchOptions: readLaunchOptions(),
+      runner: this.readRunnerFields(modal, 'edit-runner')
+    });
+    modal.querySelectorAll('details.form-section').forEach(section => {
+      section.addEventListener('input', updatePreview);
+      section.addEventListener('change', updatePreview);
+    });
+    updatePreview();
+    
+    // Ausführbare Datei ändern
+    modal.querySelector('#change-exe-btn').addEventListener('click', () => {
+      this.showExecutableChooser(gameInfo, (executable) => {
+        modal.querySelector('#edit-executable-path').value = executable;
+        updatePreview();
+      });
+    });
+    
+    // Cover: gespeichertes Bild aus dem Cache, neue URLs direkt, lokale Bilder über den Dialog
+    const coverInput = modal.querySelector('#edit-game-cover');
+    const coverPreview = modal.querySelector('#edit-cover-preview-img');
+    coverPreview.addEventListener('error', () => {
+      coverPreview.src = 'assets/placeholder.png';
+    });
+    if (gameInfo.coverImage) {
+      coverPreview.src = gameAssetUrl(gameInfo, 'cover', { thumbnail: true });
     }
-  });
-  
-  // Plattformauswahl
-  const platformCards = modal.querySelectorAll('.platform-card');
-  platformCards.forEach(card => {
-    card.addEventListener('click', () => {
-      const platform = card.dataset.platform;
-      this.selectedPlatform = platform;
-      
-      // Nächsten Schritt anzeigen
-      document.getElementById('step-platform').style.display = 'none';
-      document.getElementById('step-import-type').style.display = 'block';
+    coverInput.addEventListener('input', () => {
+      const url = coverInput.value.trim();
+      coverPreview.src = /^https?:\/\//i.test(url) ? url : 'assets/placeholder.png';
     });
-  });
-  
-  // Import-Typ-Auswahl
-  const importTypeButtons = modal.querySelectorAll('.import-type-btn');
-  importTypeButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      const importType = button.dataset.type;
-      this.selectedImportType = importType;
+    modal.querySelector('#edit-browse-cover-btn').addEventListener('click', () => {
+      this.selectCoverImage(coverInput, coverPreview);
+    });
+    
+    // Form-Submit-Handler
+    const form = document.getElementById('edit-game-form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
       
-      // Zurück zum vorherigen Schritt
-      document.getElementById('step-import-type').style.display = 'none';
+      const updates = {
+        title: form.querySelector('#edit-game-title').value,
+        developer: form.querySelector('#edit-game-developer').value,
+        publisher: form.querySelector('#edit-game-publisher').value,
+        genre: form.querySelector('#edit-game-genre').value,
+        source: form.querySelector('#edit-game-source').value,
+        version: form.querySelector('#edit-game-version').value,
+        coverImage: form.querySelector('#edit-game-cover').value.trim(),
+        description: form.querySelector('#edit-game-description').value,
+        tags: tagEditor.getTags(),
+        executable: form.querySelector('#edit-executable-path').value,
+        launchOptions: readLaunchOptions(),
+        runner: this.readRunnerFields(form, 'edit-runner'),
+        saveLocations: saveLocationEditor.getLocations()
+      };
       
-      // Je nach Plattform und Importtyp weitergehen
-      if (this.selectedImportType === 'single') {
-        // Bei einzelnem Spiel nach ID/URL fragen
-        switch (this.selectedPlatform) {
-          case 'steam':
-            document.getElementById('step-steam-id').style.display = 'block';
-            break;
-          case 'dlsite':
-            document.getElementById('step-dlsite-id').style.display = 'block';
-            break;
-          case 'itchio':
-            document.getElementById('step-itchio-url').style.display = 'block';
-            break;
-          default:
-            // Bei "Andere" direkt zum Ordner-Auswahl
-            document.getElementById('step-select-folder').style.display = 'block';
-            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das Spiel enthält.';
-            break;
-        }
-      } else {
-        // Bei Ordner-Import direkt zum Ordner-Auswahl
-        document.getElementById('step-select-folder').style.display = 'block';
+      try {
+        const result = await window.dust.updateGame(gameInfo.directory, updates);
         
-        // Unterschiedliche Hilfetexte je nach Plattform
-        switch (this.selectedPlatform) {
-          case 'steam':
-            document.getElementById('folder-help-text').textContent = 'Wähle den Steam-Bibliotheksordner (z.B. steamapps/common).';
-            break;
-          case 'dlsite':
-            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der deine DLSite-Spiele enthält.';
-            break;
-          case 'itchio':
-            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der deine Itch.io-Spiele enthält.';
-            break;
-          default:
-            document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der mehrere Spiele enthält.';
-            break;
+        if (result.success) {
+          this.showNotification(result.message, 'success');
+          modal.remove();
+          this.loadGames();  // Spieleliste aktualisieren
+        } else {
+          this.showNotification(result.message, 'error');
         }
+      } catch (error) {
+        console.error('Fehler beim Aktualisieren des Spiels:', error);
+        this.showNotification('Fehler beim Aktualisieren des Spiels', 'error');
       }
     });
-  });
+  }
   
-  // Steam-ID bestätigen
-  const confirmSteamIdBtn = modal.querySelector('.confirm-steam-id');
-  if (confirmSteamIdBtn) {
-    confirmSteamIdBtn.addEventListener('click', async () => {
-      const steamAppId = document.getElementById('steam-app-id').value.trim();
-      if (!steamAppId) {
-        this.showNotification('Bitte gib eine Steam App-ID ein', 'error');
-        return;
+  // Liste der Spielstand-Speicherorte mit Basisordner, Pfad und optionalem Dateimuster
+  createSaveLocationEditor(container, gameInfo) {
+    container.innerHTML = `
+      <div class="save-location-rows"></div>
+      <div class="save-location-actions">
+        <button type="button" class="secondary-button add-location-btn"><i class="fas fa-plus"></i> Speicherort hinzufügen</button>
+        <button type="button" class="secondary-button detect-locations-btn"><i class="fas fa-magic"></i> Automatisch erkennen</button>
+      </div>
+    `;
+    const rows = container.querySelector('.save-location-rows');
+    
+    const addRow = (location = { base: 'install', path: '' }) => {
+      const row = document.createElement('div');
+      row.className = 'save-location-row';
+      row.innerHTML = `
+        <select class="save-location-base">
+          ${Object.entries(SAVE_LOCATION_BASES).map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('')}
+        </select>
+        <input type="text" class="save-location-path" placeholder="z.B. www/save">
+        <input type="text" class="save-location-pattern" placeholder="Muster (optional)">
+        <button type="button" class="icon-button small remove-location-btn" title="Speicherort entfernen"><i class="fas fa-trash"></i></button>
+      `;
+      row.querySelector('.save-location-base').value = location.base;
+      row.querySelector('.save-location-path').value = location.path || '';
+      row.querySelector('.save-location-pattern').value = location.pattern || '';
+      row.querySelector('.remove-location-btn').addEventListener('click', () => row.remove());
+      rows.appendChild(row);
+    };
+    
+    const setLocations = (locations) => {
+      rows.innerHTML = '';
+      locations.forEach(addRow);
+    };
+    
+    container.querySelector('.add-location-btn').addEventListener('click', () => addRow());
+    container.querySelector('.detect-locations-btn').addEventListener('click', async () => {
+      try {
+        const result = await window.dust.detectSaveLocations(gameInfo.directory);
+        if (!result.success) {
+          this.showNotification(result.message, 'error');
+        } else if (result.locations.length === 0) {
+          this.showNotification('Keine bekannten Speicherorte gefunden', 'info');
+        } else {
+          setLocations(result.locations);
+        }
+      } catch (error) {
+        console.error('Fehler beim Erkennen der Speicherorte:', error);
+        this.showNotification('Fehler beim Erkennen der Speicherorte', 'error');
       }
-      
+    });
+    
+    setLocations(gameInfo.saveLocations || []);
+    
+    return {
+      // Zeilen ohne Pfad werden ignoriert; die Prüfung übernimmt der Hauptprozess
+      getLocations() {
+        return Array.from(rows.querySelectorAll('.save-location-row'))
+          .map(row => ({
+            base: row.querySelector('.save-location-base').value,
+            path: row.querySelector('.save-location-path').value.trim(),
+            pattern: row.querySelector('.save-location-pattern').value.trim()
+          }))
+          .filter(location => location.path || location.pattern);
+      }
+    };
+  }
+  
+  // Spielstand-Sicherungen eines Spiels anzeigen und wiederherstellen
+  async showSaveSnapshotsModal(gameInfo) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'save-snapshots-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content confirm-modal">
+        <div class="modal-header">
+          <h2>Spielstände: ${escapeHtml(gameInfo.title)}</h2>
+          <button class="close-modal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <h3>Speicherorte</h3>
+          <div class="directory-list save-location-status"></div>
+          <h3>Sicherungen</h3>
+          <div class="save-snapshot-list"></div>
+          <div class="form-actions">
+            <button class="primary-button snapshot-now-btn"><i class="fas fa-save"></i> Jetzt sichern</button>
+            <button class="secondary-button cancel-btn">Schließen</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const close = () => modal.remove();
+    modal.querySelector('.close-modal').addEventListener('click', close);
+    modal.querySelector('.cancel-btn').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        close();
+      }
+    });
+    
+    const render = async () => {
+      let result;
       try {
-        // Spieldetails von Steam abrufen
-        const gameDetails = await this.fetchSteamGameDetails(steamAppId);
-        
-        // Zum Ordner-Auswahl-Schritt
-        document.getElementById('step-steam-id').style.display = 'none';
-        document.getElementById('step-select-folder').style.display = 'block';
-        document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das Steam-Spiel enthält.';
-        
-        // Spieldetails speichern für später
-        this.pendingGameDetails = {
-          ...gameDetails,
-          source: 'Steam',
-          steamAppId: steamAppId
-        };
+        result = await window.dust.getSaveSnapshots(gameInfo.directory);
       } catch (error) {
-        this.showNotification('Fehler beim Abrufen der Steam-Spieldetails', 'error');
-        console.error(error);
+        console.error('Fehler beim Abrufen der Spielstände:', error);
+        result = { success: false, message: 'Fehler beim Abrufen der Spielstände' };
       }
-    });
-  }
-  
-  // DLSite-ID bestätigen
-  const confirmDLSiteIdBtn = modal.querySelector('.confirm-dlsite-id');
-  if (confirmDLSiteIdBtn) {
-    confirmDLSiteIdBtn.addEventListener('click', async () => {
-      const dlsiteId = document.getElementById('dlsite-id').value.trim();
-      const dlsiteCategory = document.getElementById('dlsite-category').value;
-      
-      if (!dlsiteId) {
-        this.showNotification('Bitte gib eine DLSite ID ein', 'error');
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+        close();
         return;
       }
       
+      const locationList = modal.querySelector('.save-location-status');
+      locationList.innerHTML = '';
+      if (result.locations.length === 0) {
+        locationList.innerHTML = '<p class="info-text">Keine Speicherorte bekannt. Unter "Bearbeiten" lassen sich welche eintragen.</p>';
+      }
+      result.locations.forEach(location => {
+        const item = document.createElement('div');
+        item.className = 'directory-item';
+        item.innerHTML = `
+          <span class="directory-path"></span>
+          <span class="directory-status ${location.exists ? 'online' : 'offline'}">${location.exists ? 'Vorhanden' : 'Nicht gefunden'}</span>
+        `;
+        const label = location.folder || `${SAVE_LOCATION_BASES[location.base]}: ${location.path}`;
+        item.querySelector('.directory-path').textContent = location.pattern ? `${label} (${location.pattern})` : label;
+        locationList.appendChild(item);
+      });
+      
+      const snapshotList = modal.querySelector('.save-snapshot-list');
+      snapshotList.innerHTML = '';
+      if (result.snapshots.length === 0) {
+        snapshotList.innerHTML = '<p class="info-text">Noch keine Sicherungen vorhanden.</p>';
+      }
+      result.snapshots.forEach(snapshot => {
+        const item = document.createElement('div');
+        item.className = 'directory-item save-snapshot';
+        item.innerHTML = `
+          <span class="directory-label"></span>
+          <span class="directory-path"></span>
+          <div class="directory-actions">
+            <button class="secondary-button restore-btn">Wiederherstellen</button>
+          </div>
+        `;
+        item.querySelector('.directory-label').textContent = new Date(snapshot.createdAt).toLocaleString('de-DE');
+        item.querySelector('.directory-path').textContent =
+          `${SAVE_SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason} · ${snapshot.files} Dateien · ${this.formatSize(snapshot.size)}`;
+        item.querySelector('.restore-btn').addEventListener('click', () => {
+          this.confirmRestoreSnapshot(gameInfo, snapshot, render);
+        });
+        snapshotList.appendChild(item);
+      });
+    };
+    
+    const snapshotBtn = modal.querySelector('.snapshot-now-btn');
+    snapshotBtn.addEventListener('click', async () => {
+      snapshotBtn.disabled = true;
       try {
-        // Spieldetails von DLSite abrufen
-        const gameDetails = await this.fetchDLSiteGameDetails(dlsiteId, dlsiteCategory);
-        
-        // Zum Ordner-Auswahl-Schritt
-        document.getElementById('step-dlsite-id').style.display = 'none';
-        document.getElementById('step-select-folder').style.display = 'block';
-        document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das DLSite-Spiel enthält.';
-        
-        // Spieldetails speichern für später
-        this.pendingGameDetails = {
-          ...gameDetails,
-          source: 'DLSite',
-          dlsiteId: dlsiteId,
-          dlsiteCategory: dlsiteCategory
-        };
+        const result = await window.dust.createSaveSnapshot(gameInfo.directory);
+        this.showNotification(result.message, result.success ? (result.snapshot ? 'success' : 'info') : 'error');
+        await render();
       } catch (error) {
-        this.showNotification('Fehler beim Abrufen der DLSite-Spieldetails', 'error');
-        console.error(error);
+        console.error('Fehler beim Sichern der Spielstände:', error);
+        this.showNotification('Fehler beim Sichern der Spielstände', 'error');
+      } finally {
+        snapshotBtn.disabled = false;
       }
     });
+    
+    await render();
   }
   
-  // Itch.io URL bestätigen
-  const confirmItchIoUrlBtn = modal.querySelector('.confirm-itchio-url');
-  if (confirmItchIoUrlBtn) {
-    confirmItchIoUrlBtn.addEventListener('click', async () => {
-      const itchioUrl = document.getElementById('itchio-url').value.trim();
-      
-      if (!itchioUrl) {
-        this.showNotification('Bitte gib eine Itch.io URL ein', 'error');
-        return;
+  // Bestätigung vor dem Zurückspielen einer Spielstand-Sicherung
+  confirmRestoreSnapshot(gameInfo, snapshot, onRestored) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'confirm-restore-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content confirm-modal">
+        <div class="modal-header">
+          <h2>Spielstände wiederherstellen</h2>
+          <button class="close-modal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p>Spielstände von "${escapeHtml(gameInfo.title)}" auf den Stand vom ${escapeHtml(new Date(snapshot.createdAt).toLocaleString('de-DE'))} zurücksetzen?</p>
+          <p class="info-text">Die aktuellen Spielstände werden vorher gesichert und können ebenfalls wiederhergestellt werden.</p>
+          <div class="form-actions">
+            <button class="danger-button confirm-btn">Wiederherstellen</button>
+            <button class="secondary-button cancel-btn">Abbrechen</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cancel-btn').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
       }
-      
+    });
+    
+    modal.querySelector('.confirm-btn').addEventListener('click', async () => {
       try {
-        // Spieldetails von Itch.io abrufen
-        const gameDetails = await this.fetchItchIoGameDetails(itchioUrl);
-        
-        // Zum Ordner-Auswahl-Schritt
-        document.getElementById('step-itchio-url').style.display = 'none';
-        document.getElementById('step-select-folder').style.display = 'block';
-        document.getElementById('folder-help-text').textContent = 'Wähle den Ordner, der das Itch.io-Spiel enthält.';
-        
-        // Spieldetails speichern für später
-        this.pendingGameDetails = {
-          ...gameDetails,
-          source: 'Itch.io',
-          itchioUrl: itchioUrl
-        };
+        const result = await window.dust.restoreSaveSnapshot(gameInfo.directory, snapshot.id);
+        this.showNotification(result.message, result.success ? 'success' : 'error');
+        if (result.success) {
+          onRestored();
+        }
       } catch (error) {
-        this.showNotification('Fehler beim Abrufen der Itch.io-Spieldetails', 'error');
-        console.error(error);
+        console.error('Fehler beim Wiederherstellen der Spielstände:', error);
+        this.showNotification('Fehler beim Wiederherstellen der Spielstände', 'error');
+      } finally {
+        modal.remove();
       }
     });
   }
   
-  // Ordner auswählen
-  const selectFolderBtn = modal.querySelector('.select-folder-btn');
-  if (selectFolderBtn) {
-    selectFolderBtn.addEventListener('click', async () => {
-      try {
-        const result = await this.selectGameFolder();
-        
-        if (!result.success) {
-          this.showNotification(result.message || 'Ordnerauswahl abgebrochen', 'info');
-          return;
-        }
-        
-        // Zum Spieldetails-Schritt
-        document.getElementById('step-select-folder').style.display = 'none';
-        document.getElementById('step-game-details').style.display = 'block';
-        
-        // Formular mit Details füllen
-        this.fillGameDetailsForm(result.gameDetails || this.pendingGameDetails || {});
-        
-        // Spielverzeichnis speichern
-        this.selectedGameFolder = result.selectedFolder;
-        this.selectedExecutable = result.executable || '';
-      } catch (error) {
-        this.showNotification('Fehler bei der Ordnerauswahl', 'error');
-        console.error(error);
+  // Argumentliste als bearbeitbare Zeile darstellen (Argumente mit Leerzeichen in Anführungszeichen)
+  formatLaunchArguments(args) {
+    return args
+      .map(arg => (arg === '' || /[\s"']/.test(arg)) ? `"${arg.replace(/["\\]/g, '\\$&')}"` : arg)
+      .join(' ');
+  }
+  
+  // Formularfelder für einen Runner (Spiel oder globale Voreinstellung)
+  createRunnerFieldsHtml(prefix, allowDefault) {
+    return `
+      <div class="form-group">
+        <label for="${prefix}-type">Runner</label>
+        <select id="${prefix}-type">
+          ${allowDefault ? '<option value="default">Standard (Einstellungen)</option>' : ''}
+          <option value="native">Nativ</option>
+          <option value="wine">Wine</option>
+          <option value="proton">Proton</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="${prefix}-wine-binary">Wine-Programm</label>
+        <input type="text" id="${prefix}-wine-binary" placeholder="wine">
+      </div>
+      <div class="form-group">
+        <label for="${prefix}-wine-prefix">WINEPREFIX</label>
+        <input type="text" id="${prefix}-wine-prefix" placeholder="~/.wine">
+      </div>
+      <div class="form-group">
+        <label for="${prefix}-proton-path">Proton-Ordner</label>
+        <input type="text" id="${prefix}-proton-path" placeholder=".../steamapps/common/Proton 9.0">
+      </div>
+      <div class="form-group">
+        <label for="${prefix}-locale">Sprachumgebung</label>
+        <select id="${prefix}-locale">
+          <option value="">System</option>
+          <option value="ja_JP.UTF-8">Japanisch (ja_JP.UTF-8)</option>
+          <option value="zh_CN.UTF-8">Chinesisch (zh_CN.UTF-8)</option>
+          <option value="ko_KR.UTF-8">Koreanisch (ko_KR.UTF-8)</option>
+          <option value="en_US.UTF-8">Englisch (en_US.UTF-8)</option>
+          <option value="de_DE.UTF-8">Deutsch (de_DE.UTF-8)</option>
+        </select>
+      </div>
+      <div class="form-group checkbox-group">
+        <label><input type="checkbox" id="${prefix}-dxvk"> DXVK verwenden</label>
+        <label><input type="checkbox" id="${prefix}-per-game-prefix"> Eigenes Prefix pro Spiel</label>
+      </div>
+    `;
+  }
+  
+  // Runner-Konfiguration in die Formularfelder eintragen
+  fillRunnerFields(container, prefix, runner) {
+    const config = runner || {};
+    container.querySelector(`#${prefix}-type`).value = config.type || 'default';
+    container.querySelector(`#${prefix}-wine-binary`).value = config.wineBinary || '';
+    container.querySelector(`#${prefix}-wine-prefix`).value = config.winePrefix || '';
+    container.querySelector(`#${prefix}-proton-path`).value = config.protonPath || '';
+    container.querySelector(`#${prefix}-dxvk`).checked = config.dxvk !== false;
+    container.querySelector(`#${prefix}-per-game-prefix`).checked = !!config.perGamePrefix;
+    
+    // Eigene Locales, die nicht in der Liste stehen, als zusätzliche Option aufnehmen
+    const localeSelect = container.querySelector(`#${prefix}-locale`);
+    if (config.locale && !Array.from(localeSelect.options).some(option => option.value === config.locale)) {
+      localeSelect.add(new Option(config.locale, config.locale));
+    }
+    localeSelect.value = config.locale || '';
+  }
+  
+  // Runner-Konfiguration aus den Formularfeldern lesen
+  readRunnerFields(container, prefix) {
+    return {
+      type: container.querySelector(`#${prefix}-type`).value,
+      wineBinary: container.querySelector(`#${prefix}-wine-binary`).value.trim(),
+      winePrefix: container.querySelector(`#${prefix}-wine-prefix`).value.trim(),
+      protonPath: container.querySelector(`#${prefix}-proton-path`).value.trim(),
+      locale: container.querySelector(`#${prefix}-locale`).value,
+      dxvk: container.querySelector(`#${prefix}-dxvk`).checked,
+      perGamePrefix: container.querySelector(`#${prefix}-per-game-prefix`).checked
+    };
+  }
+  
+  // Vom Hauptprozess gebauten Startbefehl anzeigen (zur Fehlersuche)
+  async updateCommandPreview(element, directory, overrides) {
+    try {
+      const result = await window.dust.previewLaunchCommand(directory, overrides);
+      element.textContent = result.success ? result.command : result.message;
+      element.classList.toggle('error', !result.success);
+    } catch (error) {
+      console.error('Fehler beim Erstellen der Befehlsvorschau:', error);
+    }
+  }
+  
+  // Wert einer Einstellung in Punktschreibweise lesen
+  getSettingValue(key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), this.settings);
+  }
+  
+  // Wert einer Einstellung in Punktschreibweise lokal setzen
+  setSettingValue(key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((current, part) => current[part] = current[part] || {}, this.settings);
+    target[last] = value;
+  }
+  
+  // Theme aus den Einstellungen auf die Oberfläche anwenden
+  applyTheme() {
+    const theme = this.getSettingValue('appearance.theme') || 'dark';
+    document.body.classList.toggle('theme-light', theme === 'light');
+  }
+  
+  // Einstellungsseite mit den gespeicherten Werten füllen
+  renderSettings() {
+    if (!this.settings) return;
+    
+    document.querySelectorAll('#settings [data-setting]').forEach(control => {
+      const value = this.getSettingValue(control.dataset.setting);
+      if (control.type === 'checkbox') {
+        control.checked = !!value;
+      } else {
+        control.value = value;
       }
     });
+    
+    const runnerDefaults = document.getElementById('runner-defaults');
+    if (runnerDefaults) {
+      this.fillRunnerFields(runnerDefaults, 'default-runner', this.settings.runner);
+    }
+    
+    this.renderLibraryPaths();
+    this.renderLibraryRoots();
   }
   
-  // Zurück-Buttons
-  const backButtons = modal.querySelectorAll('.back-btn');
-  backButtons.forEach(button => {
-    button.addEventListener('click', (e) => {
-      const currentStep = e.target.closest('.add-game-step');
-      currentStep.style.display = 'none';
+  // Bibliotheksordner mit Status und Ziel für neue Spiele anzeigen
+  async renderLibraryRoots() {
+    const container = document.getElementById('library-roots');
+    if (!container) return;
+    
+    try {
+      this.libraryRoots = await window.dust.getLibraryRoots();
+    } catch (error) {
+      console.error('Fehler beim Laden der Bibliotheksordner:', error);
+      return;
+    }
+    
+    container.innerHTML = '';
+    
+    this.libraryRoots.forEach(root => {
+      const item = document.createElement('div');
+      item.className = 'directory-item';
+      item.innerHTML = `
+        <span class="directory-label"></span>
+        <span class="directory-path"></span>
+        <span class="directory-status ${root.online ? 'online' : 'offline'}">
+          ${root.online ? 'Verbunden' : 'Nicht erreichbar'}
+        </span>
+        <div class="directory-actions">
+          <button class="icon-button small target-btn ${root.target ? 'active' : ''}" title="Neue Spiele hier speichern">
+            <i class="fas fa-star"></i>
+          </button>
+          ${root.builtIn ? '' : `
+          <button class="icon-button small remove-btn" title="Aus Dust entfernen (Dateien bleiben erhalten)">
+            <i class="fas fa-trash"></i>
+          </button>`}
+        </div>
+      `;
+      item.querySelector('.directory-label').textContent = root.name;
+      item.querySelector('.directory-path').textContent = root.path;
       
-      // Je nach aktuellem Schritt zurück zum passenden vorherigen Schritt
-      if (currentStep.id === 'step-import-type') {
-        document.getElementById('step-platform').style.display = 'block';
-      } else if (['step-steam-id', 'step-dlsite-id', 'step-itchio-url'].includes(currentStep.id)) {
-        document.getElementById('step-import-type').style.display = 'block';
-      } else if (currentStep.id === 'step-select-folder') {
-        if (this.selectedImportType === 'single') {
-          // Zurück zur ID/URL-Eingabe
-          switch (this.selectedPlatform) {
-            case 'steam':
-              document.getElementById('step-steam-id').style.display = 'block';
-              break;
-            case 'dlsite':
-              document.getElementById('step-dlsite-id').style.display = 'block';
-              break;
-            case 'itchio':
-              document.getElementById('step-itchio-url').style.display = 'block';
-              break;
-            default:
-              document.getElementById('step-import-type').style.display = 'block';
-              break;
-          }
-        } else {
-          document.getElementById('step-import-type').style.display = 'block';
+      item.querySelector('.target-btn').addEventListener('click', () => {
+        if (!root.target) {
+          this.setLibraryTarget(root);
         }
-      } else if (currentStep.id === 'step-game-details') {
-        document.getElementById('step-select-folder').style.display = 'block';
+      });
+      
+      const removeBtn = item.querySelector('.remove-btn');
+      if (removeBtn) {
+        removeBtn.addEventListener('click', () => this.removeLibraryRoot(root));
       }
+      
+      container.appendChild(item);
     });
-  });
+  }
   
-  // Cover-URL Änderung überwachen
-  const coverUrlInput = document.getElementById('game-cover-url');
-  const coverPreviewImg = document.getElementById('cover-preview-img');
+  // Bibliotheksordner per Ordnerauswahl hinzufügen
+  async addLibraryRoot() {
+    try {
+      const selection = await window.dust.selectSettingsFolder();
+      if (!selection.success) {
+        if (selection.message !== 'Keine Auswahl getroffen') {
+          this.showNotification(selection.message, 'error');
+        }
+        return;
+      }
+      
+      const result = await window.dust.addLibraryRoot(selection.folder);
+      this.showNotification(result.message, result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('Fehler beim Hinzufügen des Bibliotheksordners:', error);
+      this.showNotification('Fehler beim Hinzufügen des Bibliotheksordners', 'error');
+    }
+  }
   
-  if (coverUrlInput && coverPreviewImg) {
-    coverUrlInput.addEventListener('input', () => {
-      const url = coverUrlInput.value.trim();
-      if (url) {
-        coverPreviewImg.src = url;
-      } else {
-        coverPreviewImg.src = 'assets/placeholder.png';
+  // Bibliotheksordner entfernen (nur der Verweis, die Dateien bleiben und der Ordner kann erneut hinzugefügt werden)
+  async removeLibraryRoot(root) {
+    try {
+      const result = await window.dust.removeLibraryRoot(root.id);
+      this.showNotification(result.message, result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('Fehler beim Entfernen des Bibliotheksordners:', error);
+      this.showNotification('Fehler beim Entfernen des Bibliotheksordners', 'error');
+    }
+  }
+  
+  // Bibliotheksordner für neue Spiele festlegen
+  async setLibraryTarget(root) {
+    try {
+      const result = await window.dust.setLibraryTarget(root.id);
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+      }
+    } catch (error) {
+      console.error('Fehler beim Festlegen des Bibliotheksordners:', error);
+      this.showNotification('Fehler beim Festlegen des Bibliotheksordners', 'error');
+    }
+  }
+  
+  // Importordner einer Plattform speichern; ungültige Ordner werden gemeldet und zurückgesetzt
+  async setLibraryPath(platform, folder) {
+    try {
+      const result = await window.dust.setLibraryPath(platform, folder);
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+        this.renderSettings();
       }
+    } catch (error) {
+      console.error('Fehler beim Speichern des Importordners:', error);
+      this.showNotification('Fehler beim Speichern des Importordners', 'error');
+    }
+  }
+  
+  // Importordner je Plattform anzeigen
+  renderLibraryPaths() {
+    const container = document.getElementById('library-paths');
+    if (!container) return;
+    
+    const platforms = { steam: 'Steam', itchio: 'Itch.io', dlsite: 'DLSite', other: 'Lokal' };
+    container.innerHTML = '';
+    
+    Object.entries(platforms).forEach(([platform, label]) => {
+      const key = `libraryPaths.${platform}`;
+      const folder = this.getSettingValue(key) || '';
+      
+      const item = document.createElement('div');
+      item.className = 'directory-item';
+      item.innerHTML = `
+        <span class="directory-label"></span>
+        <span class="directory-path"></span>
+        <div class="directory-actions">
+          <button class="icon-button small browse-btn" title="Ordner wählen"><i class="fas fa-folder-open"></i></button>
+          <button class="icon-button small clear-btn" title="Automatisch erkennen"><i class="fas fa-trash"></i></button>
+        </div>
+      `;
+      item.querySelector('.directory-label').textContent = label;
+      item.querySelector('.directory-path').textContent = folder || 'Automatisch';
+      item.querySelector('.directory-path').classList.toggle('muted', !folder);
+      item.querySelector('.clear-btn').disabled = !folder;
+      
+      item.querySelector('.browse-btn').addEventListener('click', async () => {
+        const result = await window.dust.selectSettingsFolder(folder);
+        if (result.success) {
+          this.setLibraryPath(platform, result.folder);
+        } else if (result.message !== 'Keine Auswahl getroffen') {
+          this.showNotification(result.message, 'error');
+        }
+      });
+      item.querySelector('.clear-btn').addEventListener('click', () => {
+        this.setLibraryPath(platform, '');
+      });
+      
+      container.appendChild(item);
     });
   }
   
-  // Form-Submit-Handler
-  const form = document.getElementById('add-game-form');
-  form.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    
-    const gameInfo = {
-      title: form.querySelector('#game-title').value,
-      developer: form.querySelector('#game-developer').value,
-      publisher: form.querySelector('#game-publisher').value,
-      genre: form.querySelector('#game-genre').value,
-      source: form.querySelector('#game-source').value,
-      version: form.querySelector('#game-version').value,
-      description: form.querySelector('#game-description').value,
-      coverImage: form.querySelector('#game-cover-url').value,
-      executable: form.querySelector('#game-executable').value,
-      
-      // Plattformspezifische Details
-      steamAppId: this.pendingGameDetails?.steamAppId,
-      dlsiteId: this.pendingGameDetails?.dlsiteId,
-      dlsiteCategory: this.pendingGameDetails?.dlsiteCategory,
-      itchioUrl: this.pendingGameDetails?.itchioUrl
-    };
-    
-    // Spiel über IPC hinzufügen
+  // Ganze Bibliothek in eine Sicherungsdatei schreiben
+  async exportBackup(button) {
+    button.disabled = true;
     try {
-      const result = await ipcRenderer.invoke('add-game-with-path', gameInfo, this.selectedGameFolder, this.selectedExecutable);
-      
+      const result = await window.dust.exportLibraryBackup();
       if (result.success) {
         this.showNotification(result.message, 'success');
-        modal.remove();
-        this.loadGames();  // Spieleliste aktualisieren
-      } else {
+      } else if (result.message !== 'Auswahl abgebrochen') {
         this.showNotification(result.message, 'error');
       }
     } catch (error) {
-      console.error('Fehler beim Hinzufügen des Spiels:', error);
-      this.showNotification('Fehler beim Hinzufügen des Spiels', 'error');
+      console.error('Fehler beim Sichern der Bibliothek:', error);
+      this.showNotification('Fehler beim Sichern der Bibliothek', 'error');
+    } finally {
+      button.disabled = false;
     }
-  });
-}
-
-// Hilfsfunktion: Spielordner auswählen
-async selectGameFolder() {
-  try {
-    // IPC-Aufruf zum Öffnen des Dateiauswahldialogs
-    const result = await ipcRenderer.invoke('select-game-folder', this.selectedPlatform, this.selectedImportType);
-    return result;
-  } catch (error) {
-    console.error('Fehler bei der Ordnerauswahl:', error);
-    throw error;
-  }
-}
-
-// Hilfsfunktion: Spieldetails von Steam abrufen
-async fetchSteamGameDetails(appId) {
-  try {
-    // IPC-Aufruf zum Abrufen der Steam-Spieldetails
-    return await ipcRenderer.invoke('fetch-steam-game-details', appId);
-  } catch (error) {
-    console.error('Fehler beim Abrufen der Steam-Spieldetails:', error);
-    throw error;
-  }
-}
-
-// Hilfsfunktion: Spieldetails von DLSite abrufen
-async fetchDLSiteGameDetails(dlsiteId, category = 'maniax') {
-  try {
-    // IPC-Aufruf zum Abrufen der DLSite-Spieldetails
-    return await ipcRenderer.invoke('fetch-dlsite-game-details', dlsiteId, category);
-  } catch (error) {
-    console.error('Fehler beim Abrufen der DLSite-Spieldetails:', error);
-    throw error;
-  }
-}
-
-// Hilfsfunktion: Spieldetails von Itch.io abrufen
-async fetchItchIoGameDetails(url) {
-  try {
-    // IPC-Aufruf zum Abrufen der Itch.io-Spieldetails
-    return await ipcRenderer.invoke('fetch-itchio-game-details', url);
-  } catch (error) {
-    console.error('Fehler beim Abrufen der Itch.io-Spieldetails:', error);
-    throw error;
   }
-}
-
-// Hilfsfunktion: Spieldetails-Formular ausfüllen
-fillGameDetailsForm(details) {
-  const form = document.getElementById('add-game-form');
-  
-  // Grundlegende Felder ausfüllen
-  form.querySelector('#game-title').value = details.title || '';
-  form.querySelector('#game-developer').value = details.developer || '';
-  form.querySelector('#game-publisher').value = details.publisher || '';
-  form.querySelector('#game-genre').value = details.genre || '';
-  form.querySelector('#game-source').value = details.source || this.selectedPlatform || '';
-  form.querySelector('#game-version').value = details.version || '1.0';
-  form.querySelector('#game-description').value = details.description || '';
-  form.querySelector('#game-executable').value = details.executable || this.selectedExecutable || '';
   
-  // Cover-Bild
-  if (details.coverImage) {
-    form.querySelector('#game-cover-url').value = details.coverImage;
-    document.getElementById('cover-preview-img').src = details.coverImage;
+  // Spieleliste als CSV oder JSON exportieren
+  async exportGameList(format) {
+    try {
+      const result = await window.dust.exportLibraryList(format);
+      if (result.success) {
+        this.showNotification(result.message, 'success');
+      } else if (result.message !== 'Auswahl abgebrochen') {
+        this.showNotification(result.message, 'error');
+      }
+    } catch (error) {
+      console.error('Fehler beim Exportieren der Spieleliste:', error);
+      this.showNotification('Fehler beim Exportieren der Spieleliste', 'error');
+    }
   }
-}
   
-  // "Spiel bearbeiten" Modal anzeigen
-  showEditGameModal(gameInfo) {
+  // Sicherung auswählen und Optionen für die Wiederherstellung anzeigen
+  async showImportBackupModal() {
+    let backup;
+    try {
+      backup = await window.dust.readLibraryBackup();
+    } catch (error) {
+      console.error('Fehler beim Lesen der Sicherung:', error);
+      this.showNotification('Fehler beim Lesen der Sicherung', 'error');
+      return;
+    }
+    if (!backup.success) {
+      if (backup.message !== 'Auswahl abgebrochen') {
+        this.showNotification(backup.message, 'error');
+      }
+      return;
+    }
+    
+    const createdAt = backup.createdAt ? new Date(backup.createdAt).toLocaleString('de-DE') : 'unbekannt';
     const modal = document.createElement('div');
     modal.className = 'modal';
-    modal.id = 'edit-game-modal';
+    modal.id = 'import-backup-modal';
     
     modal.innerHTML = `
-      <div class="modal-content">
+      <div class="modal-content confirm-modal">
         <div class="modal-header">
-          <h2>Spiel bearbeiten</h2>
+          <h2>Sicherung wiederherstellen</h2>
           <button class="close-modal">&times;</button>
         </div>
         <div class="modal-body">
-          <form id="edit-game-form">
-            <div class="form-group">
-              <label for="edit-game-title">Titel</label>
-              <input type="text" id="edit-game-title" value="${gameInfo.title || ''}" required>
-            </div>
-            <div class="form-group">
-              <label for="edit-game-developer">Entwickler</label>
-              <input type="text" id="edit-game-developer" value="${gameInfo.developer || ''}">
-            </div>
-            <div class="form-group">
-              <label for="edit-game-publisher">Publisher</label>
-              <input type="text" id="edit-game-publisher" value="${gameInfo.publisher || ''}">
-            </div>
-            <div class="form-group">
-              <label for="edit-game-genre">Genre</label>
-              <input type="text" id="edit-game-genre" value="${gameInfo.genre || ''}">
-            </div>
-            <div class="form-group">
-              <label for="edit-game-source">Quelle</label>
-              <input type="text" id="edit-game-source" value="${gameInfo.source || ''}">
-            </div>
-            <div class="form-group">
-              <label for="edit-game-version">Version</label>
-              <input type="text" id="edit-game-version" value="${gameInfo.version || ''}">
-            </div>
-            <div class="form-group">
-              <label for="edit-executable-path">Ausführbare Datei</label>
-              <div class="executable-path">
-                <input type="text" id="edit-executable-path" value="${gameInfo.executable || ''}" readonly>
-                <button type="button" id="change-exe-btn" class="secondary-button">Ändern</button>
-              </div>
-            </div>
-            <div class="form-group full-width">
-              <label for="edit-game-description">Beschreibung</label>
-              <textarea id="edit-game-description" rows="3">${gameInfo.description || ''}</textarea>
-            </div>
-            <div class="form-actions">
-              <button type="submit" class="primary-button">Speichern</button>
-            </div>
-          </form>
+          <p class="info-text">Erstellt am ${escapeHtml(createdAt)}: ${backup.games} Spiele, ${backup.collections} Sammlungen.</p>
+          <div class="form-group">
+            <label for="import-mode">Art</label>
+            <select id="import-mode">
+              <option value="merge">Zur Bibliothek hinzufügen</option>
+              <option value="replace">Bibliothek ersetzen</option>
+            </select>
+          </div>
+          <p class="info-text import-replace-hint" hidden>Spiele, die nicht in der Sicherung stehen, werden aus Dust entfernt (die Spieldateien bleiben erhalten).</p>
+          <div class="form-group import-conflicts-group">
+            <label for="import-conflicts">Bereits vorhandene Spiele (${backup.conflicts.length})</label>
+            <select id="import-conflicts">
+              <option value="skip">Vorhandene behalten</option>
+              <option value="overwrite">Durch die Sicherung ersetzen</option>
+              <option value="keepBoth">Beide behalten</option>
+            </select>
+            <ul class="import-conflict-list"></ul>
+          </div>
+          <div class="form-group import-mappings-group">
+            <label>Nicht gefundene Installationsordner</label>
+            <p class="info-text">Liegen die Spiele jetzt auf einem anderen Laufwerk, den neuen Ordner wählen.</p>
+            <div class="directory-list import-mappings"></div>
+          </div>
+          <div class="form-group checkbox-group">
+            <label><input type="checkbox" id="import-collections" checked> Sammlungen übernehmen</label>
+            <label><input type="checkbox" id="import-settings" ${backup.hasSettings ? '' : 'disabled'}> Einstellungen übernehmen</label>
+          </div>
+          <div class="form-actions">
+            <button class="primary-button apply-import-btn">Wiederherstellen</button>
+            <button class="secondary-button cancel-btn">Abbrechen</button>
+          </div>
         </div>
       </div>
     `;
     
-    document.body.appendChild(modal);
+    const conflictList = modal.querySelector('.import-conflict-list');
+    backup.conflicts.slice(0, 10).forEach(conflict => {
+      const item = document.createElement('li');
+      item.textContent = conflict.title;
+      conflictList.appendChild(item);
+    });
+    if (backup.conflicts.length > 10) {
+      const item = document.createElement('li');
+      item.textContent = `… und ${backup.conflicts.length - 10} weitere`;
+      conflictList.appendChild(item);
+    }
     
-    // Modal-Interaktionen
-    modal.querySelector('.close-modal').addEventListener('click', () => {
-      modal.remove();
+    // Zuordnung alter Ordner zu neuen; Vorschläge (anderer Laufwerksbuchstabe) sind vorausgewählt
+    const mappings = backup.mappings.map(mapping => ({ from: mapping.from, to: mapping.to || '' }));
+    const mappingList = modal.querySelector('.import-mappings');
+    mappings.forEach((mapping, index) => {
+      const item = document.createElement('div');
+      item.className = 'directory-item';
+      item.innerHTML = `
+        <span class="directory-path import-from"></span>
+        <span class="directory-path import-to"></span>
+        <div class="directory-actions">
+          <button class="icon-button small browse-btn" title="Ordner wählen"><i class="fas fa-folder-open"></i></button>
+        </div>
+      `;
+      const from = item.querySelector('.import-from');
+      const to = item.querySelector('.import-to');
+      const renderTarget = () => {
+        to.textContent = mapping.to ? `→ ${mapping.to}` : 'Unverändert lassen';
+        to.classList.toggle('muted', !mapping.to);
+      };
+      from.textContent = `${mapping.from} (${backup.mappings[index].games})`;
+      renderTarget();
+      
+      item.querySelector('.browse-btn').addEventListener('click', async () => {
+        const result = await window.dust.selectSettingsFolder(mapping.to || undefined);
+        if (result.success) {
+          mapping.to = result.folder;
+          renderTarget();
+        } else if (result.message !== 'Keine Auswahl getroffen') {
+          this.showNotification(result.message, 'error');
+        }
+      });
+      mappingList.appendChild(item);
     });
+    modal.querySelector('.import-mappings-group').hidden = mappings.length === 0;
     
-    // Klick außerhalb des Modals schließt es
+    const modeSelect = modal.querySelector('#import-mode');
+    const updateMode = () => {
+      const replace = modeSelect.value === 'replace';
+      modal.querySelector('.import-replace-hint').hidden = !replace;
+      modal.querySelector('.import-conflicts-group').hidden = replace || backup.conflicts.length === 0;
+    };
+    modeSelect.addEventListener('change', updateMode);
+    updateMode();
+    
+    document.body.appendChild(modal);
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cancel-btn').addEventListener('click', () => modal.remove());
     modal.addEventListener('click', (e) => {
       if (e.target === modal) {
         modal.remove();
       }
     });
     
-    // Form-Submit-Handler
-    const form = document.getElementById('edit-game-form');
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      
-      const updates = {
-        title: form.querySelector('#edit-game-title').value,
-        developer: form.querySelector('#edit-game-developer').value,
-        publisher: form.querySelector('#edit-game-publisher').value,
-        genre: form.querySelector('#edit-game-genre').value,
-        source: form.querySelector('#edit-game-source').value,
-        version: form.querySelector('#edit-game-version').value,
-        description: form.querySelector('#edit-game-description').value
-      };
-      
+    const applyBtn = modal.querySelector('.apply-import-btn');
+    applyBtn.addEventListener('click', async () => {
+      applyBtn.disabled = true;
       try {
-        const result = await ipcRenderer.invoke('update-game', gameInfo.directory, updates);
+        const result = await window.dust.applyLibraryImport(backup.token, {
+          mode: modeSelect.value,
+          conflicts: modal.querySelector('#import-conflicts').value,
+          mappings: mappings.filter(mapping => mapping.to),
+          includeCollections: modal.querySelector('#import-collections').checked,
+          includeSettings: modal.querySelector('#import-settings').checked
+        });
         
         if (result.success) {
           this.showNotification(result.message, 'success');
           modal.remove();
-          this.loadGames();  // Spieleliste aktualisieren
         } else {
           this.showNotification(result.message, 'error');
+          applyBtn.disabled = false;
         }
       } catch (error) {
-        console.error('Fehler beim Aktualisieren des Spiels:', error);
-        this.showNotification('Fehler beim Aktualisieren des Spiels', 'error');
+        console.error('Fehler beim Wiederherstellen der Sicherung:', error);
+        this.showNotification('Fehler beim Wiederherstellen der Sicherung', 'error');
+        applyBtn.disabled = false;
+      }
+    });
+  }
+  
+  // Einstellung speichern; ungültige Werte werden gemeldet und zurückgesetzt
+  async saveSetting(key, value) {
+    try {
+      const result = await window.dust.setSetting(key, value);
+      
+      if (!result.success) {
+        this.showNotification(result.message, 'error');
+        this.renderSettings();
+      }
+    } catch (error) {
+      console.error('Fehler beim Speichern der Einstellung:', error);
+      this.showNotification('Fehler beim Speichern der Einstellung', 'error');
+    }
+  }
+  
+  // Auswahl der ausführbaren Datei für ein bestehendes Spiel anzeigen
+  async showExecutableChooser(gameInfo, onSelect) {
+    const result = await window.dust.detectExecutables(gameInfo.executablePath, gameInfo.title);
+    
+    if (!result.success) {
+      this.showNotification(result.message, 'error');
+      return;
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'executable-chooser-modal';
+    
+    modal.innerHTML = `
+      <div class="modal-content confirm-modal">
+        <div class="modal-header">
+          <h2>Ausführbare Datei wählen</h2>
+          <button class="close-modal">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="info-text">Gefundene Dateien, wahrscheinlichste zuerst.</p>
+          <div class="executable-list"></div>
+          <div class="form-actions">
+            <button class="secondary-button browse-exe-btn">Andere Datei…</button>
+            <button class="secondary-button cancel-btn">Abbrechen</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    const list = modal.querySelector('.executable-list');
+    if (result.executables.length === 0) {
+      list.innerHTML = '<p class="info-text">Keine ausführbaren Dateien gefunden.</p>';
+    }
+    
+    result.executables.forEach((file, index) => {
+      const item = document.createElement('div');
+      item.className = 'menu-item';
+      if (file === gameInfo.executable) {
+        item.classList.add('current');
+      }
+      item.textContent = file;
+      if (index === 0 && !result.executableAmbiguous) {
+        item.title = 'Empfohlen';
+      }
+      item.addEventListener('click', () => {
+        onSelect(file);
+        modal.remove();
+      });
+      list.appendChild(item);
+    });
+    
+    document.body.appendChild(modal);
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cancel-btn').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.remove();
+      }
+    });
+    
+    modal.querySelector('.browse-exe-btn').addEventListener('click', async () => {
+      const selection = await window.dust.selectExecutable(gameInfo.executablePath);
+      
+      if (!selection.success) {
+        this.showNotification(selection.message, 'info');
+        return;
       }
+      
+      onSelect(selection.executable);
+      modal.remove();
     });
   }
   
+  // Lokales Coverbild auswählen und in ein Formular übernehmen
+  async selectCoverImage(input, preview) {
+    try {
+      const result = await window.dust.selectCoverImage();
+      
+      if (!result.success) {
+        this.showNotification(result.message, 'info');
+        return;
+      }
+      
+      input.value = result.file;
+      preview.src = result.preview || 'assets/placeholder.png';
+    } catch (error) {
+      console.error('Fehler bei der Auswahl des Coverbilds:', error);
+      this.showNotification('Fehler bei der Auswahl des Coverbilds', 'error');
+    }
+  }
+  
   // Bestätigung zum Löschen eines Spiels anzeigen
   confirmDeleteGame(directory, gameTitle) {
     const modal = document.createElement('div');
@@ -1081,7 +4438,7 @@ fillGameDetailsForm(details) {
           <button class="close-modal">&times;</button>
         </div>
         <div class="modal-body">
-          <p>Möchten Sie "${gameTitle}" wirklich aus Dust entfernen?</p>
+          <p>Möchten Sie "${escapeHtml(gameTitle)}" wirklich aus Dust entfernen?</p>
           <p class="info-text">Das Spiel wird nur aus Dust entfernt, nicht von Ihrer Festplatte gelöscht.</p>
           <div class="form-actions">
             <button id="confirm-delete-btn" class="danger-button">Entfernen</button>
@@ -1112,11 +4469,15 @@ fillGameDetailsForm(details) {
     // Bestätigungs-Handler
     modal.querySelector('#confirm-delete-btn').addEventListener('click', async () => {
       try {
-        const result = await ipcRenderer.invoke('delete-game', directory);
+        const result = await window.dust.deleteGame(directory);
         
         if (result.success) {
           this.showNotification(result.message, 'success');
-          this.loadGames();  // Spieleliste aktualisieren
+          if (this.currentPage === 'game-detail' && this.detailGame === directory) {
+            this.changePage('library');  // lädt die Spieleliste neu
+          } else {
+            this.loadGames();  // Spieleliste aktualisieren
+          }
         } else {
           this.showNotification(result.message, 'error');
         }
@@ -1141,7 +4502,7 @@ fillGameDetailsForm(details) {
     
     notification.innerHTML = `
       <div class="notification-content">
-        <span>${message}</span>
+        <span>${escapeHtml(message)}</span>
         <button class="close-notification">&times;</button>
       </div>
     `;
@@ -0,0 +1,150 @@
+// Einfaches tar.gz-Archiv
+// Für die Sicherung der Bibliothek genügen reguläre Dateien; lange oder nicht
+// ASCII-Dateinamen werden über PAX-Header gespeichert. Die Archive lassen sich
+// mit üblichen Werkzeugen (tar, 7-Zip) öffnen.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const BLOCK_SIZE = 512;
+const gunzip = promisify(zlib.gunzip);
+
+function writeString(header, text, offset, length) {
+  Buffer.from(text, 'utf8').copy(header, offset, 0, length);
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, `${Math.floor(value).toString(8).padStart(length - 1, '0')}\0`, offset, length);
+}
+
+function createHeader(name, size, mtime, type) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime / 1000, 136, 12);
+  header.fill(' ', 148, 156);
+  writeString(header, type, 156, 1);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder === 0 ? Buffer.alloc(0) : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+// PAX-Eintrag "<Länge> path=<Name>\n"; die Länge zählt sich selbst mit
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) length++;
+  return Buffer.from(`${length}${body}`, 'utf8');
+}
+
+// Archiv schreiben; Dateien werden nacheinander angehängt und gepackt
+function createArchiveWriter(file) {
+  const tempFile = `${file}.tmp`;
+  const output = fs.createWriteStream(tempFile);
+  const gzip = zlib.createGzip();
+  const done = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    gzip.on('error', reject);
+  });
+  gzip.pipe(output);
+
+  function write(buffer) {
+    if (!gzip.write(buffer)) {
+      return new Promise(resolve => gzip.once('drain', resolve));
+    }
+    return Promise.resolve();
+  }
+
+  return {
+    async addFile(name, data, mtime = Date.now()) {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+      if (Buffer.byteLength(name) > 100 || /[^\x20-\x7e]/.test(name)) {
+        const pax = paxRecord('path', name);
+        await write(createHeader('PaxHeader', pax.length, mtime, 'x'));
+        await write(Buffer.concat([pax, padding(pax.length)]));
+      }
+      await write(createHeader(name.slice(0, 100), buffer.length, mtime, '0'));
+      await write(Buffer.concat([buffer, padding(buffer.length)]));
+    },
+
+    async finish() {
+      await write(Buffer.alloc(BLOCK_SIZE * 2));
+      gzip.end();
+      await done;
+      fs.renameSync(tempFile, file);
+    },
+
+    abort() {
+      gzip.destroy();
+      output.destroy();
+      fs.rmSync(tempFile, { force: true });
+    }
+  };
+}
+
+function readString(buffer, offset, length) {
+  const end = buffer.indexOf(0, offset);
+  return buffer.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+// Archiv vollständig einlesen; liefert [{ name, data }] (nur reguläre Dateien)
+// Die Datei wird komplett in den Speicher geladen und dort entpackt; Sicherungen mit
+// vielen Bildern oder Spielständen brauchen entsprechend viel Arbeitsspeicher.
+async function readArchive(file) {
+  let buffer;
+  try {
+    buffer = await gunzip(await fs.promises.readFile(file));
+  } catch (error) {
+    throw new Error(`Die Datei ist kein gültiges Archiv: ${error.message}`);
+  }
+
+  const entries = [];
+  let offset = 0;
+  let paxName = null;
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = readString(header, 156, 1) || '0';
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const data = buffer.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    if (Number.isNaN(size) || data.length !== size) {
+      throw new Error('Das Archiv ist beschädigt');
+    }
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'x') {
+      const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'));
+      paxName = match ? match[1] : null;
+      continue;
+    }
+    if (type === '0') {
+      entries.push({ name: paxName || (prefix ? `${prefix}/${name}` : name), data: Buffer.from(data) });
+    }
+    paxName = null;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  createArchiveWriter,
+  readArchive
+};
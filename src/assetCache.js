@@ -0,0 +1,183 @@
+// Bilder-Cache
+// Cover und Screenshots werden einmalig heruntergeladen und im Ordner "assets"
+// neben der dustgrain.json abgelegt, damit sie auch offline verfügbar sind.
+// Für die Bibliotheksansicht werden daraus kleine Vorschaubilder erzeugt.
+// In der dustgrain-Datei bleiben die ursprünglichen URLs stehen; lokal
+// gewählte Bilder werden in den Ordner kopiert und relativ ("assets/...")
+// eingetragen.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createHttpClient } = require('./providers/http');
+
+const ASSETS_DIRECTORY = 'assets';
+const THUMBNAILS_DIRECTORY = 'thumbs';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'];
+
+function isRemote(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+function isImageFile(file) {
+  return IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// Dateiendung aus der URL übernehmen; unbekannte Endungen werden als JPEG gespeichert
+function extensionFor(url) {
+  try {
+    const extension = path.extname(new URL(url).pathname).toLowerCase();
+    return IMAGE_EXTENSIONS.includes(extension) ? extension : '.jpg';
+  } catch (error) {
+    return '.jpg';
+  }
+}
+
+function createAssetCache(options = {}) {
+  const http = options.httpClient || createHttpClient(options);
+  // buffer -> JPEG-Buffer oder null (z.B. über nativeImage von Electron)
+  const createThumbnail = options.createThumbnail || null;
+  const pending = new Map();   // Zieldatei -> laufender Download
+
+  function assetsDirectory(gameDir) {
+    return path.join(gameDir, ASSETS_DIRECTORY);
+  }
+
+  // Relativen Eintrag ("assets/cover.png") auflösen; er darf den Spielordner nicht verlassen
+  function resolveLocal(gameDir, source) {
+    const file = path.resolve(gameDir, source);
+    const relative = path.relative(assetsDirectory(gameDir), file);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Bild liegt außerhalb des Spielordners: ${source}`);
+    }
+    return file;
+  }
+
+  async function download(url, file) {
+    if (pending.has(file)) {
+      return pending.get(file);
+    }
+
+    const task = (async () => {
+      const buffer = await http.getBuffer(url, { Accept: 'image/*' });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tempFile = `${file}.tmp`;
+      fs.writeFileSync(tempFile, buffer);
+      fs.renameSync(tempFile, file);
+      return file;
+    })();
+
+    pending.set(file, task);
+    try {
+      return await task;
+    } finally {
+      pending.delete(file);
+    }
+  }
+
+  // Bilddatei zu einem Eintrag aus der dustgrain-Datei liefern (lädt bei Bedarf herunter)
+  async function getImage(gameDir, source) {
+    if (!source) return null;
+
+    if (isRemote(source)) {
+      const file = path.join(assetsDirectory(gameDir), `${hash(source)}${extensionFor(source)}`);
+      if (fs.existsSync(file)) {
+        return file;
+      }
+      return download(source, file);
+    }
+
+    const file = resolveLocal(gameDir, source);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  // Vorschaubild erzeugen bzw. aus dem Cache liefern; ohne Vorschau das Originalbild
+  function getThumbnail(file) {
+    if (!createThumbnail) return file;
+
+    const thumbnail = path.join(path.dirname(file), THUMBNAILS_DIRECTORY, `${path.parse(file).name}.jpg`);
+    if (fs.existsSync(thumbnail) && fs.statSync(thumbnail).mtimeMs >= fs.statSync(file).mtimeMs) {
+      return thumbnail;
+    }
+
+    try {
+      const buffer = createThumbnail(fs.readFileSync(file));
+      if (!buffer) return file;
+      fs.mkdirSync(path.dirname(thumbnail), { recursive: true });
+      fs.writeFileSync(thumbnail, buffer);
+      return thumbnail;
+    } catch (error) {
+      console.error(`Fehler beim Erstellen des Vorschaubilds für ${file}:`, error);
+      return file;
+    }
+  }
+
+  return {
+    // Datei für ein Bild eines Spiels ermitteln
+    // kind: 'cover' oder 'screenshot' (mit index); thumbnail: Vorschaubild liefern
+    async resolve(gameDir, dustgrain, { kind = 'cover', index = 0, thumbnail = false } = {}) {
+      const source = kind === 'screenshot'
+        ? (dustgrain.screenshots || [])[index]
+        : dustgrain.coverImage;
+
+      const file = await getImage(gameDir, source);
+      if (!file) return null;
+      return thumbnail ? getThumbnail(file) : file;
+    },
+
+    // Lokal gewähltes Bild in den Spielordner kopieren; liefert den Eintrag für die dustgrain-Datei
+    importLocalImage(gameDir, file) {
+      if (!isImageFile(file)) {
+        throw new Error('Die Datei ist kein unterstütztes Bild');
+      }
+
+      const buffer = fs.readFileSync(file);
+      const name = `local-${hash(buffer)}${path.extname(file).toLowerCase()}`;
+      fs.mkdirSync(assetsDirectory(gameDir), { recursive: true });
+      fs.writeFileSync(path.join(assetsDirectory(gameDir), name), buffer);
+      return `${ASSETS_DIRECTORY}/${name}`;
+    },
+
+    // Cover und Screenshots im Hintergrund vorab laden (z.B. nach dem Hinzufügen)
+    async prefetch(gameDir, dustgrain) {
+      const sources = [dustgrain.coverImage, ...(dustgrain.screenshots || [])].filter(isRemote);
+      for (const source of sources) {
+        try {
+          await getImage(gameDir, source);
+        } catch (error) {
+          console.warn(`Bild konnte nicht geladen werden (${source}): ${error.message}`);
+        }
+      }
+    },
+
+    // Nicht mehr verwendete Bilder (z.B. nach einem Coverwechsel) entfernen
+    prune(gameDir, dustgrain) {
+      const directory = assetsDirectory(gameDir);
+      if (!fs.existsSync(directory)) return;
+
+      const used = new Set();
+      for (const source of [dustgrain.coverImage, ...(dustgrain.screenshots || [])].filter(Boolean)) {
+        used.add(isRemote(source)
+          ? `${hash(source)}${extensionFor(source)}`
+          : path.relative(directory, path.resolve(gameDir, source)));
+      }
+
+      for (const entry of fs.readdirSync(directory)) {
+        if (entry === THUMBNAILS_DIRECTORY || used.has(entry) || pending.has(path.join(directory, entry))) continue;
+        fs.rmSync(path.join(directory, entry), { force: true });
+        fs.rmSync(path.join(directory, THUMBNAILS_DIRECTORY, `${path.parse(entry).name}.jpg`), { force: true });
+      }
+    }
+  };
+}
+
+module.exports = {
+  createAssetCache,
+  isImageFile,
+  isRemote,
+  ASSETS_DIRECTORY
+};
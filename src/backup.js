@@ -0,0 +1,274 @@
+// Sicherung und Wiederherstellung der Bibliothek
+// Eine Sicherung ist ein tar.gz-Archiv (src/archive.js) mit manifest.json,
+// settings.json, collections.json und den vollständigen Dust-Spielordnern
+// (dustgrain.json, playhistory.json, zwischengespeicherte Bilder) unter
+// games/<Ordner-ID>/<Spielordner>/. Die Installationsordner der Spiele selbst
+// werden nicht gesichert; ihre Pfade lassen sich beim Import auf einen anderen
+// Laufwerksbuchstaben oder Einhängepunkt umschreiben.
+
+const fs = require('fs');
+const path = require('path');
+const { createArchiveWriter, readArchive } = require('./archive');
+const { isValidFolderName } = require('./validation');
+
+const BACKUP_FORMAT = 'dust-backup';
+const BACKUP_VERSION = 1;
+const GAMES_PREFIX = 'games/';
+
+// Spalten der Tabellenexporte (CSV/JSON)
+const EXPORT_COLUMNS = [
+  ['title', 'Titel'],
+  ['developer', 'Entwickler'],
+  ['publisher', 'Publisher'],
+  ['genre', 'Genre'],
+  ['source', 'Quelle'],
+  ['tags', 'Tags'],
+  ['releaseDate', 'Erscheinungsdatum'],
+  ['installDate', 'Installationsdatum'],
+  ['lastPlayed', 'Zuletzt gespielt'],
+  ['playTime', 'Spielzeit (Minuten)'],
+  ['installSize', 'Größe (Bytes)'],
+  ['executablePath', 'Installationsordner'],
+  ['executable', 'Programm'],
+  ['directory', 'Schlüssel']
+];
+
+// Alle Dateien eines Spielordners mit relativen Pfaden ("/" als Trenner)
+async function listFiles(folder) {
+  const files = [];
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relative = pending.pop();
+    const entries = await fs.promises.readdir(path.join(folder, relative), { withFileTypes: true });
+    for (const entry of entries) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        pending.push(child);
+      } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+        files.push(child);
+      }
+    }
+  }
+
+  return files.sort();
+}
+
+// Sicherung schreiben; games: [{ rootId, folder, path, title, executablePath }]
+async function writeBackup(file, { games, roots, settings, collections, platform }) {
+  const writer = createArchiveWriter(file);
+  let fileCount = 0;
+
+  try {
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      platform,
+      roots: roots.map(root => ({ id: root.id, name: root.name, path: root.path })),
+      games: games.map(game => ({
+        rootId: game.rootId,
+        folder: game.folder,
+        title: game.title || game.folder,
+        executablePath: game.executablePath || ''
+      }))
+    };
+
+    await writer.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+    await writer.addFile('settings.json', JSON.stringify(settings, null, 2));
+    await writer.addFile('collections.json', JSON.stringify({ collections }, null, 2));
+
+    for (const game of games) {
+      for (const relative of await listFiles(game.path)) {
+        const source = path.join(game.path, ...relative.split('/'));
+        const stat = await fs.promises.stat(source);
+        await writer.addFile(`${GAMES_PREFIX}${game.rootId}/${game.folder}/${relative}`, await fs.promises.readFile(source), stat.mtimeMs);
+        fileCount++;
+      }
+    }
+
+    await writer.finish();
+  } catch (error) {
+    writer.abort();
+    throw error;
+  }
+
+  return { games: games.length, files: fileCount };
+}
+
+function parseJsonEntry(entries, name) {
+  const entry = entries.find(candidate => candidate.name === name);
+  if (!entry) return null;
+  try {
+    return JSON.parse(entry.data.toString('utf8'));
+  } catch (error) {
+    throw new Error(`${name} in der Sicherung ist kein gültiges JSON`);
+  }
+}
+
+// Relativer Dateipfad innerhalb eines Spielordners; darf nicht aus dem Ordner herausführen
+function isSafeRelativePath(relative) {
+  const parts = relative.split('/');
+  return parts.length > 0 && parts.every(part => isValidFolderName(part));
+}
+
+// Sicherung lesen und prüfen; Einträge außerhalb von games/<ID>/<Ordner>/ werden ignoriert
+async function readBackup(file) {
+  const entries = await readArchive(file);
+  const manifest = parseJsonEntry(entries, 'manifest.json');
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new Error('Die Datei ist keine Dust-Sicherung');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error(`Die Sicherung stammt aus einer neueren Dust-Version (Format ${manifest.version})`);
+  }
+
+  const games = new Map();
+  for (const game of Array.isArray(manifest.games) ? manifest.games : []) {
+    if (!/^[a-z0-9-]+$/.test(String(game.rootId)) || !isValidFolderName(game.folder)) continue;
+    games.set(`${game.rootId}/${game.folder}`, {
+      rootId: game.rootId,
+      folder: game.folder,
+      title: String(game.title || game.folder),
+      executablePath: typeof game.executablePath === 'string' ? game.executablePath : '',
+      files: new Map()
+    });
+  }
+
+  for (const entry of entries) {
+    if (!entry.name.startsWith(GAMES_PREFIX)) continue;
+    const [rootId, folder, ...rest] = entry.name.slice(GAMES_PREFIX.length).split('/');
+    const game = games.get(`${rootId}/${folder}`);
+    const relative = rest.join('/');
+    if (game && isSafeRelativePath(relative)) {
+      game.files.set(relative, entry.data);
+    }
+  }
+
+  const collections = parseJsonEntry(entries, 'collections.json');
+  return {
+    createdAt: manifest.createdAt || null,
+    platform: manifest.platform || null,
+    roots: Array.isArray(manifest.roots) ? manifest.roots : [],
+    settings: parseJsonEntry(entries, 'settings.json'),
+    collections: collections && Array.isArray(collections.collections) ? collections.collections : [],
+    // Spiele ohne dustgrain.json im Archiv sind unvollständig und werden übergangen
+    games: [...games.values()].filter(game => game.files.has('dustgrain.json'))
+  };
+}
+
+// Pfadfunktionen des Systems, auf dem die Sicherung erstellt wurde
+function pathFlavor(platform) {
+  return platform === 'win32' ? path.win32 : path.posix;
+}
+
+function samePath(a, b, platform) {
+  return platform === 'win32' ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+// Pfad ("from") als Präfix eines anderen Pfads erkennen; liefert die restlichen Teile
+function relativeParts(prefix, value, platform) {
+  const flavor = pathFlavor(platform);
+  const prefixParts = flavor.normalize(prefix).split(flavor.sep).filter(Boolean);
+  const valueParts = flavor.normalize(value).split(flavor.sep).filter(Boolean);
+  if (prefixParts.length > valueParts.length) return null;
+  for (let i = 0; i < prefixParts.length; i++) {
+    if (!samePath(prefixParts[i], valueParts[i], platform)) return null;
+  }
+  return valueParts.slice(prefixParts.length);
+}
+
+// Installationsordner über die Zuordnungen [{ from, to }] umschreiben; der längste passende Präfix gewinnt
+function remapPath(value, mappings, platform) {
+  let best = null;
+  for (const mapping of mappings) {
+    const rest = value ? relativeParts(mapping.from, value, platform) : null;
+    if (rest && (!best || mapping.from.length > best.mapping.from.length)) {
+      best = { mapping, rest };
+    }
+  }
+  return best ? path.join(best.mapping.to, ...best.rest) : value;
+}
+
+// Fehlende Installationsordner nach ihrem übergeordneten Ordner (z.B. "D:\Games") zusammenfassen
+// und, wo möglich, ein Ziel vorschlagen: unter Windows derselbe Pfad auf einem anderen Laufwerk.
+function suggestPathMappings(games, { platform, exists = fs.existsSync } = {}) {
+  const flavor = pathFlavor(platform);
+  const groups = new Map();
+
+  for (const game of games) {
+    if (!game.executablePath || !flavor.isAbsolute(game.executablePath)) continue;
+    if (platform === process.platform && exists(game.executablePath)) continue;
+
+    const parent = flavor.dirname(flavor.normalize(game.executablePath));
+    const key = platform === 'win32' ? parent.toLowerCase() : parent;
+    if (!groups.has(key)) {
+      groups.set(key, { from: parent, to: null, games: 0 });
+    }
+    groups.get(key).games++;
+  }
+
+  if (process.platform === 'win32') {
+    for (const group of groups.values()) {
+      const rest = flavor.parse(group.from);
+      const drive = /^[a-z]:\\$/i.test(rest.root) ? rest.root[0].toUpperCase() : null;
+      if (!drive) continue;
+      for (const letter of 'CDEFGHIJKLMNOPQRSTUVWXYZ') {
+        const candidate = `${letter}:${group.from.slice(2)}`;
+        if (letter !== drive && exists(candidate)) {
+          group.to = candidate;
+          break;
+        }
+      }
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => b.games - a.games);
+}
+
+// Zellen mit =, +, - oder @ würden von Tabellenkalkulationen als Formel ausgewertet
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportValue(game, field) {
+  const value = game[field];
+  if (field === 'tags') return Array.isArray(value) ? value.join(', ') : '';
+  // Minuten sind sekundengenau gespeichert; für die Tabelle genügen zwei Nachkommastellen
+  if (field === 'playTime') return Math.round((Number(value) || 0) * 100) / 100;
+  return value == null ? '' : value;
+}
+
+// Spieleliste für Tabellenkalkulationen aufbereiten (nur zum Lesen; kein Import)
+function formatGameList(games, format) {
+  const rows = games
+    .filter(game => !game.invalid)
+    .map(game => Object.fromEntries(EXPORT_COLUMNS.map(([field]) => [field, exportValue(game, field)])));
+
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+  if (format !== 'csv') {
+    throw new Error(`Unbekanntes Exportformat: ${format}`);
+  }
+
+  const lines = [EXPORT_COLUMNS.map(([, label]) => csvCell(label)).join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(([field]) => csvCell(row[field])).join(','));
+  }
+  // Mit BOM, damit Excel die Datei als UTF-8 erkennt
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  writeBackup,
+  readBackup,
+  remapPath,
+  suggestPathMappings,
+  formatGameList,
+  BACKUP_FORMAT
+};
@@ -0,0 +1,107 @@
+// Massenimport für "Kompletter Ordner"
+// Jeder Unterordner des gewählten Bibliotheksordners wird als mögliches Spiel
+// betrachtet. Plattform-IDs werden aus Ordnernamen (RJ-Nummern),
+// Steam-Manifesten und itch-Receipts erraten.
+
+const path = require('path');
+const fs = require('fs');
+
+const DLSITE_ID_PATTERN = /(?<![a-z0-9])(RJ|RE|VJ|BJ)(\d{6,8})(?!\d)/i;
+
+// Ordner, die nie ein Spiel sind
+const IGNORED_FOLDERS = new Set([
+  '$recycle.bin', 'system volume information', 'steamworks shared', '__macosx', '.itch'
+]);
+
+// Titel aus einem Ordnernamen ableiten, z.B. "[RJ01234567] Mein Spiel (v1.2)" -> "Mein Spiel"
+function titleFromFolderName(folderName) {
+  const title = folderName
+    .replace(DLSITE_ID_PATTERN, '')
+    .replace(/[\[(（【]\s*[\])）】]/g, '')
+    .replace(/[\[(（【]\s*v?\d+(\.\d+)*[a-z]?\s*[\])）】]/gi, '')
+    .replace(/[_]+/g, ' ')
+    .replace(/^[\s\-–_.]+|[\s\-–_.]+$/g, '')
+    .replace(/\s{2,}/g, ' ');
+  
+  return title || folderName;
+}
+
+// Einen Unterordner untersuchen und einen Importkandidaten erzeugen
+async function inspectFolder(folder, platform, deps) {
+  const folderName = path.basename(folder);
+  const candidate = {
+    folder,
+    title: titleFromFolderName(folderName),
+    source: deps.platformLabels[platform] || deps.platformLabels.other
+  };
+  
+  // DLSite: RJ/RE-Nummer im Ordnernamen
+  const dlsiteMatch = folderName.match(DLSITE_ID_PATTERN);
+  if (dlsiteMatch) {
+    candidate.dlsiteId = `${dlsiteMatch[1]}${dlsiteMatch[2]}`.toUpperCase();
+    candidate.source = deps.platformLabels.dlsite;
+  }
+  
+  // Steam: appmanifest im übergeordneten steamapps-Ordner
+  const manifest = deps.steamProvider.findManifestForFolder(folder);
+  if (manifest) {
+    candidate.steamAppId = manifest.appId;
+    candidate.title = manifest.title || candidate.title;
+    candidate.installSize = manifest.installSize;
+    candidate.source = deps.platformLabels.steam;
+  }
+  
+  // Itch.io: Receipt der itch-App bzw. von butler
+  const receipt = deps.itchioProvider.readReceipt(folder);
+  if (receipt) {
+    Object.assign(candidate, {
+      title: receipt.title || candidate.title,
+      developer: receipt.developer,
+      coverImage: receipt.coverImage,
+      itchioUrl: receipt.itchioUrl,
+      itchGameId: receipt.itchGameId,
+      itchUploadId: receipt.itchUploadId,
+      itchBuildId: receipt.itchBuildId,
+      source: deps.platformLabels.itchio
+    });
+  }
+  
+  // Ausführbare Datei erst mit dem endgültigen Titel bewerten
+  const detection = await deps.detectExecutables(folder, { title: candidate.title });
+  candidate.executable = detection.best;
+  candidate.executables = detection.candidates.map(entry => entry.file);
+  candidate.executableAmbiguous = detection.ambiguous;
+  candidate.selected = candidate.executables.length > 0;
+  
+  return candidate;
+}
+
+// Alle Unterordner eines Bibliotheksordners als Importkandidaten zurückgeben
+async function scanLibraryFolder(root, platform, deps) {
+  const entries = await fs.promises.readdir(root, { withFileTypes: true });
+  const importedPaths = new Set((deps.existingPaths || []).map(existing => path.resolve(existing)));
+  const candidates = [];
+  
+  for (const entry of entries) {
+    if (!entry.isDirectory() || IGNORED_FOLDERS.has(entry.name.toLowerCase())) continue;
+    
+    const folder = path.join(root, entry.name);
+    try {
+      const candidate = await inspectFolder(folder, platform, deps);
+      
+      // Bereits in Dust vorhandene Spiele standardmäßig abwählen
+      if (importedPaths.has(path.resolve(folder))) {
+        candidate.alreadyImported = true;
+        candidate.selected = false;
+      }
+      
+      candidates.push(candidate);
+    } catch (error) {
+      console.error(`Fehler beim Untersuchen von ${folder}:`, error);
+    }
+  }
+  
+  return candidates.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+module.exports = { scanLibraryFolder, titleFromFolderName };
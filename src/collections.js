@@ -0,0 +1,248 @@
+// Sammlungen
+// Benutzerdefinierte Sammlungen liegen in collections.json (über lowdb) im
+// userData-Ordner und überstehen damit jeden neuen Scan der Bibliothek.
+// Statische Sammlungen speichern die Schlüssel ihrer Spiele, intelligente
+// Sammlungen eine Liste von Regeln, die der Renderer auf die Bibliothek anwendet.
+
+const COLLECTION_TYPES = ['static', 'smart'];
+const MATCH_MODES = ['all', 'any'];
+
+// Regelfelder und die dafür erlaubten Operatoren
+const RULE_FIELDS = {
+  title: ['contains', 'notContains', 'equals'],
+  developer: ['contains', 'notContains', 'equals'],
+  publisher: ['contains', 'notContains', 'equals'],
+  genre: ['contains', 'notContains', 'equals'],
+  source: ['equals', 'notEquals'],
+  tag: ['has', 'hasNot'],
+  playTime: ['greaterThan', 'lessThan'],        // Stunden
+  lastPlayed: ['withinDays', 'olderThanDays', 'never']
+};
+
+const NUMERIC_FIELDS = ['playTime', 'lastPlayed'];
+
+function defaultCollections() {
+  return { collections: [] };
+}
+
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Regel muss ein Objekt sein');
+  }
+
+  const operators = RULE_FIELDS[rule.field];
+  if (!operators) {
+    throw new Error(`Unbekanntes Regelfeld: ${rule.field}`);
+  }
+  if (!operators.includes(rule.operator)) {
+    throw new Error(`Operator ${rule.operator} ist für ${rule.field} nicht erlaubt`);
+  }
+
+  if (rule.operator === 'never') {
+    return { field: rule.field, operator: rule.operator, value: '' };
+  }
+  if (NUMERIC_FIELDS.includes(rule.field)) {
+    const value = Number(rule.value);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Regel für ${rule.field} braucht eine Zahl ab 0`);
+    }
+    return { field: rule.field, operator: rule.operator, value };
+  }
+
+  const value = String(rule.value ?? '').trim();
+  if (!value) {
+    throw new Error(`Regel für ${rule.field} braucht einen Wert`);
+  }
+  return { field: rule.field, operator: rule.operator, value };
+}
+
+// Sammlung prüfen und in die gespeicherte Form bringen
+function normalizeCollection(collection) {
+  if (!collection || typeof collection !== 'object') {
+    throw new Error('Sammlung muss ein Objekt sein');
+  }
+
+  const name = String(collection.name || '').trim();
+  if (!name) {
+    throw new Error('Sammlung braucht einen Namen');
+  }
+  if (!COLLECTION_TYPES.includes(collection.type)) {
+    throw new Error(`Ungültiger Sammlungstyp: ${collection.type}`);
+  }
+
+  const normalized = {
+    id: String(collection.id || ''),
+    name,
+    type: collection.type
+  };
+
+  if (collection.type === 'static') {
+    const games = Array.isArray(collection.games) ? collection.games : [];
+    normalized.games = [...new Set(games.filter(key => typeof key === 'string' && key))];
+  } else {
+    if (!Array.isArray(collection.rules) || collection.rules.length === 0) {
+      throw new Error('Intelligente Sammlungen brauchen mindestens eine Regel');
+    }
+    normalized.match = MATCH_MODES.includes(collection.match) ? collection.match : 'all';
+    normalized.rules = collection.rules.map(normalizeRule);
+  }
+
+  return normalized;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function createCollectionStore(options = {}) {
+  const file = options.file;
+  // lowdb ist ein reines ES-Modul und wird deshalb dynamisch geladen
+  const loadLowdb = options.loadLowdb || (() => import('lowdb/node'));
+  const onChange = options.onChange || (() => {});
+  let db = null;
+
+  function ensureLoaded() {
+    if (!db) {
+      throw new Error('Sammlungen wurden noch nicht geladen');
+    }
+  }
+
+  function list() {
+    ensureLoaded();
+    return clone(db.data.collections);
+  }
+
+  function find(id) {
+    const collection = db.data.collections.find(entry => entry.id === id);
+    if (!collection) {
+      throw new Error(`Sammlung nicht gefunden: ${id}`);
+    }
+    return collection;
+  }
+
+  async function commit() {
+    await db.write();
+    onChange(list());
+  }
+
+  // Spiele einer statischen Sammlung ändern
+  async function updateGames(id, update) {
+    ensureLoaded();
+    const collection = find(id);
+    if (collection.type !== 'static') {
+      throw new Error('Spiele können nur statischen Sammlungen zugeordnet werden');
+    }
+    collection.games = update(collection.games);
+    await commit();
+    return clone(collection);
+  }
+
+  return {
+    list,
+
+    // Sammlungen von der Platte lesen; ungültige Einträge werden verworfen
+    async load() {
+      const { JSONFilePreset } = await loadLowdb();
+      db = await JSONFilePreset(file, defaultCollections());
+
+      const collections = [];
+      for (const entry of Array.isArray(db.data.collections) ? db.data.collections : []) {
+        try {
+          const collection = normalizeCollection(entry);
+          if (collection.id && !collections.some(existing => existing.id === collection.id)) {
+            collections.push(collection);
+          }
+        } catch (error) {
+          console.warn(`Sammlung ${entry && entry.name} ist ungültig und wird verworfen: ${error.message}`);
+        }
+      }
+      db.data = { collections };
+      await db.write();
+      return list();
+    },
+
+    // Neue Sammlung anlegen oder vorhandene ersetzen (anhand der ID)
+    async save(collection) {
+      ensureLoaded();
+      const normalized = normalizeCollection(collection);
+      const index = db.data.collections.findIndex(entry => entry.id === normalized.id);
+
+      if (index === -1) {
+        let id = `collection-${Date.now().toString(36)}`;
+        while (db.data.collections.some(entry => entry.id === id)) {
+          id = `collection-${(Date.now() + Math.floor(Math.random() * 1e6)).toString(36)}`;
+        }
+        normalized.id = id;
+        db.data.collections.push(normalized);
+      } else {
+        // Der Typ einer Sammlung bleibt fest, damit keine Zuordnungen verloren gehen
+        if (db.data.collections[index].type !== normalized.type) {
+          throw new Error('Der Typ einer Sammlung kann nicht geändert werden');
+        }
+        if (normalized.type === 'static' && !Array.isArray(collection.games)) {
+          normalized.games = db.data.collections[index].games;
+        }
+        db.data.collections[index] = normalized;
+      }
+
+      await commit();
+      return clone(normalized);
+    },
+
+    async remove(id) {
+      ensureLoaded();
+      find(id);
+      db.data.collections = db.data.collections.filter(entry => entry.id !== id);
+      await commit();
+    },
+
+    addGames(id, keys) {
+      return updateGames(id, games => [...new Set([...games, ...keys])]);
+    },
+
+    removeGames(id, keys) {
+      return updateGames(id, games => games.filter(key => !keys.includes(key)));
+    },
+
+    // Alle Sammlungen ersetzen (Wiederherstellung einer Sicherung); ungültige Einträge werden verworfen
+    async replaceAll(collections) {
+      ensureLoaded();
+      const replaced = [];
+      for (const entry of collections) {
+        try {
+          const collection = normalizeCollection(entry);
+          if (collection.id && !replaced.some(existing => existing.id === collection.id)) {
+            replaced.push(collection);
+          }
+        } catch (error) {
+          console.warn(`Sammlung ${entry && entry.name} ist ungültig und wird verworfen: ${error.message}`);
+        }
+      }
+      db.data.collections = replaced;
+      await commit();
+      return list();
+    },
+
+    // Gelöschtes Spiel aus allen statischen Sammlungen entfernen
+    async forgetGame(key) {
+      ensureLoaded();
+      let changed = false;
+      for (const collection of db.data.collections) {
+        if (collection.type === 'static' && collection.games.includes(key)) {
+          collection.games = collection.games.filter(entry => entry !== key);
+          changed = true;
+        }
+      }
+      if (changed) {
+        await commit();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createCollectionStore,
+  normalizeCollection,
+  RULE_FIELDS,
+  COLLECTION_TYPES
+};
@@ -0,0 +1,233 @@
+// dustgrain.json: Schema, Validierung und Migrationen
+// Jede dustgrain-Datei trägt ihre Formatversion in "dustVersion". Beim Lesen
+// werden ältere Versionen Schritt für Schritt auf die aktuelle Version
+// migriert und anschließend gegen das Schema geprüft; geschrieben wird immer
+// die aktuelle Version. Unbekannte Felder bleiben erhalten, damit Dateien
+// neuerer Erweiterungen nicht beschädigt werden.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeLaunchOptions } = require('./launchOptions');
+const { normalizeRunnerConfig } = require('./runners');
+const { normalizeSaveLocations } = require('./saveGames');
+
+const DUSTGRAIN_FILE = 'dustgrain.json';
+const CURRENT_VERSION = '1.1';
+
+// Felder, die Dust nur zur Laufzeit ergänzt und nie in die Datei schreibt
+const RUNTIME_FIELDS = ['directory', 'libraryRoot', 'available', 'executableMissing', 'invalid', 'errors'];
+
+const isString = value => typeof value === 'string';
+const isOptionalString = value => value === undefined || value === null || isString(value);
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+const isDate = value => isString(value) && !Number.isNaN(Date.parse(value));
+const isOptionalDate = value => value === undefined || value === null || value === '' || isDate(value);
+const isId = value => value === undefined || value === null || isString(value) || Number.isInteger(value);
+
+// Schema: Feldname -> { check, message, required }
+const SCHEMA = {
+  title: { required: true, check: value => isString(value) && value.trim() !== '', message: 'muss ein nicht leerer Text sein' },
+  executable: { check: isOptionalString, message: 'muss ein Text sein' },
+  executablePath: { required: true, check: value => isString(value) && value.trim() !== '', message: 'muss ein nicht leerer Pfad sein' },
+  version: { check: isOptionalString, message: 'muss ein Text sein' },
+  genre: { check: isOptionalString, message: 'muss ein Text sein' },
+  releaseDate: { check: isOptionalString, message: 'muss ein Text sein' },
+  ageRating: { check: isOptionalString, message: 'muss ein Text sein' },
+  developer: { check: isOptionalString, message: 'muss ein Text sein' },
+  publisher: { check: isOptionalString, message: 'muss ein Text sein' },
+  description: { check: isOptionalString, message: 'muss ein Text sein' },
+  source: { check: isOptionalString, message: 'muss ein Text sein' },
+  tags: { required: true, check: isStringArray, message: 'muss eine Liste von Texten sein' },
+  coverImage: { check: isOptionalString, message: 'muss ein Text sein' },
+  screenshots: { required: true, check: isStringArray, message: 'muss eine Liste von Texten sein' },
+  lastPlayed: { check: isOptionalDate, message: 'muss ein Datum (ISO 8601) oder leer sein' },
+  playTime: { required: true, check: value => Number.isFinite(value) && value >= 0, message: 'muss eine Zahl ab 0 (Minuten) sein' },
+  installed: { check: value => value === undefined || typeof value === 'boolean', message: 'muss wahr oder falsch sein' },
+  installDate: { check: isOptionalDate, message: 'muss ein Datum (ISO 8601) oder leer sein' },
+  installSize: { check: value => value === undefined || (Number.isFinite(value) && value >= 0), message: 'muss eine Zahl ab 0 (Bytes) sein' },
+  steamAppId: { check: value => value === undefined || /^\d+$/.test(String(value)), message: 'muss eine numerische App-ID sein' },
+  dlsiteId: { check: value => value === undefined || /^[A-Z]{2}\d{6,8}$/.test(String(value)), message: 'muss eine Produkt-ID wie RJ123456 sein' },
+  dlsiteCategory: { check: isOptionalString, message: 'muss ein Text sein' },
+  itchioUrl: { check: isOptionalString, message: 'muss ein Text sein' },
+  itchGameId: { check: isId, message: 'muss eine ID sein' },
+  itchUploadId: { check: isId, message: 'muss eine ID sein' },
+  itchBuildId: { check: isId, message: 'muss eine ID sein' },
+  launchOptions: { required: true, normalize: normalizeLaunchOptions },
+  runner: { required: true, normalize: value => normalizeRunnerConfig(value, { allowDefault: true }) },
+  saveLocations: { normalize: normalizeSaveLocations },
+  dustVersion: { required: true, check: isString, message: 'muss ein Text sein' }
+};
+
+// Schrittweise Migrationen; jede hebt genau eine Version an
+const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    // Startoptionen und Runner werden fester Bestandteil, alte Typfehler werden bereinigt
+    migrate(data) {
+      const migrated = { ...data };
+
+      if (isString(migrated.tags)) {
+        migrated.tags = migrated.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      } else if (!Array.isArray(migrated.tags)) {
+        migrated.tags = [];
+      }
+      if (!Array.isArray(migrated.screenshots)) {
+        migrated.screenshots = [];
+      }
+      migrated.playTime = Number(migrated.playTime) || 0;
+      if (migrated.installSize !== undefined) {
+        migrated.installSize = Number(migrated.installSize) || 0;
+      }
+      if (migrated.steamAppId !== undefined) {
+        migrated.steamAppId = String(migrated.steamAppId);
+      }
+      if (migrated.installed === undefined) {
+        migrated.installed = true;
+      }
+
+      migrated.launchOptions = normalizeLaunchOptions(migrated.launchOptions);
+      migrated.runner = normalizeRunnerConfig(migrated.runner, { allowDefault: true });
+      return migrated;
+    }
+  }
+];
+
+// Fehler mit Liste der betroffenen Felder (error.errors) erstellen
+function createValidationError(message, errors, file) {
+  const details = errors.map(entry => `${entry.field} ${entry.message}`).join('; ');
+  const error = new Error(`${message}${details ? `: ${details}` : ''}`);
+  error.errors = errors;
+  error.file = file;
+  return error;
+}
+
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+// Ältere Versionen auf die aktuelle Version bringen
+function migrateDustgrain(data) {
+  let version = String(data.dustVersion || '1.0');
+  if (compareVersions(version, CURRENT_VERSION) > 0) {
+    throw new Error(`dustgrain-Version ${version} ist neuer als die unterstützte Version ${CURRENT_VERSION}. Bitte Dust aktualisieren.`);
+  }
+
+  let migrated = { ...data };
+  while (version !== CURRENT_VERSION) {
+    const migration = MIGRATIONS.find(entry => entry.from === version);
+    if (!migration) {
+      throw new Error(`Keine Migration für dustgrain-Version ${version} vorhanden`);
+    }
+    migrated = { ...migration.migrate(migrated), dustVersion: migration.to };
+    version = migration.to;
+  }
+
+  return migrated;
+}
+
+// Daten gegen das Schema prüfen; liefert die normalisierten Daten oder wirft mit allen Fehlern
+function validateDustgrain(data, file) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw createValidationError('dustgrain-Datei enthält kein Objekt', [], file);
+  }
+
+  const errors = [];
+  const validated = { ...data };
+
+  for (const [field, rule] of Object.entries(SCHEMA)) {
+    const value = data[field];
+    if (value === undefined) {
+      if (rule.required) errors.push({ field, message: 'fehlt' });
+      continue;
+    }
+
+    if (rule.normalize) {
+      try {
+        validated[field] = rule.normalize(value);
+      } catch (error) {
+        errors.push({ field, message: `ist ungültig (${error.message})` });
+      }
+    } else if (!rule.check(value)) {
+      errors.push({ field, message: rule.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createValidationError('Ungültige dustgrain-Datei', errors, file);
+  }
+  return validated;
+}
+
+function stripRuntimeFields(data) {
+  const result = { ...data };
+  for (const field of RUNTIME_FIELDS) {
+    delete result[field];
+  }
+  return result;
+}
+
+// Inhalt einer dustgrain-Datei parsen, migrieren und prüfen
+function parseDustgrain(content, file) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw createValidationError(`dustgrain-Datei ist kein gültiges JSON (${error.message})`, [], file);
+    }
+    throw error;
+  }
+
+  return validateDustgrain(migrateDustgrain(data), file);
+}
+
+// dustgrain-Datei lesen, migrieren und prüfen
+function readDustgrain(file) {
+  return parseDustgrain(fs.readFileSync(file, 'utf8'), file);
+}
+
+// Wie readDustgrain, aber ohne den Hauptprozess beim Bibliotheksscan zu blockieren
+async function readDustgrainAsync(file) {
+  return parseDustgrain(await fs.promises.readFile(file, 'utf8'), file);
+}
+
+// dustgrain-Datei in der aktuellen Version schreiben (über eine temporäre Datei, damit
+// bei einem Absturz keine halb geschriebene Datei zurückbleibt)
+function writeDustgrain(file, data) {
+  const dustgrain = validateDustgrain({ ...stripRuntimeFields(data), dustVersion: CURRENT_VERSION }, file);
+  const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+
+  fs.writeFileSync(tempFile, JSON.stringify(dustgrain, null, 2));
+  fs.renameSync(tempFile, file);
+  return dustgrain;
+}
+
+// Änderungen aus dem Renderer übernehmen; nur Schemafelder (ohne Version) sind erlaubt
+function applyDustgrainUpdates(dustgrain, updates) {
+  const unknown = Object.keys(updates || {})
+    .filter(field => !SCHEMA[field] || field === 'dustVersion');
+  if (unknown.length > 0) {
+    throw createValidationError('Unbekannte Felder', unknown.map(field => ({ field, message: 'darf nicht geändert werden' })));
+  }
+
+  return validateDustgrain({ ...dustgrain, ...updates });
+}
+
+module.exports = {
+  DUSTGRAIN_FILE,
+  CURRENT_VERSION,
+  parseDustgrain,
+  readDustgrain,
+  readDustgrainAsync,
+  writeDustgrain,
+  migrateDustgrain,
+  validateDustgrain,
+  applyDustgrainUpdates
+};
@@ -0,0 +1,259 @@
+// Erkennung und Bewertung ausführbarer Dateien in einem Spielordner
+// Durchsucht auch Unterordner und bewertet Kandidaten nach Namensähnlichkeit,
+// bekannten Engine-Strukturen, Dateigröße und einer Liste bekannter Hilfsprogramme.
+
+const path = require('path');
+const fs = require('fs');
+
+const MAX_DEPTH = 3;
+const MAX_ENTRIES = 5000;
+
+// Abstand, unterhalb dessen die beiden besten Kandidaten als gleichwertig gelten
+const AMBIGUITY_MARGIN = 15;
+const MIN_CONFIDENT_SCORE = 20;
+
+// Ordner, die nie das Spiel selbst enthalten
+const IGNORED_DIRECTORIES = /^(_commonredist|commonredist|redist|redistributables?|directx|dotnet|vcredist|prereqs?|__macosx|\.itch|\.git|node_modules|locales|swiftshader|crashpad|save|saves|www|renpy|lib)$/i;
+
+// Hilfsprogramme, Installer und Werkzeuge
+const IGNORED_FILES = [
+  /crash ?handler/i,
+  /crash ?report/i,
+  /^notification_helper/i,
+  /^unins(tall)?\d*/i,
+  /uninstall/i,
+  /^setup/i,
+  /^install(er)?\b/i,
+  /vc_?redist/i,
+  /^dxsetup/i,
+  /^dotnet/i,
+  /prereq/i,
+  /easyanticheat/i,
+  /battleye/i,
+  /^(auto)?updater?\b/i,
+  /^patch(er)?\b/i,
+  /^config(ure)?\b/i,
+  /^settings\b/i,
+  /^(nwjc|payload|chromedriver|zsync|7za?|unrar)\b/i,
+  /^pythonw?\d*\b/i,
+  /^(readme|license|licence|copying|changelog|credits|eula)\b/i
+];
+
+const WINDOWS_EXTENSIONS = ['.exe', '.bat', '.cmd'];
+const LINUX_EXTENSIONS = ['.sh', '.x86_64', '.x86', '.appimage'];
+
+// Name für Vergleiche normalisieren (nur Buchstaben und Ziffern, klein)
+function normalizeName(name) {
+  return String(name || '').toLowerCase().normalize('NFKC').replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function tokenize(name) {
+  return String(name || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1);
+}
+
+// Ähnlichkeit zweier Namen zwischen 0 und 1
+function nameSimilarity(a, b) {
+  const normalizedA = normalizeName(a);
+  const normalizedB = normalizeName(b);
+  if (!normalizedA || !normalizedB) return 0;
+  if (normalizedA === normalizedB) return 1;
+  if (normalizedA.includes(normalizedB) || normalizedB.includes(normalizedA)) return 0.7;
+  
+  const tokensA = new Set(tokenize(a));
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 || tokensB.length === 0) return 0;
+  const shared = tokensB.filter(token => tokensA.has(token)).length;
+  return 0.5 * shared / Math.max(tokensA.size, tokensB.length);
+}
+
+// Prüfen, ob eine Datei auf dem aktuellen System als Programm in Frage kommt
+function isExecutableCandidate(name, stats, platform) {
+  const extension = path.extname(name).toLowerCase();
+  
+  if (WINDOWS_EXTENSIONS.includes(extension) || LINUX_EXTENSIONS.includes(extension)) return true;
+  if (extension === '.app') return platform === 'darwin';
+  
+  // Ren'Py-Launcher (<Spiel>.py neben dem renpy-Ordner) werden gesondert erkannt
+  if (extension === '.py') return false;
+  
+  // Dateien ohne Endung nur mit gesetztem Ausführungsrecht
+  if (!extension && platform !== 'win32') {
+    return stats.isFile() && (stats.mode & 0o111) !== 0;
+  }
+  
+  return false;
+}
+
+// Ordner rekursiv nach Kandidaten durchsuchen (asynchron, damit große Ordner den Hauptprozess nicht blockieren)
+async function collectCandidates(root, platform) {
+  const candidates = [];
+  let visited = 0;
+  
+  async function walk(directory, depth) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    
+    const names = entries.map(entry => entry.name);
+    
+    for (const entry of entries) {
+      if (++visited > MAX_ENTRIES) return;
+      
+      const fullPath = path.join(directory, entry.name);
+      
+      // .app-Bundles sind Ordner, werden aber als Programm behandelt
+      if (entry.isDirectory() && !(platform === 'darwin' && entry.name.toLowerCase().endsWith('.app'))) {
+        if (depth < MAX_DEPTH && !IGNORED_DIRECTORIES.test(entry.name)) {
+          await walk(fullPath, depth + 1);
+        }
+        continue;
+      }
+      
+      let stats;
+      try {
+        stats = await fs.promises.stat(fullPath);
+      } catch (error) {
+        continue;
+      }
+      
+      if (isExecutableCandidate(entry.name, stats, platform)) {
+        candidates.push({
+          file: path.relative(root, fullPath),
+          name: entry.name,
+          size: stats.isFile() ? stats.size : 0,
+          depth,
+          siblings: names
+        });
+      }
+    }
+  }
+  
+  await walk(root, 0);
+  return candidates;
+}
+
+// Bekannte Engine-Strukturen erkennen
+function detectEngine(candidate) {
+  const base = path.basename(candidate.name, path.extname(candidate.name));
+  const extension = path.extname(candidate.name).toLowerCase();
+  const siblings = new Set(candidate.siblings.map(name => name.toLowerCase()));
+  
+  if (siblings.has(`${base.toLowerCase()}_data`)) {
+    return 'unity';
+  }
+  if (siblings.has('renpy') && siblings.has('game') && siblings.has(`${base.toLowerCase()}.py`)) {
+    return 'renpy';
+  }
+  if (base.toLowerCase() === 'game' && extension === '.exe' &&
+      (siblings.has('www') || siblings.has('game.ini') || siblings.has('data') ||
+       [...siblings].some(name => /\.rgss\d?a$|\.rgssad$/.test(name)))) {
+    return 'rpgmaker';
+  }
+  if (siblings.has('package.json') && (siblings.has('nw.pak') || siblings.has('resources.pak') || siblings.has('www') || siblings.has('index.html'))) {
+    return 'nwjs';
+  }
+  if (/-win64-shipping$/i.test(base)) {
+    return 'unreal-shipping';
+  }
+  return null;
+}
+
+// Punktzahl für einen Kandidaten berechnen
+function scoreCandidate(candidate, context) {
+  const reasons = [];
+  let score = 0;
+  const base = path.basename(candidate.name, path.extname(candidate.name));
+  const extension = path.extname(candidate.name).toLowerCase();
+  
+  if (IGNORED_FILES.some(pattern => pattern.test(base))) {
+    score -= 100;
+    reasons.push('Hilfsprogramm');
+  }
+  
+  // Namensähnlichkeit zum Ordner und zum Titel
+  const similarity = Math.max(
+    nameSimilarity(base, context.folderName),
+    nameSimilarity(base, context.title)
+  );
+  if (similarity > 0) {
+    score += Math.round(similarity * 40);
+    reasons.push('Name');
+  }
+  
+  // Engine-Strukturen
+  const engine = detectEngine(candidate);
+  const engineScores = { unity: 45, renpy: 40, rpgmaker: 40, nwjs: 30, 'unreal-shipping': 10 };
+  if (engine) {
+    score += engineScores[engine];
+    reasons.push(engine);
+  }
+  
+  // Ren'Py: passenden Launcher für das System bevorzugen
+  if (engine === 'renpy') {
+    if ((context.platform === 'win32') !== (extension === '.exe')) {
+      score -= 15;
+    }
+  }
+  
+  // Für das System typische Programme bevorzugen, Skripte leicht abwerten
+  const native = context.platform === 'win32'
+    ? extension === '.exe'
+    : context.platform === 'darwin'
+      ? extension === '.app'
+      : LINUX_EXTENSIONS.includes(extension) || extension === '';
+  if (native) {
+    score += 15;
+  }
+  if (extension === '.bat' || extension === '.cmd') {
+    score -= 5;
+  }
+  
+  // Größere Dateien sind eher das Spiel als kleine Hilfsprogramme
+  if (candidate.size >= 10 * 1024 * 1024) {
+    score += 10;
+  } else if (candidate.size >= 1024 * 1024) {
+    score += 5;
+  } else if (candidate.size > 0 && candidate.size < 100 * 1024 && extension === '.exe') {
+    score -= 5;
+  }
+  
+  // Tiefer verschachtelte Dateien abwerten
+  score -= candidate.depth * 10;
+  
+  return { score, engine, reasons };
+}
+
+// Ausführbare Dateien eines Ordners finden und nach Wahrscheinlichkeit sortieren
+async function detectExecutables(folder, options = {}) {
+  const platform = options.platform || process.platform;
+  const context = {
+    platform,
+    folderName: path.basename(folder),
+    title: options.title || ''
+  };
+  
+  const ranked = (await collectCandidates(folder, platform))
+    .map(candidate => {
+      const { score, engine, reasons } = scoreCandidate(candidate, context);
+      return { file: candidate.file, size: candidate.size, score, engine, reasons };
+    })
+    .sort((a, b) => b.score - a.score || a.file.length - b.file.length);
+  
+  const best = ranked.length > 0 ? ranked[0] : null;
+  const runnerUp = ranked.length > 1 ? ranked[1] : null;
+  const ambiguous = ranked.length > 1 && (
+    best.score < MIN_CONFIDENT_SCORE ||
+    (runnerUp.score > -50 && best.score - runnerUp.score < AMBIGUITY_MARGIN)
+  );
+  
+  return {
+    candidates: ranked,
+    best: best ? best.file : '',
+    ambiguous
+  };
+}
+
+module.exports = { detectExecutables, nameSimilarity };
@@ -0,0 +1,42 @@
+// Größe eines Installationsordners ermitteln
+// Läuft asynchron, damit große Spielordner den Hauptprozess nicht blockieren.
+// Symbolische Links werden nicht verfolgt und nicht mitgezählt.
+
+const fs = require('fs');
+const path = require('path');
+
+async function measureFolderSize(folder) {
+  let total = 0;
+  const pending = [folder];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      // Nicht lesbare Unterordner (z.B. fehlende Rechte) überspringen
+      if (current === folder) throw error;
+      continue;
+    }
+
+    for (const entry of entries) {
+      const file = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(file);
+      } else if (entry.isFile()) {
+        try {
+          total += (await fs.promises.stat(file)).size;
+        } catch (error) {
+          // Während der Messung gelöschte Dateien ignorieren
+        }
+      }
+    }
+  }
+
+  return total;
+}
+
+module.exports = {
+  measureFolderSize
+};
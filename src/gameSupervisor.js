@@ -0,0 +1,356 @@
+// Überwachung gestarteter Spiele
+// Verfolgt den gestarteten Prozess und alle von ihm gestarteten Kindprozesse.
+// Eine Sitzung endet erst, wenn keiner dieser Prozesse mehr läuft. Laufende
+// Sitzungen werden regelmäßig in eine Checkpoint-Datei geschrieben, damit die
+// Spielzeit auch nach einem Absturz von Dust nicht verloren geht.
+// Unter Windows kostet jede Abfrage der Prozessliste einen PowerShell-Start;
+// dort wird das Intervall verlängert, solange sich der Prozessbaum nicht ändert.
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const DEFAULT_POLL_INTERVAL = 5000;
+const WINDOWS_MAX_POLL_INTERVAL = 30000;
+
+// Prozessliste als Array von { pid, ppid, pgid } (pgid nur unter Linux/macOS)
+function listProcesses() {
+  if (process.platform === 'linux') {
+    return Promise.resolve(listLinuxProcesses());
+  }
+  
+  return new Promise((resolve) => {
+    const [command, args] = process.platform === 'win32'
+      ? ['powershell.exe', ['-NoProfile', '-NonInteractive', '-Command',
+          'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId) $($_.ParentProcessId)" }']]
+      : ['ps', ['-A', '-o', 'pid=,ppid=,pgid=']];
+    
+    execFile(command, args, { windowsHide: true, maxBuffer: 8 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        console.error('Fehler beim Abrufen der Prozessliste:', error);
+        resolve(null);
+        return;
+      }
+      
+      resolve(stdout.split(/\r?\n/)
+        .map(line => line.trim().split(/\s+/).map(Number))
+        .filter(([pid, ppid]) => pid > 0 && !Number.isNaN(ppid))
+        .map(([pid, ppid, pgid]) => ({ pid, ppid, pgid })));
+    });
+  });
+}
+
+// Unter Linux direkt aus /proc lesen, ohne Hilfsprozess
+function listLinuxProcesses() {
+  const processes = [];
+  
+  for (const entry of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      // Der Prozessname steht in Klammern und kann Leerzeichen enthalten
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      if (fields[0] === 'Z') continue;
+      processes.push({ pid: Number(entry), ppid: Number(fields[1]), pgid: Number(fields[2]) });
+    } catch (error) {
+      // Prozess wurde zwischenzeitlich beendet
+    }
+  }
+  
+  return processes;
+}
+
+// Prozess und (unter Windows) seinen Prozessbaum beenden
+function killProcessTree(pid) {
+  if (process.platform === 'win32') {
+    execFile('taskkill', ['/PID', String(pid), '/T', '/F'], { windowsHide: true }, () => {});
+    return;
+  }
+  
+  try {
+    // Gestartete Spiele laufen in einer eigenen Prozessgruppe
+    process.kill(-pid, 'SIGTERM');
+  } catch (error) {
+    try {
+      process.kill(pid, 'SIGTERM');
+    } catch (err) {
+      // Prozess läuft bereits nicht mehr
+    }
+  }
+}
+
+function createGameSupervisor(options = {}) {
+  const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+  const maxPollInterval = Math.max(pollInterval,
+    options.maxPollInterval || (process.platform === 'win32' ? WINDOWS_MAX_POLL_INTERVAL : pollInterval));
+  const checkpointFile = options.checkpointFile || null;
+  const getProcesses = options.listProcesses || listProcesses;
+  const onChange = options.onChange || (() => {});
+  const onSessionEnd = options.onSessionEnd || (() => {});
+  const onLaunchError = options.onLaunchError || (() => {});
+  
+  const sessions = new Map();
+  let timer = null;
+  let polling = false;
+  let currentInterval = pollInterval;
+  
+  function writeCheckpoint() {
+    if (!checkpointFile) return;
+    
+    const data = {};
+    for (const [key, session] of sessions) {
+      data[key] = {
+        startedAt: session.startedAt,
+        lastSeen: session.lastSeen,
+        info: session.info
+      };
+    }
+    
+    try {
+      fs.writeFileSync(checkpointFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Fehler beim Schreiben des Sitzungs-Checkpoints:', error);
+    }
+  }
+  
+  function publicSession(key, session) {
+    return {
+      key,
+      pid: session.rootPid,
+      startedAt: new Date(session.startedAt).toISOString(),
+      info: session.info
+    };
+  }
+  
+  function finishSession(key, session) {
+    if (!sessions.has(key)) return;
+    sessions.delete(key);
+    
+    const endedAt = Math.max(session.lastSeen, session.rootExitedAt || 0);
+    writeCheckpoint();
+    stopTimerIfIdle();
+    
+    onSessionEnd({
+      key,
+      info: session.info,
+      startedAt: new Date(session.startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      durationMs: Math.max(0, endedAt - session.startedAt),
+      exitCode: session.exitCode,
+      interrupted: false
+    });
+    onChange(key, null);
+  }
+  
+  // Prozess konnte nicht gestartet werden: keine Sitzung aufzeichnen, nur den Fehler melden
+  function abortSession(key, session, error) {
+    if (sessions.get(key) !== session) return;
+    sessions.delete(key);
+    
+    writeCheckpoint();
+    stopTimerIfIdle();
+    
+    onLaunchError({ key, info: session.info, error });
+    onChange(key, null);
+  }
+  
+  // Prozessliste abfragen und verfolgte Prozesse aktualisieren
+  async function poll() {
+    if (polling || sessions.size === 0) return;
+    polling = true;
+    let changed = false;
+    
+    try {
+      const processes = await getProcesses();
+      const now = Date.now();
+      
+      for (const [key, session] of sessions) {
+        if (!processes) {
+          // Prozessliste nicht verfügbar: nur den Hauptprozess berücksichtigen
+          if (session.rootExited) {
+            finishSession(key, session);
+            changed = true;
+          } else {
+            session.lastSeen = now;
+          }
+          continue;
+        }
+        
+        const alivePids = new Set(processes.map(entry => entry.pid));
+        
+        // Nachfahren über Eltern-PID bzw. Prozessgruppe einsammeln
+        let added = true;
+        while (added) {
+          added = false;
+          for (const entry of processes) {
+            if (session.pids.has(entry.pid)) continue;
+            if (session.pids.has(entry.ppid) || (entry.pgid && entry.pgid === session.rootPid)) {
+              session.pids.add(entry.pid);
+              added = true;
+              changed = true;
+            }
+          }
+        }
+        
+        // Der beendete Hauptprozess zählt nur noch für das Einsammeln oben: Unter Windows behalten
+        // verwaiste Kindprozesse (z.B. von Startprogrammen) seine PID als Eltern-PID
+        if (session.rootExited && session.pids.delete(session.rootPid)) {
+          changed = true;
+        }
+        
+        // Beendete Kindprozesse vergessen, damit wiederverwendete PIDs nicht zählen
+        for (const pid of session.pids) {
+          if (pid !== session.rootPid && !alivePids.has(pid)) {
+            session.pids.delete(pid);
+            changed = true;
+          }
+        }
+        
+        if (session.pids.size > 0) {
+          session.lastSeen = now;
+        } else if (session.rootExited) {
+          finishSession(key, session);
+          changed = true;
+        }
+      }
+      
+      writeCheckpoint();
+    } catch (error) {
+      console.error('Fehler bei der Prozessüberwachung:', error);
+    } finally {
+      polling = false;
+    }
+    
+    // Ohne Änderung seltener nachsehen (nur wenn maxPollInterval größer ist)
+    currentInterval = changed ? pollInterval : Math.min(currentInterval * 2, maxPollInterval);
+  }
+  
+  function schedulePoll() {
+    timer = setTimeout(async () => {
+      timer = null;
+      await poll();
+      if (!timer && sessions.size > 0) {
+        schedulePoll();
+      }
+    }, currentInterval);
+  }
+  
+  function ensureTimer() {
+    if (!timer) {
+      schedulePoll();
+    }
+  }
+  
+  // Neue Sitzung: wieder im kurzen Abstand prüfen, damit Kindprozesse schnell erfasst werden
+  function resetTimer() {
+    currentInterval = pollInterval;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    ensureTimer();
+  }
+  
+  function stopTimerIfIdle() {
+    if (timer && sessions.size === 0) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+  
+  return {
+    // Gestarteten Prozess überwachen
+    track(key, child, info = {}) {
+      const now = Date.now();
+      const session = {
+        rootPid: child.pid,
+        pids: new Set([child.pid]),
+        startedAt: now,
+        lastSeen: now,
+        rootExited: false,
+        rootExitedAt: null,
+        exitCode: null,
+        info
+      };
+      sessions.set(key, session);
+      
+      child.on('exit', (code) => {
+        session.rootExited = true;
+        session.rootExitedAt = Date.now();
+        session.lastSeen = session.rootExitedAt;
+        session.exitCode = code;
+        
+        // Sofort prüfen, ob noch Kindprozesse laufen; der Hauptprozess wird dabei aus der Menge entfernt
+        poll();
+      });
+      
+      child.on('error', (error) => {
+        console.error(`Fehler beim Ausführen von ${key}:`, error);
+        abortSession(key, session, error);
+      });
+      
+      resetTimer();
+      writeCheckpoint();
+      onChange(key, publicSession(key, session));
+    },
+    
+    isRunning(key) {
+      return sessions.has(key);
+    },
+    
+    getRunning() {
+      return [...sessions].map(([key, session]) => publicSession(key, session));
+    },
+    
+    // Alle Prozesse einer Sitzung beenden
+    stop(key) {
+      const session = sessions.get(key);
+      if (!session) return false;
+      
+      for (const pid of session.pids) {
+        killProcessTree(pid);
+      }
+      return true;
+    },
+    
+    // Beim Start: Sitzungen aus einem Absturz von Dust mit der zuletzt gesehenen Zeit abschließen
+    recoverSessions() {
+      if (!checkpointFile || !fs.existsSync(checkpointFile)) return [];
+      
+      let data = {};
+      try {
+        data = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+      } catch (error) {
+        console.error('Fehler beim Lesen des Sitzungs-Checkpoints:', error);
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        data = {};
+      }
+      
+      // Unvollständig geschriebene oder beschädigte Einträge überspringen
+      const validEntries = Object.entries(data).filter(([key, entry]) => {
+        const valid = entry && Number.isFinite(entry.startedAt) && Number.isFinite(entry.lastSeen)
+          && !Number.isNaN(new Date(entry.startedAt).getTime()) && !Number.isNaN(new Date(entry.lastSeen).getTime());
+        if (!valid) {
+          console.error(`Ungültiger Eintrag im Sitzungs-Checkpoint übersprungen: ${key}`);
+        }
+        return valid;
+      });
+      
+      const recovered = validEntries.map(([key, entry]) => ({
+        key,
+        info: entry.info || {},
+        startedAt: new Date(entry.startedAt).toISOString(),
+        endedAt: new Date(entry.lastSeen).toISOString(),
+        durationMs: Math.max(0, entry.lastSeen - entry.startedAt),
+        exitCode: null,
+        interrupted: true
+      }));
+      
+      writeCheckpoint();
+      recovered.forEach(session => onSessionEnd(session));
+      return recovered;
+    }
+  };
+}
+
+module.exports = { createGameSupervisor, listProcesses };
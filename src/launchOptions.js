@@ -0,0 +1,163 @@
+// Startoptionen pro Spiel (Argumente, Umgebungsvariablen, Arbeitsverzeichnis,
+// Befehle vor dem Start und nach dem Beenden)
+
+const path = require('path');
+const { exec } = require('child_process');
+
+const HOOK_TIMEOUT = 60000;
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  args: [],
+  env: {},
+  cwd: '',
+  preLaunch: '',
+  postLaunch: ''
+};
+
+// Argumentzeile wie in einer Shell aufteilen: Leerzeichen trennen, Anführungszeichen gruppieren
+function parseArguments(text) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+        current += text[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+  
+  if (quote) {
+    throw new Error('Startargumente enthalten ein nicht geschlossenes Anführungszeichen');
+  }
+  if (hasToken) {
+    args.push(current);
+  }
+  
+  return args;
+}
+
+// Umgebungsvariablen aus "NAME=Wert"-Zeilen lesen
+function parseEnvironment(text) {
+  const env = {};
+  
+  String(text).split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    
+    const separator = trimmed.indexOf('=');
+    const name = separator === -1 ? '' : trimmed.slice(0, separator).trim();
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Ungültige Umgebungsvariable in Zeile ${index + 1}: ${trimmed}`);
+    }
+    env[name] = trimmed.slice(separator + 1);
+  });
+  
+  return env;
+}
+
+// Startoptionen aus dustgrain oder Formular in eine einheitliche Form bringen
+// Argumente und Umgebungsvariablen dürfen als Text oder bereits strukturiert übergeben werden.
+function normalizeLaunchOptions(options) {
+  const source = options || {};
+  
+  const args = Array.isArray(source.args)
+    ? source.args.map(String)
+    : parseArguments(String(source.args || ''));
+  
+  let env = {};
+  if (typeof source.env === 'string') {
+    env = parseEnvironment(source.env);
+  } else if (source.env && typeof source.env === 'object') {
+    for (const [name, value] of Object.entries(source.env)) {
+      env[name] = String(value);
+    }
+  }
+  
+  return {
+    ...DEFAULT_LAUNCH_OPTIONS,
+    args,
+    env,
+    cwd: String(source.cwd || '').trim(),
+    preLaunch: String(source.preLaunch || '').trim(),
+    postLaunch: String(source.postLaunch || '').trim()
+  };
+}
+
+// Geänderte Befehle, Argumente und Umgebungsvariablen als [{ label, value }] (nur neue, nicht leere Werte)
+// Diese Felder führen Befehle aus; der Hauptprozess lässt Änderungen vom Benutzer bestätigen.
+function describeLaunchChanges(before, after) {
+  const previous = normalizeLaunchOptions(before);
+  const next = normalizeLaunchOptions(after);
+  const changes = [];
+  
+  if (next.preLaunch && next.preLaunch !== previous.preLaunch) {
+    changes.push({ label: 'Befehl vor dem Start', value: next.preLaunch });
+  }
+  if (next.postLaunch && next.postLaunch !== previous.postLaunch) {
+    changes.push({ label: 'Befehl nach dem Beenden', value: next.postLaunch });
+  }
+  // Batch-Dateien bekommen ihre Argumente über cmd.exe
+  if (next.args.length > 0 && JSON.stringify(next.args) !== JSON.stringify(previous.args)) {
+    changes.push({ label: 'Startargumente', value: next.args.map(arg => (/\s/.test(arg) ? `"${arg}"` : arg)).join(' ') });
+  }
+  for (const [name, value] of Object.entries(next.env)) {
+    if (previous.env[name] !== value) {
+      changes.push({ label: 'Umgebungsvariable', value: `${name}=${value}` });
+    }
+  }
+  
+  return changes;
+}
+
+// Arbeitsverzeichnis bestimmen: relativ zum Spielordner oder absolut
+function resolveWorkingDirectory(gameInfo, launchOptions) {
+  if (!launchOptions.cwd) {
+    return gameInfo.executablePath;
+  }
+  return path.resolve(gameInfo.executablePath, launchOptions.cwd);
+}
+
+// Befehl vor dem Start bzw. nach dem Beenden in einer Shell ausführen
+function runHook(command, { cwd, env }) {
+  return new Promise((resolve, reject) => {
+    exec(command, { cwd, env, timeout: HOOK_TIMEOUT, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        const output = String(stderr || stdout || '').trim();
+        reject(new Error(`"${command}" fehlgeschlagen${output ? `: ${output}` : ` (${error.message})`}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_LAUNCH_OPTIONS,
+  parseArguments,
+  parseEnvironment,
+  normalizeLaunchOptions,
+  describeLaunchChanges,
+  resolveWorkingDirectory,
+  runHook
+};
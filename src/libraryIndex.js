@@ -0,0 +1,414 @@
+// Bibliotheksindex
+// Hält alle gefundenen Spiele in einer SQLite-Datenbank im userData-Ordner,
+// damit die Bibliothek nicht bei jedem Seitenwechsel vollständig von der
+// Platte gelesen werden muss. Die dustgrain.json bleibt die maßgebliche Quelle:
+// Beim Abgleich werden nur Dateien mit geänderter Änderungszeit neu gelesen,
+// und die Datenbank kann jederzeit gelöscht und neu aufgebaut werden.
+// Gefiltert wird per SQL; Suchanfragen und Sortierung verwenden dieselben
+// Module wie der Renderer (src/search.js, src/sorting.js).
+
+const fs = require('fs');
+const path = require('path');
+const { parseQuery, matchesQuery } = require('./search');
+const { sortGames } = require('./sorting');
+
+// Bei Änderungen am Tabellenaufbau erhöhen; die Datenbank wird dann neu aufgebaut
+const SCHEMA_VERSION = 1;
+const DUSTGRAIN_FILE = 'dustgrain.json';
+const DAY = 1000 * 60 * 60 * 24;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS games (
+    key TEXT PRIMARY KEY,
+    root TEXT NOT NULL,
+    mtime REAL NOT NULL,
+    title_lc TEXT NOT NULL DEFAULT '',
+    developer_lc TEXT NOT NULL DEFAULT '',
+    publisher_lc TEXT NOT NULL DEFAULT '',
+    genre TEXT NOT NULL DEFAULT '',
+    genre_lc TEXT NOT NULL DEFAULT '',
+    source TEXT NOT NULL DEFAULT '',
+    source_lc TEXT NOT NULL DEFAULT '',
+    play_time REAL NOT NULL DEFAULT 0,
+    last_played REAL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS games_root ON games (root);
+  CREATE INDEX IF NOT EXISTS games_genre ON games (genre);
+  CREATE INDEX IF NOT EXISTS games_source ON games (source);
+  CREATE TABLE IF NOT EXISTS game_tags (
+    key TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    tag_lc TEXT NOT NULL,
+    PRIMARY KEY (key, tag)
+  );
+  CREATE INDEX IF NOT EXISTS game_tags_tag ON game_tags (tag);
+  CREATE INDEX IF NOT EXISTS game_tags_tag_lc ON game_tags (tag_lc);
+`;
+
+// Textspalten der Sammlungsregeln (kleingeschrieben gespeichert, wie im Renderer verglichen)
+const RULE_COLUMNS = {
+  title: 'title_lc',
+  developer: 'developer_lc',
+  publisher: 'publisher_lc',
+  genre: 'genre_lc',
+  source: 'source_lc'
+};
+
+function lower(value) {
+  return String(value || '').toLowerCase();
+}
+
+// Regel einer intelligenten Sammlung in eine SQL-Bedingung übersetzen
+// (entspricht matchesCollectionRule im Renderer)
+function ruleCondition(rule, now) {
+  const column = RULE_COLUMNS[rule.field];
+  const tagExists = 'EXISTS (SELECT 1 FROM game_tags WHERE game_tags.key = games.key AND game_tags.tag_lc = ?)';
+
+  switch (rule.operator) {
+    case 'contains': return { sql: `instr(${column}, ?) > 0`, params: [lower(rule.value)] };
+    case 'notContains': return { sql: `instr(${column}, ?) = 0`, params: [lower(rule.value)] };
+    case 'equals': return { sql: `${column} = ?`, params: [lower(rule.value)] };
+    case 'notEquals': return { sql: `${column} <> ?`, params: [lower(rule.value)] };
+    case 'has': return { sql: tagExists, params: [lower(rule.value)] };
+    case 'hasNot': return { sql: `NOT ${tagExists}`, params: [lower(rule.value)] };
+    // Spielzeit steht in Minuten in der dustgrain-Datei, Regeln rechnen in Stunden
+    case 'greaterThan': return { sql: 'play_time > ?', params: [rule.value * 60] };
+    case 'lessThan': return { sql: 'play_time < ?', params: [rule.value * 60] };
+    case 'withinDays': return { sql: 'last_played >= ?', params: [now - rule.value * DAY] };
+    case 'olderThanDays': return { sql: 'last_played < ?', params: [now - rule.value * DAY] };
+    case 'never': return { sql: 'last_played IS NULL', params: [] };
+    default: return { sql: '0', params: [] };
+  }
+}
+
+function collectionCondition(collection, now) {
+  if (collection.type === 'static') {
+    return { sql: 'key IN (SELECT value FROM json_each(?))', params: [JSON.stringify(collection.games)] };
+  }
+
+  const conditions = collection.rules.map(rule => ruleCondition(rule, now));
+  return {
+    sql: `(${conditions.map(condition => condition.sql).join(collection.match === 'any' ? ' OR ' : ' AND ')})`,
+    params: conditions.flatMap(condition => condition.params)
+  };
+}
+
+function createLibraryIndex(options = {}) {
+  const file = options.file;
+  const libraryRoots = options.libraryRoots;
+  // async (root, Ordnername) -> Spiel mit Bibliotheksangaben oder null
+  const readEntry = options.readEntry;
+  const sqlite3 = options.sqlite3 || require('sqlite3');
+
+  const entries = new Map();   // Spielschlüssel -> { game, mtime }
+  let db = null;
+  let writeQueue = Promise.resolve();
+  let pendingSync = null;
+
+  // --- Datenbankzugriff ---
+
+  function call(method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db[method](sql, params, function (error, result) {
+        if (error) reject(error);
+        else resolve(result);
+      });
+    });
+  }
+
+  function exec(sql) {
+    return new Promise((resolve, reject) => {
+      db.exec(sql, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const database = new sqlite3.Database(file, error => (error ? reject(error) : resolve(database)));
+    });
+  }
+
+  // Schreibzugriffe nacheinander ausführen, damit sich Transaktionen nicht überschneiden
+  function enqueue(task) {
+    const result = writeQueue.then(task);
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async function transaction(task) {
+    await exec('BEGIN');
+    try {
+      await task();
+      await exec('COMMIT');
+    } catch (error) {
+      await exec('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
+  async function writeGame(game, mtime) {
+    await call('run', 'DELETE FROM game_tags WHERE key = ?', [game.directory]);
+    await call('run', `
+      INSERT OR REPLACE INTO games
+        (key, root, mtime, title_lc, developer_lc, publisher_lc, genre, genre_lc, source, source_lc, play_time, last_played, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      game.directory,
+      game.libraryRoot,
+      mtime,
+      lower(game.title),
+      lower(game.developer),
+      lower(game.publisher),
+      game.genre || '',
+      lower(game.genre),
+      game.source || '',
+      lower(game.source),
+      game.playTime || 0,
+      game.lastPlayed ? Date.parse(game.lastPlayed) || null : null,
+      JSON.stringify(game)
+    ]);
+    for (const tag of new Set(game.tags || [])) {
+      await call('run', 'INSERT OR IGNORE INTO game_tags (key, tag, tag_lc) VALUES (?, ?, ?)', [game.directory, tag, lower(tag)]);
+    }
+  }
+
+  async function deleteGame(key) {
+    await call('run', 'DELETE FROM game_tags WHERE key = ?', [key]);
+    await call('run', 'DELETE FROM games WHERE key = ?', [key]);
+  }
+
+  // --- Abgleich mit den dustgrain-Dateien ---
+
+  async function statDustgrain(folder) {
+    try {
+      const stats = await fs.promises.stat(path.join(folder, DUSTGRAIN_FILE));
+      return stats.isFile() ? stats.mtimeMs : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function fileExists(file) {
+    try {
+      await fs.promises.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Unveränderte Einträge: nur prüfen, ob die ausführbare Datei noch vorhanden ist
+  async function recheck(cached) {
+    const game = { ...cached.game, available: true };
+    if (!game.invalid && game.executable) {
+      game.executableMissing = !(await fileExists(path.join(game.executablePath, game.executable)));
+    }
+    if (JSON.stringify(game) !== JSON.stringify(cached.game)) {
+      cached.game = game;
+      return true;
+    }
+    return false;
+  }
+
+  async function scanRoot(root, changes) {
+    let folders;
+    try {
+      folders = await fs.promises.readdir(root.path, { withFileTypes: true });
+    } catch (error) {
+      // Nicht eingehängte Laufwerke: zuletzt bekannte Spiele als nicht verfügbar anzeigen
+      for (const cached of entries.values()) {
+        if (cached.game.libraryRoot === root.id) {
+          cached.game = { ...cached.game, available: false };
+        }
+      }
+      return;
+    }
+
+    const seen = new Set();
+    for (const folder of folders) {
+      if (!folder.isDirectory() && !folder.isSymbolicLink()) continue;
+
+      const mtime = await statDustgrain(path.join(root.path, folder.name));
+      if (mtime === null) continue;
+
+      const key = libraryRoots.toKey(root.id, folder.name);
+      seen.add(key);
+
+      const cached = entries.get(key);
+      if (cached && cached.mtime === mtime) {
+        if (await recheck(cached)) {
+          changes.updated.push(cached);
+        }
+        continue;
+      }
+
+      const game = await readEntry(root, folder.name);
+      if (game) {
+        const entry = { game, mtime };
+        entries.set(key, entry);
+        changes.updated.push(entry);
+      }
+    }
+
+    for (const [key, cached] of entries) {
+      if (cached.game.libraryRoot === root.id && !seen.has(key)) {
+        entries.delete(key);
+        changes.removed.push(key);
+      }
+    }
+  }
+
+  async function runSync() {
+    const roots = libraryRoots.list();
+    const changes = { updated: [], removed: [] };
+
+    // Spiele aus entfernten Bibliotheksordnern vergessen
+    for (const [key, cached] of entries) {
+      if (!roots.some(root => root.id === cached.game.libraryRoot)) {
+        entries.delete(key);
+        changes.removed.push(key);
+      }
+    }
+
+    for (const root of roots) {
+      await scanRoot(root, changes);
+    }
+
+    if (changes.updated.length > 0 || changes.removed.length > 0) {
+      await enqueue(() => transaction(async () => {
+        for (const entry of changes.updated) {
+          await writeGame(entry.game, entry.mtime);
+        }
+        for (const key of changes.removed) {
+          await deleteGame(key);
+        }
+      }));
+    }
+
+    return list();
+  }
+
+  function list() {
+    return [...entries.values()]
+      .map(entry => entry.game)
+      .sort((a, b) => a.directory.localeCompare(b.directory));
+  }
+
+  return {
+    list,
+
+    get(key) {
+      const entry = entries.get(key);
+      return entry ? entry.game : null;
+    },
+
+    // Datenbank öffnen und den letzten Stand laden; bei fehlerhafter Datei wird sie neu angelegt
+    async open() {
+      try {
+        db = await openDatabase();
+        const { user_version: version } = await call('get', 'PRAGMA user_version');
+        if (version !== SCHEMA_VERSION) {
+          await exec('DROP TABLE IF EXISTS game_tags; DROP TABLE IF EXISTS games;');
+        }
+        await exec(SCHEMA);
+        await exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+
+        const rows = await call('all', 'SELECT key, mtime, data FROM games');
+        for (const row of rows) {
+          entries.set(row.key, { game: JSON.parse(row.data), mtime: row.mtime });
+        }
+      } catch (error) {
+        if (!db || !fs.existsSync(file)) throw error;
+        console.warn(`Bibliotheksindex ${file} ist fehlerhaft und wird neu aufgebaut: ${error.message}`);
+        await new Promise(resolve => db.close(() => resolve()));
+        db = null;
+        entries.clear();
+        fs.rmSync(file, { force: true });
+        return this.open();
+      }
+    },
+
+    close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    },
+
+    // Alle Bibliotheksordner mit dem Index abgleichen; gleichzeitige Aufrufe teilen sich einen Durchlauf
+    sync() {
+      if (!pendingSync) {
+        pendingSync = runSync().finally(() => {
+          pendingSync = null;
+        });
+      }
+      return pendingSync;
+    },
+
+    // Einzelnes Spiel neu einlesen (z.B. nach einer Änderung durch Dust oder die Überwachung)
+    async refresh(key) {
+      const { root, folder } = libraryRoots.parseKey(key);
+      const mtime = await statDustgrain(path.join(root.path, folder));
+      const game = mtime === null ? null : await readEntry(root, folder);
+
+      if (game) {
+        entries.set(key, { game, mtime });
+        await enqueue(() => writeGame(game, mtime));
+      } else if (entries.has(key)) {
+        entries.delete(key);
+        await enqueue(() => deleteGame(key));
+      }
+      return game;
+    },
+
+    // Schlüssel der passenden Spiele in der gewünschten Reihenfolge liefern
+    // filters: root, genre, source, tags, collection (Objekt), search, sortKey, sortDirection
+    async query(filters = {}) {
+      const now = Date.now();
+      const conditions = [];
+      const params = [];
+
+      if (filters.root && filters.root !== 'all') {
+        conditions.push('root = ?');
+        params.push(filters.root);
+      }
+      if (filters.genre && filters.genre !== 'all') {
+        conditions.push('genre = ?');
+        params.push(filters.genre);
+      }
+      if (filters.source && filters.source !== 'all') {
+        conditions.push('source = ?');
+        params.push(filters.source);
+      }
+      for (const tag of filters.tags || []) {
+        conditions.push('EXISTS (SELECT 1 FROM game_tags WHERE game_tags.key = games.key AND game_tags.tag = ?)');
+        params.push(tag);
+      }
+      if (filters.collection) {
+        const condition = collectionCondition(filters.collection, now);
+        conditions.push(condition.sql);
+        params.push(...condition.params);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await call('all', `SELECT key FROM games ${where}`, params);
+
+      let games = rows.map(row => entries.get(row.key)).filter(Boolean).map(entry => entry.game);
+
+      const search = parseQuery(filters.search || '');
+      if (search.conditions.length > 0) {
+        games = games.filter(game => matchesQuery(game, search, now));
+      }
+
+      return {
+        keys: sortGames(games, filters.sortKey, filters.sortDirection).map(game => game.directory),
+        errors: search.errors
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLibraryIndex
+};
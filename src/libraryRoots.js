@@ -0,0 +1,126 @@
+// Bibliotheksordner
+// Dust kann dustgrain.json-Dateien in mehreren Ordnern ablegen, etwa auf einer
+// externen Platte oder einer NAS-Freigabe. Spiele werden über den Schlüssel
+// "<Ordner-ID>/<Spielordner>" adressiert; Spiele im Standardordner behalten
+// ihren bisherigen Schlüssel ohne Präfix. Die zuletzt gefundenen Spiele nicht
+// eingehängter Laufwerke liefert der Bibliotheksindex (src/libraryIndex.js).
+
+const fs = require('fs');
+const path = require('path');
+const { isValidFolderName, pathsOverlap } = require('./validation');
+
+const DEFAULT_ROOT_ID = 'default';
+const KEY_SEPARATOR = '/';
+
+// Liste der zusätzlichen Bibliotheksordner prüfen (Validator für die Einstellungen)
+function normalizeLibraryRoots(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('Bibliotheksordner müssen als Liste angegeben werden');
+  }
+
+  const roots = [];
+  for (const entry of value) {
+    const id = String((entry && entry.id) || '').trim();
+    const folder = String((entry && entry.path) || '').trim();
+
+    if (!/^[a-z0-9-]+$/.test(id) || id === DEFAULT_ROOT_ID) {
+      throw new Error(`Ungültige ID für einen Bibliotheksordner: ${id}`);
+    }
+    if (!path.isAbsolute(folder)) {
+      throw new Error(`Der Ordner muss als absoluter Pfad angegeben werden: ${folder}`);
+    }
+    if (roots.some(root => root.id === id)) {
+      throw new Error(`Bibliotheksordner-ID ${id} ist doppelt vergeben`);
+    }
+    const overlapping = roots.find(root => pathsOverlap(root.path, folder));
+    if (overlapping) {
+      throw new Error(`${folder} überschneidet sich mit ${overlapping.path}`);
+    }
+
+    roots.push({
+      id,
+      path: path.normalize(folder),
+      name: String(entry.name || '').trim() || path.basename(folder)
+    });
+  }
+
+  return roots;
+}
+
+function createLibraryRoots(options = {}) {
+  const defaultPath = options.defaultPath;
+  const getRoots = options.getRoots || (() => []);
+
+  function list() {
+    return [
+      { id: DEFAULT_ROOT_ID, path: defaultPath, name: 'Standard', builtIn: true },
+      ...(getRoots() || [])
+    ];
+  }
+
+  function get(id) {
+    return list().find(root => root.id === id) || null;
+  }
+
+  // Ein Ordner gilt als erreichbar, wenn er existiert und ein Verzeichnis ist
+  function isOnline(root) {
+    try {
+      return fs.statSync(root.path).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function toKey(rootId, folder) {
+    return rootId === DEFAULT_ROOT_ID ? folder : `${rootId}${KEY_SEPARATOR}${folder}`;
+  }
+
+  // Schlüssel in Bibliotheksordner und Spielordner zerlegen
+  function parseKey(key) {
+    const text = String(key || '');
+    const index = text.indexOf(KEY_SEPARATOR);
+    const rootId = index === -1 ? DEFAULT_ROOT_ID : text.slice(0, index);
+    const folder = index === -1 ? text : text.slice(index + 1);
+
+    const root = get(rootId);
+    if (!root) {
+      throw new Error(`Unbekannter Bibliotheksordner: ${rootId}`);
+    }
+    // Der Spielordner muss direkt im Bibliotheksordner liegen
+    if (!isValidFolderName(folder)) {
+      throw new Error(`Ungültiger Spielordner: ${folder}`);
+    }
+    return { root, folder };
+  }
+
+  return {
+    list,
+    get,
+    isOnline,
+    toKey,
+    parseKey,
+
+    // Neuen Ordner-Eintrag anlegen; darf sich mit keinem vorhandenen Ordner überschneiden
+    createRoot(folder, name) {
+      if (!folder || !path.isAbsolute(folder)) {
+        throw new Error('Der Ordner muss als absoluter Pfad angegeben werden');
+      }
+      const overlapping = list().find(root => pathsOverlap(root.path, folder));
+      if (overlapping) {
+        throw new Error(`Der Ordner überschneidet sich mit dem Bibliotheksordner "${overlapping.name}"`);
+      }
+
+      return {
+        id: `root-${Date.now().toString(36)}`,
+        path: path.normalize(folder),
+        name: name || path.basename(folder)
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLibraryRoots,
+  normalizeLibraryRoots,
+  DEFAULT_ROOT_ID
+};
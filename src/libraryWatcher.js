@@ -0,0 +1,187 @@
+// Überwachung der Bibliothek
+// Beobachtet die Bibliotheksordner (neue, geänderte oder gelöschte
+// dustgrain.json) und die Installationsordner der Spiele (verschwundene
+// ausführbare Dateien). Änderungen werden entprellt und pro Spiel gemeldet.
+
+const fs = require('fs');
+const path = require('path');
+
+const DUSTGRAIN_FILE = 'dustgrain.json';
+
+// Nächsten existierenden Ordner oberhalb eines Pfads finden, damit auch eine
+// spätere Neuinstallation bemerkt wird
+function nearestExistingDirectory(target) {
+  let current = path.resolve(target);
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+  return current;
+}
+
+function createLibraryWatcher(options = {}) {
+  const libraryRoots = options.libraryRoots;
+  const readGame = options.readGame;
+  const onChange = options.onChange || (() => {});
+  const onRootsChanged = options.onRootsChanged || (() => {});
+  const watch = options.watch || fs.watch;
+  const debounce = options.debounce ?? 300;
+  const rootPollInterval = options.rootPollInterval ?? 15000;
+
+  const rootWatchers = new Map();      // Ordner-ID -> FSWatcher
+  const gameWatchers = new Map();      // Spielschlüssel -> { watcher, target, missing }
+  const pending = new Map();           // Spielschlüssel -> Timer
+  let rootStates = new Map();          // Ordner-ID -> erreichbar
+  let pollTimer = null;
+
+  function safeWatch(target, watchOptions, listener) {
+    try {
+      const watcher = watch(target, watchOptions, listener);
+      watcher.on('error', (error) => {
+        console.error(`Fehler bei der Überwachung von ${target}:`, error);
+      });
+      return watcher;
+    } catch (error) {
+      if (watchOptions.recursive) {
+        // Ohne rekursive Überwachung werden zumindest neue und gelöschte Spielordner erkannt
+        return safeWatch(target, { ...watchOptions, recursive: false }, listener);
+      }
+      console.error(`Fehler beim Überwachen von ${target}:`, error);
+      return null;
+    }
+  }
+
+  // Mehrere Ereignisse kurz hintereinander zu einer Meldung zusammenfassen
+  function schedule(key) {
+    clearTimeout(pending.get(key));
+    pending.set(key, setTimeout(() => {
+      pending.delete(key);
+      refreshGame(key);
+    }, debounce));
+  }
+
+  async function refreshGame(key) {
+    let game = null;
+    try {
+      game = await readGame(key);
+    } catch (error) {
+      console.error(`Fehler beim Lesen von ${key}:`, error);
+    }
+
+    if (game) {
+      watchGame(game);
+    } else {
+      unwatchGame(key);
+    }
+    onChange(key, game);
+  }
+
+  // Installationsordner eines Spiels beobachten
+  function watchGame(game) {
+    if (!game.executablePath || !game.executable) {
+      unwatchGame(game.directory);
+      return;
+    }
+
+    const executable = path.join(game.executablePath, game.executable);
+    const target = nearestExistingDirectory(path.dirname(executable));
+    const existing = gameWatchers.get(game.directory);
+    if (existing && existing.target === target) {
+      existing.executable = executable;
+      existing.missing = !!game.executableMissing;
+      return;
+    }
+
+    unwatchGame(game.directory);
+    if (!target) return;
+
+    const entry = { target, executable, missing: !!game.executableMissing, watcher: null };
+    entry.watcher = safeWatch(target, { persistent: false }, () => {
+      // Nur melden, wenn sich die Verfügbarkeit der Datei tatsächlich geändert hat
+      const missing = !fs.existsSync(entry.executable);
+      const moved = nearestExistingDirectory(path.dirname(entry.executable)) !== entry.target;
+      if (missing !== entry.missing || moved) {
+        schedule(game.directory);
+      }
+    });
+    gameWatchers.set(game.directory, entry);
+  }
+
+  function unwatchGame(key) {
+    const entry = gameWatchers.get(key);
+    if (entry) {
+      if (entry.watcher) entry.watcher.close();
+      gameWatchers.delete(key);
+    }
+  }
+
+  // Bibliotheksordner beobachten; Ereignisse werden dem betroffenen Spielordner zugeordnet
+  function watchRoot(root) {
+    const watcher = safeWatch(root.path, { persistent: false, recursive: true }, (eventType, filename) => {
+      if (!filename) return;
+
+      const parts = String(filename).split(/[\\/]/);
+      // Andere Dateien im Spielordner (z.B. playhistory.json) ändern die Bibliothek nicht
+      if (parts.length > 1 && parts[1] !== DUSTGRAIN_FILE) return;
+
+      schedule(libraryRoots.toKey(root.id, parts[0]));
+    });
+
+    if (watcher) {
+      rootWatchers.set(root.id, watcher);
+    }
+  }
+
+  // Erreichbarkeit der Ordner regelmäßig prüfen (z.B. eingehängte oder entfernte Laufwerke)
+  function pollRoots() {
+    const states = new Map(libraryRoots.list().map(root => [root.id, libraryRoots.isOnline(root)]));
+    const changed = [...states].some(([id, online]) => rootStates.get(id) !== online);
+    rootStates = states;
+
+    if (changed) {
+      onRootsChanged();
+    }
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    pending.forEach(timer => clearTimeout(timer));
+    pending.clear();
+    rootWatchers.forEach(watcher => watcher.close());
+    rootWatchers.clear();
+    [...gameWatchers.keys()].forEach(unwatchGame);
+  }
+
+  return {
+    // Überwachung für die aktuellen Ordner und Spiele (neu) aufbauen
+    start(games) {
+      stop();
+      rootStates = new Map();
+
+      for (const root of libraryRoots.list()) {
+        const online = libraryRoots.isOnline(root);
+        rootStates.set(root.id, online);
+        if (online) {
+          watchRoot(root);
+        }
+      }
+      for (const game of games) {
+        if (game.available !== false) {
+          watchGame(game);
+        }
+      }
+
+      pollTimer = setInterval(pollRoots, rootPollInterval);
+      if (pollTimer.unref) pollTimer.unref();
+    },
+
+    stop
+  };
+}
+
+module.exports = {
+  createLibraryWatcher,
+  nearestExistingDirectory
+};
@@ -0,0 +1,46 @@
+// Spielverlauf pro Spiel
+// Jede Sitzung wird in einer playhistory.json neben der dustgrain.json des
+// Spiels abgelegt, damit der Verlauf zusammen mit dem Spiel verschoben werden kann.
+
+const path = require('path');
+const fs = require('fs');
+
+const HISTORY_FILE = 'playhistory.json';
+
+function historyPath(gameDir) {
+  return path.join(gameDir, HISTORY_FILE);
+}
+
+// Alle Sitzungen eines Spiels lesen
+function readSessions(gameDir) {
+  const file = historyPath(gameDir);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data.sessions) ? data.sessions : [];
+  } catch (error) {
+    console.error(`Fehler beim Lesen von ${file}:`, error);
+    return [];
+  }
+}
+
+// Sitzung an den Verlauf eines Spiels anhängen
+function appendSession(gameDir, session) {
+  const sessions = readSessions(gameDir);
+  
+  sessions.push({
+    start: session.startedAt,
+    end: session.endedAt,
+    duration: Math.round(session.durationMs / 1000),
+    exitCode: session.exitCode === undefined ? null : session.exitCode,
+    interrupted: !!session.interrupted
+  });
+  
+  fs.writeFileSync(historyPath(gameDir), JSON.stringify({ sessions }, null, 2));
+  return sessions;
+}
+
+module.exports = { readSessions, appendSession, HISTORY_FILE };
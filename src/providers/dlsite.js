@@ -0,0 +1,230 @@
+// DLSite-Metadaten-Provider
+// Löst RJ/RE-, VJ- und BJ-Nummern über die JSON-Produkt-API auf und ergänzt
+// fehlende Felder aus der Produktseite.
+
+const { createHttpClient } = require('./http');
+const { stripTags, getMetaContent, getElementHtml, absoluteUrl } = require('./html');
+
+const DEFAULT_BASE_URL = 'https://www.dlsite.com';
+
+// Unterstützte Store-Kategorien und die dazu passenden ID-Präfixe
+const CATEGORIES = {
+  maniax: { label: 'Maniax', prefixes: ['RJ', 'RE'] },
+  girls: { label: 'Girls', prefixes: ['RJ', 'RE'] },
+  pro: { label: 'Pro', prefixes: ['VJ'] },
+  books: { label: 'Books', prefixes: ['BJ'] }
+};
+
+// age_category der API bzw. Altersangabe der Produktseite
+const AGE_RATINGS = {
+  1: 'Alle Altersstufen',
+  2: 'R-15',
+  3: 'R-18'
+};
+
+// Tabellenzeilen der Produktseite (japanische und englische Beschriftung)
+const OUTLINE_LABELS = {
+  releaseDate: ['販売日', 'Release date'],
+  ageRating: ['年齢指定', 'Age'],
+  genres: ['ジャンル', 'Genre'],
+  circle: ['サークル名', 'Circle', 'ブランド名', 'Brand', '著者', 'Author']
+};
+
+// Produkt-ID normalisieren und prüfen
+function normalizeProductId(productId) {
+  const id = String(productId || '').trim().toUpperCase();
+  if (!/^(RJ|RE|VJ|BJ)\d{6,8}$/.test(id)) {
+    throw new Error(`Ungültige DLSite ID: ${productId}`);
+  }
+  return id;
+}
+
+// Kategorie anhand der ID bestimmen, wenn keine passende angegeben wurde
+function resolveCategory(productId, category) {
+  const prefix = productId.slice(0, 2);
+  if (category && CATEGORIES[category] && CATEGORIES[category].prefixes.includes(prefix)) {
+    return category;
+  }
+  return Object.keys(CATEGORIES).find(key => CATEGORIES[key].prefixes.includes(prefix));
+}
+
+// Datum wie "2023-05-01 00:00:00" oder "2023年05月01日" in ISO-Form bringen
+function normalizeDate(value) {
+  if (!value) return '';
+  const match = String(value).match(/(\d{4})\D+(\d{1,2})\D+(\d{1,2})/);
+  if (!match) return '';
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+}
+
+// Altersfreigabe aus einem Text der Produktseite lesen
+function parseAgeRating(text) {
+  if (/18|adult/i.test(text)) return AGE_RATINGS[3];
+  if (/15/.test(text)) return AGE_RATINGS[2];
+  if (/全年齢|all ages/i.test(text)) return AGE_RATINGS[1];
+  return '';
+}
+
+// Antwort der JSON-Produkt-API in Dust-Felder umwandeln
+function parseProductJson(json, baseUrl) {
+  const product = Array.isArray(json) ? json[0] : null;
+  if (!product || !product.work_name) {
+    return null;
+  }
+  
+  const tags = (product.genres || []).map(genre => genre.name).filter(Boolean);
+  const screenshots = (product.image_samples || [])
+    .map(sample => absoluteUrl(typeof sample === 'string' ? sample : sample.url, baseUrl))
+    .filter(Boolean);
+  
+  return {
+    title: product.work_name,
+    developer: product.maker_name || '',
+    publisher: product.maker_name || '',
+    genre: tags[0] || '',
+    tags,
+    description: stripTags(product.intro_s || product.intro || ''),
+    coverImage: absoluteUrl(product.image_main && product.image_main.url, baseUrl),
+    screenshots,
+    releaseDate: normalizeDate(product.regist_date),
+    ageRating: AGE_RATINGS[product.age_category] || ''
+  };
+}
+
+// Captcha- und Altersabfrageseiten erkennen, die DLSite statt der Produktseite ausliefert
+function detectBlockedPage(html) {
+  if (/g-recaptcha|h-captcha|cf-challenge|captcha-form/i.test(html)) {
+    throw new Error('DLSite verlangt eine Captcha-Prüfung; bitte später erneut versuchen');
+  }
+  if (/id="age_check|class="[^"]*adult_check|\/age-check\b/i.test(html)) {
+    throw new Error('DLSite zeigt eine Altersabfrage statt der Produktseite');
+  }
+}
+
+// Produktseite (HTML) in Dust-Felder umwandeln
+function parseProductPage(html, baseUrl) {
+  if (!/id="work_name"/i.test(html)) {
+    detectBlockedPage(html);
+  }
+  
+  const outline = {};
+  const table = getElementHtml(html, /<table[^>]*id="work_outline"[^>]*>/i);
+  const rows = table.match(/<tr[\s\S]*?<\/tr>/gi) || [];
+  
+  for (const row of rows) {
+    const header = stripTags((row.match(/<th[^>]*>([\s\S]*?)<\/th>/i) || [])[1]);
+    const cell = (row.match(/<td[^>]*>([\s\S]*?)<\/td>/i) || [])[1] || '';
+    const field = Object.keys(OUTLINE_LABELS).find(key => OUTLINE_LABELS[key].includes(header));
+    if (field) {
+      outline[field] = cell;
+    }
+  }
+  
+  const title = stripTags(getElementHtml(html, /<h1[^>]*id="work_name"[^>]*>/i)) || getMetaContent(html, 'og:title');
+  if (!title) {
+    return null;
+  }
+  
+  const makerHtml = getElementHtml(html, /<span[^>]*class="maker_name"[^>]*>/i);
+  const developer = stripTags(makerHtml || outline.circle || '');
+  const tags = (outline.genres || '').match(/<a[^>]*>[\s\S]*?<\/a>/gi) || [];
+  const genreNames = tags.map(tag => stripTags(tag)).filter(Boolean);
+  const description = stripTags(getElementHtml(html, /<div[^>]*itemprop="description"[^>]*>/i))
+    || getMetaContent(html, 'og:description');
+  
+  return {
+    title,
+    developer,
+    publisher: developer,
+    genre: genreNames[0] || '',
+    tags: genreNames,
+    description,
+    coverImage: absoluteUrl(getMetaContent(html, 'og:image'), baseUrl),
+    screenshots: [],
+    releaseDate: normalizeDate(stripTags(outline.releaseDate || '')),
+    ageRating: parseAgeRating(stripTags(outline.ageRating || ''))
+  };
+}
+
+// Leere Felder des ersten Ergebnisses aus dem zweiten ergänzen
+function mergeDetails(primary, fallback) {
+  if (!primary) return fallback;
+  if (!fallback) return primary;
+  
+  const merged = { ...primary };
+  for (const [key, value] of Object.entries(fallback)) {
+    const current = merged[key];
+    if (current === undefined || current === '' || (Array.isArray(current) && current.length === 0)) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function createDLSiteProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const http = options.http || createHttpClient(options);
+  
+  // Sprache der Produktseite: fest eingestellt oder RE-Titel auf Englisch, sonst Japanisch
+  function localeFor(productId) {
+    if (options.locale) return options.locale;
+    return productId.startsWith('RE') ? 'en_US' : 'ja_JP';
+  }
+  
+  async function fetchProductJson(productId, category) {
+    const url = `${baseUrl}/${category}/api/=/product.json?workno=${productId}&locale=${localeFor(productId)}`;
+    return parseProductJson(await http.getJson(url), baseUrl);
+  }
+  
+  async function fetchProductPage(productId, category) {
+    const url = `${baseUrl}/${category}/work/=/product_id/${productId}.html/?locale=${localeFor(productId)}`;
+    // Das Cookie überspringt die Altersabfrage für Produkte ab 18
+    return parseProductPage(await http.getText(url, { Cookie: 'adultchecked=1' }), baseUrl);
+  }
+  
+  return {
+    categories: CATEGORIES,
+    
+    // Produktseite einer ID (in der Sprache der Metadaten)
+    getStorePageUrl(productId, category) {
+      const id = normalizeProductId(productId);
+      return `${baseUrl}/${resolveCategory(id, category)}/work/=/product_id/${id}.html/?locale=${localeFor(id)}`;
+    },
+    
+    // Metadaten für eine Produkt-ID abrufen
+    async fetchGameDetails(productId, category) {
+      const id = normalizeProductId(productId);
+      const resolvedCategory = resolveCategory(id, category);
+      
+      // Beide Quellen abfragen; eine fehlgeschlagene Quelle reicht nicht für einen Abbruch
+      const [jsonResult, pageResult] = await Promise.allSettled([
+        fetchProductJson(id, resolvedCategory),
+        fetchProductPage(id, resolvedCategory)
+      ]);
+      
+      const details = mergeDetails(
+        jsonResult.status === 'fulfilled' ? jsonResult.value : null,
+        pageResult.status === 'fulfilled' ? pageResult.value : null
+      );
+      
+      // 404 bedeutet eine unbekannte ID; andere Fehler (Zeitüberschreitung, Captcha) werden weitergegeben
+      if (!details) {
+        const failure = [jsonResult, pageResult]
+          .find(result => result.status === 'rejected' && result.reason.status !== 404);
+        throw failure ? failure.reason : new Error(`Kein DLSite-Produkt mit der ID ${id} gefunden`);
+      }
+      
+      return {
+        ...details,
+        dlsiteId: id,
+        dlsiteCategory: resolvedCategory
+      };
+    }
+  };
+}
+
+module.exports = {
+  createDLSiteProvider,
+  parseProductJson,
+  parseProductPage,
+  normalizeProductId
+};
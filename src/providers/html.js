@@ -0,0 +1,100 @@
+// Hilfsfunktionen zum Auslesen von Store-Seiten ohne DOM
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// HTML-Entities dekodieren
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+// Tags entfernen und Leerraum zusammenfassen, Zeilenumbrüche bleiben erhalten
+function stripTags(html) {
+  const text = String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\r]+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
+
+// Inhalt eines <meta>-Tags über property oder name finden
+function getMetaContent(html, key) {
+  const tags = String(html || '').match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const name = getAttribute(tag, 'property') || getAttribute(tag, 'name');
+    if (name && name.toLowerCase() === key.toLowerCase()) {
+      return decodeEntities(getAttribute(tag, 'content') || '');
+    }
+  }
+  return '';
+}
+
+// Attributwert aus einem einzelnen Tag lesen
+function getAttribute(tag, attribute) {
+  const match = String(tag).match(new RegExp(`\\s${attribute}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]);
+}
+
+// Inneres HTML des ersten Elements finden, dessen öffnender Tag auf das Muster passt
+// Verschachtelte Elemente gleichen Namens werden mitgezählt.
+function getElementHtml(html, openTagPattern) {
+  const source = String(html || '');
+  const openMatch = source.match(openTagPattern);
+  if (!openMatch) return '';
+  
+  const tagName = openMatch[0].match(/^<([a-z0-9]+)/i)[1];
+  const tagRegex = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tagRegex.lastIndex = openMatch.index + openMatch[0].length;
+  
+  let depth = 1;
+  let match;
+  while ((match = tagRegex.exec(source)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return source.slice(openMatch.index + openMatch[0].length, match.index);
+    }
+  }
+  
+  return source.slice(openMatch.index + openMatch[0].length);
+}
+
+// URLs ohne Protokoll (//example.com) vervollständigen
+function absoluteUrl(url, base) {
+  if (!url) return '';
+  try {
+    return new URL(url.startsWith('//') ? `https:${url}` : url, base).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+module.exports = {
+  decodeEntities,
+  stripTags,
+  getMetaContent,
+  getAttribute,
+  getElementHtml,
+  absoluteUrl
+};
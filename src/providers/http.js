@@ -0,0 +1,58 @@
+// Kleiner HTTP-Client für die Metadaten-Provider
+// fetch und Basis-URLs sind austauschbar, damit die Provider auch gegen
+// lokale Stubs mit gespeicherten Antworten laufen können.
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Dust Game Manager)';
+const DEFAULT_TIMEOUT = 15000;
+
+function createHttpClient(options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const userAgent = options.userAgent || DEFAULT_USER_AGENT;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  
+  async function request(url, headers = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+      const response = await fetchImpl(url, {
+        headers: { 'User-Agent': userAgent, ...headers },
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        const error = new Error(`${new URL(url).hostname} antwortete mit Status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      
+      return response;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Zeitüberschreitung bei der Anfrage an ${url}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  return {
+    async getText(url, headers) {
+      const response = await request(url, headers);
+      return response.text();
+    },
+    
+    async getJson(url, headers) {
+      const response = await request(url, { Accept: 'application/json', ...headers });
+      return response.json();
+    },
+    
+    async getBuffer(url, headers) {
+      const response = await request(url, headers);
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+module.exports = { createHttpClient };
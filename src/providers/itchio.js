@@ -0,0 +1,164 @@
+// Itch.io-Metadaten-Provider
+// Liest Titel, Autor, Tags, Cover und Screenshots von der Spielseite und
+// erkennt die .itch/receipt.json.gz, die die itch-App bzw. butler in
+// Installationsordnern hinterlassen.
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { createHttpClient } = require('./http');
+const { stripTags, getMetaContent, getAttribute, getElementHtml, absoluteUrl } = require('./html');
+
+const RECEIPT_PATH = path.join('.itch', 'receipt.json.gz');
+
+// Spiel-URL prüfen und normalisieren
+function normalizeGameUrl(url) {
+  let pageUrl;
+  try {
+    pageUrl = new URL(String(url || '').trim());
+  } catch (error) {
+    throw new Error(`Ungültige Itch.io-URL: ${url}`);
+  }
+  
+  if (!pageUrl.hostname.endsWith('.itch.io') || pageUrl.pathname.split('/').filter(Boolean).length === 0) {
+    throw new Error(`Keine Itch.io-Spielseite: ${url}`);
+  }
+  
+  pageUrl.protocol = 'https:';
+  pageUrl.search = '';
+  pageUrl.hash = '';
+  return pageUrl.href.replace(/\/$/, '');
+}
+
+// Zeilen der Info-Tabelle ("More information") einlesen
+function parseInfoTable(html) {
+  const info = {};
+  const panel = getElementHtml(html, /<div[^>]*class="[^"]*game_info_panel_widget[^"]*"[^>]*>/i);
+  const rows = panel.match(/<tr[\s\S]*?<\/tr>/gi) || [];
+  
+  for (const row of rows) {
+    const cells = row.match(/<td[^>]*>[\s\S]*?<\/td>/gi) || [];
+    if (cells.length < 2) continue;
+    info[stripTags(cells[0]).toLowerCase()] = cells[1];
+  }
+  
+  return info;
+}
+
+// Texte aller Links einer Tabellenzelle
+function linkTexts(cellHtml) {
+  return (String(cellHtml || '').match(/<a[^>]*>[\s\S]*?<\/a>/gi) || [])
+    .map(link => stripTags(link))
+    .filter(Boolean);
+}
+
+// Spielseite (HTML) in Dust-Felder umwandeln
+function parseGamePage(html, pageUrl) {
+  const info = parseInfoTable(html);
+  const title = stripTags(getElementHtml(html, /<h1[^>]*class="[^"]*game_title[^"]*"[^>]*>/i))
+    || getMetaContent(html, 'og:title');
+  
+  if (!title) {
+    return null;
+  }
+  
+  const authors = linkTexts(info.author || info.authors);
+  const tags = linkTexts(info.tags);
+  const genres = linkTexts(info.genre);
+  
+  const screenshotList = getElementHtml(html, /<div[^>]*class="[^"]*screenshot_list[^"]*"[^>]*>/i);
+  const screenshots = (screenshotList.match(/<a\b[^>]*>/gi) || [])
+    .map(link => absoluteUrl(getAttribute(link, 'href'), pageUrl))
+    .filter(Boolean);
+  
+  // Veröffentlichungsdatum steht im title-Attribut, z.B. "03 May 2020 @ 10:00 UTC"
+  let releaseDate = '';
+  const published = info['release date'] || info.published || '';
+  const abbr = published.match(/<abbr\b[^>]*>/i);
+  const dateText = abbr ? getAttribute(abbr[0], 'title') : stripTags(published);
+  const parsedDate = dateText ? new Date(dateText.replace('@', '')) : null;
+  if (parsedDate && !Number.isNaN(parsedDate.getTime())) {
+    releaseDate = parsedDate.toISOString().split('T')[0];
+  }
+  
+  return {
+    title,
+    developer: authors.join(', ') || new URL(pageUrl).hostname.replace(/\.itch\.io$/, ''),
+    genre: genres[0] || tags[0] || '',
+    tags,
+    description: stripTags(getElementHtml(html, /<div[^>]*class="[^"]*formatted_description[^"]*"[^>]*>/i))
+      || getMetaContent(html, 'og:description'),
+    coverImage: absoluteUrl(getMetaContent(html, 'og:image'), pageUrl),
+    screenshots,
+    releaseDate
+  };
+}
+
+// Inhalt einer entpackten receipt.json in Dust-Felder umwandeln
+function parseReceipt(receipt) {
+  if (!receipt || !receipt.game) {
+    return null;
+  }
+  
+  const { game, upload, build } = receipt;
+  const user = game.user || {};
+  
+  return {
+    title: game.title || '',
+    developer: user.displayName || user.username || '',
+    coverImage: game.stillCoverUrl || game.coverUrl || '',
+    description: game.shortText || '',
+    itchioUrl: game.url || '',
+    itchGameId: game.id || null,
+    itchUploadId: upload ? upload.id : null,
+    itchBuildId: build ? build.id : null
+  };
+}
+
+function createItchIoProvider(options = {}) {
+  const http = options.http || createHttpClient(options);
+  const readFile = options.readFile || (file => fs.readFileSync(file));
+  const exists = options.exists || (file => fs.existsSync(file));
+  
+  return {
+    // Spielseite (nur *.itch.io-Adressen)
+    getStorePageUrl(url) {
+      return normalizeGameUrl(url);
+    },
+    
+    // Metadaten von der Spielseite abrufen
+    async fetchGameDetails(url) {
+      const pageUrl = normalizeGameUrl(url);
+      const details = parseGamePage(await http.getText(pageUrl), pageUrl);
+      
+      if (!details) {
+        throw new Error(`Keine Spieldaten auf ${pageUrl} gefunden`);
+      }
+      
+      return { ...details, itchioUrl: pageUrl };
+    },
+    
+    // Receipt der itch-App in einem Installationsordner lesen, null wenn keiner vorhanden
+    readReceipt(folder) {
+      const receiptPath = path.join(folder, RECEIPT_PATH);
+      if (!exists(receiptPath)) {
+        return null;
+      }
+      
+      try {
+        const json = JSON.parse(zlib.gunzipSync(readFile(receiptPath)).toString('utf8'));
+        return parseReceipt(json);
+      } catch (error) {
+        console.error(`Fehler beim Lesen von ${receiptPath}:`, error);
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createItchIoProvider,
+  parseGamePage,
+  parseReceipt,
+  normalizeGameUrl
+};
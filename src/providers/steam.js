@@ -0,0 +1,230 @@
+// Steam-Metadaten-Provider
+// Holt Details aus der appdetails-API des Stores und liest zusätzlich das
+// lokale appmanifest_<id>.acf, sodass Installationsordner und Größe auch
+// ohne Netzwerk bekannt sind.
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { createHttpClient } = require('./http');
+const { parseVdf, getKey } = require('./vdf');
+
+const DEFAULT_BASE_URL = 'https://store.steampowered.com';
+
+// Monatsnamen für die Datumsangaben der Store-API (englisch und deutsch)
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, mär: 3, apr: 4, may: 5, mai: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, okt: 10, nov: 11, dec: 12, dez: 12
+};
+
+// Datumsangaben wie "21 Aug, 2012" oder "21. Aug. 2012" in ISO-Form bringen
+function normalizeReleaseDate(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/(\d{1,2})\.?\s+([a-zäA-ZÄ]{3})[a-zä]*\.?,?\s+(\d{4})/)
+    || text.match(/([a-zäA-ZÄ]{3})[a-zä]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  
+  if (!match) return text;
+  
+  const [day, monthName] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+  const month = MONTHS[monthName.toLowerCase()];
+  if (!month) return text;
+  
+  return `${match[3]}-${String(month).padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// Antwort der appdetails-API in Dust-Felder umwandeln
+function parseAppDetails(json, appId) {
+  const entry = json && json[appId];
+  if (!entry || !entry.success || !entry.data) {
+    return null;
+  }
+  
+  const data = entry.data;
+  const genres = (data.genres || []).map(genre => genre.description).filter(Boolean);
+  
+  return {
+    title: data.name,
+    developer: (data.developers || []).join(', '),
+    publisher: (data.publishers || []).join(', '),
+    genre: genres[0] || '',
+    tags: genres,
+    description: data.short_description || '',
+    coverImage: data.header_image || '',
+    screenshots: (data.screenshots || []).map(screenshot => screenshot.path_full).filter(Boolean),
+    releaseDate: data.release_date ? normalizeReleaseDate(data.release_date.date) : ''
+  };
+}
+
+// Mögliche Steam-Installationsordner je Betriebssystem
+function defaultSteamRoots(platform = process.platform, home = os.homedir()) {
+  if (platform === 'win32') {
+    return [
+      'C:\\Program Files (x86)\\Steam',
+      'C:\\Program Files\\Steam'
+    ];
+  }
+  if (platform === 'darwin') {
+    return [path.join(home, 'Library', 'Application Support', 'Steam')];
+  }
+  return [
+    path.join(home, '.steam', 'steam'),
+    path.join(home, '.local', 'share', 'Steam'),
+    path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam')
+  ];
+}
+
+function createSteamProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const http = options.http || createHttpClient(options);
+  const language = options.language || 'german';
+  const steamRoots = options.steamRoots || defaultSteamRoots();
+  
+  // Dateizugriffe sind austauschbar, damit Manifeste ohne echte Steam-Installation getestet werden können
+  const readFile = options.readFile || (file => fs.readFileSync(file, 'utf8'));
+  const exists = options.exists || (file => fs.existsSync(file));
+  const readDir = options.readDir || (dir => fs.readdirSync(dir));
+  
+  // Alle Bibliotheksordner aus libraryfolders.vdf sammeln
+  function getLibraryFolders() {
+    const folders = [];
+    
+    for (const root of steamRoots) {
+      if (!exists(path.join(root, 'steamapps'))) continue;
+      folders.push(root);
+      
+      const libraryFile = path.join(root, 'steamapps', 'libraryfolders.vdf');
+      if (!exists(libraryFile)) continue;
+      
+      try {
+        const vdf = parseVdf(readFile(libraryFile));
+        const entries = getKey(vdf, 'libraryfolders') || {};
+        
+        for (const [key, entry] of Object.entries(entries)) {
+          if (!/^\d+$/.test(key)) continue;
+          // Neues Format: Objekt mit "path", altes Format: direkter Pfad
+          const folder = typeof entry === 'string' ? entry : getKey(entry, 'path');
+          if (folder) folders.push(folder);
+        }
+      } catch (error) {
+        console.error(`Fehler beim Lesen von ${libraryFile}:`, error);
+      }
+    }
+    
+    return [...new Set(folders.map(folder => path.normalize(folder)))];
+  }
+  
+  // Einzelnes appmanifest_<id>.acf einer Bibliothek lesen
+  function parseAppManifest(manifestPath, library) {
+    const state = getKey(parseVdf(readFile(manifestPath)), 'AppState');
+    if (!state) return null;
+    
+    const installDir = getKey(state, 'installdir');
+    return {
+      appId: getKey(state, 'appid') || '',
+      title: getKey(state, 'name') || '',
+      installDir: installDir ? path.join(library, 'steamapps', 'common', installDir) : '',
+      installSize: parseInt(getKey(state, 'SizeOnDisk'), 10) || 0,
+      buildId: getKey(state, 'buildid') || '',
+      manifestPath
+    };
+  }
+  
+  // appmanifest_<id>.acf in allen Bibliotheken suchen
+  function readAppManifest(appId) {
+    for (const library of getLibraryFolders()) {
+      const manifestPath = path.join(library, 'steamapps', `appmanifest_${appId}.acf`);
+      if (!exists(manifestPath)) continue;
+      
+      const manifest = parseAppManifest(manifestPath, library);
+      if (manifest) return manifest;
+    }
+    
+    return null;
+  }
+  
+  // Manifest zu einem Ordner unter steamapps/common finden, unabhängig von bekannten Bibliotheken
+  function findManifestForFolder(gameFolder) {
+    const commonDir = path.dirname(gameFolder);
+    if (path.basename(commonDir).toLowerCase() !== 'common') return null;
+    
+    const steamappsDir = path.dirname(commonDir);
+    const library = path.dirname(steamappsDir);
+    const installDir = path.basename(gameFolder).toLowerCase();
+    
+    let files = [];
+    try {
+      files = readDir(steamappsDir).filter(file => /^appmanifest_\d+\.acf$/i.test(file));
+    } catch (error) {
+      return null;
+    }
+    
+    for (const file of files) {
+      try {
+        const manifest = parseAppManifest(path.join(steamappsDir, file), library);
+        if (manifest && path.basename(manifest.installDir).toLowerCase() === installDir) {
+          return manifest;
+        }
+      } catch (error) {
+        console.error(`Fehler beim Lesen von ${file}:`, error);
+      }
+    }
+    
+    return null;
+  }
+  
+  return {
+    getLibraryFolders,
+    readAppManifest,
+    findManifestForFolder,
+    
+    // Shopseite einer App-ID
+    getStorePageUrl(appId) {
+      const id = String(appId || '').trim();
+      if (!/^\d+$/.test(id)) {
+        throw new Error(`Ungültige Steam App-ID: ${appId}`);
+      }
+      return `${baseUrl}/app/${id}/`;
+    },
+    
+    // Metadaten für eine App-ID abrufen, mit lokalem Manifest als Rückfall
+    async fetchGameDetails(appId) {
+      const id = String(appId || '').trim();
+      if (!/^\d+$/.test(id)) {
+        throw new Error(`Ungültige Steam App-ID: ${appId}`);
+      }
+      
+      let manifest = null;
+      try {
+        manifest = readAppManifest(id);
+      } catch (error) {
+        console.error(`Fehler beim Lesen des Steam-Manifests für ${id}:`, error);
+      }
+      
+      let details = null;
+      let networkError = null;
+      try {
+        const json = await http.getJson(`${baseUrl}/api/appdetails?appids=${id}&l=${language}`);
+        details = parseAppDetails(json, id);
+      } catch (error) {
+        networkError = error;
+      }
+      
+      if (!details && !manifest) {
+        throw networkError || new Error(`Keine Steam-App mit der ID ${id} gefunden`);
+      }
+      
+      return {
+        ...(details || { title: manifest.title }),
+        ...(manifest ? { installDir: manifest.installDir, installSize: manifest.installSize } : {}),
+        steamAppId: id
+      };
+    }
+  };
+}
+
+module.exports = {
+  createSteamProvider,
+  parseAppDetails,
+  normalizeReleaseDate,
+  defaultSteamRoots
+};
@@ -0,0 +1,98 @@
+// Parser für Valves KeyValues-Format (VDF/ACF)
+// Liefert verschachtelte Objekte; doppelte Schlüssel überschreiben frühere Werte.
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < text.length) {
+    const char = text[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && text[i + 1] === '/') {
+      // Kommentar bis zum Zeilenende
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '{' || char === '}') {
+      tokens.push(char);
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) {
+        throw new Error('Ungültige VDF-Datei: nicht beendete Zeichenkette');
+      }
+      tokens.push({ value });
+      i++;
+    } else {
+      // Unquotierter Wert bis zum nächsten Leerzeichen oder Klammer
+      let value = '';
+      while (i < text.length && !/[\s{}"]/.test(text[i])) {
+        value += text[i++];
+      }
+      tokens.push({ value });
+    }
+  }
+  
+  return tokens;
+}
+
+function parseVdf(text) {
+  const tokens = tokenize(String(text || '').replace(/^\uFEFF/, ''));
+  let position = 0;
+  
+  // nested: innerhalb eines Blocks, der mit "}" enden muss
+  function parseObject(nested) {
+    const result = {};
+    
+    while (position < tokens.length) {
+      const token = tokens[position++];
+      if (token === '}') {
+        if (!nested) {
+          throw new Error('Ungültige VDF-Datei: unerwartete schließende Klammer');
+        }
+        return result;
+      }
+      if (token === '{') {
+        throw new Error('Ungültige VDF-Datei: unerwartete öffnende Klammer');
+      }
+      
+      const next = tokens[position++];
+      if (next === undefined) {
+        throw new Error(`Ungültige VDF-Datei: kein Wert für "${token.value}"`);
+      }
+      if (next === '{') {
+        result[token.value] = parseObject(true);
+      } else if (next === '}') {
+        throw new Error(`Ungültige VDF-Datei: kein Wert für "${token.value}"`);
+      } else {
+        result[token.value] = next.value;
+      }
+    }
+    
+    if (nested) {
+      throw new Error('Ungültige VDF-Datei: fehlende schließende Klammer');
+    }
+    return result;
+  }
+  
+  return parseObject(false);
+}
+
+// Schlüssel ohne Beachtung der Groß-/Kleinschreibung nachschlagen
+function getKey(object, name) {
+  if (!object || typeof object !== 'object') return undefined;
+  const key = Object.keys(object).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : object[key];
+}
+
+module.exports = { parseVdf, getKey };
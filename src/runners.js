@@ -0,0 +1,162 @@
+// Runner für den Spielstart
+// Baut aus Spielinfo, Startoptionen und Runner-Konfiguration den eigentlichen
+// Startbefehl: nativ, über Wine (eigene Binary und WINEPREFIX) oder über Proton.
+
+const path = require('path');
+
+const RUNNER_TYPES = ['native', 'wine', 'proton'];
+
+// Windows-Programme, die unter Linux/macOS einen Runner brauchen
+const WINDOWS_BINARIES = ['.exe', '.bat', '.cmd', '.msi', '.lnk'];
+
+// DLL-Overrides für DXVK (nativ zuerst) bzw. WineD3D (nur eingebaute DLLs)
+const DXVK_OVERRIDES = 'd3d9,d3d10core,d3d11,dxgi=n,b';
+const WINED3D_OVERRIDES = 'd3d9,d3d10core,d3d11,dxgi=b';
+
+function defaultRunnerConfig(platform = process.platform) {
+  return {
+    type: platform === 'win32' ? 'native' : 'wine',
+    wineBinary: 'wine',
+    winePrefix: '',
+    protonPath: '',
+    locale: '',
+    dxvk: true,
+    perGamePrefix: false
+  };
+}
+
+// Runner-Konfiguration prüfen und fehlende Werte ergänzen
+// Bei Spielen steht type "default" für die globale Voreinstellung.
+function normalizeRunnerConfig(config, { allowDefault = false } = {}) {
+  const source = config || {};
+  const validTypes = allowDefault ? ['default', ...RUNNER_TYPES] : RUNNER_TYPES;
+  const type = source.type || (allowDefault ? 'default' : defaultRunnerConfig().type);
+  
+  if (!validTypes.includes(type)) {
+    throw new Error(`Unbekannter Runner: ${type}`);
+  }
+  if (source.locale && !/^[a-z]{2}_[A-Z]{2}(\.[A-Za-z0-9-]+)?$/.test(source.locale)) {
+    throw new Error(`Ungültige Locale: ${source.locale}`);
+  }
+  
+  return {
+    type,
+    wineBinary: String(source.wineBinary || '').trim(),
+    winePrefix: String(source.winePrefix || '').trim(),
+    protonPath: String(source.protonPath || '').trim(),
+    locale: String(source.locale || '').trim(),
+    dxvk: source.dxvk !== false,
+    perGamePrefix: !!source.perGamePrefix
+  };
+}
+
+// Geänderte Programme und Präfixe als [{ label, value }] (nur neue, nicht leere Werte)
+// Dust startet diese Programme; der Hauptprozess lässt Änderungen vom Benutzer bestätigen.
+function describeRunnerChanges(before, after) {
+  const labels = { wineBinary: 'Wine-Programm', protonPath: 'Proton-Ordner', winePrefix: 'Wine-Präfix' };
+  const previous = before || {};
+  const next = after || {};
+  
+  return Object.keys(labels)
+    .filter(key => next[key] && next[key] !== (previous[key] || ''))
+    .map(key => ({ label: labels[key], value: next[key] }));
+}
+
+// Effektive Konfiguration: Spielwerte überschreiben die globale Voreinstellung
+function resolveRunnerConfig(gameRunner, defaults) {
+  const base = { ...defaultRunnerConfig(), ...normalizeRunnerConfig(defaults) };
+  if (!gameRunner || !gameRunner.type || gameRunner.type === 'default') {
+    return base;
+  }
+  
+  const game = normalizeRunnerConfig(gameRunner, { allowDefault: true });
+  const resolved = { ...base, type: game.type, dxvk: game.dxvk, perGamePrefix: game.perGamePrefix };
+  for (const key of ['wineBinary', 'winePrefix', 'protonPath', 'locale']) {
+    if (game[key]) {
+      resolved[key] = game[key];
+    }
+  }
+  return resolved;
+}
+
+// Zeichen, die cmd.exe auch in Argumenten als Befehlstrenner oder Variablen auswertet
+const CMD_METACHARACTERS = /[&|<>^%!"\r\n]/;
+
+// Wert für die Anzeige in einer Shell-Zeile quoten
+function quoteForDisplay(value) {
+  return /^[A-Za-z0-9_\-.,:/=+@%]+$/.test(value) ? value : `"${value.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+// Startbefehl zusammenbauen
+// Liefert command/args/env für spawn und eine lesbare Zeile zur Fehlersuche.
+function buildLaunchCommand({ gameInfo, gameDirectory, launchOptions, runner, cwd, prefixRoot, steamRoot, platform = process.platform }) {
+  const executable = path.join(gameInfo.executablePath, gameInfo.executable);
+  const extension = path.extname(executable).toLowerCase();
+  const isWindowsBinary = WINDOWS_BINARIES.includes(extension);
+  
+  // Wine/Proton nur für Windows-Programme außerhalb von Windows
+  const type = platform !== 'win32' && isWindowsBinary ? runner.type : 'native';
+  const envOverrides = {};
+  let command = executable;
+  let args = [...launchOptions.args];
+  let prefix = '';
+  
+  if (runner.locale) {
+    envOverrides.LANG = runner.locale;
+    envOverrides.LC_ALL = runner.locale;
+  }
+  
+  if (type === 'native') {
+    // Batch-Dateien lassen sich unter Windows nur über cmd.exe starten
+    if (platform === 'win32' && (extension === '.bat' || extension === '.cmd')) {
+      const unsafe = args.find(arg => CMD_METACHARACTERS.test(arg));
+      if (unsafe !== undefined) {
+        throw new Error(`Startargumente für Batch-Dateien dürfen keine Zeichen wie & | < > ^ % ! " enthalten: ${unsafe}`);
+      }
+      command = 'cmd.exe';
+      args = ['/d', '/s', '/c', executable, ...args];
+    }
+  } else if (type === 'wine') {
+    prefix = runner.perGamePrefix ? path.join(prefixRoot, gameDirectory) : runner.winePrefix;
+    if (prefix) {
+      envOverrides.WINEPREFIX = prefix;
+    }
+    envOverrides.WINEDLLOVERRIDES = runner.dxvk ? DXVK_OVERRIDES : WINED3D_OVERRIDES;
+    command = runner.wineBinary || 'wine';
+    args = [executable, ...args];
+  } else if (type === 'proton') {
+    if (!runner.protonPath) {
+      throw new Error('Kein Proton-Ordner konfiguriert');
+    }
+    prefix = runner.perGamePrefix || !runner.winePrefix ? path.join(prefixRoot, gameDirectory) : runner.winePrefix;
+    envOverrides.STEAM_COMPAT_DATA_PATH = prefix;
+    if (steamRoot) {
+      envOverrides.STEAM_COMPAT_CLIENT_INSTALL_PATH = steamRoot;
+    }
+    if (!runner.dxvk) {
+      envOverrides.PROTON_USE_WINED3D = '1';
+    }
+    command = path.join(runner.protonPath, 'proton');
+    args = ['run', executable, ...args];
+  }
+  
+  // Umgebungsvariablen aus den Startoptionen haben Vorrang vor denen des Runners
+  Object.assign(envOverrides, launchOptions.env);
+  
+  const display = [
+    ...Object.entries(envOverrides).map(([name, value]) => `${name}=${quoteForDisplay(value)}`),
+    quoteForDisplay(command),
+    ...args.map(quoteForDisplay)
+  ].join(' ');
+  
+  return { type, command, args, envOverrides, cwd, prefix, display };
+}
+
+module.exports = {
+  RUNNER_TYPES,
+  defaultRunnerConfig,
+  normalizeRunnerConfig,
+  describeRunnerChanges,
+  resolveRunnerConfig,
+  buildLaunchCommand
+};
@@ -0,0 +1,397 @@
+// Spielstände
+// Jedes Spiel kann in der dustgrain.json eine Liste von Speicherorten tragen
+// ("saveLocations"). Ein Speicherort ist ein Ordner relativ zu einer Basis
+// (Installationsordner, AppData, Dokumente ...) oder ein absoluter Pfad,
+// optional eingeschränkt auf Dateien, die zu einem Muster passen (z.B.
+// "Save*.rvdata2"). Nach jeder Spielsitzung legt Dust eine Kopie aller
+// Spielstände im Ordner "savegames" neben der dustgrain.json ab; unveränderte
+// Spielstände erzeugen keine neue Kopie.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SNAPSHOT_DIRECTORY = 'savegames';
+const SNAPSHOT_FILE = 'snapshot.json';
+const MAX_LOCATIONS = 20;
+
+// Basisordner eines Speicherorts; unter Linux liegen die Windows-Ordner im Wine-Prefix
+const SAVE_BASES = {
+  install: 'Installationsordner',
+  appData: 'AppData\\Roaming',
+  localAppData: 'AppData\\Local',
+  localLow: 'AppData\\LocalLow',
+  documents: 'Dokumente',
+  absolute: 'Absoluter Pfad'
+};
+
+const SNAPSHOT_REASONS = ['session', 'manual', 'beforeRestore'];
+
+// Speicherorte prüfen und in die gespeicherte Form bringen (relative Pfade mit "/")
+function normalizeSaveLocations(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('Speicherorte müssen als Liste angegeben werden');
+  }
+  if (value.length > MAX_LOCATIONS) {
+    throw new Error(`Höchstens ${MAX_LOCATIONS} Speicherorte erlaubt`);
+  }
+
+  const locations = [];
+  for (const entry of value) {
+    const base = entry && entry.base;
+    if (!Object.prototype.hasOwnProperty.call(SAVE_BASES, base)) {
+      throw new Error(`Unbekannte Basis für einen Speicherort: ${base}`);
+    }
+
+    let folder = String(entry.path || '').trim();
+    if (base === 'absolute') {
+      if (!path.isAbsolute(folder)) {
+        throw new Error(`Der Speicherort muss als absoluter Pfad angegeben werden: ${folder}`);
+      }
+      folder = path.normalize(folder);
+    } else {
+      folder = path.posix.normalize(folder.replace(/\\/g, '/') || '.').replace(/\/$/, '') || '.';
+      if (folder.startsWith('/') || folder === '..' || folder.startsWith('../') || /^[a-z]:/i.test(folder)) {
+        throw new Error(`Der Speicherort muss innerhalb von ${SAVE_BASES[base]} liegen: ${folder}`);
+      }
+    }
+
+    const pattern = String(entry.pattern || '').trim();
+    if (pattern && /[\\/]/.test(pattern)) {
+      throw new Error(`Das Dateimuster darf keine Ordner enthalten: ${pattern}`);
+    }
+    // Ganze Basisordner nur mit Dateimuster, sonst würde jede Sicherung den kompletten Ordner kopieren
+    const isRoot = base === 'absolute' ? path.dirname(folder) === folder : folder === '.';
+    if (isRoot && !pattern) {
+      throw new Error(`Für den ganzen Ordner ${base === 'absolute' ? folder : SAVE_BASES[base]} ist ein Dateimuster (z.B. Save*.dat) nötig`);
+    }
+
+    const location = { base, path: folder };
+    if (pattern) {
+      location.pattern = pattern;
+    }
+    if (!locations.some(existing => existing.base === base && existing.path === folder && existing.pattern === location.pattern)) {
+      locations.push(location);
+    }
+  }
+
+  return locations;
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function isPlainFolderName(name) {
+  return !!name && !/[\\/\0]/.test(name) && name !== '.' && name !== '..';
+}
+
+// Speicherorte anhand bekannter Engines erkennen
+function detectSaveLocations(installDir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(installDir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const locations = [];
+  const add = (base, folder, pattern) => {
+    if (!locations.some(entry => entry.base === base && entry.path === folder && entry.pattern === pattern)) {
+      locations.push(pattern ? { base, path: folder, pattern } : { base, path: folder });
+    }
+  };
+  const has = relative => fs.existsSync(path.join(installDir, ...relative.split('/')));
+  const names = new Map(entries.map(entry => [entry.name.toLowerCase(), entry.name]));
+  const hasExtension = extension => entries.some(entry => entry.name.toLowerCase().endsWith(extension));
+
+  // RPG Maker MV (Daten unter www/) und MZ
+  if (has('www/js/rpg_core.js') || has('www/data/System.json')) {
+    add('install', 'www/save');
+  }
+  if (has('js/rmmz_core.js')) {
+    add('install', 'save');
+  }
+
+  // RPG Maker XP, VX und VX Ace legen die Spielstände direkt neben Game.exe ab
+  if (hasExtension('.rgss3a') || has('Data/System.rvdata2')) {
+    add('install', '.', 'Save*.rvdata2');
+  } else if (hasExtension('.rgss2a') || has('Data/System.rvdata')) {
+    add('install', '.', 'Save*.rvdata');
+  } else if (hasExtension('.rgssad') || has('Data/System.rxdata')) {
+    add('install', '.', 'Save*.rxdata');
+  }
+
+  // WOLF RPG Editor
+  if (names.has('data.wolf') || has('Data/BasicData')) {
+    add('install', names.get('save') || 'Save');
+  }
+
+  // Ren'Py: Spielstände im Spielordner und zusätzlich unter %APPDATA%\RenPy\<save_directory>
+  if (names.has('renpy') && names.has('game')) {
+    add('install', `${names.get('game')}/saves`);
+    const options = readText(path.join(installDir, names.get('game'), 'options.rpy')) || '';
+    const match = /config\.save_directory\s*=\s*["']([^"']+)["']/.exec(options);
+    if (match && isPlainFolderName(match[1])) {
+      add('appData', `RenPy/${match[1]}`);
+    }
+  }
+
+  // Unity: %USERPROFILE%\AppData\LocalLow\<Firma>\<Produkt> (aus <Spiel>_Data/app.info)
+  const dataFolder = entries.find(entry => entry.isDirectory() && /_Data$/i.test(entry.name));
+  if (dataFolder) {
+    const [company, product] = (readText(path.join(installDir, dataFolder.name, 'app.info')) || '')
+      .split(/\r?\n/)
+      .map(line => line.trim());
+    if (isPlainFolderName(company) && isPlainFolderName(product)) {
+      add('localLow', `${company}/${product}`);
+    }
+  }
+
+  // Übliche Ordnernamen direkt im Spielordner
+  for (const entry of entries) {
+    if (entry.isDirectory() && /^(save|saves|savedata|save_data|savegames?)$/i.test(entry.name)) {
+      add('install', entry.name);
+    }
+  }
+
+  return locations;
+}
+
+// Windows-Benutzerordner innerhalb eines Wine-Prefix (ältere Wine-Versionen nutzen die XP-Namen)
+function wineUserFolders(prefix, user) {
+  const home = path.join(prefix, 'drive_c', 'users', user);
+  const pick = (...candidates) => {
+    const folders = candidates.map(candidate => path.join(home, ...candidate.split('/')));
+    return folders.find(folder => fs.existsSync(folder)) || folders[0];
+  };
+
+  return {
+    appData: pick('AppData/Roaming', 'Application Data'),
+    localAppData: pick('AppData/Local', 'Local Settings/Application Data'),
+    localLow: path.join(home, 'AppData', 'LocalLow'),
+    documents: pick('Documents', 'My Documents')
+  };
+}
+
+// Ordner eines Speicherorts ermitteln; null, wenn die Basis hier nicht existiert
+// folders: { install, appData, localAppData, localLow, documents }
+function resolveSaveLocation(location, folders) {
+  if (location.base === 'absolute') {
+    return location.path;
+  }
+  const base = folders[location.base];
+  return base ? path.join(base, ...location.path.split('/')) : null;
+}
+
+function patternToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Dateien eines Speicherorts (relative Pfade mit "/"); mit Muster nur direkt im Ordner
+async function listSaveFiles(folder, pattern) {
+  const files = [];
+  const matcher = pattern ? patternToRegExp(pattern) : null;
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relative = pending.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(folder, relative), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') continue;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !matcher) {
+        pending.push(child);
+      } else if (entry.isFile() && (!matcher || matcher.test(entry.name))) {
+        files.push(child);
+      }
+    }
+  }
+
+  return files.sort();
+}
+
+function snapshotsFolder(gameDir) {
+  return path.join(gameDir, SNAPSHOT_DIRECTORY);
+}
+
+// Vorhandene Sicherungen eines Spiels, neueste zuerst
+function listSnapshots(gameDir) {
+  const folder = snapshotsFolder(gameDir);
+  let entries;
+  try {
+    entries = fs.readdirSync(folder, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.endsWith('.tmp')) continue;
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(path.join(folder, entry.name, SNAPSHOT_FILE), 'utf8'));
+      if (snapshot.id === entry.name) {
+        snapshots.push(snapshot);
+      }
+    } catch (error) {
+      console.warn(`Spielstand-Sicherung ${entry.name} ist unvollständig und wird ignoriert: ${error.message}`);
+    }
+  }
+
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Spielstände kopieren; targets: [{ location, folder }] mit bereits aufgelösten Ordnern.
+// Liefert die neue Sicherung oder null, wenn es keine bzw. nur unveränderte Spielstände gibt.
+// keep: ID einer Sicherung, die beim Aufräumen erhalten bleibt (z.B. die gerade wiederhergestellte)
+async function createSnapshot(gameDir, targets, { reason = 'manual', limit = 10, keep = null } = {}) {
+  if (!SNAPSHOT_REASONS.includes(reason)) {
+    throw new Error(`Unbekannter Anlass für eine Sicherung: ${reason}`);
+  }
+
+  // Erst nur Prüfsumme bilden; die Dateien werden gestreamt statt vollständig eingelesen
+  const collected = [];
+  const hash = crypto.createHash('sha1');
+  for (const [index, target] of targets.entries()) {
+    const files = target.folder ? await listSaveFiles(target.folder, target.location.pattern) : [];
+    for (const relative of files) {
+      hash.update(`${index}\0${relative}\0`);
+      for await (const chunk of fs.createReadStream(path.join(target.folder, ...relative.split('/')))) {
+        hash.update(chunk);
+      }
+    }
+    collected.push({ location: target.location, folder: target.folder, files });
+  }
+
+  const fileCount = collected.reduce((total, entry) => total + entry.files.length, 0);
+  const fingerprint = hash.digest('hex');
+  const [latest] = listSnapshots(gameDir);
+  if (fileCount === 0 || (latest && latest.fingerprint === fingerprint)) {
+    return null;
+  }
+
+  const createdAt = new Date().toISOString();
+  const id = createdAt.replace(/[:.]/g, '-');
+  const snapshotFolder = path.join(snapshotsFolder(gameDir), id);
+  const tempFolder = `${snapshotFolder}.tmp`;
+  fs.rmSync(tempFolder, { recursive: true, force: true });
+
+  let size = 0;
+  for (const [index, entry] of collected.entries()) {
+    for (const relative of entry.files) {
+      const file = path.join(tempFolder, 'files', String(index), ...relative.split('/'));
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.copyFile(path.join(entry.folder, ...relative.split('/')), file);
+      size += (await fs.promises.stat(file)).size;
+    }
+  }
+
+  const snapshot = {
+    id,
+    createdAt,
+    reason,
+    fingerprint,
+    files: fileCount,
+    size,
+    locations: collected.map(entry => ({ ...entry.location, files: entry.files.length }))
+  };
+  await fs.promises.mkdir(tempFolder, { recursive: true });
+  await fs.promises.writeFile(path.join(tempFolder, SNAPSHOT_FILE), JSON.stringify(snapshot, null, 2));
+  await fs.promises.rename(tempFolder, snapshotFolder);
+
+  // Nur die neuesten Sicherungen behalten
+  for (const old of listSnapshots(gameDir).filter(entry => entry.id !== keep).slice(Math.max(1, limit))) {
+    fs.rmSync(path.join(snapshotsFolder(gameDir), old.id), { recursive: true, force: true });
+  }
+
+  return snapshot;
+}
+
+function sameLocation(a, b) {
+  return a.base === b.base && a.path === b.path && (a.pattern || '') === (b.pattern || '');
+}
+
+// Neue absolute Speicherorte als [{ label, value }] (before/after bereits geprüft)
+// Dort liest und überschreibt Dust Dateien; der Hauptprozess lässt sie wie Startbefehle bestätigen.
+function describeSaveLocationChanges(before, after) {
+  const previous = Array.isArray(before) ? before : [];
+  return (after || [])
+    .filter(location => location.base === 'absolute' && !previous.some(existing => sameLocation(existing, location)))
+    .map(location => ({
+      label: 'Speicherort',
+      value: location.pattern ? path.join(location.path, location.pattern) : location.path
+    }));
+}
+
+// Sicherung zurückspielen; targets: [{ location, folder }] wie bei createSnapshot.
+// Die Speicherorte aus snapshot.json werden geprüft, und es werden nur die zurückgespielt,
+// die das Spiel derzeit verwendet. Gelöscht werden nur Dateien, die zum Muster des Speicherorts
+// passen; ohne Muster werden die gesicherten Dateien lediglich überschrieben, damit eine
+// veränderte Sicherung (z.B. aus einem Bibliotheksarchiv) keine fremden Ordner leeren kann.
+async function restoreSnapshot(gameDir, id, targets) {
+  const snapshot = listSnapshots(gameDir).find(entry => entry.id === id);
+  if (!snapshot) {
+    throw new Error(`Sicherung nicht gefunden: ${id}`);
+  }
+
+  // Einzeln prüfen, damit die Nummern der Unterordner in "files" erhalten bleiben
+  normalizeSaveLocations(snapshot.locations);
+  const restores = [];
+  for (const [index, entry] of snapshot.locations.entries()) {
+    const [location] = normalizeSaveLocations([entry]);
+    const target = targets.find(candidate => sameLocation(candidate.location, location));
+    if (!target) continue;
+    if (!target.folder) {
+      throw new Error(`Speicherort ${location.path} (${SAVE_BASES[location.base]}) ist hier nicht verfügbar`);
+    }
+    restores.push({ index, location, folder: target.folder });
+  }
+  if (restores.length === 0) {
+    throw new Error('Die Sicherung enthält keinen der aktuellen Speicherorte des Spiels');
+  }
+
+  const source = path.join(snapshotsFolder(gameDir), id, 'files');
+  let restored = 0;
+  for (const { index, location, folder } of restores) {
+    // Spielstände, die es zum Zeitpunkt der Sicherung noch nicht gab, ebenfalls entfernen
+    if (location.pattern) {
+      for (const relative of await listSaveFiles(folder, location.pattern)) {
+        await fs.promises.rm(path.join(folder, relative), { force: true });
+      }
+    }
+
+    const files = await listSaveFiles(path.join(source, String(index)));
+    for (const relative of files) {
+      const file = path.join(folder, ...relative.split('/'));
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.copyFile(path.join(source, String(index), ...relative.split('/')), file);
+      restored++;
+    }
+  }
+
+  return { snapshot, restored };
+}
+
+module.exports = {
+  SAVE_BASES,
+  normalizeSaveLocations,
+  describeSaveLocationChanges,
+  detectSaveLocations,
+  wineUserFolders,
+  resolveSaveLocation,
+  listSnapshots,
+  createSnapshot,
+  restoreSnapshot,
+  SNAPSHOT_DIRECTORY
+};
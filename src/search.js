@@ -0,0 +1,348 @@
+// Suchsprache der Bibliothek
+// Wird im Hauptprozess vom Bibliotheksindex ausgewertet (src/libraryIndex.js).
+//
+// Beispiele:
+//   zelda                      unscharfe Suche im Titel (auch Romaji <-> Kana)
+//   "final fantasy"            genaue Wortfolge in Titel, Entwickler oder Beschreibung
+//   dev:"circle name"          Entwickler enthält den Text
+//   tag:rpg -tag:demo          Tag vorhanden bzw. nicht vorhanden
+//   source:dlsite genre:action
+//   played:>10h played:<30m    Spielzeit in Stunden oder Minuten
+//   last:<30d last:>1y         zuletzt gespielt innerhalb bzw. vor mehr als ... (d, w, m, y)
+//   last:never                 noch nie gespielt
+
+// Feldnamen der Suchsprache -> Spielfeld und Art des Vergleichs
+const FIELDS = {
+  title: { field: 'title', type: 'fuzzy' },
+  t: { field: 'title', type: 'fuzzy' },
+  dev: { field: 'developer', type: 'text' },
+  developer: { field: 'developer', type: 'text' },
+  circle: { field: 'developer', type: 'text' },
+  pub: { field: 'publisher', type: 'text' },
+  publisher: { field: 'publisher', type: 'text' },
+  genre: { field: 'genre', type: 'text' },
+  source: { field: 'source', type: 'text' },
+  src: { field: 'source', type: 'text' },
+  desc: { field: 'description', type: 'text' },
+  tag: { field: 'tags', type: 'tag' },
+  tags: { field: 'tags', type: 'tag' },
+  played: { field: 'playTime', type: 'playTime' },
+  playtime: { field: 'playTime', type: 'playTime' },
+  last: { field: 'lastPlayed', type: 'lastPlayed' },
+  lastplayed: { field: 'lastPlayed', type: 'lastPlayed' }
+};
+
+const PLAY_TIME_UNITS = { m: 1, min: 1, h: 60 };
+const AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+const DAY = 1000 * 60 * 60 * 24;
+
+// --- Romaji ---
+
+const KANA = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ゔ': 'vu',
+  'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o',
+  'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo', 'ゎ': 'wa'
+};
+
+// Zwei Zeichen (Yōon und Laute aus Fremdwörtern)
+const KANA_PAIRS = {
+  'きゃ': 'kya', 'きゅ': 'kyu', 'きょ': 'kyo',
+  'しゃ': 'sha', 'しゅ': 'shu', 'しょ': 'sho', 'しぇ': 'she',
+  'ちゃ': 'cha', 'ちゅ': 'chu', 'ちょ': 'cho', 'ちぇ': 'che',
+  'にゃ': 'nya', 'にゅ': 'nyu', 'にょ': 'nyo',
+  'ひゃ': 'hya', 'ひゅ': 'hyu', 'ひょ': 'hyo',
+  'みゃ': 'mya', 'みゅ': 'myu', 'みょ': 'myo',
+  'りゃ': 'rya', 'りゅ': 'ryu', 'りょ': 'ryo',
+  'ぎゃ': 'gya', 'ぎゅ': 'gyu', 'ぎょ': 'gyo',
+  'じゃ': 'ja', 'じゅ': 'ju', 'じょ': 'jo', 'じぇ': 'je',
+  'びゃ': 'bya', 'びゅ': 'byu', 'びょ': 'byo',
+  'ぴゃ': 'pya', 'ぴゅ': 'pyu', 'ぴょ': 'pyo',
+  'ふぁ': 'fa', 'ふぃ': 'fi', 'ふぇ': 'fe', 'ふぉ': 'fo',
+  'てぃ': 'ti', 'でぃ': 'di', 'とぅ': 'tu', 'どぅ': 'du',
+  'うぃ': 'wi', 'うぇ': 'we', 'うぉ': 'wo',
+  'ゔぁ': 'va', 'ゔぃ': 'vi', 'ゔぇ': 've', 'ゔぉ': 'vo'
+};
+
+// Katakana auf Hiragana abbilden (gleicher Abstand im Unicode-Block)
+function toHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+// Kana in Hepburn-Romaji umwandeln; andere Zeichen (z.B. Kanji) bleiben erhalten
+function kanaToRomaji(text) {
+  const input = toHiragana(text);
+  let result = '';
+  let doubleNext = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    const pair = KANA_PAIRS[input.slice(i, i + 2)];
+    let romaji = pair || KANA[char];
+    if (pair) i++;
+
+    if (char === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+    if (char === 'ー') {
+      // Langvokal: letzten Vokal wiederholen
+      const vowel = result.match(/[aeiou]$/);
+      result += vowel ? vowel[0] : '';
+      continue;
+    }
+    if (romaji === undefined) {
+      romaji = char;
+    } else if (doubleNext) {
+      romaji = romaji[0] + romaji;
+    }
+    doubleNext = false;
+    result += romaji;
+  }
+
+  return result;
+}
+
+// Schreibvarianten angleichen, damit "shoujo", "shojo" und "syouzyo" gleich verglichen werden
+function canonicalRomaji(text) {
+  return text
+    .replace(/sh(?=[aiueo])/g, 's')
+    .replace(/ch(?=[aiueo])/g, 't').replace(/tsu/g, 'tu')
+    .replace(/fu/g, 'hu')
+    .replace(/j(?=[aiueo])/g, 'z')
+    .replace(/([kgsztdnhbpmr])y(?=[auo])/g, '$1')
+    .replace(/ou|oo/g, 'o').replace(/uu/g, 'u').replace(/aa/g, 'a').replace(/ee|ei/g, 'e').replace(/ii/g, 'i')
+    .replace(/m(?=[bmp])/g, 'n');
+}
+
+const normalizeCache = new Map();
+
+// Text für den unscharfen Vergleich vereinheitlichen (Breite, Groß-/Kleinschreibung,
+// Akzente, Kana -> Romaji, Satzzeichen)
+function normalizeText(text) {
+  const key = String(text || '');
+  if (normalizeCache.has(key)) {
+    return normalizeCache.get(key);
+  }
+
+  const normalized = canonicalRomaji(
+    kanaToRomaji(key.normalize('NFKC').toLowerCase())
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+  ).replace(/[^\p{L}\p{N}]/gu, '');
+
+  if (normalizeCache.size > 5000) normalizeCache.clear();
+  normalizeCache.set(key, normalized);
+  return normalized;
+}
+
+// Kleinste Editierdistanz zwischen pattern und einem beliebigen Teilstück von text
+function substringDistance(pattern, text) {
+  let previous = new Array(text.length + 1).fill(0);
+  for (let i = 1; i <= pattern.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return Math.min(...previous);
+}
+
+// Tippfehlertolerant vergleichen; kurze Begriffe müssen genau vorkommen
+function fuzzyMatch(term, text) {
+  const pattern = normalizeText(term);
+  const target = normalizeText(text);
+  if (!pattern) return true;
+  if (target.includes(pattern)) return true;
+
+  const allowed = pattern.length < 4 ? 0 : pattern.length < 8 ? 1 : 2;
+  return allowed > 0 && substringDistance(pattern, target) <= allowed;
+}
+
+// --- Parser ---
+
+// Eingabe in Begriffe zerlegen: [-][feld:]wert oder [-]"wert mit Leerzeichen"
+function tokenize(input) {
+  const tokens = [];
+  const text = String(input || '');
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const token = { negated: false, key: null, value: '', quoted: false };
+    if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      token.negated = true;
+      i++;
+    }
+
+    const keyMatch = /^([a-z]+):/i.exec(text.slice(i));
+    if (keyMatch && FIELDS[keyMatch[1].toLowerCase()]) {
+      token.key = keyMatch[1].toLowerCase();
+      i += keyMatch[0].length;
+    }
+
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      token.value = text.slice(i + 1, end === -1 ? text.length : end);
+      token.quoted = true;
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      let end = i;
+      while (end < text.length && !/\s/.test(text[end])) end++;
+      token.value = text.slice(i, end);
+      i = end;
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+// Vergleich wie ">10h" oder "<30d" zerlegen; ohne Operator gilt "mindestens"
+function parseComparison(value, units, defaultUnit) {
+  const match = /^(>=|<=|>|<|=)?(\d+(?:[.,]\d+)?)([a-z]*)$/i.exec(value.trim());
+  if (!match) return null;
+
+  const unit = (match[3] || defaultUnit).toLowerCase();
+  if (!units[unit]) return null;
+
+  return {
+    operator: match[1] || '>=',
+    value: parseFloat(match[2].replace(',', '.')) * units[unit]
+  };
+}
+
+function compare(actual, { operator, value }) {
+  switch (operator) {
+    case '>': return actual > value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    case '=': return actual === value;
+    default: return actual >= value;
+  }
+}
+
+// Suchanfrage in Bedingungen übersetzen; fehlerhafte Teile landen in errors
+function parseQuery(input) {
+  const conditions = [];
+  const errors = [];
+
+  for (const token of tokenize(input)) {
+    if (!token.value) {
+      if (token.key) errors.push(`${token.key}: braucht einen Wert`);
+      continue;
+    }
+
+    const definition = token.key ? FIELDS[token.key] : null;
+    const condition = { negated: token.negated, value: token.value };
+
+    if (!definition) {
+      condition.type = token.quoted ? 'phrase' : 'free';
+    } else if (definition.type === 'playTime') {
+      condition.comparison = parseComparison(token.value, PLAY_TIME_UNITS, 'h');
+      if (!condition.comparison) {
+        errors.push(`${token.key}:${token.value} – erwartet z.B. >10h oder <30m`);
+        continue;
+      }
+      condition.type = 'playTime';
+    } else if (definition.type === 'lastPlayed') {
+      if (token.value.toLowerCase() === 'never') {
+        condition.type = 'neverPlayed';
+      } else {
+        condition.comparison = parseComparison(token.value, AGE_UNITS, 'd');
+        if (!condition.comparison) {
+          errors.push(`${token.key}:${token.value} – erwartet z.B. <30d, >1y oder never`);
+          continue;
+        }
+        condition.type = 'lastPlayed';
+      }
+    } else {
+      condition.type = definition.type;
+      condition.field = definition.field;
+    }
+
+    conditions.push(condition);
+  }
+
+  return { conditions, errors };
+}
+
+function includesText(value, expected) {
+  return String(value || '').toLowerCase().includes(expected.toLowerCase());
+}
+
+// Genauer Treffer nach der Vereinheitlichung (ohne Tippfehlertoleranz)
+function includesNormalized(value, expected) {
+  const pattern = normalizeText(expected);
+  return pattern !== '' && normalizeText(value).includes(pattern);
+}
+
+function matchesCondition(game, condition, now) {
+  switch (condition.type) {
+    case 'free':
+      // Ausschlüsse wirken nur bei echten Treffern, nicht bei Tippfehler-Ähnlichkeit
+      return condition.negated
+        ? includesNormalized(game.title, condition.value)
+        : fuzzyMatch(condition.value, game.title)
+          || includesText(game.developer, condition.value)
+          || includesText(game.description, condition.value);
+    case 'phrase':
+      return includesText(game.title, condition.value)
+        || includesText(game.developer, condition.value)
+        || includesText(game.description, condition.value);
+    case 'fuzzy':
+      return condition.negated
+        ? includesNormalized(game[condition.field], condition.value)
+        : fuzzyMatch(condition.value, game[condition.field]);
+    case 'text':
+      return includesText(game[condition.field], condition.value);
+    case 'tag':
+      return (game.tags || []).some(tag => tag.toLowerCase() === condition.value.toLowerCase());
+    case 'playTime':
+      return compare(game.playTime || 0, condition.comparison);
+    case 'lastPlayed': {
+      if (!game.lastPlayed) return false;
+      return compare((now - new Date(game.lastPlayed)) / DAY, condition.comparison);
+    }
+    case 'neverPlayed':
+      return !game.lastPlayed;
+    default:
+      return true;
+  }
+}
+
+// Prüfen, ob ein Spiel alle Bedingungen einer (bereits zerlegten) Anfrage erfüllt
+function matchesQuery(game, query, now = Date.now()) {
+  return query.conditions.every(condition =>
+    matchesCondition(game, condition, now) !== condition.negated
+  );
+}
+
+module.exports = {
+  parseQuery,
+  matchesQuery,
+  fuzzyMatch,
+  normalizeText,
+  kanaToRomaji
+};
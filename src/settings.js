@@ -0,0 +1,268 @@
+// Einstellungsspeicher
+// Hält die Einstellungen von Dust in settings.json (über lowdb) im userData-
+// Ordner. Jeder Schlüssel hat einen eigenen Validator, und Änderungen werden an
+// Abonnenten gemeldet, damit sie sofort wirksam werden.
+
+const path = require('path');
+const { SORT_KEYS, SORT_DIRECTIONS, GROUP_KEYS } = require('./sorting');
+const { defaultRunnerConfig, normalizeRunnerConfig } = require('./runners');
+const { normalizeLibraryRoots, DEFAULT_ROOT_ID } = require('./libraryRoots');
+
+const THEMES = ['dark', 'light'];
+const METADATA_LANGUAGES = ['de', 'en', 'ja'];
+const LIBRARY_PLATFORMS = ['steam', 'itchio', 'dlsite', 'other'];
+
+function defaultSettings() {
+  return {
+    general: {
+      launchAtStartup: false,
+      closeToTray: true
+    },
+    appearance: {
+      theme: 'dark'
+    },
+    metadata: {
+      language: 'de'
+    },
+    runner: defaultRunnerConfig(),
+    // Zusätzliche Bibliotheksordner für dustgrain-Dateien und Ziel für neue Spiele
+    library: {
+      roots: [],
+      targetRoot: DEFAULT_ROOT_ID,
+      // Reihenfolge und Gruppierung der Bibliotheksansicht
+      sortKey: 'title',
+      sortDirection: 'asc',
+      groupBy: 'none'
+    },
+    // Standardordner der Ordnerauswahl je Plattform, leer = automatisch erkennen
+    libraryPaths: Object.fromEntries(LIBRARY_PLATFORMS.map(platform => [platform, ''])),
+    // Gespeicherte Suchanfragen der Bibliothek; angeheftete erscheinen über dem Raster
+    search: {
+      saved: []
+    },
+    // Sicherung der Spielstände nach jeder Sitzung und Anzahl der aufbewahrten Kopien pro Spiel
+    saves: {
+      autoSnapshot: true,
+      snapshotLimit: 10
+    }
+  };
+}
+
+function validateBoolean(value) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`Ungültiger Wert: ${value} (erwartet: an/aus)`);
+  }
+  return value;
+}
+
+function oneOf(values) {
+  return (value) => {
+    if (!values.includes(value)) {
+      throw new Error(`Ungültiger Wert: ${value} (erlaubt: ${values.join(', ')})`);
+    }
+    return value;
+  };
+}
+
+function validateFolder(value) {
+  const folder = String(value || '').trim();
+  if (folder && !path.isAbsolute(folder)) {
+    throw new Error(`Der Ordner muss als absoluter Pfad angegeben werden: ${folder}`);
+  }
+  return folder;
+}
+
+function validateRootId(value) {
+  if (typeof value !== 'string' || !/^[a-z0-9-]+$/.test(value)) {
+    throw new Error(`Ungültiger Bibliotheksordner: ${value}`);
+  }
+  return value;
+}
+
+function validateSnapshotLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new Error(`Ungültige Anzahl: ${value} (erlaubt: 1 bis 100)`);
+  }
+  return limit;
+}
+
+// Gespeicherte Suchen prüfen; doppelte IDs werden verworfen
+function validateSavedSearches(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('Gespeicherte Suchen müssen eine Liste sein');
+  }
+
+  const searches = [];
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('Ungültige gespeicherte Suche');
+    }
+
+    const id = String(entry.id || '');
+    const name = String(entry.name || '').trim();
+    const query = String(entry.query || '').trim();
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Ungültige ID einer gespeicherten Suche: ${id}`);
+    }
+    if (!name || name.length > 100) {
+      throw new Error('Gespeicherte Suchen brauchen einen Namen (höchstens 100 Zeichen)');
+    }
+    if (!query || query.length > 1000) {
+      throw new Error(`Die Suche ${name} ist leer oder zu lang`);
+    }
+    if (searches.some(search => search.id === id)) continue;
+
+    searches.push({ id, name, query, pinned: entry.pinned === true });
+  }
+  return searches;
+}
+
+// Erlaubte Schlüssel (in Punktschreibweise) und ihre Validatoren
+const VALIDATORS = {
+  'general.launchAtStartup': validateBoolean,
+  'general.closeToTray': validateBoolean,
+  'appearance.theme': oneOf(THEMES),
+  'metadata.language': oneOf(METADATA_LANGUAGES),
+  'runner': value => normalizeRunnerConfig(value),
+  'library.roots': normalizeLibraryRoots,
+  'library.targetRoot': validateRootId,
+  'library.sortKey': oneOf(Object.keys(SORT_KEYS)),
+  'library.sortDirection': oneOf(SORT_DIRECTIONS),
+  'library.groupBy': oneOf(Object.keys(GROUP_KEYS)),
+  ...Object.fromEntries(LIBRARY_PLATFORMS.map(platform => [`libraryPaths.${platform}`, validateFolder])),
+  'search.saved': validateSavedSearches,
+  'saves.autoSnapshot': validateBoolean,
+  'saves.snapshotLimit': validateSnapshotLimit
+};
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((current, part) => {
+    if (!current[part] || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    return current[part];
+  }, object);
+  target[last] = value;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Gespeicherte Daten prüfen; fehlende oder ungültige Werte fallen auf die Voreinstellung zurück
+function sanitizeSettings(data) {
+  const settings = defaultSettings();
+
+  for (const [key, validate] of Object.entries(VALIDATORS)) {
+    const value = getPath(data, key);
+    if (value === undefined) continue;
+
+    try {
+      setPath(settings, key, validate(value));
+    } catch (error) {
+      console.warn(`Einstellung ${key} ist ungültig und wird zurückgesetzt: ${error.message}`);
+    }
+  }
+
+  return settings;
+}
+
+function createSettingsStore(options = {}) {
+  const file = options.file;
+  // lowdb ist ein reines ES-Modul und wird deshalb dynamisch geladen
+  const loadLowdb = options.loadLowdb || (() => import('lowdb/node'));
+  const listeners = new Set();
+  let db = null;
+
+  function ensureLoaded() {
+    if (!db) {
+      throw new Error('Einstellungen wurden noch nicht geladen');
+    }
+  }
+
+  function get(key) {
+    ensureLoaded();
+    return clone(key ? getPath(db.data, key) : db.data);
+  }
+
+  // Einzelnen Wert prüfen, speichern und Abonnenten benachrichtigen
+  async function set(key, value) {
+    ensureLoaded();
+    const validate = VALIDATORS[key];
+    if (!validate) {
+      throw new Error(`Unbekannte Einstellung: ${key}`);
+    }
+
+    const normalized = validate(value);
+    setPath(db.data, key, normalized);
+    await db.write();
+
+    for (const listener of listeners) {
+      try {
+        listener(key, clone(normalized));
+      } catch (error) {
+        console.error(`Fehler beim Anwenden der Einstellung ${key}:`, error);
+      }
+    }
+
+    return clone(normalized);
+  }
+
+  return {
+    get,
+    set,
+
+    // Einstellungen von der Platte lesen (einmal beim Start)
+    async load() {
+      const { JSONFilePreset } = await loadLowdb();
+      db = await JSONFilePreset(file, defaultSettings());
+      db.data = sanitizeSettings(db.data);
+      await db.write();
+      return get();
+    },
+
+    // Einstellungen aus einer Sicherung übernehmen; Schlüssel in skip (auch als Präfix,
+    // z.B. "libraryPaths") bleiben unverändert, ungültige Werte werden übergangen
+    async importSettings(data, { skip = [] } = {}) {
+      ensureLoaded();
+      const imported = [];
+
+      for (const key of Object.keys(VALIDATORS)) {
+        if (skip.some(prefix => key === prefix || key.startsWith(`${prefix}.`))) continue;
+        const value = getPath(data, key);
+        if (value === undefined || JSON.stringify(value) === JSON.stringify(getPath(db.data, key))) continue;
+
+        try {
+          await set(key, value);
+          imported.push(key);
+        } catch (error) {
+          console.warn(`Einstellung ${key} aus der Sicherung ist ungültig und wird übergangen: ${error.message}`);
+        }
+      }
+
+      return imported;
+    },
+
+    // Listener für Änderungen registrieren; liefert eine Abmeldefunktion
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+module.exports = {
+  createSettingsStore,
+  defaultSettings,
+  sanitizeSettings,
+  THEMES,
+  METADATA_LANGUAGES,
+  LIBRARY_PLATFORMS
+};
@@ -0,0 +1,122 @@
+// Sortierung und Gruppierung der Bibliothek
+// Ohne Abhängigkeiten, damit Hauptprozess (Sortierung im Bibliotheksindex) und
+// Renderer (global DustSorting, Gruppierung) dieselben Schlüssel verwenden.
+// Spiele ohne Wert für den Sortierschlüssel (z.B. nie gespielt) stehen in
+// beiden Richtungen am Ende.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DustSorting = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function toTime(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  function toText(value) {
+    const text = String(value || '').trim();
+    return text === '' ? null : text;
+  }
+
+  // Sortierschlüssel -> Wert eines Spiels (null = unbekannt)
+  const SORT_KEYS = {
+    title: { label: 'Titel', value: game => toText(game.title) },
+    lastPlayed: { label: 'Zuletzt gespielt', value: game => toTime(game.lastPlayed) },
+    playTime: { label: 'Spielzeit', value: game => game.playTime || 0 },
+    installDate: { label: 'Installationsdatum', value: game => toTime(game.installDate) },
+    releaseDate: { label: 'Erscheinungsdatum', value: game => toTime(game.releaseDate) },
+    developer: { label: 'Entwickler', value: game => toText(game.developer) },
+    size: { label: 'Größe', value: game => (Number.isFinite(game.installSize) ? game.installSize : null) }
+  };
+
+  const SORT_DIRECTIONS = ['asc', 'desc'];
+
+  const UNKNOWN_GROUP = 'Unbekannt';
+
+  function monthGroup(game) {
+    const time = toTime(game.installDate);
+    if (time === null) return null;
+    const date = new Date(time);
+    return {
+      key: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+      label: date.toLocaleDateString('de-DE', { month: 'long', year: 'numeric' })
+    };
+  }
+
+  function textGroup(field) {
+    return game => {
+      const text = toText(game[field]);
+      return text === null ? null : { key: text.toLowerCase(), label: text };
+    };
+  }
+
+  // Gruppierungen -> Gruppe eines Spiels (null = unbekannt) und Reihenfolge der Gruppen
+  const GROUP_KEYS = {
+    none: { label: 'Keine Gruppierung' },
+    source: { label: 'Quelle', group: textGroup('source') },
+    genre: { label: 'Genre', group: textGroup('genre') },
+    developer: { label: 'Entwickler', group: textGroup('developer') },
+    installMonth: { label: 'Installationsmonat', group: monthGroup, newestFirst: true }
+  };
+
+  function compareValues(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') {
+      return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    }
+    return a - b;
+  }
+
+  // Neue, sortierte Liste liefern; die übergebene Liste bleibt unverändert
+  function sortGames(games, key = 'title', direction = 'asc') {
+    const sortKey = SORT_KEYS[key] || SORT_KEYS.title;
+    const factor = direction === 'desc' ? -1 : 1;
+
+    return games
+      .map(game => ({ game, value: sortKey.value(game) }))
+      .sort((a, b) => {
+        if (a.value === null || b.value === null) {
+          if (a.value !== b.value) return a.value === null ? 1 : -1;
+        } else {
+          const result = compareValues(a.value, b.value);
+          if (result !== 0) return result * factor;
+        }
+        return compareValues(a.game.title || '', b.game.title || '');
+      })
+      .map(entry => entry.game);
+  }
+
+  // Bereits sortierte Spiele in Gruppen aufteilen; die Reihenfolge innerhalb einer Gruppe bleibt erhalten
+  function groupGames(games, groupBy = 'none') {
+    const definition = GROUP_KEYS[groupBy];
+    if (!definition || !definition.group) {
+      return [{ key: '', label: '', games }];
+    }
+
+    const groups = new Map();
+    for (const game of games) {
+      const group = definition.group(game) || { key: '', label: UNKNOWN_GROUP };
+      if (!groups.has(group.key)) {
+        groups.set(group.key, { ...group, games: [] });
+      }
+      groups.get(group.key).games.push(game);
+    }
+
+    return [...groups.values()].sort((a, b) => {
+      if (a.key === '' || b.key === '') return a.key === '' ? 1 : -1;
+      return definition.newestFirst ? b.key.localeCompare(a.key) : compareValues(a.label, b.label);
+    });
+  }
+
+  return {
+    SORT_KEYS,
+    SORT_DIRECTIONS,
+    GROUP_KEYS,
+    sortGames,
+    groupGames
+  };
+});
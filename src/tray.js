@@ -0,0 +1,93 @@
+// Tray-Symbol
+// Zeigt laufende und zuletzt gespielte Spiele im Tray-Menü, damit sich Dust
+// auch bei ausgeblendetem Fenster bedienen lässt.
+
+const { Tray, Menu, nativeImage } = require('electron');
+
+const RECENT_GAMES_LIMIT = 8;
+
+// Zuletzt gespielte Spiele, neueste zuerst
+function getRecentGames(games, limit = RECENT_GAMES_LIMIT) {
+  return games
+    .filter(game => game.lastPlayed && !Number.isNaN(Date.parse(game.lastPlayed)))
+    .sort((a, b) => Date.parse(b.lastPlayed) - Date.parse(a.lastPlayed))
+    .slice(0, limit);
+}
+
+// "&" leitet in Menüs ein Tastenkürzel ein und muss in Spieltiteln verdoppelt werden
+function menuLabel(text) {
+  return String(text || '').replace(/&/g, '&&');
+}
+
+// Menüvorlage aus dem aktuellen Zustand bauen
+// state: { games, running: [{ key, info }], windowVisible }
+function buildTrayMenuTemplate(state, actions) {
+  const runningKeys = new Set(state.running.map(session => session.key));
+  const template = [];
+
+  if (state.running.length > 0) {
+    template.push({ label: 'Läuft gerade', enabled: false });
+    for (const session of state.running) {
+      template.push({
+        label: menuLabel(session.info.title || session.key),
+        submenu: [
+          { label: 'Beenden', click: () => actions.stopGame(session.key) }
+        ]
+      });
+    }
+    template.push({ type: 'separator' });
+  }
+
+  const recentGames = getRecentGames(state.games.filter(game => !runningKeys.has(game.directory)));
+  template.push({ label: 'Zuletzt gespielt', enabled: false });
+  if (recentGames.length === 0) {
+    template.push({ label: 'Noch keine Spiele gestartet', enabled: false });
+  }
+  for (const game of recentGames) {
+    template.push({
+      label: menuLabel(game.title || game.directory),
+      click: () => actions.launchGame(game.directory)
+    });
+  }
+
+  template.push(
+    { type: 'separator' },
+    { label: state.windowVisible ? 'Dust ausblenden' : 'Dust anzeigen', click: () => actions.toggleWindow() },
+    { label: 'Beenden', click: () => actions.quit() }
+  );
+
+  return template;
+}
+
+function createAppTray({ iconPath, getState, actions }) {
+  const image = nativeImage.createFromPath(iconPath);
+  // Ein leeres Symbol wäre unsichtbar; ohne Tray schließt das Fenster normal, statt unerreichbar zu verschwinden
+  if (image.isEmpty()) {
+    throw new Error(`Tray-Symbol ${iconPath} konnte nicht geladen werden`);
+  }
+  const tray = new Tray(image.resize({ width: 16, height: 16 }));
+
+  // Linker Klick blendet das Fenster ein oder aus (nicht überall unterstützt, daher auch im Menü)
+  tray.on('click', () => actions.toggleWindow());
+
+  function update() {
+    const state = getState();
+    tray.setContextMenu(Menu.buildFromTemplate(buildTrayMenuTemplate(state, actions)));
+    tray.setToolTip(state.running.length > 0
+      ? `Dust Game Manager – ${state.running.map(session => session.info.title || session.key).join(', ')}`
+      : 'Dust Game Manager');
+  }
+
+  update();
+
+  return {
+    update,
+    destroy: () => tray.destroy()
+  };
+}
+
+module.exports = {
+  createAppTray,
+  buildTrayMenuTemplate,
+  getRecentGames
+};
@@ -0,0 +1,79 @@
+// Prüfung von IPC-Argumenten
+// Der Renderer gilt als nicht vertrauenswürdig: Jeder Handler prüft Typen und
+// Pfade, bevor sie das Dateisystem oder einen Prozessstart erreichen.
+
+const path = require('path');
+
+function assertString(value, name, { allowEmpty = false, maxLength = 4096 } = {}) {
+  if (typeof value !== 'string' || value.length > maxLength || value.includes('\0')) {
+    throw new Error(`Ungültiger Wert für ${name}`);
+  }
+  if (!allowEmpty && value.trim() === '') {
+    throw new Error(`${name} darf nicht leer sein`);
+  }
+  return value;
+}
+
+function assertPlainObject(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Ungültiger Wert für ${name}`);
+  }
+  return value;
+}
+
+function assertArray(value, name, maxLength = 10000) {
+  if (!Array.isArray(value) || value.length > maxLength) {
+    throw new Error(`Ungültiger Wert für ${name}`);
+  }
+  return value;
+}
+
+// Einzelner Ordnername ohne Pfadtrenner (z.B. ein Spielordner im Bibliotheksordner)
+function isValidFolderName(value) {
+  return typeof value === 'string'
+    && value.trim() !== ''
+    && value !== '.'
+    && value !== '..'
+    && !/[\\/\0]/.test(value);
+}
+
+// Liegt child im Ordner parent (oder ist es parent selbst)?
+function isInside(parent, child) {
+  const relative = path.relative(path.resolve(parent), path.resolve(child));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Sind zwei Ordner gleich oder liegt einer im anderen?
+function pathsOverlap(a, b) {
+  return isInside(a, b) || isInside(b, a);
+}
+
+// Relativer Pfad, der nicht aus seinem Basisordner herausführt (z.B. die ausführbare Datei)
+function assertRelativePath(value, name) {
+  assertString(value, name);
+  const normalized = path.normalize(value);
+  if (path.isAbsolute(value) || normalized === '..' || normalized.startsWith(`..${path.sep}`)) {
+    throw new Error(`${name} muss innerhalb des Spielordners liegen`);
+  }
+  return value;
+}
+
+// Absoluter Ordner, der in einem der erlaubten Ordner liegt
+function assertFolderWithin(value, allowedFolders, name) {
+  assertString(value, name);
+  if (!path.isAbsolute(value) || !allowedFolders.some(folder => isInside(folder, value))) {
+    throw new Error(`Zugriff auf ${value} ist nicht erlaubt`);
+  }
+  return path.resolve(value);
+}
+
+module.exports = {
+  assertString,
+  assertPlainObject,
+  assertArray,
+  assertRelativePath,
+  assertFolderWithin,
+  isValidFolderName,
+  isInside,
+  pathsOverlap
+};
@@ -0,0 +1,138 @@
+// Tests für den DLSite-Provider gegen gespeicherte Antworten (ohne Netzwerk)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDLSiteProvider, parseProductJson, parseProductPage, normalizeProductId } = require('../src/providers/dlsite');
+const { startStubServer, fixture } = require('./helpers/stubServer');
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+const API_PATH = '/maniax/api/=/product.json';
+const PAGE_PATH = '/maniax/work/=/product_id/RJ123456.html/';
+
+test('normalizeProductId akzeptiert RJ/RE/VJ/BJ-Nummern und lehnt andere ab', () => {
+  assert.equal(normalizeProductId(' rj123456 '), 'RJ123456');
+  assert.equal(normalizeProductId('VJ01234567'), 'VJ01234567');
+  assert.throws(() => normalizeProductId('XX123456'), /Ungültige DLSite ID/);
+  assert.throws(() => normalizeProductId('RJ12'), /Ungültige DLSite ID/);
+});
+
+test('parseProductJson liest die Felder der Produkt-API', () => {
+  const details = parseProductJson(JSON.parse(fixture('dlsite', 'RJ123456.json')), 'https://www.dlsite.com');
+
+  assert.equal(details.title, '月影の迷宮');
+  assert.equal(details.developer, 'サークル月影');
+  assert.deepEqual(details.tags, ['ファンタジー', 'ダンジョン']);
+  assert.equal(details.genre, 'ファンタジー');
+  assert.equal(details.description, '古代の迷宮を探索する\nダンジョンRPG。');
+  assert.equal(details.coverImage, 'https://img.dlsite.jp/modpub/images2/work/doujin/RJ124000/RJ123456_img_main.jpg');
+  assert.equal(details.screenshots.length, 2);
+  assert.equal(details.releaseDate, '2023-05-01');
+  assert.equal(details.ageRating, 'R-18');
+});
+
+test('parseProductJson liefert null für eine leere Antwort', () => {
+  assert.equal(parseProductJson([], 'https://www.dlsite.com'), null);
+  assert.equal(parseProductJson({}, 'https://www.dlsite.com'), null);
+});
+
+test('parseProductPage liest Titel, Circle, Genres und Beschreibung der Produktseite', () => {
+  const details = parseProductPage(fixture('dlsite', 'RJ123456.html'), 'https://www.dlsite.com');
+
+  assert.equal(details.title, '月影の迷宮');
+  assert.equal(details.developer, 'サークル月影');
+  assert.deepEqual(details.tags, ['ファンタジー', 'ダンジョン', '探索']);
+  assert.equal(details.description, '古代の迷宮を探索するダンジョンRPG。\n全10階層&隠しボス収録。');
+  assert.equal(details.releaseDate, '2023-05-01');
+  assert.equal(details.ageRating, 'R-18');
+  assert.match(details.coverImage, /^https:\/\/img\.dlsite\.jp\//);
+});
+
+test('parseProductPage erkennt Altersabfrage und Captcha', () => {
+  assert.throws(() => parseProductPage(fixture('dlsite', 'age-check.html'), 'https://www.dlsite.com'), /Altersabfrage/);
+  assert.throws(() => parseProductPage(fixture('dlsite', 'captcha.html'), 'https://www.dlsite.com'), /Captcha/);
+});
+
+test('fetchGameDetails kombiniert API und Produktseite vom Stub', async (t) => {
+  const stub = await startStubServer({
+    [API_PATH]: { type: JSON_TYPE, file: ['dlsite', 'RJ123456.json'] },
+    [PAGE_PATH]: { file: ['dlsite', 'RJ123456.html'] }
+  });
+  t.after(() => stub.close());
+
+  const provider = createDLSiteProvider({ baseUrl: stub.baseUrl });
+  const details = await provider.fetchGameDetails('rj123456');
+
+  assert.equal(details.title, '月影の迷宮');
+  assert.equal(details.dlsiteId, 'RJ123456');
+  assert.equal(details.dlsiteCategory, 'maniax');
+  // Aus der API (zwei Genres), nicht aus der Seite (drei Genres)
+  assert.deepEqual(details.tags, ['ファンタジー', 'ダンジョン']);
+
+  const apiRequest = stub.requests.find(request => request.pathname === API_PATH);
+  assert.match(apiRequest.url, /workno=RJ123456&locale=ja_JP/);
+  const pageRequest = stub.requests.find(request => request.pathname === PAGE_PATH);
+  assert.equal(pageRequest.headers.cookie, 'adultchecked=1');
+});
+
+test('fetchGameDetails fragt VJ- und BJ-Nummern in ihrer Kategorie ab', async (t) => {
+  const stub = await startStubServer({});
+  t.after(() => stub.close());
+
+  const provider = createDLSiteProvider({ baseUrl: stub.baseUrl });
+  await assert.rejects(provider.fetchGameDetails('VJ01234567', 'maniax'));
+  await assert.rejects(provider.fetchGameDetails('BJ123456'));
+
+  const paths = stub.requests.map(request => request.pathname);
+  assert.ok(paths.includes('/pro/api/=/product.json'));
+  assert.ok(paths.includes('/books/work/=/product_id/BJ123456.html/'));
+});
+
+test('fetchGameDetails nutzt die Produktseite, wenn die API fehlschlägt', async (t) => {
+  const stub = await startStubServer({
+    [API_PATH]: { status: 500, type: JSON_TYPE, body: '{}' },
+    [PAGE_PATH]: { file: ['dlsite', 'RJ123456.html'] }
+  });
+  t.after(() => stub.close());
+
+  const details = await createDLSiteProvider({ baseUrl: stub.baseUrl }).fetchGameDetails('RJ123456');
+  assert.equal(details.title, '月影の迷宮');
+  assert.deepEqual(details.tags, ['ファンタジー', 'ダンジョン', '探索']);
+});
+
+test('fetchGameDetails meldet eine unbekannte ID bei 404', async (t) => {
+  const stub = await startStubServer({
+    [API_PATH]: { type: JSON_TYPE, body: '[]' }
+  });
+  t.after(() => stub.close());
+
+  await assert.rejects(
+    createDLSiteProvider({ baseUrl: stub.baseUrl }).fetchGameDetails('RJ123456'),
+    /Kein DLSite-Produkt mit der ID RJ123456 gefunden/
+  );
+});
+
+test('fetchGameDetails meldet Captcha und Altersabfrage', async (t) => {
+  for (const [file, message] of [['captcha.html', /Captcha/], ['age-check.html', /Altersabfrage/]]) {
+    const stub = await startStubServer({
+      [API_PATH]: { type: JSON_TYPE, body: '[]' },
+      [PAGE_PATH]: { file: ['dlsite', file] }
+    });
+    t.after(() => stub.close());
+
+    await assert.rejects(createDLSiteProvider({ baseUrl: stub.baseUrl }).fetchGameDetails('RJ123456'), message);
+  }
+});
+
+test('fetchGameDetails bricht hängende Anfragen mit einer Zeitüberschreitung ab', async (t) => {
+  // Antwortet nie; der Stub trennt die Verbindungen beim Beenden
+  const stub = await startStubServer({
+    [API_PATH]: () => {},
+    [PAGE_PATH]: () => {}
+  });
+  t.after(() => stub.close());
+
+  await assert.rejects(
+    createDLSiteProvider({ baseUrl: stub.baseUrl, timeout: 200 }).fetchGameDetails('RJ123456'),
+    /Zeitüberschreitung/
+  );
+});
@@ -0,0 +1,107 @@
+// Tests für Migration, Prüfung und Schreiben der dustgrain-Dateien
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CURRENT_VERSION,
+  migrateDustgrain,
+  validateDustgrain,
+  readDustgrain,
+  writeDustgrain
+} = require('../src/dustgrain');
+const { fixture } = require('./helpers/stubServer');
+
+// dustgrain-Datei in einem temporären Ordner ablegen, der nach dem Test gelöscht wird
+function tempDustgrain(t, content) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-test-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const file = path.join(folder, 'dustgrain.json');
+  if (content !== undefined) {
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return file;
+}
+
+test('migrateDustgrain hebt eine 1.0-Datei auf die aktuelle Version', () => {
+  const migrated = validateDustgrain(migrateDustgrain(JSON.parse(fixture('dustgrain', 'v1.0.json'))));
+
+  assert.equal(migrated.dustVersion, CURRENT_VERSION);
+  assert.deepEqual(migrated.tags, ['ファンタジー', 'ダンジョン']);
+  assert.deepEqual(migrated.screenshots, []);
+  assert.equal(migrated.playTime, 95);
+  assert.equal(migrated.installSize, 734003200);
+  assert.equal(migrated.installed, true);
+  assert.deepEqual(migrated.launchOptions, { args: [], env: {}, cwd: '', preLaunch: '', postLaunch: '' });
+  assert.equal(migrated.runner.type, 'default');
+  assert.equal(migrated.lastPlayed, '2024-02-11T20:15:00.000Z');
+  // Unbekannte Felder bleiben erhalten
+  assert.equal(migrated.customField, 'bleibt erhalten');
+});
+
+test('migrateDustgrain behandelt Dateien ohne dustVersion als 1.0', () => {
+  const migrated = migrateDustgrain({ title: 'Alt', executablePath: '/spiele/alt', tags: 'a,b' });
+
+  assert.equal(migrated.dustVersion, CURRENT_VERSION);
+  assert.deepEqual(migrated.tags, ['a', 'b']);
+  assert.equal(migrated.playTime, 0);
+});
+
+test('migrateDustgrain lässt Dateien der aktuellen Version unverändert', () => {
+  const data = JSON.parse(fixture('dustgrain', 'v1.1.json'));
+  assert.deepEqual(migrateDustgrain(data), data);
+});
+
+test('migrateDustgrain lehnt neuere Versionen ab', () => {
+  assert.throws(() => migrateDustgrain({ title: 'Neu', dustVersion: '2.0' }), /dustgrain-Version 2\.0 ist neuer als die unterstützte Version/);
+  assert.throws(() => migrateDustgrain({ title: 'Neu', dustVersion: '1.10' }), /dustgrain-Version 1\.10 ist neuer/);
+});
+
+test('migrateDustgrain meldet Versionen ohne Migrationsweg', () => {
+  assert.throws(() => migrateDustgrain({ title: 'Beta', dustVersion: '0.9' }), /Keine Migration für dustgrain-Version 0\.9/);
+});
+
+test('validateDustgrain sammelt alle fehlerhaften Felder', () => {
+  assert.throws(() => validateDustgrain({ title: '', tags: 'kein Array', dustVersion: CURRENT_VERSION }), (error) => {
+    const fields = error.errors.map(entry => entry.field);
+    assert.ok(fields.includes('title'));
+    assert.ok(fields.includes('executablePath'));
+    assert.ok(fields.includes('tags'));
+    assert.match(error.message, /^Ungültige dustgrain-Datei: /);
+    return true;
+  });
+});
+
+test('readDustgrain migriert beim Lesen und meldet kaputtes JSON', (t) => {
+  const file = tempDustgrain(t, fixture('dustgrain', 'v1.0.json'));
+  assert.equal(readDustgrain(file).dustVersion, CURRENT_VERSION);
+
+  fs.writeFileSync(file, '{ "title": ');
+  assert.throws(() => readDustgrain(file), /dustgrain-Datei ist kein gültiges JSON/);
+
+  fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fixture('dustgrain', 'v1.1.json')), dustVersion: '9.0' }));
+  assert.throws(() => readDustgrain(file), /Bitte Dust aktualisieren/);
+});
+
+test('writeDustgrain schreibt die aktuelle Version ohne Laufzeitfelder', (t) => {
+  const file = tempDustgrain(t);
+  const game = {
+    ...JSON.parse(fixture('dustgrain', 'v1.1.json')),
+    dustVersion: '1.0',
+    directory: 'Portal 2',
+    available: true,
+    executableMissing: false
+  };
+
+  writeDustgrain(file, game);
+  const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  assert.equal(written.dustVersion, CURRENT_VERSION);
+  assert.equal(written.directory, undefined);
+  assert.equal(written.available, undefined);
+  assert.equal(written.executableMissing, undefined);
+  assert.deepEqual(written.launchOptions.args, ['-novid']);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['dustgrain.json']);
+});
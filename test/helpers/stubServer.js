@@ -0,0 +1,56 @@
+// Lokaler HTTP-Stub für Provider-Tests
+// routes: Pfad (ohne Query) -> { status, type, body, file } oder Funktion (req, res).
+// Unbekannte Pfade liefern 404. Alle Anfragen werden in requests mitgeschrieben.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function fixture(...parts) {
+  return fs.readFileSync(path.join(FIXTURES, ...parts), 'utf8');
+}
+
+async function startStubServer(routes) {
+  const requests = [];
+  const sockets = new Set();
+  
+  const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    requests.push({ pathname, url: req.url, headers: req.headers });
+    
+    const route = routes[pathname];
+    if (typeof route === 'function') {
+      route(req, res);
+      return;
+    }
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Not Found</body></html>');
+      return;
+    }
+    
+    res.writeHead(route.status || 200, { 'Content-Type': route.type || 'text/html; charset=utf-8' });
+    res.end(route.file ? fixture(...route.file) : route.body);
+  });
+  
+  // Offene Verbindungen (z.B. absichtlich hängende Anfragen) beim Beenden trennen
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startStubServer, fixture };
@@ -0,0 +1,148 @@
+// Tests für die Suchsprache der Bibliothek
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, matchesQuery, fuzzyMatch, normalizeText, kanaToRomaji } = require('../src/search');
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const DAY = 1000 * 60 * 60 * 24;
+
+const GAMES = [
+  {
+    directory: 'zelda',
+    title: 'The Legend of Zelda',
+    developer: 'Nintendo',
+    description: 'Ein Abenteuer in Hyrule',
+    source: 'Lokal',
+    genre: 'Action',
+    tags: ['RPG', 'Abenteuer'],
+    playTime: 12 * 60,
+    lastPlayed: new Date(NOW - 3 * DAY).toISOString()
+  },
+  {
+    directory: 'RJ123456',
+    title: '月影の迷宮',
+    developer: 'サークル月影',
+    description: 'Final Fantasy trifft Dungeon Crawler',
+    source: 'DLSite',
+    genre: 'RPG',
+    tags: ['rpg', 'Demo'],
+    playTime: 20,
+    lastPlayed: new Date(NOW - 400 * DAY).toISOString()
+  },
+  {
+    directory: 'shoujo',
+    title: 'しょうじょ☆コレクション',
+    developer: 'Circle Name',
+    source: 'DLSite',
+    tags: [],
+    playTime: 0
+  }
+];
+
+// Verzeichnisse der Spiele, auf die eine Suche zutrifft
+function search(input) {
+  const query = parseQuery(input);
+  return GAMES.filter(game => matchesQuery(game, query, NOW)).map(game => game.directory);
+}
+
+test('parseQuery zerlegt Feldpräfixe, Anführungszeichen und Ausschlüsse', () => {
+  const { conditions, errors } = parseQuery('zelda "final fantasy" dev:"circle name" -tag:demo source:dlsite');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(conditions, [
+    { negated: false, value: 'zelda', type: 'free' },
+    { negated: false, value: 'final fantasy', type: 'phrase' },
+    { negated: false, value: 'circle name', type: 'text', field: 'developer' },
+    { negated: true, value: 'demo', type: 'tag', field: 'tags' },
+    { negated: false, value: 'dlsite', type: 'text', field: 'source' }
+  ]);
+});
+
+test('parseQuery behandelt unbekannte Felder und einzelne Bindestriche als Text', () => {
+  const { conditions } = parseQuery('foo:bar - "offen');
+
+  assert.deepEqual(conditions, [
+    { negated: false, value: 'foo:bar', type: 'free' },
+    { negated: false, value: '-', type: 'free' },
+    { negated: false, value: 'offen', type: 'phrase' }
+  ]);
+});
+
+test('parseQuery liest Spielzeit- und Datumsvergleiche', () => {
+  const { conditions, errors } = parseQuery('played:>10h played:<30m last:<2w last:never played:1,5');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(conditions.map(condition => condition.comparison || condition.type), [
+    { operator: '>', value: 600 },
+    { operator: '<', value: 30 },
+    { operator: '<', value: 14 },
+    'neverPlayed',
+    { operator: '>=', value: 90 }
+  ]);
+});
+
+test('parseQuery meldet fehlerhafte Teile und wertet den Rest aus', () => {
+  const { conditions, errors } = parseQuery('played:viel last:gestern tag: zelda');
+
+  assert.deepEqual(errors, [
+    'played:viel – erwartet z.B. >10h oder <30m',
+    'last:gestern – erwartet z.B. <30d, >1y oder never',
+    'tag: braucht einen Wert'
+  ]);
+  assert.deepEqual(conditions, [{ negated: false, value: 'zelda', type: 'free' }]);
+});
+
+test('matchesQuery verknüpft alle Bedingungen', () => {
+  assert.deepEqual(search(''), ['zelda', 'RJ123456', 'shoujo']);
+  assert.deepEqual(search('tag:rpg'), ['zelda', 'RJ123456']);
+  assert.deepEqual(search('tag:rpg -tag:demo'), ['zelda']);
+  assert.deepEqual(search('source:dlsite -dev:circle'), ['RJ123456']);
+  assert.deepEqual(search('genre:action tag:demo'), []);
+});
+
+test('matchesQuery sucht frei in Titel, Entwickler und Beschreibung', () => {
+  assert.deepEqual(search('nintendo'), ['zelda']);
+  assert.deepEqual(search('"final fantasy"'), ['RJ123456']);
+  assert.deepEqual(search('"fantasy final"'), []);
+  assert.deepEqual(search('hyrule'), ['zelda']);
+});
+
+test('matchesQuery toleriert Tippfehler, Ausschlüsse aber nur bei echten Treffern', () => {
+  assert.deepEqual(search('legnd'), ['zelda']);
+  assert.deepEqual(search('title:zeldo'), ['zelda']);
+  assert.deepEqual(search('-legnd'), ['zelda', 'RJ123456', 'shoujo']);
+  assert.deepEqual(search('-zelda'), ['RJ123456', 'shoujo']);
+});
+
+test('matchesQuery vergleicht Spielzeit und zuletzt gespielt', () => {
+  assert.deepEqual(search('played:>10h'), ['zelda']);
+  assert.deepEqual(search('played:<30m'), ['RJ123456', 'shoujo']);
+  assert.deepEqual(search('last:<1w'), ['zelda']);
+  assert.deepEqual(search('last:>1y'), ['RJ123456']);
+  assert.deepEqual(search('last:never'), ['shoujo']);
+  assert.deepEqual(search('-last:never'), ['zelda', 'RJ123456']);
+});
+
+test('Romaji findet Titel in Kana, unabhängig von der Schreibweise', () => {
+  assert.deepEqual(search('shoujo'), ['shoujo']);
+  assert.deepEqual(search('shojo'), ['shoujo']);
+  assert.deepEqual(search('syouzyo'), ['shoujo']);
+  assert.deepEqual(search('しょうじょ'), ['shoujo']);
+});
+
+test('kanaToRomaji wandelt Hiragana, Katakana, kleine tsu und Langvokale um', () => {
+  assert.equal(kanaToRomaji('しょうじょ'), 'shoujo');
+  assert.equal(kanaToRomaji('コレクション'), 'korekushon');
+  assert.equal(kanaToRomaji('がっこう'), 'gakkou');
+  assert.equal(kanaToRomaji('ゲーム'), 'geemu');
+  assert.equal(kanaToRomaji('月影'), '月影');
+});
+
+test('normalizeText und fuzzyMatch vereinheitlichen Breite, Akzente und Satzzeichen', () => {
+  assert.equal(normalizeText('Ｐｏｋéｍｏｎ: Red!'), 'pokemonred');
+  assert.equal(fuzzyMatch('pokemon', 'Pokémon Red'), true);
+  assert.equal(fuzzyMatch('', 'beliebig'), true);
+  // Kurze Begriffe müssen genau vorkommen
+  assert.equal(fuzzyMatch('abd', 'abc'), false);
+});
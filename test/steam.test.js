@@ -0,0 +1,135 @@
+// Tests für den Steam-Provider mit ausgetauschtem HTTP-Client und Dateizugriff
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createSteamProvider, normalizeReleaseDate } = require('../src/providers/steam');
+const { createHttpClient } = require('../src/providers/http');
+const { fixture } = require('./helpers/stubServer');
+
+const STEAM_ROOT = path.normalize('/home/player/.local/share/Steam');
+const SECOND_LIBRARY = path.normalize('/mnt/games/SteamLibrary');
+
+// Dateisystem aus einer Tabelle Pfad -> Inhalt
+function fakeFiles(files) {
+  const entries = new Map(Object.entries(files).map(([file, content]) => [path.normalize(file), content]));
+  return {
+    exists: file => entries.has(file) || [...entries.keys()].some(entry => entry.startsWith(file + path.sep)),
+    readFile: file => {
+      if (!entries.has(file)) throw new Error(`ENOENT: ${file}`);
+      return entries.get(file);
+    },
+    readDir: dir => [...entries.keys()]
+      .filter(entry => path.dirname(entry) === dir)
+      .map(entry => path.basename(entry))
+  };
+}
+
+const STEAM_FILES = {
+  [path.join(STEAM_ROOT, 'steamapps', 'libraryfolders.vdf')]: fixture('steam', 'libraryfolders.vdf'),
+  [path.join(SECOND_LIBRARY, 'steamapps', 'appmanifest_620.acf')]: fixture('steam', 'appmanifest_620.acf')
+};
+
+// HTTP-Client, der gespeicherte Antworten liefert und die abgefragten URLs festhält
+function fakeHttp(respond) {
+  const urls = [];
+  return {
+    urls,
+    async getJson(url) {
+      urls.push(url);
+      return respond(url);
+    }
+  };
+}
+
+function createProvider(http, files = STEAM_FILES) {
+  return createSteamProvider({ http, steamRoots: [STEAM_ROOT], baseUrl: 'https://store.example', ...fakeFiles(files) });
+}
+
+test('normalizeReleaseDate versteht englische und deutsche Datumsangaben', () => {
+  assert.equal(normalizeReleaseDate('18 Apr, 2011'), '2011-04-18');
+  assert.equal(normalizeReleaseDate('Apr 18, 2011'), '2011-04-18');
+  assert.equal(normalizeReleaseDate('18. Apr. 2011'), '2011-04-18');
+  assert.equal(normalizeReleaseDate('3. Mär. 2020'), '2020-03-03');
+  assert.equal(normalizeReleaseDate('Demnächst'), 'Demnächst');
+});
+
+test('getLibraryFolders liest alle Bibliotheken aus libraryfolders.vdf', () => {
+  assert.deepEqual(createProvider(fakeHttp(() => ({}))).getLibraryFolders(), [STEAM_ROOT, SECOND_LIBRARY]);
+});
+
+test('fetchGameDetails verbindet Store-Daten und lokales Manifest', async () => {
+  const http = fakeHttp(() => JSON.parse(fixture('steam', 'appdetails_620.json')));
+  const details = await createProvider(http).fetchGameDetails(' 620 ');
+
+  assert.deepEqual(http.urls, ['https://store.example/api/appdetails?appids=620&l=german']);
+  assert.equal(details.title, 'Portal 2');
+  assert.equal(details.developer, 'Valve');
+  assert.deepEqual(details.tags, ['Action', 'Abenteuer']);
+  assert.equal(details.releaseDate, '2011-04-18');
+  assert.deepEqual(details.screenshots, ['https://example.invalid/ss_0.1920x1080.jpg', 'https://example.invalid/ss_1.1920x1080.jpg']);
+  assert.equal(details.installDir, path.join(SECOND_LIBRARY, 'steamapps', 'common', 'Portal 2'));
+  assert.equal(details.installSize, 12870000000);
+  assert.equal(details.steamAppId, '620');
+});
+
+test('fetchGameDetails fällt ohne Netzwerk auf das Manifest zurück', async () => {
+  const http = fakeHttp(() => {
+    throw new Error('Zeitüberschreitung bei der Anfrage');
+  });
+  const details = await createProvider(http).fetchGameDetails('620');
+
+  assert.equal(details.title, 'Portal 2');
+  assert.equal(details.installSize, 12870000000);
+});
+
+test('fetchGameDetails gibt den Netzwerkfehler weiter, wenn kein Manifest existiert', async () => {
+  const http = fakeHttp(() => {
+    throw new Error('Zeitüberschreitung bei der Anfrage');
+  });
+  await assert.rejects(createProvider(http, {}).fetchGameDetails('620'), /Zeitüberschreitung/);
+});
+
+test('fetchGameDetails meldet unbekannte App-IDs', async () => {
+  const http = fakeHttp(() => ({ 999: { success: false } }));
+  await assert.rejects(createProvider(http, {}).fetchGameDetails('999'), /Keine Steam-App mit der ID 999/);
+});
+
+test('fetchGameDetails lehnt ungültige App-IDs ohne Anfrage ab', async () => {
+  const http = fakeHttp(() => ({}));
+  await assert.rejects(createProvider(http).fetchGameDetails('abc'), /Ungültige Steam App-ID/);
+  assert.deepEqual(http.urls, []);
+});
+
+test('findManifestForFolder findet das Manifest über steamapps/common', () => {
+  const provider = createProvider(fakeHttp(() => ({})));
+  const manifest = provider.findManifestForFolder(path.join(SECOND_LIBRARY, 'steamapps', 'common', 'portal 2'));
+
+  assert.equal(manifest.appId, '620');
+  assert.equal(provider.findManifestForFolder(path.join(SECOND_LIBRARY, 'Portal 2')), null);
+});
+
+test('createHttpClient meldet HTTP-Fehler mit Status', async () => {
+  const http = createHttpClient({
+    fetch: async () => ({ ok: false, status: 503 })
+  });
+  await assert.rejects(http.getJson('https://store.example/api/appdetails?appids=620'), (error) => {
+    assert.equal(error.status, 503);
+    assert.match(error.message, /store\.example antwortete mit Status 503/);
+    return true;
+  });
+});
+
+test('createHttpClient bricht nach der Zeitüberschreitung ab', async () => {
+  const http = createHttpClient({
+    timeout: 50,
+    fetch: (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        const error = new Error('abgebrochen');
+        error.name = 'AbortError';
+        reject(error);
+      });
+    })
+  });
+  await assert.rejects(http.getText('https://store.example/'), /Zeitüberschreitung/);
+});
@@ -0,0 +1,56 @@
+// Tests für den VDF/ACF-Parser
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVdf, getKey } = require('../src/providers/vdf');
+const { fixture } = require('./helpers/stubServer');
+
+test('parseVdf liest verschachtelte Blöcke', () => {
+  const vdf = parseVdf(fixture('steam', 'libraryfolders.vdf'));
+
+  assert.equal(vdf.libraryfolders['1'].path, '/mnt/games/SteamLibrary');
+  assert.equal(vdf.libraryfolders['1'].label, 'Spiele');
+  assert.deepEqual(vdf.libraryfolders['1'].apps, { 620: '12870000000' });
+  assert.deepEqual(vdf.libraryfolders['0'].apps, { 228980: '412000000' });
+});
+
+test('parseVdf liest ein appmanifest', () => {
+  const state = getKey(parseVdf(fixture('steam', 'appmanifest_620.acf')), 'appstate');
+
+  assert.equal(getKey(state, 'installdir'), 'Portal 2');
+  assert.equal(getKey(state, 'sizeondisk'), '12870000000');
+  assert.equal(state.InstalledDepots['621'].manifest, '4079297283936563390');
+});
+
+test('parseVdf wertet Escape-Sequenzen aus', () => {
+  const vdf = parseVdf('"root" { "path" "C:\\\\Games\\\\Steam" "quote" "sagt \\"hallo\\"" "lines" "a\\nb\\tc" }');
+
+  assert.equal(vdf.root.path, 'C:\\Games\\Steam');
+  assert.equal(vdf.root.quote, 'sagt "hallo"');
+  assert.equal(vdf.root.lines, 'a\nb\tc');
+});
+
+test('parseVdf überspringt Kommentare, BOM und unquotierte Werte', () => {
+  const vdf = parseVdf('\uFEFF// Kopf\n"root" // Schlüssel\n{\n  key value // Ende\n  "url" "http://example.com//pfad"\n}\n');
+
+  assert.deepEqual(vdf, { root: { key: 'value', url: 'http://example.com//pfad' } });
+});
+
+test('parseVdf: doppelte Schlüssel überschreiben frühere Werte', () => {
+  assert.deepEqual(parseVdf('"a" "1" "a" "2"'), { a: '2' });
+});
+
+test('parseVdf lehnt fehlerhafte Dateien ab', () => {
+  assert.throws(() => parseVdf('"root" { "key" "value"'), /fehlende schließende Klammer/);
+  assert.throws(() => parseVdf('"root" { } }'), /unerwartete schließende Klammer/);
+  assert.throws(() => parseVdf('"root" { { } }'), /unerwartete öffnende Klammer/);
+  assert.throws(() => parseVdf('"root" { "key" }'), /kein Wert für "key"/);
+  assert.throws(() => parseVdf('"root"'), /kein Wert für "root"/);
+  assert.throws(() => parseVdf('"root" { "key" "value }'), /nicht beendete Zeichenkette/);
+});
+
+test('getKey ignoriert Groß-/Kleinschreibung', () => {
+  assert.equal(getKey({ AppID: '620' }, 'appid'), '620');
+  assert.equal(getKey({ AppID: '620' }, 'name'), undefined);
+  assert.equal(getKey(null, 'appid'), undefined);
+});